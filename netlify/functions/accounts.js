@@ -0,0 +1,148 @@
+/************************************************
+ * netlify/functions/accounts.js
+ *
+ * Engineer accounts: signing in, profiles (license and signature) and
+ * roles. See netlify/lib/accounts.js for the roles and sessions.
+ *
+ *   GET  /accounts?action=status   { setupRequired } — no sign-in needed
+ *   POST /accounts?action=setup    create the first account, with every role
+ *                                  { email, password, name, ...profile }
+ *   POST /accounts?action=login    sign in   { email, password } → { token, expiresAt, user }
+ *   GET  /accounts?id=me           the signed-in account
+ *   GET  /accounts                 list accounts (administrators)
+ *   POST /accounts                 add an account (administrators)
+ *                                  { email, password, name, roles, ...profile }
+ *   PUT  /accounts?id=<id|me>      update a profile
+ *                                  { name, title, phone, license, signature,
+ *                                    password, currentPassword, roles, active }
+ *
+ * Engineers update their own profile; changing the password needs the
+ * current one and signs out the account's other sessions. Only
+ * administrators change roles, deactivate accounts or edit other
+ * engineers' profiles, and a site always keeps one active administrator.
+ ************************************************/
+const {
+  ROLES,
+  AuthError,
+  AccountError,
+  getUserStore,
+  authenticate,
+  hasRole,
+  publicUser,
+  checkRoles,
+  applyProfile,
+  createUser,
+  signIn,
+  verifyPassword,
+  setPassword,
+  createSession
+} = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+function signedIn(user) {
+  return { ...createSession(user), user: publicUser(user) };
+}
+
+function isActiveAdmin(user) {
+  return user.active && hasRole(user, 'admin');
+}
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, PUT, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    const store = getUserStore(event);
+    const { id, action } = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET' && action === 'status') {
+      return respond(200, { setupRequired: (await store.list()).length === 0 });
+    }
+
+    if (event.httpMethod === 'POST' && action === 'setup') {
+      const body = parseBody(event);
+      if ((await store.list()).length > 0) {
+        throw new HttpError(409, 'This site already has accounts; sign in instead');
+      }
+      const user = await createUser(store, { ...body, roles: Object.keys(ROLES) });
+      return respond(201, signedIn(user));
+    }
+
+    if (event.httpMethod === 'POST' && action === 'login') {
+      const body = parseBody(event);
+      return respond(200, signedIn(await signIn(store, body.email, body.password)));
+    }
+
+    const currentUser = await authenticate(event);
+
+    if (event.httpMethod === 'GET' && id === 'me') {
+      return respond(200, { user: publicUser(currentUser), roles: ROLES });
+    }
+
+    if (event.httpMethod === 'GET' && !id) {
+      if (!hasRole(currentUser, 'admin')) throw new AuthError(403, 'This needs the Administrator role');
+      const users = (await store.list())
+        .map(publicUser)
+        .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+      return respond(200, { users, roles: ROLES });
+    }
+
+    if (event.httpMethod === 'POST' && !id && !action) {
+      if (!hasRole(currentUser, 'admin')) throw new AuthError(403, 'This needs the Administrator role');
+      const user = await createUser(store, parseBody(event));
+      return respond(201, { user: publicUser(user) });
+    }
+
+    if (event.httpMethod === 'PUT' && id) {
+      const body = parseBody(event);
+      const isSelf = id === 'me' || id === currentUser.id;
+      const isAdmin = hasRole(currentUser, 'admin');
+      if (!isSelf && !isAdmin) throw new AuthError(403, 'You can only change your own profile');
+
+      const user = isSelf ? currentUser : await store.get(id).catch(() => null);
+      if (!user) throw new HttpError(404, `Account not found: ${id}`);
+      const wasAdmin = isActiveAdmin(user);
+
+      if ((body.roles !== undefined || body.active !== undefined) && !isAdmin) {
+        throw new AuthError(403, 'Only an administrator can change roles or deactivate accounts');
+      }
+      applyProfile(user, body);
+      if (body.roles !== undefined) user.roles = checkRoles(body.roles);
+      if (body.active !== undefined) user.active = Boolean(body.active);
+
+      if (body.password !== undefined) {
+        // Administrators reset other engineers' passwords without knowing them
+        if (isSelf && !(await verifyPassword(body.currentPassword, user.passwordHash))) {
+          throw new HttpError(400, 'The current password is incorrect');
+        }
+        await setPassword(user, body.password);
+      }
+
+      if (wasAdmin && !isActiveAdmin(user)) {
+        const otherAdmins = (await store.list()).filter(other => other.id !== user.id && isActiveAdmin(other));
+        if (otherAdmins.length === 0) {
+          throw new HttpError(409, 'The site needs at least one active administrator');
+        }
+      }
+
+      user.updatedAt = new Date().toISOString();
+      await store.put(user.id, user);
+      // A new password ends the old session; hand the engineer a fresh one
+      return respond(200, isSelf && body.password !== undefined ? signedIn(user) : { user: publicUser(user) });
+    }
+
+    throw new HttpError(405, `Unsupported request: ${event.httpMethod}${action ? ` (${action})` : ''}`);
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof AccountError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in accounts function:', error);
+    return respond(500, {
+      error: 'Failed to process account request',
+      details: error.message
+    });
+  }
+};
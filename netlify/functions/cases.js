@@ -0,0 +1,276 @@
+/************************************************
+ * netlify/functions/cases.js
+ *
+ * Saved cases: intake inputs, generated sections (with every version)
+ * and where the report is in review (see netlify/lib/workflow.js), so a
+ * report can be resumed later or on another machine.
+ *
+ *   GET    /cases                      list case summaries (?archived=true to include archived)
+ *   GET    /cases?id=<id>              full case
+ *   POST   /cases                      create a case   { inputs, sections, photos, template }
+ *   POST   /cases?id=<id>&action=duplicate   copy a case, as a new draft
+ *   PUT    /cases?id=<id>              update a case   { inputs, sections, photos, template, archived }
+ *   POST   /cases?id=<id>&action=<submit|return|approve|issue>   move through review  { note }
+ *   POST   /cases?id=<id>&action=comment           comment on a section  { sectionId, text }
+ *   POST   /cases?id=<id>&action=resolve-comment   { commentId, resolved }
+ *
+ * `photos` is the ordered photo list ([{ id, caption, tag, fileName }]);
+ * the images themselves are stored by the photos function. A duplicated
+ * case gets its own copy of each image.
+ * `template` ({ id, version }) is the report template version the case's
+ * sections were generated with (see the templates function).
+ *
+ * Every request needs a signed-in account, and creating or editing a
+ * case the drafting engineer role. Only drafts can be edited; archiving
+ * is allowed at any stage. Each change is added to the case's `audit`.
+ ************************************************/
+const crypto = require('crypto');
+const { getDocumentStore } = require('../lib/storage');
+const { AuthError, authenticate, hasRole, userRef } = require('../lib/accounts');
+const { HttpError, isPlainObject, parseBody, responder } = require('../lib/http');
+const { getTemplate } = require('../lib/templates');
+const {
+  ACTIONS,
+  WorkflowError,
+  caseStatus,
+  recordAudit,
+  changedFields,
+  assertEditable,
+  applyAction,
+  addComment,
+  resolveComment
+} = require('../lib/workflow');
+
+// Cases saved before templates were versioned
+const LEGACY_TEMPLATE = { id: 'standard', version: 1 };
+const CONTENT_FIELDS = ['inputs', 'sections', 'photos', 'template'];
+const PHOTO_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Display name for a case, from its intake inputs.
+ */
+function caseName(inputs) {
+  const name = inputs?.projectName || inputs?.address;
+  return typeof name === 'string' && name.trim() ? name.trim() : 'Untitled case';
+}
+
+/**
+ * The short form of a case shown in the case list.
+ */
+function summarizeCase(caseRecord) {
+  const sections = caseRecord.sections || {};
+  const sectionIds = Object.keys(sections);
+  return {
+    id: caseRecord.id,
+    name: caseRecord.name,
+    address: caseRecord.inputs?.address || '',
+    status: caseStatus(caseRecord),
+    approvedBy: caseRecord.approval?.name || '',
+    openComments: (caseRecord.comments || []).filter(comment => !comment.resolvedAt).length,
+    archived: Boolean(caseRecord.archived),
+    sectionCount: sectionIds.length,
+    acceptedCount: sectionIds.filter(id => Number.isInteger(sections[id]?.acceptedVersion)).length,
+    photoCount: (caseRecord.photos || []).length,
+    template: caseRecord.template || null,
+    createdAt: caseRecord.createdAt,
+    updatedAt: caseRecord.updatedAt,
+    updatedBy: caseRecord.updatedBy || null
+  };
+}
+
+/**
+ * Give a duplicated case its own copy of each photo image, so either
+ * case can delete its photos without breaking the other. Updates the
+ * photo list and the photos attached to third-party claims in
+ * `contents` to the new ids.
+ */
+async function copyPhotos(contents, caseId, event, now) {
+  const store = getDocumentStore('photos', event);
+  const copies = new Map();
+  for (const photo of contents.photos || []) {
+    const image = await store.get(photo.id).catch(() => null);
+    if (!image) continue;
+    const copy = { ...image, id: crypto.randomUUID(), caseId, createdAt: now };
+    await store.put(copy.id, copy);
+    copies.set(photo.id, copy.id);
+  }
+  const newId = id => copies.get(id) || id;
+
+  if (Array.isArray(contents.photos)) {
+    contents.photos = contents.photos.map(photo => ({ ...photo, id: newId(photo.id) }));
+  }
+  (contents.inputs?.thirdPartyReports || []).forEach(report => {
+    (report?.claims || []).forEach(claim => {
+      if (Array.isArray(claim?.photoIds)) claim.photoIds = claim.photoIds.map(newId);
+    });
+  });
+}
+
+/**
+ * Check the writable fields of a create/update body, copying the
+ * ones that are present onto `target`.
+ */
+function applyCaseFields(target, body) {
+  if (body.inputs !== undefined) {
+    if (!isPlainObject(body.inputs)) throw new HttpError(400, '"inputs" must be an object');
+    target.inputs = body.inputs;
+    target.name = caseName(body.inputs);
+  }
+  if (body.sections !== undefined) {
+    if (!isPlainObject(body.sections)) throw new HttpError(400, '"sections" must be an object');
+    target.sections = body.sections;
+  }
+  if (body.photos !== undefined) {
+    if (!Array.isArray(body.photos)) throw new HttpError(400, '"photos" must be an array');
+    target.photos = body.photos.map((photo, index) => {
+      if (!isPlainObject(photo) || typeof photo.id !== 'string' || !PHOTO_ID.test(photo.id)) {
+        throw new HttpError(400, `"photos[${index}]" must have a valid id`);
+      }
+      return {
+        id: photo.id,
+        caption: typeof photo.caption === 'string' ? photo.caption : '',
+        tag: typeof photo.tag === 'string' ? photo.tag : '',
+        fileName: typeof photo.fileName === 'string' ? photo.fileName : '',
+        createdAt: typeof photo.createdAt === 'string' ? photo.createdAt : ''
+      };
+    });
+  }
+  if (body.template !== undefined) {
+    const { id, version } = isPlainObject(body.template) ? body.template : {};
+    if (typeof id !== 'string' || !id || !Number.isInteger(version) || version < 1) {
+      throw new HttpError(400, '"template" must be { id, version }');
+    }
+    target.template = { id, version };
+  }
+  if (body.status !== undefined) {
+    throw new HttpError(400, `"status" changes through the review actions: ${Object.keys(ACTIONS).join(', ')}`);
+  }
+  if (body.archived !== undefined) {
+    target.archived = Boolean(body.archived);
+  }
+  return target;
+}
+
+async function getCaseOrThrow(store, id) {
+  const caseRecord = id ? await store.get(id).catch(() => null) : null;
+  if (!caseRecord) throw new HttpError(404, `Case not found: ${id}`);
+  return caseRecord;
+}
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, PUT, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    const user = await authenticate(event);
+    const store = getDocumentStore('cases', event);
+    const { id, action, archived } = event.queryStringParameters || {};
+    const now = new Date().toISOString();
+    const requireEngineer = () => {
+      if (!hasRole(user, 'engineer')) throw new AuthError(403, 'This needs the Drafting engineer role');
+    };
+
+    if (event.httpMethod === 'GET') {
+      if (id) {
+        return respond(200, await getCaseOrThrow(store, id));
+      }
+      const includeArchived = archived === 'true';
+      const cases = (await store.list())
+        .filter(caseRecord => includeArchived || !caseRecord.archived)
+        .map(summarizeCase)
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+      return respond(200, { cases });
+    }
+
+    if (event.httpMethod === 'POST' && id && action === 'duplicate') {
+      requireEngineer();
+      const original = await getCaseOrThrow(store, id);
+      const {
+        submitted, approval, issued, comments, audit, ...contents
+      } = JSON.parse(JSON.stringify(original));
+      const copyId = crypto.randomUUID();
+      await copyPhotos(contents, copyId, event, now);
+      const copy = recordAudit({
+        ...contents,
+        id: copyId,
+        name: `Copy of ${original.name}`,
+        status: 'draft',
+        archived: false,
+        duplicatedFrom: original.id,
+        createdBy: userRef(user),
+        updatedBy: userRef(user),
+        createdAt: now,
+        updatedAt: now
+      }, user, 'created', { duplicatedFrom: original.id }, now);
+      await store.put(copy.id, copy);
+      return respond(201, copy);
+    }
+
+    if (event.httpMethod === 'POST' && id && (ACTIONS[action] || action === 'comment' || action === 'resolve-comment')) {
+      const caseRecord = await getCaseOrThrow(store, id);
+      const body = parseBody(event);
+      let comment = null;
+      if (action === 'comment') {
+        comment = addComment(caseRecord, user, body);
+      } else if (action === 'resolve-comment') {
+        comment = resolveComment(caseRecord, user, body);
+      } else {
+        const ref = caseRecord.template || LEGACY_TEMPLATE;
+        const template = await getTemplate(ref.id, ref.version, event);
+        if (!template) throw new HttpError(409, `The case's report template is missing: ${ref.id} v${ref.version}`);
+        applyAction(caseRecord, action, user, { template, note: body.note });
+      }
+      await store.put(caseRecord.id, caseRecord);
+      return respond(comment ? 201 : 200, comment ? { comment, case: caseRecord } : caseRecord);
+    }
+
+    if (event.httpMethod === 'POST' && !id) {
+      requireEngineer();
+      const caseRecord = applyCaseFields({
+        id: crypto.randomUUID(),
+        name: caseName({}),
+        status: 'draft',
+        archived: false,
+        inputs: {},
+        sections: {},
+        photos: [],
+        createdBy: userRef(user),
+        createdAt: now
+      }, parseBody(event));
+      caseRecord.updatedAt = now;
+      caseRecord.updatedBy = userRef(user);
+      recordAudit(caseRecord, user, 'created', {}, now);
+      await store.put(caseRecord.id, caseRecord);
+      return respond(201, caseRecord);
+    }
+
+    if (event.httpMethod === 'PUT' && id) {
+      const body = parseBody(event);
+      const caseRecord = await getCaseOrThrow(store, id);
+      if (CONTENT_FIELDS.some(field => body[field] !== undefined)) {
+        requireEngineer();
+        assertEditable(caseRecord);
+      }
+      const fields = changedFields(caseRecord, body);
+      applyCaseFields(caseRecord, body);
+      if (fields.length > 0) {
+        caseRecord.updatedAt = now;
+        caseRecord.updatedBy = userRef(user);
+        recordAudit(caseRecord, user, 'updated', { fields }, now);
+        await store.put(caseRecord.id, caseRecord);
+      }
+      return respond(200, caseRecord);
+    }
+
+    throw new HttpError(405, `Unsupported request: ${event.httpMethod}${action ? ` (${action})` : ''}`);
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError || error instanceof WorkflowError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    console.error('Error in cases function:', error);
+    return respond(500, {
+      error: 'Failed to process case request',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,51 @@
+/************************************************
+ * netlify/functions/damage-survey.js
+ *
+ * Hail test-square counts per roof slope: hit density against the
+ * replacement thresholds, and repair or replace for each slope and the
+ * whole roof.
+ *
+ *   GET  /damage-survey   { materials: { key: { label, threshold } },
+ *                           orientations, wholeRoofPercent }, the defaults
+ *   POST /damage-survey   { survey }
+ *
+ * `survey` is described in netlify/lib/damage. POST returns
+ * { analysis, tables: { testSquares, recommendations } } with the tables
+ * in Markdown; a survey that can't be analyzed returns 400 { error }.
+ ************************************************/
+const { MATERIALS, ORIENTATIONS, DEFAULT_WHOLE_ROOF_PERCENT, analyzeDamage, formatDamageTables, DamageError } = require('../lib/damage');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    await authenticate(event);
+
+    if (event.httpMethod === 'GET') {
+      return respond(200, { materials: MATERIALS, orientations: ORIENTATIONS, wholeRoofPercent: DEFAULT_WHOLE_ROOF_PERCENT });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = parseBody(event);
+      const analysis = analyzeDamage(body.survey);
+      return respond(200, { analysis, tables: formatDamageTables(analysis) });
+    }
+
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof DamageError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in damage-survey function:', error);
+    return respond(500, {
+      error: 'Failed to analyze the damage survey',
+      details: error.message
+    });
+  }
+};
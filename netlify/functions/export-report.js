@@ -0,0 +1,107 @@
+/************************************************
+ * netlify/functions/export-report.js
+ *
+ * Exports the final report as a Word document or PDF.
+ *
+ *   POST /export-report   { format: 'docx' | 'pdf', sections: [{ id, title, content }], context, photos, caseId }
+ *
+ * `sections` are the accepted sections in report order; `context` is
+ * the intake (for the cover page, signature block and Repair Scope
+ * appendix); `photos` is the case's photo list ([{ id, caption, tag }]),
+ * numbered in that order for the Photographs appendix.
+ *
+ * When `caseId` names an issued case, the export is the report as it
+ * was issued (the body's sections, context and photos are ignored),
+ * signed and stamped with the approving PE's details.
+ ************************************************/
+const { exportReport, EXPORT_FORMATS } = require('../lib/export');
+const { getDocumentStore } = require('../lib/storage');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+const { issuedStamp } = require('../lib/workflow');
+
+/**
+ * Load the stored images for the photo list, numbering them by position.
+ * A missing image is left out rather than failing the whole export.
+ */
+async function loadPhotos(photoList, event) {
+  if (!Array.isArray(photoList) || photoList.length === 0) return [];
+  const store = getDocumentStore('photos', event);
+  const photos = await Promise.all(photoList.map(async (entry, index) => {
+    const stored = entry && typeof entry.id === 'string' ? await store.get(entry.id).catch(() => null) : null;
+    if (!stored) {
+      console.error(`Photo ${index + 1} is missing from storage: ${entry?.id}`);
+      return null;
+    }
+    return {
+      number: index + 1,
+      caption: typeof entry.caption === 'string' ? entry.caption : '',
+      tag: typeof entry.tag === 'string' ? entry.tag : '',
+      contentType: stored.contentType,
+      data: Buffer.from(stored.data, 'base64')
+    };
+  }));
+  return photos.filter(Boolean);
+}
+
+exports.handler = async function(event) {
+  const { headers, respond, preflight } = responder(event, 'POST, OPTIONS');
+  if (preflight) return preflight;
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  }
+
+  try {
+    const body = parseBody(event);
+    if (!EXPORT_FORMATS.includes(body.format)) {
+      return respond(400, { error: `"format" must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    await authenticate(event);
+
+    let { sections, context, photos } = body;
+    let stamp = null;
+    if (body.caseId !== undefined && body.caseId !== null) {
+      const caseRecord = typeof body.caseId === 'string'
+        ? await getDocumentStore('cases', event).get(body.caseId).catch(() => null)
+        : null;
+      if (!caseRecord) return respond(404, { error: `Case not found: ${body.caseId}` });
+      stamp = issuedStamp(caseRecord);
+      if (stamp) {
+        ({ sections } = caseRecord.issued);
+        context = caseRecord.inputs;
+        photos = caseRecord.photos;
+      }
+    }
+    if (!Array.isArray(sections) || sections.length === 0) {
+      return respond(400, { error: '"sections" must list the accepted report sections' });
+    }
+
+    const { data, contentType, fileName } = await exportReport(body.format, {
+      sections,
+      context: context && typeof context === 'object' ? context : {},
+      photos: await loadPhotos(photos, event),
+      stamp
+    });
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      },
+      body: data.toString('base64'),
+      isBase64Encoded: true
+    };
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    console.error('Error in export-report function:', error);
+    return respond(500, {
+      error: 'Failed to export the report',
+      details: error.message
+    });
+  }
+};
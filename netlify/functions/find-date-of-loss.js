@@ -0,0 +1,68 @@
+/************************************************
+ * netlify/functions/find-date-of-loss.js
+ *
+ * Date-of-loss finder: searches the storm reports and station
+ * observations over a date range and ranks the severe-weather dates
+ * near the property by hail size and gust speed.
+ *
+ *   POST /find-date-of-loss   { address, startDate, endDate, radiusMiles, location }
+ *
+ * `location` is the engineer-confirmed geocoder result; without it the
+ * address is geocoded here, and a bad or ambiguous one returns 422.
+ ************************************************/
+const { findStormDates } = require('../lib/weather');
+const { locateProperty, confirmedLocation, GeocodeError } = require('../lib/geocode');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'POST, OPTIONS');
+  if (preflight) return preflight;
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  }
+
+  try {
+    const body = parseBody(event);
+    const address = typeof body.address === 'string' ? body.address.trim() : '';
+    if (!address) {
+      return respond(400, { error: '"address" is required' });
+    }
+
+    const options = {};
+    if (body.radiusMiles !== undefined && body.radiusMiles !== '') {
+      const radiusMiles = Number(body.radiusMiles);
+      if (!Number.isFinite(radiusMiles) || radiusMiles <= 0 || radiusMiles > 100) {
+        return respond(400, { error: '"radiusMiles" must be a number between 0 and 100' });
+      }
+      options.radiusMiles = radiusMiles;
+    }
+
+    await authenticate(event);
+    const location = confirmedLocation(body.location, address) || await locateProperty(address, options);
+    const result = await findStormDates({
+      address,
+      startDate: body.startDate,
+      endDate: body.endDate,
+      location,
+      options
+    });
+    return respond(200, result);
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof RangeError) {
+      return respond(400, { error: error.message });
+    }
+    if (error instanceof GeocodeError) {
+      return respond(422, { error: error.message, candidates: error.candidates });
+    }
+    console.error('Error in find-date-of-loss function:', error);
+    return respond(500, {
+      error: 'Failed to search for storm dates',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,54 @@
+/************************************************
+ * netlify/functions/foundation-survey.js
+ *
+ * Floor elevation survey for foundation claims: differential, tilt and
+ * deflection checked against tolerance criteria, plus a contour plot.
+ *
+ *   POST /foundation-survey   { survey }
+ *
+ * `survey` is { mode: 'grid', spacingFeet, grid } or { mode: 'points', csv }
+ * (see netlify/lib/foundation). Returns
+ * { analysis, contour: { contentType, data (base64), intervalInches, caption } };
+ * readings that can't be analyzed return 400 { error }.
+ ************************************************/
+const { analyzeSurvey, FoundationError } = require('../lib/foundation');
+const { renderContourPlot } = require('../lib/foundation/contour');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'POST, OPTIONS');
+  if (preflight) return preflight;
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  }
+
+  try {
+    const body = parseBody(event);
+    await authenticate(event);
+    const { points, ...analysis } = analyzeSurvey(body.survey);
+    const contour = renderContourPlot(points);
+    return respond(200, {
+      analysis,
+      contour: {
+        contentType: contour.contentType,
+        data: contour.data.toString('base64'),
+        intervalInches: contour.intervalInches,
+        caption: contour.caption
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof FoundationError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in foundation-survey function:', error);
+    return respond(500, {
+      error: 'Failed to analyze the elevation survey',
+      details: error.message
+    });
+  }
+};
@@ -1,238 +1,318 @@
 /************************************************
  * netlify/functions/generate-report.js
  ************************************************/
-const OpenAI = require('openai');
-const axios = require('axios');
+const { stream } = require('@netlify/functions');
+const { getForensicWeather, formatWeatherForPrompt, describeCandidate } = require('../lib/weather');
+const { locateProperty, confirmedLocation, formatLocationForPrompt, GeocodeError } = require('../lib/geocode');
+const { getTemplate, findSection, sectionsForCase, renderPrompt, formatSectionFields } = require('../lib/templates');
+const { analyzeSurvey, formatFoundationForPrompt, FoundationError } = require('../lib/foundation');
+const { analyzeDamage, formatDamageTables, insertDamageTable, DamageError } = require('../lib/damage');
+const { readEstimate, formatCurrency, ScopeError } = require('../lib/scope');
+const { buildingList, roofSystemKeys, formatBuildingsForPrompt, formatBuildingTable } = require('../lib/buildings');
+const { checkSection } = require('../lib/consistency');
+const { loadLibrary, retrieveSources, formatSourcesForPrompt, citedSources, checkCitations } = require('../lib/library');
+const { formatDisputedClaims } = require('../lib/third-party');
+const { modelSettings, modelLabel, complete, streamCompletion } = require('../lib/llm');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+const { ROOF_SYSTEMS, IntakeError, migrateIntake, validateIntake, describeProblems } = require('../lib/intake');
 
 /**
- * Initialize OpenAI with your API key.
- * Ensure OPENAI_API_KEY is set in your Netlify environment.
+ * Utility function: Safely convert a value to a string,
+ * returning fallback if it's null/undefined or empty.
  */
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// const EXAMPLE_REPORT = `
-// INTRODUCTION
-
-// 440 Plaza Shopping Center at 714 S. Fort Hood Road, Killeen, Texas is a retail complex with four 1-story commercial buildings. Satellite images and aerial photos of the complex are enclosed in Attachment A. To ensure that we use the same building identification system as used by Nelson Forensics (see below), we have included Nelson's roof diagram in Attachment A.
-
-// The complex was damaged on March 28, 2014 during a windstorm with a peak three-second gust wind speed of 66.7 mph, recorded at Ft. Sill airport located 3 miles northeast of the complex (Weather History, Attachment B). A forensic weather company determined that hail with a maximum diameter of 2.0 inch fell at the property address (HailStrike, Attachment B).
-
-// NELSON FORENSICS ROOF REPORT
-
-// Nelson Forensics prepared a 356-page report dated September 25, 2014 addressing hail damage to the Buildings 1-3 roofs. Although typically in our reports we critique opposing opinions after describing our own findings and conclusions, given the chronology of events and the comprehensive nature of the Nelson report, we believe it will assist the reader if we summarize our understanding of the Nelson report before proceeding further with our own narrative. Additional comments concerning the Nelson report are found in the footnotes.
-
-// WEATHER ANALYSIS
-
-// Nelson researched public domain NOAA data and concluded there within a 5-mile radius of 440 Plaza, there was no hail event on March 28, 2014; 1-inch diameter hail on April 13, 2014; 1.75" diameter hail on three dates between 2001-2006; and 4.5" hail on two dates between 2000-2001. Table 1 below compares the maximum hail size reported by Nelson based on NOAA and two forensic weather companies, WeatherFusion and HailStrike, each using their own proprietary radar algorithms. Whereas Nelson documents no hail on the reported date of loss, WeatherFusion documents a maximum hail size less than 0.75 inch diameter and HailStrike documents 2.00 inch diameter. Accordingly, we believe that the appropriate date of loss is March 28, 2014.
-
-// Date         Nelson (NOAA)    WeatherFusion    HailStrike
-// April 13, 2014    1.00"          <0.75"          2.75"
-// March 28, 2014      -             1.2"           2.00"
-// April 20, 2006    1.75"           0.8"            n/a
-// March 25, 2003    1.75"           n/a             n/a
-// May 6, 2001       4.5"            n/a             n/a
-// March 10, 2000    4.5"            n/a             n/a
-// Table 1: Comparison of hail sizes by various reports
-
-// Nelson cites "empirical research" by Koontz and Marshall, as well as its own experience, to support its proposition that "hail impact damage to ballasted BUR membranes starts to occur with hailstone sizes equal to or greater than 2" in diameter". Later in their report, Nelson elaborates that hail damage is a function of hail velocity as well as hail size.
-
-// In other words, hail damage is proportional to the amount of kinetic energy imparted by the impact. Kinetic energy changes linear to hailstone mass and exponentially to hailstone velocity. The contribution of wind gust speed should not be overlooked in the analysis, especially since most published studies compare hail size and building damage under laboratory conditions simulating terminal velocity without adjusting for wind speed. Table 2 summarizes our findings concerning hail size, impact velocity and the resultant kinetic energy transfer associated with damage using 2-inch diameter hail falling at terminal velocity and within a storm moving at 29 mph on the reported date of loss (based on HailStrike). Columns 3 and 4 show the terminal velocity of hail falling at terminal velocity on a windless day (assuming an ice density of .91 g/cm³) and the kinetic energy upon impact (using an 90° angle of impact with the roof surface). Column 5 introduces the maximum wind gust speed for the period of hail fall. Columns 6 and 7 adjust the impact velocity and resultant kinetic energy for the maximum wind gust speed during the reported date of loss. The analysis does not consider the effect of unknown weather conditions such as updrafts, downbursts and drag due to the shape of individual hail stones.
-
-// DATE      HAIL SIZE   TERM. VEL.    K.E.      MAX GUST    ADJUST    ADJUST
-//                                                            VEL.      K.E.
-// --------  2.00 IN     68.5 MPH    21.5 FT-LB   0 MPH     68.5 MPH  21.5 FT-LB
-// 03/28/2014 2.00 IN    68.5 MPH    21.5 FT-LB   28.0 MPH  74.0 MPH  25.0 FT-LB
-// 03/28/2014 2.00 IN    68.5 MPH    21.5 FT-LB   66.7 MPH  95.6 MPH  41.8 FT-LB
-// Table 2: Hail size, velocity and kinetic energy
-
-// Presuming the maximum hail size was 2.0 inch diameter, the calculated kinetic energy at terminal velocity is 21.5 ft-lbs. At the time of hail fall, the storm system was moving 28.0 mph, raising the kinetic energy upon impact to 25.0 ft-lbs. But storm speed is not the same as wind gust speed. If the wind gusts at the time of hail fall were as high as the 66.7 mph reported 3 miles northeast of the complex, at least some hail impacted with kinetic energy of 41.8 ft-lbs, nearly the same as 2.5 inch diameter hail at terminal velocity.
-
-// GRAVEL-COVERED BUR MEMBRANES
-
-// Nelson found "gravel-ballasted BUR" was found on Building 1, sections B, G, H, I and K, and Building 2, section M. The following are key Nelson observations concerning the gravel BUR membranes:
-
-// • The roofs drained to the rear; gravel "ballast" coverage was consistently distributed except where it wasn't.
-
-// • Splatter and burnish marks "up to ¾" in diameter" were found on roof vents and RTU metal shrouds; indentations "up to 1" in diameter" were found on roof top unit (RTU) condenser fins; and circular and semi-circular, unweathered fractures "up to 1¼" in diameter" were found on aluminum coated, roofing cement flashing on the parapets between F&G and L&M. Most RTU indentations were found on the north and west elevations.
-
-// DURO-LAST MEMBRANES
-
-// Nelson found Duro-Last membranes on all other roof sections; an elastomeric coating had been applied to roof sections C, F, L & N. The following are key Nelson observations concerning the Duro-Last membranes:
-
-// • Splatter and burnish marks "up to ¾" in diameter" were found on the roof field, RTUs and flashings; "circular/semi-circular/concentric/radial fractures" up to 2" in diameter were found on the elastomeric coatings; indentations "up to 1" diameter" were found on roof vents, and indentations "up to ¾" in diameter" were found on condenser fins, predominantly on the north and west elevations.
-
-// MOISTURE TESTING
-
-// Nelson selected 69 core locations each approximately 12"x12": 25 cores on gravel BUR membranes and 4 cores on Duro-Last membranes. The Nelson cores extracted at Duro-Last locations showed no evidence of hail-caused damage to the polystyrene recovery board, similar to what we found during our own examination. At each of the core locations, Nelson used a Protimeter moisture meter measuring substrate in %MC, or %WME on a 6-100% scale. At 62 core locations, Nelson found that the roof assembly was dry. Moisture entrapment was found under the Duro-Last membrane at 7 core locations. Significantly, Nelson found little to no evidence of pitting, rust, or section loss on the metal decks of any of the 69 core locations. We interpret that as evidence that none of the moisture which we found under the roof coverings was caused by chronic leakage. On the other hand, although Nelson broke through and damaged the roof membrane at 69 locations, they seemed dissatisfied with their own finding, arguing that "the exact extent of rust...at these roof areas will [not]become evident [until the membrane is fully removed]". The catch is that Nelson opines it would take "several years" for moisture to rust the deck. Since it may be "several years" before the buildings are re-roofed, it will be impossible at that point to tell if the rust resulted from pre-loss conditions or moisture intrusion resulting from the March 28, 2014 date of loss.
-
-// A more expeditious (and economical) way to check the entire roof area for entrapped moisture is an "electrical impedance survey". Nelson first proposes the survey, then argues against it because "the presence of multiple roofing layers will more than likely make the results inconclusive without extensive invasive testing throughout". Apparently, Nelson felt comfortable using their 69 cuts as "stand-alone" statistical data, but not in conjunction with a comprehensive impedance survey. We question this approach. Invasive testing -- because of its destructive nature -- is typically performed in support of non-invasive testing, not the other way around. Albeit Nelson's 69 cuts were acquired to evaluate "potential hail damage", Nelson could have oven-tested the acquired samples to ascertain actual moisture content for each layer of material in each of the cuts, instead of using a hand-held meter measuring %WME to a depth of ½ inch. We used a portable Tramex Deckscan impedance meter with a maximum scan depth of 6 inches combined with a sufficient number of core samples to calibrate the Deckscan readings. We also inspected ceilings and decks under the roof to inventory roof leaks, check the condition of the steel deck, and correlate interior damage with the overall condition of the roof assemblies (see below).
-
-// ROOF MEMBRANE CORING & LAB ANALYSIS
-
-// All of Nelson's 69 core samples were sent to Nelson Discovery Laboratory (NDL) where testing was performed "in general accordance" with Section 6.8 of ASTM D2829-07 and ASTM D5635/D5635M-11. Our opinion is that the Nelson lab analysis protocols have very little to do with the referenced ASTMs. We do not object to that, as forensic investigators often find it necessary to develop and employ non-standard techniques to solve unique problems. However, we take issue with Nelson's characterization of their protocols as being in accordance with the ASTM standards, when in fact they are not.
-
-// Nelson lab test for BUR "membrane delamination"
-
-// Nelson's membrane delamination test was performed "to evaluate the asphalt interply moppings...[of BUR membranes]...for evidence of impact distress", performed "in general accordance" with Section 6.8 of ASTM D2829-07. The purpose of this standard is to act as a "guide for removing test specimens from existing built-up roofing systems in the field and for determining the approximate quantities of the components of that specimen". Nelson followed the ASTM standard in regard to removing test specimens from existing BUR systems (pretty much what any roofer would do without special knowledge of the ASTM). The standard provides no method or practice for the identification of hail damage. Section 6.8 (specifically referenced by Nelson) only provides instructions on how-to separate the BUR plies by warming or cooling, in order "to determine the lapping distance of felts". In the lab, Nelson used liquid nitrogen (the ASTM recommends dry ice) to cool the plies in order to facilitate delamination. This practice complies with the intent of the ASTM, but does not remove the asphalt binder impregnated in the plies, in order to inspect the plies for hail-caused damage. Complete examinations for hail damage require the use of vapor degreaser to extract the asphalt binder. Without extracting the asphalt, it is not possible to perform a microscopic analysis with backlighting, by which the plies are fully examined for hail-caused damage. Not surprisingly, Nelson reported that 24 of 25 cores extracted at gravel BUR sections showed no "distress consistent with an impact force".
-
-// Nelson "water column test"
-
-// Nelson's water column test was performed in "general accordance" with ASTM D5635/D5635M-11). While this is true, it is somewhat misleading, since the water column test is only referenced as "Note 7", stating that "one type of watertightness test that has been used to examine whether membrane specimens have been punctured incorporates a water column sealed to the top of the membrane specimen". At any rate, Nelson reports that 21 of 44 sample failed the water column test, typically samples with "circular/semi-circular/concentric/radial fractures" on Duro-Last membranes date-stamped 1996, 1999 or 2000.
-
-// A flaw with the test procedure is that the samples were only acquired in the roof field. To whatever extend wind force peeled and weakened the lap seams, allowing the penetration of water, this type of damage was not considered in the test procedure.
-
-// NELSON'S CONCLUSIONS & RECOMMENDATIONS
-
-// Nelson concluded that the gravel-covered BUR systems were not damaged by hail. The aluminum-coated, roofing cement flashing was damaged by hail, albeit Nelson could not determine the date of loss. Nelson recommended patching isolated fractures on the parapet flashing between sections F&G and L&M.
-
-// Nelson concluded that Duro-Last membranes A, D, E & J (dated 2006, 2008 or undated) and O (dated 1999/2000) were not damaged by hail and their water-shedding capability was not compromised.
-
-// Nelson concluded that Duro-Last membranes C, F, L & N (dated 1996) and B1, E1, L1, M1 & N1 (dated 1999/2000) were damaged by hail. Furthermore, the water-shedding capability of the roof membranes was compromised due to impacting hail. Nelson opined the damage was caused by multiple storms including those reported on/about the reported date of loss. Nelson recommended replacing the membranes over their roof sections in entirety, to be installed "as per applicable local building codes, manufacturer's recommendations, and industry standards".
-
-// NELSON FORENSICS MECHANICAL EQUIPMENT REPORT
-
-// Nelson Forensics prepared a 263-page report dated September 25, 2014 addressing roof-top unit (RTU) damage on Buildings 1-3 roofs. Although typically in our reports we critique opposing opinions after describing our own findings and conclusions, given the chronology of events and the comprehensive nature of the Nelson report, we believe it will assist the reader if we summarize our understanding of the Nelson report before proceeding further with our own narrative. Additional comments concerning the Nelson report are found in the footnotes.
-
-// It is our understanding that another expert is issuing a report on the roof-top mechanical equipment, and accordingly we will limit our comments concerning hail damage to the equipment as follows:
-
-// • Nelson substitutes "functional damage" as the litmus test for necessary repair in lieu of "direct physical damage" as used in most insurance policies. We consider evaporator fin damage caused by hail to be "direct physical damage" requiring restoration of the damaged material to a pre-loss condition. The evaporator fins on the A/C units are spaced about 15 fins/inch, a condition for which "fin combing" is a panacea with little chance of success. Besides, whenever the fins are visibly damaged, a check should be made to determine if the coils are leaking refrigerant.
-
-// • We recommend replacing all hail-damaged fin/coil units. Typically, the fin and coil assembly is a single factory-made "off the shelf" unit. Replacing this unit requires removing the shroud, recovering the refrigerant, replacing the damaged fin/coil assemblies (braze don't solder), re-pressurize the system with nitrogen to test for leaks, evacuate the nitrogen and re-charge with refrigerant.
-
-// • Nelson's opinions are based heavily on a study by Sitzmann, et. al., but Nelson fails to disclose that two of three authors are employees of Haag Engineering, a significant matter because (1) Haag is a forensic engineering company mostly employed by insurance companies and (2) Haag contributed "financial and technical support" to the study. In no way are we insinuating any impropriety. Our point is that the study's authors followed best practice for publication ethics by disclosing their relationship to Haag Engineering. In citing an academic study, Nelson should have included that information in its presentation of the material.
-
-// SITE INSPECTION
-
-// At the request of the Chad T. Wilson Law Firm, the undersigned representatives of [Company Name] inspected the 440 Plaza on October 2, 2014 (visual inspection); October 29-30 (visual inspection) and November 11-13 (visual inspection, moisture survey and destructive testing). Site inspection photos taken by us are enclosed in Attachment C. Unless otherwise indicated, the photos are representative of general conditions documented during the inspection. We presume that readers of this report are familiar with the Nelson report. Where we found the same conditions as Nelson, which are not consequential to the final analysis, we have omitted them from the narrative as a matter of brevity. However, we have retained in our file all photos depicting conditions we found, whether or not they appear in this report.
-
-// MOISTURE SURVEY
-
-// A non-destructive moisture survey was performed using a Tramex Deckscan capacitance moisture meter. The Deckscan meter records moisture readings relative to a presumed dry spot on a scale of 1-100. The results of the Deckscan survey are displayed in Attachment E using several formats. Diagram D1 reprises the building identification system shown in Attachment A. Diagrams D2-D4 show the moisture survey mapped over the entire complex. Diagrams D5-D6 illustrates the Tramex-Delmhorst correlation. Diagrams D6-D13 provide small scale maps bringing the survey data into better focus.
-
-// • The full-color "rainbow" maps (such as D2) show moisture patterns based on the Deckscan readings on a scale of 1-100, with purple showing the driest conditions and red showing the areas with the greatest amount of entrapped moisture.
-
-// • The blue & white "contour" maps (such as D3) show the areas of greatest concern. Since model building codes prohibit the installation of wood products with a moisture content greater than 19%, we used 20% WME (on the Delmhorst BD-2100 hand-held moisture meter) as the threshold for intervention. WME is defined as "the moisture level in any building material as if it were in close contact and in moisture equilibrium with wood expressed as a % moisture content of wood." Based on our field calibrations, we determined that for gravel-covered BUR systems, 20% WME correlated to 54.5% on the Deckscan and 30% WME with 83.1% on the Delmhorst. For Dura-Last systems, 20% WME correlated to 61.1% on the Deckscan and 30% WME with 93.8% on the Deckscan. The light blue areas on the contour maps delimit 20-30% WME. The dark blue areas delimit 30%+ WME.
-
-// • Diagram D4 shows the correlation between the blue & white contours and interior ceiling damage (mapped at roof level).
-
-// DESATURATION OF TEST CUTS
-
-// We acquired six BUR samples and sent them for desaturation testing to RoofLeak Detection Company, Lake Worth, Florida. Unlike the Nelson lab tests, asphalt was fully removed from the specimens to facilitate microscopic examination with backlighting. At the time this report is written, lab reports have not been issued. In a November 29, 2014, phone conversation with Mr. Steve Thomas of RoofLeak, he stated that none of the samples showed fracture, but 3 of 6 samples showed evidence of inter-ply bruising caused by impacts. The samples are being returned to us for retention in our files. Given the number of roof cuts already made by Nelson, we are hesitant to make more. We reserve the right to desaturate Nelson's specimens to check for hail damage which may have escaped detection during their examination.
-
-// DISCUSSION OF NELSON RECOMMENDATIONS
-
-// We concur with Nelson's recommendation to remove the hail-damaged Duro-Last membranes on Roof Sections C, F, L, N, B1, E1, L1, M1 & N1 and install new membranes "as per applicable local building codes, manufacturer's recommendations, and industry standards". Killeen currently enforces the 2009 International Building Code (IBC) and 2009 International Energy Efficiency Code (IEEC). Section 1510 of the 2009 IBC requires:
-
-// 1510.3 Recovering versus replacement. New roof coverings shall not be installed without first removing all existing layers of roof coverings down to the roof deck where any of the following conditions occur:
-// 1. Where the existing roof or roof covering is water soaked or has deteriorated to the point that the existing roof or roof covering is not adequate as a base for additional roofing.
-// 2. Where the existing roof covering is wood shake, slate, clay, cement or asbestos-cement tile.
-// 3. Where the existing roof has two or more applications of any type of roof covering.
-
-// Each of the Duro-Last membranes recommended for replacement by Nelson re-covers at least one other application of roof covering, i.e. "the existing roof has two or more applications of any type of roof covering". In order to comply with Section 1510, "all existing layers of roof coverings down to the roof deck" must be removed before a new roof covering is installed. In accordance with the 2009 IEEC, the new covering must include R-20 continuous insulation (c.i.). While field conditions and design intent will dictate the actual replacement product, for cost estimating purposes we recommend specifying 4-inch polyiso insulation (with taper), recover board and a new Duro-Last membrane. The cost estimates should include replacing all hail-damaged condenser fins, penetrations, flashings and water-damaged ceiling tiles.
-
-// DISCUSSION OF ADDITIONAL RECOMMENDATIONS
-
-// While we agree with Nelson that the hail-damaged Duro-Last membranes on C, F, L, N, B1, E1, L1, M1 & N1 should be removed and replaced with new membranes as per "the
-
-// applicable local building codes, manufacturer's recommendations, and industry standards", we disagree with their assessment of the other roof sections as follows:
-
-// ROOF SECTION A
-
-// We did not find visible hail damage on the Duro-Last membrane or underlying insulation. The two large areas of entrapped moisture on the north side of Section A (which we found with the Deckscan) generally coincide with low spots where water tends to pond. Accordingly, we have removed these areas from consideration as damage which may have occurred during the March 28, 2014 date of loss. However, this does not explain the ten ceiling leaks located under areas of the roof where there is no evidence of ponding. Either water is seeping through hail-damaged flashing, wind-damaged lap seams, or it is leaking through repairs made to Nelson's test cuts. We recommend resealing all lap seams and patches, as well as replacing all hail-damaged condenser fins, penetrations, flashings, and water-damaged ceiling tiles.
-
-// [Sections B through M content...]
-
-// ROOF SECTIONS O & O1
-
-// Sections O & O1 are covered with a Duro-Last membrane over polyiso board fully adhered to a plywood deck with a heavy flood coat of asphalt. The large area of entrapped moisture on lower section O results from poor drainage around the roof-mounted units. The smaller area of entrapped moisture on upper section O1 more likely results from wind-damaged lap seams. The membrane is fractured with hail hits similar to those found on Sections C, F, L and M. We recommend covering the membrane with recovery board and a new single-ply membrane. We also recommend adding 3 inches of polyiso to provide R-20 continuous insulation (c.i.), but since the original insulation will not be exposed during the construction, this is not required by code. The cost estimate should include replacing all hail-damaged condenser fins, penetrations and flashings.
-
-// CONCLUSIONS & RECOMMENDATIONS
-
-// We conclude that 440 Plaza was damaged by wind and hail on March 28, 2014 as described in this report. We summarize the recommendations made above as follows:
+function safeString(value, fallback = '') {
+  if (typeof value === 'string' && value.trim() !== '') {
+    return value;
+  }
+  return fallback;
+}
 
-// [Table 3 content showing section-by-section recommendations]
+/**
+ * Utility function: Safely join an array. If it's not a valid array
+ * or it's empty, return an empty string.
+ */
+function safeArrayJoin(arr, separator = ', ') {
+  if (Array.isArray(arr) && arr.length > 0) {
+    return arr.join(separator);
+  }
+  return '';
+}
 
-// Table 3 is graphically portrayed in Attachment E. In addition to the recommendations in Table 3, we recommend replacing all hail-damaged condenser fins, penetrations, flashings, and water-damaged ceiling tiles.
+/**
+ * Utility function: Safely parse a date.
+ * If parsing fails or the input is missing, return null.
+ */
+function safeParseDate(dateString) {
+  if (!dateString) return null;
+  const d = new Date(dateString);
+  if (isNaN(d.getTime())) return null;
+  return d;
+}
 
-// DISCLOSURES AND LIMITATIONS
+/**
+ * Property analysis questions from the intake form.
+ * Each entry lists the report sections its answer is routed into.
+ */
+const ANALYSIS_FIELDS = [
+  { key: 'analysisCause',         label: 'Purported cause of loss',                         sections: ['observations', 'conclusions', 'rebuttal'] },
+  { key: 'analysisHail',          label: 'Hail size and direction',                         sections: ['observations', 'conclusions', 'rebuttal'] },
+  { key: 'analysisWind',          label: 'Wind intensity and direction',                    sections: ['observations', 'conclusions', 'rebuttal'] },
+  { key: 'analysisRoofReplaced',  label: 'Number of times the roof has been replaced',      sections: ['observations', 'conclusions', 'rebuttal'] },
+  { key: 'analysisRoofYear',      label: 'Year the most recent roof was installed',         sections: ['observations', 'conclusions', 'rebuttal'] },
+  { key: 'analysisWindDirection', label: 'Prevailing wind direction',                       sections: ['observations'] },
+  { key: 'analysisRoofPitch',     label: 'Pitch of the majority of the roof',               sections: ['observations'] },
+  { key: 'analysisHailSpatter',   label: 'Collateral damage / hail spatter size',           sections: ['observations', 'conclusions', 'rebuttal'] },
+  { key: 'analysisSoftMetals',    label: 'Damage to parapet caps and soft metals',          sections: ['observations', 'conclusions', 'rebuttal'] },
+  { key: 'analysisImpactSize',    label: 'Measured impact indentation size',                sections: ['observations', 'conclusions', 'rebuttal'] }
+];
+
+// Sections that receive the full roof-system evidence
+const ROOF_EVIDENCE_SECTIONS = ['observations', 'conclusions', 'rebuttal'];
+
+// Sections that receive the engineer's general notes
+const ENGINEER_NOTES_SECTIONS = ['observations', 'conclusions'];
 
-// 1) Data referenced but not included in this report remains on file in the project folder.
+/**
+ * Utility function: Turn any intake value into trimmed text.
+ * Numbers are kept; booleans, arrays and objects are not evidence text.
+ */
+function evidenceValue(value) {
+  if (typeof value === 'number' && isFinite(value)) {
+    return String(value);
+  }
+  return safeString(value).trim();
+}
 
-// 2) [Company Name] reserves the right to review additional information such as meteorological data, eyewitness reports, construction drawings and project manuals as it becomes available and to revise this report based on the analysis of new information.
+/**
+ * Square footage with thousands separators ("48,000").
+ */
+function formatSquareFootage(value) {
+  return typeof value === 'number' && isFinite(value) ? value.toLocaleString('en-US') : evidenceValue(value);
+}
 
-// 3) [Company Name] reserves the right to provide additional opinions upon request such as recommendations for repair.
+/**
+ * Build "- Label: value" lines, leaving out anything that's empty.
+ */
+function buildEvidenceLines(context, fields) {
+  return fields
+    .map(field => {
+      const value = evidenceValue(context?.[field.key]);
+      return value ? `- ${field.label}: ${value}` : '';
+    })
+    .filter(Boolean);
+}
 
-// 4) Nothing in this report precludes the discovery of damage by others to include hidden or time-sensitive damage. Cost estimates for repair based on the description of damage provided in this report may require additional scope of work to allow for issues such as constructability, matching and compliance with law and ordinance. This document has not been prepared for regulatory approval, permitting or construction.
+/**
+ * Build the evidence block for each checked roof system.
+ * Returns an empty string if no roof system was checked.
+ */
+function buildRoofEvidence(context) {
+  const blocks = ROOF_SYSTEMS
+    .filter(system => context?.[system.checkedKey])
+    .map(system => {
+      const lines = [];
+      const selectedOptions = (system.options || [])
+        .filter(option => context?.[option.key])
+        .map(option => option.label);
+      if (selectedOptions.length > 0) {
+        lines.push(`- ${system.optionsLabel}: ${selectedOptions.join(', ')}`);
+      }
+      lines.push(...buildEvidenceLines(context, system.fields));
 
-// FOOTNOTES
+      if (lines.length === 0) {
+        return `${system.label} roof: (no detailed observations recorded)`;
+      }
+      return `${system.label} roof:\n${lines.join('\n')}`;
+    });
 
-// 1) National Weather Service (NWS) reports from trained spotters indicate 1.5"-1.75" diameter hail within a 5-7 mile radius of 440 Plaza on the reported date of loss.
+  return blocks.join('\n\n');
+}
 
-// 2) WeatherFusion, a second forensic weather company, reported 1.2" diameter hail.
+/**
+ * Build the evidence block for one report section: the analysis
+ * questions routed to that section, the roof systems and the
+ * engineer's notes. Empty fields are left out entirely.
+ */
+function buildSectionEvidence(sectionName, context) {
+  const parts = [];
+
+  const analysisLines = buildEvidenceLines(
+    context,
+    ANALYSIS_FIELDS.filter(field => field.sections.includes(sectionName))
+  );
+  if (analysisLines.length > 0) {
+    parts.push(`Property Analysis (engineer's field answers):\n${analysisLines.join('\n')}`);
+  }
 
-// [Additional footnotes and references...]
+  if (ROOF_EVIDENCE_SECTIONS.includes(sectionName)) {
+    const roofEvidence = buildRoofEvidence(context);
+    if (roofEvidence) {
+      parts.push(`Roof System Evidence:\n${roofEvidence}`);
+    }
+  }
 
-// ATTACHMENTS
+  if (ENGINEER_NOTES_SECTIONS.includes(sectionName)) {
+    const notes = evidenceValue(context?.engineerNotes);
+    if (notes) {
+      parts.push(`Engineer Notes:\n${notes}`);
+    }
+  }
 
-// Attachment A: Satellite images and aerial photos
-// Attachment B: Weather data
-// Attachment C: Site inspection photos
-// Attachment D: Moisture survey
-// Attachment E: Recommendations for repair
-// Attachment F: Biographical sketches
+  return parts.join('\n\n');
+}
 
-// END OF REPORT 14-0129
+/**
+ * The numbered photo list from the Photographs appendix, one line each:
+ * "- Photo 3 (North Slope): Hail impacts on ridge cap".
+ */
+function buildPhotoList(context) {
+  const photos = Array.isArray(context?.photos) ? context.photos : [];
+  return photos
+    .filter(photo => photo && Number.isInteger(photo.number))
+    .map(photo => {
+      const tag = safeString(photo.tag).trim();
+      const caption = safeString(photo.caption).trim() || 'No caption';
+      return `- Photo ${photo.number}${tag ? ` (${tag})` : ''}: ${caption}`;
+    })
+    .join('\n');
+}
 
-// Respectfully submitted,
+/**
+ * Other severe-weather dates the engineer considered with the
+ * date-of-loss finder, one line each, leaving out the chosen date.
+ */
+function buildOtherStormDates(context) {
+  const candidates = Array.isArray(context?.stormDateCandidates) ? context.stormDateCandidates : [];
+  const dateOfLoss = safeString(context?.dateOfLoss);
+  return candidates
+    .filter(candidate => candidate && /^\d{4}-\d{2}-\d{2}$/.test(safeString(candidate.date)))
+    .filter(candidate => candidate.date !== dateOfLoss)
+    .map(candidate => `- ${describeCandidate(candidate)}`)
+    .join('\n');
+}
 
-// [Signatures and credentials]
-// `;
+/**
+ * Utility function: Keep only well-formed { id, title, content } entries
+ * from the finished sections the client sent along.
+ */
+function safeCompletedSections(completedSections) {
+  if (!Array.isArray(completedSections)) return [];
+  return completedSections.filter(sec =>
+    sec && safeString(sec.title) && safeString(sec.content)
+  );
+}
 
+/**
+ * Outline of the finished sections (title plus any markdown sub-headings),
+ * used to build a Table of Contents that matches the real content.
+ */
+function buildSectionOutline(completedSections) {
+  return safeCompletedSections(completedSections)
+    .map(sec => {
+      const subHeadings = sec.content
+        .split('\n')
+        .filter(line => /^#{1,4}\s+/.test(line))
+        .map(line => `   - ${line.replace(/^#+\s+/, '').replace(/[*_]/g, '').trim()}`);
+      return [sec.title, ...subHeadings].join('\n');
+    })
+    .join('\n');
+}
 
+/**
+ * Full text of the finished sections, used to summarize the report
+ * in the Opening Letter.
+ */
+function buildCompletedSectionsText(completedSections) {
+  return safeCompletedSections(completedSections)
+    .map(sec => `--- ${sec.title} ---\n${sec.content.trim()}`)
+    .join('\n\n');
+}
 
+/**
+ * Results of the floor elevation survey, for the Foundation section.
+ * An unfinished survey is left out rather than failing the section.
+ */
+function buildFoundationAnalysis(context) {
+  if (!context?.foundationSurvey) return '';
+  try {
+    return formatFoundationForPrompt(analyzeSurvey(context.foundationSurvey));
+  } catch (error) {
+    if (error instanceof FoundationError) return '';
+    throw error;
+  }
+}
 
 /**
- * Utility function: Safely convert a value to a string,
- * returning fallback if it's null/undefined or empty.
+ * The hail test-square tables ({ testSquares, recommendations }, in
+ * Markdown), or empty ones when there is no usable damage survey.
  */
-function safeString(value, fallback = '') {
-  if (typeof value === 'string' && value.trim() !== '') {
-    return value;
+function buildDamageTables(context) {
+  const none = { testSquares: '', recommendations: '' };
+  if (!context?.damageSurvey) return none;
+  try {
+    return formatDamageTables(analyzeDamage(context.damageSurvey));
+  } catch (error) {
+    if (error instanceof DamageError) return none;
+    throw error;
   }
-  return fallback;
 }
 
 /**
- * Utility function: Safely join an array. If it's not a valid array
- * or it's empty, return an empty string.
+ * The generated text of a template section with the hail test-square
+ * tables its prompt offers put in exactly as computed (see
+ * insertDamageTable), so no figure depends on the model copying it.
  */
-function safeArrayJoin(arr, separator = ', ') {
-  if (Array.isArray(arr) && arr.length > 0) {
-    return arr.join(separator);
+function finishSection(content, section, context) {
+  if (!section) return content;
+  const tables = buildDamageTables(context);
+  return [['damageTable', tables.testSquares], ['repairTable', tables.recommendations]]
+    .filter(([name]) => section.prompt.includes(`{{${name}}}`))
+    .reduce((text, [, table]) => insertDamageTable(text, table), content);
+}
+
+/**
+ * The estimated total of the saved repair scope, for Conclusions, or ''
+ * when the case has no usable estimate.
+ */
+function buildScopeTotal(context) {
+  if (!context?.repairScope?.estimate) return '';
+  try {
+    return formatCurrency(readEstimate(context.repairScope.estimate).total);
+  } catch (error) {
+    if (error instanceof ScopeError) return '';
+    throw error;
   }
-  return '';
 }
 
 /**
- * Utility function: Safely parse a date.
- * If parsing fails or the input is missing, return null.
+ * The property location for the weather search and prompts: the one the
+ * engineer confirmed, or else geocoded here. A bad or ambiguous address
+ * throws a GeocodeError; if the geocoder itself is down we carry on
+ * without a location and WeatherAPI resolves the address instead.
  */
-function safeParseDate(dateString) {
-  if (!dateString) return null;
-  const d = new Date(dateString);
-  if (isNaN(d.getTime())) return null;
-  return d;
+async function getPropertyLocation(context) {
+  const address = safeString(context?.address).trim();
+  if (!address) return null;
+  const confirmed = confirmedLocation(context?.propertyLocation, address);
+  if (confirmed) return confirmed;
+  try {
+    return await locateProperty(address);
+  } catch (error) {
+    if (error instanceof GeocodeError) throw error;
+    console.error('Geocoding Error:', error);
+    return null;
+  }
 }
 
 /**
- * Fetch historical weather data with safe checks.
+ * Fetch forensic weather data (storm reports, station observations and
+ * daily history) around the property with safe checks.
  * If the date is in the future or unavailable, we handle that gracefully.
  */
-async function getWeatherData(location, dateString) {
+async function getWeatherData(address, dateString, propertyLocation = null) {
   try {
-    if (!location || !dateString) {
+    if (!address || !dateString) {
       return { success: true, data: {} };
     }
     const dateObj = safeParseDate(dateString);
@@ -251,37 +331,12 @@ async function getWeatherData(location, dateString) {
       };
     }
 
-    const formattedDate = dateObj.toISOString().split('T')[0];
-
-    // Attempt call to WeatherAPI
-    const response = await axios.get('http://api.weatherapi.com/v1/history.json', {
-      params: {
-        key: process.env.WEATHER_API_KEY,
-        q: location,
-        dt: formattedDate
-      }
+    const data = await getForensicWeather({
+      address,
+      dateOfLoss: dateObj.toISOString().split('T')[0],
+      location: propertyLocation
     });
-
-    const dayData = response.data.forecast.forecastday[0].day;
-    const hourlyData = response.data.forecast.forecastday[0].hour;
-    const maxWindGust = Math.max(...hourlyData.map(hour => hour.gust_mph));
-    const maxWindTime = hourlyData.find(hour => hour.gust_mph === maxWindGust)?.time || '';
-
-    return {
-      success: true,
-      data: {
-        maxTemp: `${dayData.maxtemp_f}°F`,
-        minTemp: `${dayData.mintemp_f}°F`,
-        avgTemp: `${dayData.avgtemp_f}°F`,
-        maxWindGust: `${maxWindGust} mph`,
-        maxWindTime,
-        totalPrecip: `${dayData.totalprecip_in} inches`,
-        humidity: `${dayData.avghumidity}%`,
-        conditions: dayData.condition.text,
-        hailPossible: dayData.condition.text.toLowerCase().includes('hail') ? 'Yes' : 'No',
-        thunderstorm: dayData.condition.text.toLowerCase().includes('thunder') ? 'Yes' : 'No'
-      }
-    };
+    return { success: true, data };
   } catch (error) {
     console.error('Weather API Error:', error);
     return { success: false, error: error.message };
@@ -289,284 +344,312 @@ async function getWeatherData(location, dateString) {
 }
 
 /**
- * Build the prompt for each section, making sure we avoid
- * placeholders, contradictory roof info, multi-story references
- * if it's a single story, etc.
+ * Build the prompt for each section from the report template, making
+ * sure we avoid placeholders, contradictory roof info, multi-story
+ * references if it's a single story, etc.
+ * `library` is the firm's library (see lib/library); the passages closest
+ * to the section's own prompt go in as style examples and references.
+ * Resolves to { prompt, sources }, the sources numbered as in the prompt.
  */
-async function generateSectionPrompt(sectionName, context, weatherData, customInstructions = '') {
-  // Extract fields
-  const investigationDate   = safeString(context?.investigationDate);
-  const dateOfLoss          = safeString(context?.dateOfLoss);
-  const claimTypeString     = safeArrayJoin(context?.claimType);
-  const propertyType        = safeString(context?.propertyType);
-  const propertyAge         = safeString(context?.propertyAge);
-  const constructionType    = safeString(context?.constructionType);
-  const currentUse          = safeString(context?.currentUse);
-  const squareFootage       = safeString(context?.squareFootage);
-  const address             = safeString(context?.address);
-  const engineerName        = safeString(context?.engineerName);
-  const engineerEmail       = safeString(context?.engineerEmail);
-  const engineerLicense     = safeString(context?.engineerLicense);
-  const engineerPhone       = safeString(context?.engineerPhone);
-  const propertyOwnerName   = safeString(context?.propertyOwnerName);
-  const projectName         = safeString(context?.projectName);
-
-  // Affected areas
-  const affectedAreas       = safeArrayJoin(context?.affectedAreas);
-
-  // Summarize roof types from checkboxes
-  let roofTypesDetected = '';
-  if (context?.roofMetalChecked) {
-    roofTypesDetected += 'Metal, ';
-  }
-  if (context?.roofCompChecked) {
-    roofTypesDetected += 'Composition Shingles, ';
-  }
-  if (context?.roofSinglePlyChecked) {
-    roofTypesDetected += 'Single-Ply Membrane, ';
-  }
-  if (context?.roofModBitChecked) {
-    roofTypesDetected += 'Modified Bitumen, ';
-  }
-  if (context?.roofBURChecked) {
-    roofTypesDetected += 'Built Up Roofing (Gravel Ballast), ';
-  }
-  if (context?.roofClayTileChecked) {
-    roofTypesDetected += 'Clay Tile, ';
-  }
-  if (context?.roofConcreteTileChecked) {
-    roofTypesDetected += 'Concrete Tile, ';
-  }
-  // remove trailing comma
-  roofTypesDetected = roofTypesDetected.replace(/,\s*$/, '');
+async function generateSectionPrompt(sectionName, context, weatherData, customInstructions = '', completedSections = [], propertyLocation = null, template = null, library = []) {
+  const reportTemplate = template || await getTemplate();
+
+  // Roof types checked for the property or any of its buildings
+  const roofKeys = roofSystemKeys(context);
+  const roofTypesDetected = ROOF_SYSTEMS
+    .filter(system => roofKeys.has(system.checkedKey))
+    .map(system => system.label)
+    .join(', ');
 
   // Weather data
   let weatherSummary = '';
-  if (weatherData?.note) {
+  if (weatherData?.note && !weatherData?.location) {
     weatherSummary = `Weather Data Note: ${weatherData.note}`;
   } else if (Object.keys(weatherData || {}).length > 0) {
-    weatherSummary = JSON.stringify(weatherData, null, 2);
+    weatherSummary = formatWeatherForPrompt(weatherData);
   }
 
-  // Large system instruction
-  const bigSystemInstruction = `
-You are an expert forensic engineer generating professional report sections. 
-Use only the data from user inputs; do not invent details that contradict them.
-Utilize the engineer inputs and create sound, detailed, and objective arguments in defense of substantiating the claim.
-
-Guidelines:
-1. Use formal, technical language
-2. Include specific context details
-3. Maintain logical flow
-4. Support conclusions with evidence
-5. Reference documentation appropriately
-6. Use unique phrasing
-7. Ensure completeness
-8. Incorporate custom instructions while maintaining standards
-9. For the Table of Contents, use a clean, minimal layout in Markdown. Avoid bullet points and asterisks and hashtags.
-10. Make it so that each section is as long and detailed as possible.
-11. Make all the formatting uniform, with all the main headings the same font in bold, and all the rest of the text smaller font.
-12. Utilize the engineer inputs and create sound, detailed, and objective arguments in defense of substantiating the claim.
-13. Be lenghty and detailed throughout.
-
-Key points:
-1. Do NOT invent roofing types if user only specifies certain categories.
-2. Do NOT mention multiple floors if user has not indicated that (avoid referencing an upper floor if not specified).
-3. Keep Date of Loss (${dateOfLoss}) separate from Inspection Date (${investigationDate}).
-4. If weather data is missing or the date was in the future, note that briefly rather than printing "N/A".
-5. Avoid placeholders like [e.g., ...], [Third Party], etc.
-6. The user’s claim types: ${claimTypeString}.
-7. The indicated roof categories: ${roofTypesDetected}.
-8. The property address: ${address}.
-9. The property owner (or project name): ${propertyOwnerName} / ${projectName}.
-10. The building type: ${propertyType}, age: ${propertyAge}, use: ${currentUse}, sq ft: ${squareFootage}.
-11. Weather Data Summary: ${weatherSummary}
-`;
-
-  const basePrompts = {
-    introduction: `
-You are writing the "Introduction" for a forensic engineering report.
-- Address: ${address}
-- Date of Loss: ${dateOfLoss}
-- Investigation Date: ${investigationDate}
-- Claim Type(s): ${claimTypeString}
-Explain the purpose of the inspection (hail, wind, etc.).
-Do not add contradictory roofing details.
-`,
-
-    authorization: `
-You are writing the "Authorization and Scope of Investigation" section.
-Include:
-1) Who authorized it (e.g., property owner or law firm).
-2) The scope of work (site visit, photos, etc.).
-3) Summarize major tasks.
-4) Note any references if available.
-`,
-
-    background: `
-You are writing "Background Information."
-Include relevant details:
-- Property Type: ${propertyType}
-- Age: ${propertyAge}
-- Construction Type: ${constructionType}
-- Current Use: ${currentUse}
-- Square Footage: ${squareFootage}
-- Project Name: ${projectName}
-- Property Owner: ${propertyOwnerName}
-No placeholders or contradictory info.
-`,
-
-    observations: `
-You are writing "Site Observations and Analysis."
-Affected areas: ${affectedAreas}.
-Roof categories indicated: ${roofTypesDetected}.
-Claim type(s): ${claimTypeString}.
-
-Only mention what the user indicated. 
-`,
-
-    moisture: `
-"Survey" (Moisture) section.
-If user indicated interior water intrusion, mention it. Otherwise, be concise.
-`,
-
-    meteorologist: `
-"Meteorologist Report" section.
-Use the data:
-${weatherSummary}
-If not available or date is in the future, note it. 
-`,
-
-    conclusions: `
-"Conclusions and Recommendations."
-Summarize your final opinion on cause(s) of loss. 
-Propose next steps or repairs if relevant.
-`,
-
-    rebuttal: `
-"Rebuttal" section. 
-If no third-party or conflicting reports were indicated, keep minimal. 
-Otherwise, address them if user provided details.
-`,
-
-    limitations: `
-"Limitations" section.
-Typical disclaimers about data reliance, scope boundaries, site access, etc.
-No placeholders.
-`,
-
-    tableofcontents: `
-"Table of Contents" in markdown, headings in this order:
-1. Opening Letter
-2. Introduction
-3. Authorization and Scope of Investigation
-4. Background Information
-5. Site Observations and Analysis
-6. Survey
-7. Meteorologist Report
-8. Conclusions and Recommendations
-9. Rebuttal
-10. Limitations
-`,
-
-    openingletter: `
-"Opening Letter" for the final report.
-Include:
-- Date of Loss: ${dateOfLoss}
-- Investigation Date: ${investigationDate}
-- Claim Type(s): ${claimTypeString}
-- Address: ${address}
-- Brief greeting
-- Signature block: ${engineerName}, License: ${engineerLicense}, Email: ${engineerEmail}, Phone: ${engineerPhone}
-`
+  const section = findSection(reportTemplate, sectionName);
+  const damageTables = buildDamageTables(context);
+  const buildings = buildingList(context);
+
+  // Everything a template prompt can refer to (see lib/templates)
+  const variables = {
+    investigationDate:     safeString(context?.investigationDate),
+    dateOfLoss:            safeString(context?.dateOfLoss),
+    claimTypes:            safeArrayJoin(context?.claimType),
+    propertyType:          safeString(context?.propertyType),
+    propertyAge:           evidenceValue(context?.propertyAge),
+    constructionType:      safeString(context?.constructionType),
+    currentUse:            safeString(context?.currentUse),
+    squareFootage:         formatSquareFootage(context?.squareFootage),
+    address:               safeString(context?.address),
+    engineerName:          safeString(context?.engineerName),
+    engineerEmail:         safeString(context?.engineerEmail),
+    engineerLicense:       safeString(context?.engineerLicense),
+    engineerPhone:         safeString(context?.engineerPhone),
+    propertyOwnerName:     safeString(context?.propertyOwnerName),
+    projectName:           safeString(context?.projectName),
+    affectedAreas:         safeArrayJoin(context?.affectedAreas),
+    roofTypes:             roofTypesDetected,
+    weatherSummary,
+    otherStormDates:       buildOtherStormDates(context),
+    // Geocoded location facts, for Background and the Meteorologist Report
+    locationFacts:         formatLocationForPrompt(propertyLocation),
+    locationConfirmed:     Boolean(propertyLocation?.confirmed),
+    // Structured field evidence, for the sections that analyze it
+    evidence:              section ? buildSectionEvidence(section.id.toLowerCase(), context) : '',
+    photoList:             buildPhotoList(context),
+    foundationAnalysis:    buildFoundationAnalysis(context),
+    // Hail test-square counts (Observations) and repair or replace (Conclusions)
+    damageTable:           damageTables.testSquares,
+    repairTable:           damageTables.recommendations,
+    // The repair scope's estimated cost (Conclusions; the line items are an appendix)
+    scopeTotal:            buildScopeTotal(context),
+    // The buildings of a multi-building property, for per-building subsections
+    buildings:             formatBuildingsForPrompt(buildings),
+    buildingTable:         buildings.length > 0 ? formatBuildingTable(buildings) : '',
+    // Third-party report statements the engineer disputes, for the Rebuttal
+    disputedClaims:        formatDisputedClaims(context?.thirdPartyReports, context?.photos),
+    // The report layout and finished sections, for the Table of Contents and Opening Letter
+    sectionList:           sectionsForCase(reportTemplate, context)
+      .filter(other => other !== section)
+      .map((other, index) => `${index + 1}. ${other.title}`)
+      .join('\n'),
+    sectionOutline:        buildSectionOutline(completedSections),
+    completedSectionsText: buildCompletedSectionsText(completedSections)
   };
+  variables.fields = formatSectionFields(section, variables);
 
-  const normalizedSection = (sectionName || '').trim().toLowerCase();
   const fallbackPrompt = `Write a professional section: ${sectionName}, using only user inputs.`;
+  const basePrompt = section ? renderPrompt(section.prompt, variables) : fallbackPrompt;
 
-  const basePrompt = basePrompts[normalizedSection] || fallbackPrompt;
+  // Past-report passages and references for this section, if the template
+  // asks for them (not for the summary sections)
+  const usesLibrary = section && !section.summary &&
+    /\{\{#?library(?:Examples|References)\}\}/.test(`${reportTemplate.systemPrompt}${section.prompt}`);
+  const sources = usesLibrary ? retrieveSources(library, `${section.title}\n${basePrompt}`) : [];
+  variables.libraryExamples = formatSourcesForPrompt(sources, 'report');
+  variables.libraryReferences = formatSourcesForPrompt(sources, 'reference');
 
   const safeCustom = safeString(customInstructions, '');
   const finalPrompt = safeCustom 
     ? `${basePrompt}\n\nAdditional instructions:\n${safeCustom}`
     : basePrompt;
 
-  // Merge with big system instructions
+  // Merge with the template's system instructions
   const fullPrompt = `
-${bigSystemInstruction}
+${renderPrompt(reportTemplate.systemPrompt, variables)}
 
-Now produce the "${sectionName}" section.
+Now produce the "${section ? section.title : sectionName}" section.
 
 ${finalPrompt}
 `;
 
-  return fullPrompt;
+  return { prompt: fullPrompt, sources };
 }
 
-exports.handler = async function(event) {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-  };
+/**
+ * Format one Server-Sent Event frame.
+ */
+function sseEvent(eventName, data) {
+  return `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Turn a streamed completion ({ chunks, abort }, see lib/llm) into a
+ * web ReadableStream of Server-Sent Events:
+ *   meta  -> { sectionName, weatherData, model, template }
+ *                                           (sent first; template is { id, version })
+ *   delta -> { text }                       (one per token chunk)
+ *   done  -> { section, warnings, sources } (the finished section text, with
+ *                                            the test-square tables as computed,
+ *                                            its consistency warnings and the
+ *                                            library sources it was given)
+ *   error -> { error, details }
+ * `model` is the model name recorded with the section.
+ * Cancelling the stream (client disconnects) aborts the model request.
+ */
+function createSectionEventStream(completion, sectionName, context, weatherData, template, model, sources) {
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      controller.enqueue(encoder.encode(sseEvent('meta', {
+        sectionName,
+        weatherData,
+        model,
+        template: { id: template.id, version: template.version }
+      })));
+
+      let fullText = '';
+      try {
+        for await (const text of completion.chunks) {
+          fullText += text;
+          controller.enqueue(encoder.encode(sseEvent('delta', { text })));
+        }
+        fullText = finishSection(fullText, findSection(template, sectionName), context);
+        controller.enqueue(encoder.encode(sseEvent('done', {
+          section: fullText,
+          warnings: [...checkSection(fullText, context, weatherData), ...checkCitations(fullText, sources)],
+          sources: citedSources(fullText, sources)
+        })));
+      } catch (error) {
+        console.error('Error while streaming section:', error);
+        controller.enqueue(encoder.encode(sseEvent('error', {
+          error: 'Failed to generate report section',
+          details: error.message
+        })));
+      }
+      controller.close();
+    },
+    cancel() {
+      completion.abort();
+    }
+  });
+}
+
+/**
+ * Request body: { section, context, customInstructions, completedSections, template, stream }.
+ * `completedSections` ([{ id, title, content }], in report order) feeds the
+ * Table of Contents and Opening Letter prompts. `template` ({ id, version })
+ * is the case's report template; omitted, the latest default template is used.
+ * `context` is the intake (see netlify/lib/intake); inputs saved with an older
+ * schema are migrated first, and inputs that fail validation return
+ * 400 { error, problems }.
+ * With `stream: true` the section is returned as Server-Sent Events
+ * (see createSectionEventStream); otherwise as a single JSON response.
+ * Either way the hail test-square tables are put into the finished
+ * section as computed, and it comes with `warnings` from the
+ * consistency check against the intake and weather data
+ * (see netlify/lib/consistency.js), and the `model` that wrote it. The
+ * model and its settings come from netlify/lib/llm, per section.
+ * `sources` are the library passages the prompt offered (see
+ * netlify/lib/library), each with `cited` if the section cites it, so
+ * the reviewer can check any standard it quotes.
+ */
+exports.handler = stream(async function(event) {
+  const { headers, respond, preflight } = responder(event, 'POST, OPTIONS');
+  if (preflight) return preflight;
 
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
   }
 
   try {
-    const { section, context: userContext, customInstructions } = JSON.parse(event.body) || {};
+    const body = parseBody(event);
+    await authenticate(event, 'engineer');
+    const {
+      section,
+      context: savedContext,
+      customInstructions,
+      completedSections,
+      template: templateRef,
+      stream: streamResponse
+    } = body;
+
+    // The intake, brought up to the current schema and checked
+    const { inputs: userContext } = migrateIntake(savedContext);
+    const problems = validateIntake(userContext);
+    if (problems.length > 0) {
+      return respond(400, {
+        error: `The intake form needs attention: ${describeProblems(problems)}`,
+        problems
+      });
+    }
+
+    // The case's report template (the current default for older cases)
+    const template = await getTemplate(templateRef?.id || undefined, templateRef?.version, event);
+    if (!template) {
+      return respond(400, {
+        error: `Unknown report template: ${templateRef?.id} v${templateRef?.version}`
+      });
+    }
 
-    // Weather data fetch, skip for tableOfContents, openingLetter, introduction
+    // Location and weather data fetch, only for the template's weather sections
     let weatherResult = { success: true, data: {} };
-    const lowerSection = (section || '').trim().toLowerCase();
+    let propertyLocation = null;
+    const templateSection = findSection(template, section);
+
+    if (templateSection ? templateSection.weather : true) {
+      try {
+        propertyLocation = await getPropertyLocation(userContext);
+      } catch (error) {
+        if (!(error instanceof GeocodeError)) throw error;
+        return respond(422, {
+          error: `Could not locate the property: ${error.message}`,
+          candidates: error.candidates
+        });
+      }
 
-    if (!['tableofcontents', 'openingletter', 'introduction'].includes(lowerSection)) {
       const dateObj = safeParseDate(userContext?.dateOfLoss);
       if (dateObj && userContext?.address) {
         // Attempt weather call
-        weatherResult = await getWeatherData(userContext.address, dateObj.toISOString().split('T')[0]);
+        weatherResult = await getWeatherData(
+          userContext.address,
+          dateObj.toISOString().split('T')[0],
+          propertyLocation
+        );
       }
     }
 
-    // Build prompt
-    const prompt = await generateSectionPrompt(section, userContext, weatherResult.data, customInstructions);
+    // Build prompt, with the library passages for the section
+    const library = templateSection && !templateSection.summary ? await loadLibrary(event) : [];
+    const { prompt, sources } = await generateSectionPrompt(
+      section,
+      userContext,
+      weatherResult.data,
+      customInstructions,
+      completedSections,
+      propertyLocation,
+      template,
+      library
+    );
+
+    // The model for this section (see lib/llm)
+    const settings = modelSettings(templateSection ? templateSection.id : section);
+    const messages = [
+      {
+        role: 'system',
+        content: prompt
+      }
+    ];
+
+    if (streamResponse) {
+      const completion = await streamCompletion(settings, messages);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache'
+        },
+        body: createSectionEventStream(completion, section, userContext, weatherResult.data, template, modelLabel(settings), sources)
+      };
+    }
 
-    // Create chat completion
-    const completion = await openai.chat.completions.create({
-      model: 'chatgpt-4o-latest',
-      messages: [
-        {
-          role: 'system',
-          content: prompt
-        }
-      ],
-      temperature: 0.0, // reduce "creative" contradictions
-      max_tokens: 4000
+    const { text } = await complete(settings, messages);
+    const content = finishSection(text, templateSection, userContext);
+    return respond(200, {
+      section: content,
+      sectionName: section,
+      weatherData: weatherResult.data,
+      model: modelLabel(settings),
+      template: { id: template.id, version: template.version },
+      warnings: [...checkSection(content, userContext, weatherResult.data), ...checkCitations(content, sources)],
+      sources: citedSources(content, sources)
     });
-
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        section: completion.choices[0].message.content || '',
-        sectionName: section,
-        weatherData: weatherResult.data
-      })
-    };
   } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof IntakeError) {
+      return respond(400, { error: error.message });
+    }
     console.error('Error in generate-report function:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: 'Failed to generate report section',
-        details: error.message
-      })
-    };
+    return respond(500, {
+      error: 'Failed to generate report section',
+      details: error.message
+    });
   }
-};
+});
@@ -0,0 +1,41 @@
+/************************************************
+ * netlify/functions/geocode-address.js
+ *
+ * Resolves the property address so the engineer can confirm it before
+ * generating: coordinates, county and the nearest weather stations.
+ *
+ *   POST /geocode-address   { address }
+ *
+ * A bad or ambiguous address returns 422 { error, candidates }.
+ ************************************************/
+const { locateProperty, GeocodeError } = require('../lib/geocode');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'POST, OPTIONS');
+  if (preflight) return preflight;
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  }
+
+  try {
+    const body = parseBody(event);
+    await authenticate(event);
+    const location = await locateProperty(body.address);
+    return respond(200, { location });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof GeocodeError) {
+      return respond(422, { error: error.message, candidates: error.candidates });
+    }
+    console.error('Error in geocode-address function:', error);
+    return respond(500, {
+      error: 'Failed to look up the address',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,53 @@
+/************************************************
+ * netlify/functions/intake.js
+ *
+ * The intake form's schema, and checks of filled-in or saved inputs.
+ *
+ *   GET  /intake   { version, fields } (see netlify/lib/intake/schema.js)
+ *   POST /intake   { inputs, complete }
+ *
+ * POST brings `inputs` (the form's values, a case's saved inputs or an
+ * uploaded input file) up to the current schema version and checks
+ * them. With `complete: false` required fields may be empty, as when
+ * loading a draft. Returns { inputs, migratedFrom, warnings, problems },
+ * where `warnings` are notes on the update to the current version and
+ * `problems` is [{ field, message }]; inputs that can't be read at all
+ * return 400 { error }.
+ ************************************************/
+const { intakeSchema, migrateIntake, validateIntake, IntakeError } = require('../lib/intake');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    await authenticate(event);
+
+    if (event.httpMethod === 'GET') {
+      return respond(200, intakeSchema());
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = parseBody(event);
+      const { inputs, migratedFrom, warnings } = migrateIntake(body.inputs);
+      const problems = validateIntake(inputs, { complete: body.complete !== false });
+      return respond(200, { inputs, migratedFrom, warnings, problems });
+    }
+
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof IntakeError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in intake function:', error);
+    return respond(500, {
+      error: 'Failed to check the intake inputs',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,83 @@
+/************************************************
+ * netlify/functions/library.js
+ *
+ * The firm's library of past reports and reference excerpts, which the
+ * section prompts draw their style examples and citable sources from
+ * (see netlify/lib/library).
+ *
+ *   GET    /library           the documents { documents, kinds }
+ *   POST   /library           add a document
+ *                              { fileName, contentType, data (base64), kind, title, citation }
+ *   DELETE /library?id=...    remove a document
+ *
+ * POST reads and indexes the file and returns 201 { document }, its
+ * summary (without the passages). Files that can't be read return
+ * 400 { error }.
+ *
+ * Adding and removing documents needs the signing PE or administrator role.
+ ************************************************/
+const { KINDS, LibraryError, addDocument, listDocuments, removeDocument } = require('../lib/library');
+const { AuthError, authenticate, userRef } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+const MAX_DOCUMENT_BYTES = 4 * 1024 * 1024;
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, DELETE, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    const user = await authenticate(event, ...(event.httpMethod === 'GET' ? [] : ['pe', 'admin']));
+
+    if (event.httpMethod === 'GET') {
+      return respond(200, { documents: await listDocuments(event), kinds: KINDS });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = event.queryStringParameters?.id;
+      if (!(await removeDocument(id, event))) {
+        return respond(404, { error: `No library document ${id}` });
+      }
+      return respond(200, { removed: id });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+    }
+
+    const body = parseBody(event);
+
+    if (typeof body.fileName !== 'string' || !body.fileName.trim()) {
+      return respond(400, { error: '"fileName" is required' });
+    }
+    if (typeof body.data !== 'string' || !body.data) {
+      return respond(400, { error: '"data" must be the base64-encoded file' });
+    }
+    const data = Buffer.from(body.data, 'base64');
+    if (data.length > MAX_DOCUMENT_BYTES) {
+      return respond(400, { error: `The document must be under ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB` });
+    }
+
+    const document = await addDocument({
+      fileName: body.fileName.trim(),
+      contentType: body.contentType,
+      data,
+      kind: body.kind,
+      title: body.title,
+      citation: body.citation
+    }, userRef(user), event);
+    return respond(201, { document });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof LibraryError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in library function:', error);
+    return respond(500, {
+      error: 'Failed to update the library',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,105 @@
+/************************************************
+ * netlify/functions/photos.js
+ *
+ * Inspection photo images, stored with the document storage backend
+ * (collection "photos"). The case record keeps the photo list itself
+ * (order, captions and tags); this only holds the image bytes.
+ *
+ *   GET    /photos?id=<id>                 the image
+ *   POST   /photos                         upload   { caseId, contentType, data (base64) }
+ *   DELETE /photos?id=<id>&caseId=<case>   delete an image the case uploaded
+ *
+ * The page downsizes photos before uploading, so each one stays well
+ * under the function payload limit. Viewing needs a signed-in account;
+ * uploading and deleting need the drafting engineer role and a case
+ * that is still a draft.
+ ************************************************/
+const crypto = require('crypto');
+const { getDocumentStore } = require('../lib/storage');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+const { WorkflowError, assertEditable } = require('../lib/workflow');
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png'];
+const MAX_PHOTO_BYTES = 4 * 1024 * 1024;
+
+exports.handler = async function(event) {
+  const { headers, respond, preflight } = responder(event, 'GET, POST, DELETE, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    const store = getDocumentStore('photos', event);
+    const { id, caseId } = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET' && id) {
+      await authenticate(event);
+      const photo = await store.get(id).catch(() => null);
+      if (!photo) throw new HttpError(404, `Photo not found: ${id}`);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': photo.contentType,
+          // Images never change once uploaded
+          'Cache-Control': 'private, max-age=31536000, immutable'
+        },
+        body: photo.data,
+        isBase64Encoded: true
+      };
+    }
+
+    if (event.httpMethod === 'POST' && !id) {
+      await authenticate(event, 'engineer');
+      const body = parseBody(event);
+      if (typeof body.caseId !== 'string' || !body.caseId) {
+        throw new HttpError(400, '"caseId" is required');
+      }
+      const caseRecord = await getDocumentStore('cases', event).get(body.caseId).catch(() => null);
+      if (!caseRecord) throw new HttpError(404, `Case not found: ${body.caseId}`);
+      assertEditable(caseRecord);
+      if (!PHOTO_TYPES.includes(body.contentType)) {
+        throw new HttpError(400, `"contentType" must be one of: ${PHOTO_TYPES.join(', ')}`);
+      }
+      if (typeof body.data !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(body.data)) {
+        throw new HttpError(400, '"data" must be the base64-encoded image');
+      }
+      if (body.data.length * 3 / 4 > MAX_PHOTO_BYTES) {
+        throw new HttpError(413, `Photos must be under ${MAX_PHOTO_BYTES / 1024 / 1024} MB`);
+      }
+
+      const photo = {
+        id: crypto.randomUUID(),
+        caseId: body.caseId,
+        contentType: body.contentType,
+        data: body.data,
+        createdAt: new Date().toISOString()
+      };
+      await store.put(photo.id, photo);
+      return respond(201, { id: photo.id, createdAt: photo.createdAt });
+    }
+
+    if (event.httpMethod === 'DELETE' && id) {
+      await authenticate(event, 'engineer');
+      const caseRecord = await getDocumentStore('cases', event).get(caseId).catch(() => null);
+      if (caseRecord) assertEditable(caseRecord);
+      const photo = await store.get(id).catch(() => null);
+      // Only the case that uploaded an image deletes it (cases duplicated
+      // before copies had their own images still share them)
+      if (photo && photo.caseId === caseId) {
+        await store.remove(id);
+      }
+      return respond(200, { id, deleted: Boolean(photo && photo.caseId === caseId) });
+    }
+
+    throw new HttpError(405, `Unsupported request: ${event.httpMethod}`);
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError || error instanceof WorkflowError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    console.error('Error in photos function:', error);
+    return respond(500, {
+      error: 'Failed to process photo request',
+      details: error.message
+    });
+  }
+};
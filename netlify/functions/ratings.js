@@ -0,0 +1,100 @@
+/************************************************
+ * netlify/functions/ratings.js
+ *
+ * Reviewer ratings of generated sections, and the feedback dashboard.
+ *
+ *   POST /ratings   store a rating
+ *                   { rating, feedback, sectionId, sectionTitle, template,
+ *                     model, customInstructions, caseId, versionLabel, content }
+ *   GET  /ratings   dashboard summary (see summarizeRatings in netlify/lib/ratings.js)
+ *
+ * `rating` is 1-7 and `feedback` must be at least 10 words. `template`
+ * ({ id, version }), `model` and `customInstructions` describe how the
+ * rated text was generated; `content` is the text itself. Each rating
+ * records who gave it (`ratedBy`).
+ ************************************************/
+const crypto = require('crypto');
+const { getDocumentStore } = require('../lib/storage');
+const { AuthError, authenticate, userRef } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+const { MIN_RATING, MAX_RATING, MIN_FEEDBACK_WORDS, wordCount, summarizeRatings } = require('../lib/ratings');
+
+const SECTION_ID = /^[A-Za-z][A-Za-z0-9]{0,63}$/;
+const CASE_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+function optionalText(value, name) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw new HttpError(400, `"${name}" must be text`);
+  return value.trim();
+}
+
+/**
+ * Check a rating submission and return the document to store.
+ */
+function buildRating(body, user) {
+  if (!Number.isInteger(body.rating) || body.rating < MIN_RATING || body.rating > MAX_RATING) {
+    throw new HttpError(400, `"rating" must be a whole number from ${MIN_RATING} to ${MAX_RATING}`);
+  }
+  const feedback = optionalText(body.feedback, 'feedback');
+  if (wordCount(feedback) < MIN_FEEDBACK_WORDS) {
+    throw new HttpError(400, `"feedback" must be at least ${MIN_FEEDBACK_WORDS} words`);
+  }
+  if (typeof body.sectionId !== 'string' || !SECTION_ID.test(body.sectionId)) {
+    throw new HttpError(400, '"sectionId" is required');
+  }
+  const template = body.template ?? null;
+  if (template !== null && (typeof template?.id !== 'string' || !template.id.trim() || !Number.isInteger(template.version) || template.version < 1)) {
+    throw new HttpError(400, '"template" must be { id, version }');
+  }
+  if (body.caseId !== undefined && body.caseId !== null && (typeof body.caseId !== 'string' || !CASE_ID.test(body.caseId))) {
+    throw new HttpError(400, '"caseId" must be a case id');
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    caseId: body.caseId || null,
+    sectionId: body.sectionId,
+    sectionTitle: optionalText(body.sectionTitle, 'sectionTitle') || body.sectionId,
+    rating: body.rating,
+    feedback,
+    template: template && { id: template.id.trim(), version: template.version },
+    model: optionalText(body.model, 'model'),
+    customInstructions: optionalText(body.customInstructions, 'customInstructions'),
+    versionLabel: optionalText(body.versionLabel, 'versionLabel'),
+    content: optionalText(body.content, 'content'),
+    ratedBy: userRef(user),
+    createdAt: new Date().toISOString()
+  };
+}
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    const user = await authenticate(event);
+    const store = getDocumentStore('ratings', event);
+
+    if (event.httpMethod === 'GET') {
+      return respond(200, summarizeRatings(await store.list()));
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = parseBody(event);
+      const rating = buildRating(body, user);
+      await store.put(rating.id, rating);
+      return respond(201, { rating });
+    }
+
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    console.error('Error in ratings function:', error);
+    return respond(500, {
+      error: 'Failed to process rating request',
+      details: error.message
+    });
+  }
+};
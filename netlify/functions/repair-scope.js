@@ -0,0 +1,67 @@
+/************************************************
+ * netlify/functions/repair-scope.js
+ *
+ * Repair scope and cost estimate (see netlify/lib/scope).
+ *
+ *   GET  /repair-scope   the unit-price table { items, updatedAt, updatedBy }
+ *   PUT  /repair-scope   edit the unit-price table   { items: { id: { description, price, waste } } }
+ *   POST /repair-scope   price a case's scope         { inputs }
+ *
+ * POST builds the scope from the intake `inputs` (with the scope
+ * settings in `inputs.repairScope`) and the current prices, and returns
+ * { estimate, table, csv }: the priced line items, the Markdown table for
+ * the report appendix and the CSV export. A scope that can't be built
+ * returns 400 { error }.
+ *
+ * Editing the price table needs the signing PE or administrator role.
+ ************************************************/
+const {
+  ScopeError,
+  getUnitPrices,
+  saveUnitPrices,
+  buildScope,
+  formatScopeTable,
+  formatScopeCsv
+} = require('../lib/scope');
+const { IntakeError, migrateIntake } = require('../lib/intake');
+const { AuthError, authenticate, userRef } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, PUT, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    const user = await authenticate(event, ...(event.httpMethod === 'PUT' ? ['pe', 'admin'] : []));
+
+    if (event.httpMethod === 'GET') {
+      return respond(200, await getUnitPrices(event));
+    }
+
+    if (event.httpMethod !== 'POST' && event.httpMethod !== 'PUT') {
+      return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+    }
+
+    const body = parseBody(event);
+
+    if (event.httpMethod === 'PUT') {
+      return respond(200, await saveUnitPrices(body.items, userRef(user), event));
+    }
+
+    const { inputs } = migrateIntake(body.inputs);
+    const estimate = buildScope(inputs, await getUnitPrices(event));
+    return respond(200, { estimate, table: formatScopeTable(estimate), csv: formatScopeCsv(estimate) });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof ScopeError || error instanceof IntakeError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in repair-scope function:', error);
+    return respond(500, {
+      error: 'Failed to build the repair scope',
+      details: error.message
+    });
+  }
+};
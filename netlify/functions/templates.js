@@ -0,0 +1,73 @@
+/************************************************
+ * netlify/functions/templates.js
+ *
+ * Report templates: the sections, order, titles and prompts of a report
+ * (see netlify/lib/templates).
+ *
+ *   GET  /templates                          latest version of each template,
+ *                                            plus the fields and variables prompts can use
+ *   GET  /templates?id=<id>[&version=<n>]    one template (latest version by default)
+ *   POST /templates                          save an edited template as a new version
+ *                                            { template: { id, name, systemPrompt, sections } }
+ *
+ * Edits are saved under a "custom-" id ("custom-standard" for an edit of
+ * "standard"), never as a version of a built-in template.
+ *
+ * Saving a template version needs the signing PE or administrator role.
+ ************************************************/
+const {
+  TemplateError,
+  TEMPLATE_FIELDS,
+  PROMPT_VARIABLES,
+  defaultTemplateId,
+  listTemplates,
+  getTemplate,
+  saveTemplateVersion
+} = require('../lib/templates');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'GET, POST, OPTIONS');
+  if (preflight) return preflight;
+
+  try {
+    const { id, version } = event.queryStringParameters || {};
+    await authenticate(event, ...(event.httpMethod === 'POST' ? ['pe', 'admin'] : []));
+
+    if (event.httpMethod === 'GET') {
+      if (id) {
+        const template = await getTemplate(id, version, event);
+        if (!template) {
+          throw new HttpError(404, `Template not found: ${id}${version ? ` v${version}` : ''}`);
+        }
+        return respond(200, template);
+      }
+      return respond(200, {
+        templates: await listTemplates(event),
+        defaultTemplate: defaultTemplateId(),
+        fields: TEMPLATE_FIELDS,
+        variables: PROMPT_VARIABLES
+      });
+    }
+
+    if (event.httpMethod === 'POST' && !id) {
+      const { template } = parseBody(event);
+      return respond(201, await saveTemplateVersion(template, event));
+    }
+
+    throw new HttpError(405, `Unsupported request: ${event.httpMethod}`);
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof TemplateError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in templates function:', error);
+    return respond(500, {
+      error: 'Failed to process template request',
+      details: error.message
+    });
+  }
+};
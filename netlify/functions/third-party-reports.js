@@ -0,0 +1,68 @@
+/************************************************
+ * netlify/functions/third-party-reports.js
+ *
+ * Reads an opposing engineer's or adjuster's report for the Rebuttal
+ * section: extracts its text and splits it into claims and findings.
+ *
+ *   POST /third-party-reports   { fileName, contentType, data (base64) }
+ *
+ * Returns { report: { id, fileName, title, author, pageCount, claims } }
+ * (see netlify/lib/third-party). Nothing is stored; the case keeps the
+ * report's claims along with the engineer's dispute marks and evidence.
+ * Files that can't be read return 400 { error }.
+ ************************************************/
+const crypto = require('crypto');
+const { extractReport, splitClaims, ThirdPartyReportError } = require('../lib/third-party');
+const { AuthError, authenticate } = require('../lib/accounts');
+const { HttpError, parseBody, responder } = require('../lib/http');
+
+const MAX_REPORT_BYTES = 4 * 1024 * 1024;
+
+exports.handler = async function(event) {
+  const { respond, preflight } = responder(event, 'POST, OPTIONS');
+  if (preflight) return preflight;
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: `Unsupported request: ${event.httpMethod}` });
+  }
+
+  try {
+    const body = parseBody(event);
+    if (typeof body.fileName !== 'string' || !body.fileName.trim()) {
+      return respond(400, { error: '"fileName" is required' });
+    }
+    if (typeof body.data !== 'string' || !body.data) {
+      return respond(400, { error: '"data" must be the base64-encoded file' });
+    }
+    const data = Buffer.from(body.data, 'base64');
+    if (data.length > MAX_REPORT_BYTES) {
+      return respond(400, { error: `The report must be under ${MAX_REPORT_BYTES / (1024 * 1024)} MB` });
+    }
+
+    await authenticate(event, 'engineer');
+    const fileName = body.fileName.trim();
+    const extracted = extractReport({ fileName, contentType: body.contentType, data });
+    return respond(200, {
+      report: {
+        id: crypto.randomUUID(),
+        fileName,
+        title: extracted.title,
+        author: extracted.author,
+        pageCount: extracted.pageCount,
+        claims: splitClaims(extracted.blocks)
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError || error instanceof AuthError) {
+      return respond(error.statusCode, { error: error.message });
+    }
+    if (error instanceof ThirdPartyReportError) {
+      return respond(400, { error: error.message });
+    }
+    console.error('Error in third-party-reports function:', error);
+    return respond(500, {
+      error: 'Failed to read the third-party report',
+      details: error.message
+    });
+  }
+};
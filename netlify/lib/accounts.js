@@ -0,0 +1,343 @@
+/************************************************
+ * netlify/lib/accounts.js
+ *
+ * Engineer accounts: each engineer's profile, PE license and signature,
+ * and the roles they hold in the report workflow (see workflow.js).
+ * The functions only answer signed-in accounts.
+ *
+ * Roles:
+ *   engineer   drafts reports and submits them for review
+ *   reviewer   comments on sections and returns reports for changes
+ *   pe         signing PE: approves and issues reports under their seal
+ *   admin      adds accounts and assigns roles
+ *
+ * Signing in returns a session token that the page sends back as
+ * "Authorization: Bearer <token>". Tokens are signed with AUTH_SECRET
+ * and only name the account; the account itself is read on every
+ * request, so a role change or deactivation takes effect at once, and
+ * changing the password ends the account's other sessions. Passwords
+ * are stored as scrypt hashes.
+ *
+ * Since the token travels with every request, browsers may only call
+ * the functions from the allowed origins; see corsHeaders in http.js.
+ *
+ * Configuration (environment):
+ *   AUTH_SECRET          signs session tokens; required, 32+ characters
+ *   AUTH_SESSION_HOURS   how long a sign-in lasts; default 12
+ ************************************************/
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getDocumentStore } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = {
+  engineer: 'Drafting engineer',
+  reviewer: 'Reviewer',
+  pe: 'Signing PE',
+  admin: 'Administrator'
+};
+
+const MIN_PASSWORD_LENGTH = 10;
+const SIGNATURE_TYPES = ['image/png', 'image/jpeg'];
+const MAX_SIGNATURE_BYTES = 200 * 1024;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LICENSE_EXPIRES = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Not signed in (401) or not allowed (403).
+ */
+class AuthError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * A profile or sign-in request that can't be accepted, with a message
+ * for the engineer.
+ */
+class AccountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountError';
+  }
+}
+
+function authSecret() {
+  const secret = process.env.AUTH_SECRET || '';
+  if (secret.length < 32) {
+    throw new Error('AUTH_SECRET must be set to at least 32 characters');
+  }
+  return secret;
+}
+
+function sessionHours() {
+  const hours = Number(process.env.AUTH_SESSION_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 12;
+}
+
+function getUserStore(event) {
+  return getDocumentStore('users', event);
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function normalizeEmail(value) {
+  return text(value).toLowerCase();
+}
+
+/**
+ * "scrypt$<salt>$<hash>", both base64.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountError(`The password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', authSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * A session token for an account: { token, expiresAt }.
+ */
+function createSession(user) {
+  const expiresAt = new Date(Date.now() + sessionHours() * 3600 * 1000).toISOString();
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    v: user.sessionVersion || 0,
+    exp: expiresAt
+  })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * The claims of a valid, unexpired token, or null.
+ */
+function readSession(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Date.parse(claims.exp) > Date.now() ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hasRole(user, role) {
+  return Array.isArray(user?.roles) && user.roles.includes(role);
+}
+
+/**
+ * The signed-in account for a request. With `roles`, the account must
+ * hold at least one of them. Throws an AuthError otherwise.
+ */
+async function authenticate(event, ...roles) {
+  const headers = event.headers || {};
+  const header = headers.authorization || headers.Authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  const claims = match ? readSession(match[1]) : null;
+  if (!claims) throw new AuthError(401, 'Sign in to continue');
+
+  const user = await getUserStore(event).get(claims.sub).catch(() => null);
+  if (!user || !user.active || (user.sessionVersion || 0) !== claims.v) {
+    throw new AuthError(401, 'Your session has ended; sign in again');
+  }
+  if (roles.length > 0 && !roles.some(role => hasRole(user, role))) {
+    throw new AuthError(403, `This needs the ${roles.map(role => ROLES[role]).join(' or ')} role`);
+  }
+  return user;
+}
+
+/**
+ * An account as the page sees it: everything but the password.
+ */
+function publicUser(user) {
+  const { passwordHash, sessionVersion, ...profile } = user;
+  return profile;
+}
+
+/**
+ * Who did something, as recorded on cases and comments.
+ */
+function userRef(user) {
+  return { id: user.id, name: user.name };
+}
+
+function checkRoles(roles) {
+  if (!Array.isArray(roles) || roles.some(role => !ROLES[role])) {
+    throw new AccountError(`"roles" must list roles from: ${Object.keys(ROLES).join(', ')}`);
+  }
+  return [...new Set(roles)];
+}
+
+/**
+ * Check the profile fields present in `body`, copying them onto
+ * `target`: name, title, phone, license { number, state, expires } and
+ * signature { contentType, data (base64) }.
+ */
+function applyProfile(target, body) {
+  if (body.name !== undefined) {
+    if (!text(body.name)) throw new AccountError('"name" is required');
+    target.name = text(body.name);
+  }
+  if (body.title !== undefined) target.title = text(body.title);
+  if (body.phone !== undefined) target.phone = text(body.phone);
+  if (body.license !== undefined) {
+    const license = body.license || {};
+    if (typeof license !== 'object' || Array.isArray(license)) {
+      throw new AccountError('"license" must be { number, state, expires }');
+    }
+    if (text(license.expires) && !LICENSE_EXPIRES.test(text(license.expires))) {
+      throw new AccountError('The license expiry date must be YYYY-MM-DD');
+    }
+    target.license = {
+      number: text(license.number),
+      state: text(license.state).toUpperCase(),
+      expires: text(license.expires)
+    };
+  }
+  if (body.signature !== undefined) {
+    if (body.signature === null) {
+      target.signature = null;
+    } else {
+      const { contentType, data } = body.signature || {};
+      if (!SIGNATURE_TYPES.includes(contentType)) {
+        throw new AccountError(`The signature must be one of: ${SIGNATURE_TYPES.join(', ')}`);
+      }
+      if (typeof data !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+        throw new AccountError('The signature must be a base64-encoded image');
+      }
+      if (data.length * 3 / 4 > MAX_SIGNATURE_BYTES) {
+        throw new AccountError(`The signature image must be under ${MAX_SIGNATURE_BYTES / 1024} KB`);
+      }
+      target.signature = { contentType, data };
+    }
+  }
+  return target;
+}
+
+async function findUserByEmail(store, email) {
+  const wanted = normalizeEmail(email);
+  return (await store.list()).find(user => user.email === wanted) || null;
+}
+
+/**
+ * Add an account from { email, password, name, roles, ...profile }.
+ */
+async function createUser(store, body) {
+  const email = normalizeEmail(body.email);
+  if (!EMAIL.test(email)) throw new AccountError('Enter a valid email address');
+  if (await findUserByEmail(store, email)) {
+    throw new AccountError(`There is already an account for ${email}`);
+  }
+  const now = new Date().toISOString();
+  const user = applyProfile({
+    id: crypto.randomUUID(),
+    email,
+    name: '',
+    title: '',
+    phone: '',
+    license: { number: '', state: '', expires: '' },
+    signature: null,
+    roles: checkRoles(body.roles || []),
+    active: true,
+    passwordHash: await hashPassword(checkPassword(body.password)),
+    sessionVersion: 0,
+    createdAt: now,
+    updatedAt: now
+  }, { ...body, name: body.name ?? '' });
+  await store.put(user.id, user);
+  return user;
+}
+
+/**
+ * Check an email and password. Resolves to the account, or throws an
+ * AuthError that doesn't say which of the two was wrong.
+ */
+async function signIn(store, email, password) {
+  const user = await findUserByEmail(store, email);
+  const valid = user ? await verifyPassword(password, user.passwordHash) : false;
+  if (!valid || !user.active) throw new AuthError(401, 'Incorrect email or password');
+  return user;
+}
+
+/**
+ * Change an account's password, ending its other sessions.
+ */
+async function setPassword(user, password) {
+  user.passwordHash = await hashPassword(checkPassword(password));
+  user.sessionVersion = (user.sessionVersion || 0) + 1;
+  return user;
+}
+
+/**
+ * The approving PE's details for the stamp on an issued report.
+ * Throws an AccountError if the profile is missing what a stamp needs.
+ */
+function sealDetails(user) {
+  const missing = [
+    text(user.license?.number) ? '' : 'license number',
+    text(user.license?.state) ? '' : 'license state',
+    user.signature?.data ? '' : 'signature'
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    throw new AccountError(`Add your ${missing.join(', ')} to your profile before approving reports`);
+  }
+  if (user.license.expires && user.license.expires < new Date().toISOString().slice(0, 10)) {
+    throw new AccountError(`Your PE license expired on ${user.license.expires}`);
+  }
+  return {
+    userId: user.id,
+    name: user.name,
+    title: user.title || '',
+    email: user.email,
+    phone: user.phone || '',
+    license: { ...user.license },
+    signature: { ...user.signature }
+  };
+}
+
+module.exports = {
+  ROLES,
+  AuthError,
+  AccountError,
+  getUserStore,
+  authenticate,
+  hasRole,
+  publicUser,
+  userRef,
+  checkRoles,
+  applyProfile,
+  createUser,
+  signIn,
+  verifyPassword,
+  setPassword,
+  createSession,
+  sealDetails
+};
@@ -0,0 +1,92 @@
+/************************************************
+ * netlify/lib/buildings.js
+ *
+ * Multi-building properties (a shopping center, an apartment complex):
+ * the structures listed in the intake's `buildings`, each with its own
+ * use, age, size, roof systems and observations (see BUILDING_FIELDS in
+ * netlify/lib/intake/schema.js). A property without any is reported as a
+ * single building from the property-level fields.
+ ************************************************/
+const { ROOF_SYSTEMS } = require('./intake');
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function formatNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toLocaleString('en-US') : '';
+}
+
+/**
+ * The case's buildings, in intake order: [{ name, currentUse,
+ * propertyAge, squareFootage, roofSystems: [label], observations }].
+ * Records without a name are left out.
+ */
+function buildingList(context) {
+  const buildings = Array.isArray(context?.buildings) ? context.buildings : [];
+  return buildings
+    .filter(building => building && typeof building === 'object' && text(building.name))
+    .map(building => ({
+      name: text(building.name),
+      currentUse: text(building.currentUse),
+      propertyAge: typeof building.propertyAge === 'number' ? building.propertyAge : null,
+      squareFootage: typeof building.squareFootage === 'number' ? building.squareFootage : null,
+      roofSystems: ROOF_SYSTEMS
+        .map(system => system.label)
+        .filter(label => Array.isArray(building.roofSystems) && building.roofSystems.includes(label)),
+      observations: text(building.observations)
+    }));
+}
+
+/**
+ * The roof systems on the property, as the intake's roof-system
+ * checkbox keys: those checked for the property, plus any building's.
+ */
+function roofSystemKeys(context) {
+  const onBuildings = new Set(buildingList(context).flatMap(building => building.roofSystems));
+  return new Set(ROOF_SYSTEMS
+    .filter(system => context?.[system.checkedKey] === true || onBuildings.has(system.label))
+    .map(system => system.checkedKey));
+}
+
+/**
+ * Each building's facts and observations, for the prompts.
+ */
+function formatBuildingsForPrompt(buildings) {
+  return buildings.map(building => [
+    `${building.name}:`,
+    building.currentUse && `- Current use: ${building.currentUse}`,
+    building.propertyAge !== null && `- Age: ${building.propertyAge} years`,
+    building.squareFootage !== null && `- Square footage: ${formatNumber(building.squareFootage)}`,
+    building.roofSystems.length > 0 && `- Roof systems: ${building.roofSystems.join(', ')}`,
+    building.observations && `- Damage observations: ${building.observations}`
+  ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+/**
+ * A Markdown summary table with one row per building and the combined
+ * square footage last.
+ */
+function formatBuildingTable(buildings) {
+  const total = buildings.reduce((sum, building) => sum + (building.squareFootage || 0), 0);
+  const rows = [
+    ['Building', 'Current use', 'Age (years)', 'Square footage', 'Roof systems'],
+    ['---', '---', '---:', '---:', '---'],
+    ...buildings.map(building => [
+      building.name,
+      building.currentUse,
+      building.propertyAge === null ? '' : String(building.propertyAge),
+      formatNumber(building.squareFootage),
+      building.roofSystems.join(', ')
+    ]),
+    [`All ${buildings.length} buildings`, '', '', formatNumber(total), '']
+  ];
+  return rows.map(row => `| ${row.join(' | ')} |`).join('\n');
+}
+
+module.exports = {
+  buildingList,
+  roofSystemKeys,
+  formatBuildingsForPrompt,
+  formatBuildingTable
+};
@@ -0,0 +1,306 @@
+/************************************************
+ * netlify/lib/consistency.js
+ *
+ * Checks a generated section against the intake and the weather data,
+ * for the rules the system prompt asks the model to follow:
+ *   date         the Date of Loss or Inspection Date is wrong or swapped
+ *   address      a street address that isn't the property's
+ *   roof         a roof system that wasn't checked in the intake (for
+ *                the property or any of its buildings)
+ *   floors       upper floors on a building not described as multi-story
+ *   placeholder  bracketed placeholders, "TBD", "N/A", leftover {{...}}
+ *   weather      wind speeds or hail sizes not found in the weather data
+ *
+ * Text in quotation marks is someone else's words (the Rebuttal quotes
+ * the opposing reports) and is only checked for placeholders.
+ *
+ * The checks are heuristics: each warning quotes the text it found so
+ * the engineer can judge it, and its message doubles as an instruction
+ * when the section is regenerated.
+ ************************************************/
+const { formatLongDate } = require('./export/report');
+const { roofSystemKeys } = require('./buildings');
+
+const MAX_WARNINGS = 20;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const DATE_PATTERNS = [
+  // March 28, 2014
+  { regex: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, m[2]] },
+  // 28 March 2014
+  { regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, m[1]] },
+  // 3/28/2014
+  { regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, parts: m => [m[3], m[1], m[2]] },
+  // 2014-03-28
+  { regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: m => [m[1], m[2], m[3]] }
+];
+
+// The nearest of these before a date (in the same sentence) says what the date is
+const DATE_LABELS = [
+  { field: 'dateOfLoss', label: 'Date of Loss', regex: /\b(?:date of (?:the )?loss|loss date|DOL)\b/gi },
+  { field: 'investigationDate', label: 'Inspection Date', regex: /\b(?:inspect(?:ion|ed)|site visit|investigation date|date of (?:the )?investigation|visited the (?:site|property))\b/gi }
+];
+
+const STREET_ABBREVIATIONS = {
+  street: 'st', road: 'rd', avenue: 'ave', drive: 'dr', lane: 'ln', boulevard: 'blvd', court: 'ct',
+  highway: 'hwy', parkway: 'pkwy', place: 'pl', circle: 'cir', trail: 'trl', north: 'n', south: 's',
+  east: 'e', west: 'w'
+};
+const STREET_SUFFIX = '(?:Street|St|Road|Rd|Avenue|Ave|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Way|Parkway|Pkwy|Highway|Hwy|Place|Pl|Circle|Cir|Trail|Trl)';
+const STREET_ADDRESS = new RegExp(`\\b\\d{1,6}\\s+(?:[NSEW]\\.?\\s+|(?:North|South|East|West)\\s+)?(?:[A-Z0-9][\\w'.-]*\\s+){0,4}${STREET_SUFFIX}\\b\\.?`, 'g');
+
+const ROOF_SYSTEMS = [
+  { flag: 'roofMetalChecked', name: 'metal', regex: /\b(?:metal (?:roof(?:ing)?|panels?)|standing[- ]seam|PBR panels?|R-panels?|corrugated (?:metal|panels?))\b/gi },
+  { flag: 'roofCompChecked', name: 'composition shingle', regex: /\b(?:composition|asphalt|architectural|laminated|3-tab|three-tab) shingles?\b/gi },
+  { flag: 'roofSinglePlyChecked', name: 'single-ply membrane', regex: /\b(?:single[- ]ply|TPO|EPDM|PVC membrane)\b/gi },
+  { flag: 'roofModBitChecked', name: 'modified bitumen', regex: /\b(?:modified bitumen|mod[- ]bit)\b/gi },
+  { flag: 'roofBURChecked', name: 'built-up (gravel ballast)', regex: /\b(?:built[- ]up roof(?:ing)?|BUR|gravel[- ]ballast(?:ed)?)\b/gi },
+  { flag: 'roofClayTileChecked', name: 'clay tile', regex: /\bclay tiles?\b/gi },
+  { flag: 'roofConcreteTileChecked', name: 'concrete tile', regex: /\bconcrete tiles?\b/gi }
+];
+
+const UPPER_FLOORS = /\b(?:(?:second|2nd|third|3rd|upper)[- ](?:floor|stor(?:y|ey)|level)s?|(?:two|three|multi|2|3)[- ]stor(?:y|ey)|upstairs)\b/gi;
+const MULTI_STORY_INTAKE = /\b(?:(?:two|three|multi|2|3)[- ]?stor(?:y|ey)|stories|second floor|2nd floor|upper floor|upstairs)\b/i;
+
+const PLACEHOLDERS = [
+  // [Third Party], [e.g., ...]; not markdown links, task boxes, footnote
+  // numbers or library citations ([S3], see netlify/lib/library)
+  /\[(?!\s*\]|x\]|\d+\]|S\d+(?:\s*,\s*S\d+)*\])[^\]\n]{1,80}\](?!\()/gi,
+  /\{\{\s*\w+\s*\}\}/g,
+  /\b(?:TBD|TBA|XX+|N\/A)\b/g,
+  /\b(?:insert|enter) [a-z ]{1,30} here\b/gi
+];
+
+// A quoted passage of at least a few words
+const QUOTATION = /(?:"[^"\n]{20,}"|“[^”\n]{20,}”)/g;
+
+const NEGATION = /\b(?:no|not|neither|nor|without|never)\b/i;
+// Wind speeds in these sentences are ratings, not observations
+const WIND_RATING = /\b(?:design(?:ed)?|rated|rating|code|ASCE|warrant(?:y|ied)?|specification|uplift|certified|classified)\b/i;
+// Sizes in these sentences describe damage or thresholds, not the hail
+const HAIL_NOT_STONE = /\b(?:impacts?|dents?|denting|spatter|marks?|bruis(?:e|es|ing)|fractures?|test square|threshold|resist(?:ant|ance)?|class 4|UL 2218|indentations?|divots?)\b/i;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function isoDate(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function findDates(content) {
+  const dates = [];
+  DATE_PATTERNS.forEach(({ regex, parts }) => {
+    for (const match of content.matchAll(regex)) {
+      const iso = isoDate(...parts(match));
+      if (iso && !dates.some(date => match.index >= date.index && match.index < date.index + date.text.length)) {
+        dates.push({ iso, text: match[0], index: match.index });
+      }
+    }
+  });
+  return dates.sort((a, b) => a.index - b.index);
+}
+
+// The sentence (or line) containing `index`, up to `index`
+function sentenceBefore(content, index) {
+  const start = Math.max(
+    content.lastIndexOf('\n', index - 1),
+    content.slice(0, index).search(/[.!?]\s+(?=[A-Z][^.!?]*$)/)
+  );
+  return content.slice(start + 1, index);
+}
+
+function sentenceAround(content, index) {
+  const before = sentenceBefore(content, index);
+  const rest = content.slice(index);
+  const end = rest.search(/[.!?](?:\s|$)|\n/);
+  return before + (end === -1 ? rest : rest.slice(0, end + 1));
+}
+
+function checkDates(content, context, warn) {
+  const known = {
+    dateOfLoss: text(context?.dateOfLoss),
+    investigationDate: text(context?.investigationDate)
+  };
+  const causationDate = text(context?.causationDate);
+
+  findDates(content).forEach(date => {
+    const before = sentenceBefore(content, date.index);
+    // The label mentioned last before the date (in this sentence) applies to it
+    let nearest = null;
+    DATE_LABELS.forEach(label => {
+      for (const match of before.matchAll(label.regex)) {
+        if (!nearest || match.index > nearest.index) nearest = { ...label, index: match.index };
+      }
+    });
+    if (!nearest || !known[nearest.field]) return;
+
+    const expected = known[nearest.field];
+    if (date.iso === expected || (nearest.field === 'dateOfLoss' && date.iso === causationDate)) return;
+    const other = DATE_LABELS.find(label => label !== nearest);
+    if (date.iso === known[other.field]) {
+      warn('date', `"${date.text}" is the ${other.label}, but the text gives it as the ${nearest.label}. The ${nearest.label} is ${formatLongDate(expected)}; do not swap the two dates.`, date.text);
+    } else {
+      warn('date', `The ${nearest.label} is given as "${date.text}", but the intake says ${formatLongDate(expected)}.`, date.text);
+    }
+  });
+}
+
+function streetTokens(address) {
+  return String(address || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => STREET_ABBREVIATIONS[token] || token);
+}
+
+function checkAddress(content, context, warn) {
+  const accepted = [context?.address, context?.propertyLocation?.matchedAddress]
+    .map(text)
+    .filter(Boolean)
+    .map(address => streetTokens(address.split(',')[0]));
+  if (accepted.length === 0) return;
+
+  const seen = new Set();
+  for (const match of content.matchAll(STREET_ADDRESS)) {
+    const tokens = streetTokens(match[0]);
+    const key = tokens.join(' ');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const matches = accepted.some(street => street[0] === tokens[0] && tokens.every(token => street.includes(token)));
+    if (!matches) {
+      // The abbreviation's full stop may be the sentence's; quote without it
+      const address = match[0].trim().replace(/\.$/, '');
+      warn('address', `The address "${address}" does not match the property address (${text(context.address)}).`, address);
+    }
+  }
+}
+
+function checkRoofSystems(content, context, warn) {
+  const checked = roofSystemKeys(context);
+  ROOF_SYSTEMS.forEach(system => {
+    if (checked.has(system.flag)) return;
+    for (const match of content.matchAll(system.regex)) {
+      if (NEGATION.test(sentenceBefore(content, match.index))) continue;
+      warn('roof', `The text describes ${system.name} roofing ("${match[0]}"), which was not checked in the intake. Only describe the roof systems the engineer indicated.`, match[0]);
+      return;
+    }
+  });
+}
+
+function checkFloors(content, context, warn) {
+  const described = ['constructionType', 'currentUse', 'engineerNotes', 'propertyType']
+    .some(field => MULTI_STORY_INTAKE.test(text(context?.[field])));
+  if (described) return;
+  for (const match of content.matchAll(UPPER_FLOORS)) {
+    if (NEGATION.test(sentenceBefore(content, match.index))) continue;
+    warn('floors', `The text mentions "${match[0]}", but the intake does not describe a multi-story building. Do not refer to upper floors.`, match[0]);
+    return;
+  }
+}
+
+function checkPlaceholders(content, warn) {
+  const seen = new Set();
+  PLACEHOLDERS.forEach(regex => {
+    for (const match of content.matchAll(regex)) {
+      if (seen.has(match[0])) continue;
+      seen.add(match[0]);
+      warn('placeholder', `Replace the placeholder "${match[0]}" with the actual information, or leave it out.`, match[0]);
+    }
+  });
+}
+
+/**
+ * Wind speeds (mph) and hail sizes (in) that appear in the weather data,
+ * or in the other storm dates the engineer considered.
+ */
+function weatherFigures(weatherData, context) {
+  const candidates = Array.isArray(context?.stormDateCandidates) ? context.stormDateCandidates : [];
+  const reports = [
+    ...(Array.isArray(weatherData?.stormReports) ? weatherData.stormReports : []),
+    weatherData?.maxHailReport,
+    weatherData?.peakWindReport
+  ].filter(report => report && Number.isFinite(report.magnitude));
+  const gridGust = parseFloat(weatherData?.maxWindGust);
+  return {
+    wind: [
+      ...reports.filter(report => report.type !== 'hail').map(report => report.magnitude),
+      ...(Number.isFinite(gridGust) ? [gridGust] : []),
+      ...candidates.map(candidate => candidate?.peakGustMph).filter(Number.isFinite)
+    ],
+    hail: [
+      ...reports.filter(report => report.type === 'hail').map(report => report.magnitude),
+      ...candidates.map(candidate => candidate?.maxHailInches).filter(Number.isFinite)
+    ]
+  };
+}
+
+function describeFigures(values, unit) {
+  const unique = [...new Set(values)].sort((a, b) => b - a);
+  return unique.length > 0 ? unique.slice(0, 5).map(value => `${value} ${unit}`).join(', ') : 'none';
+}
+
+function parseSize(value) {
+  const fraction = /^(?:(\d+)\s+)?(\d+)\/(\d+)$/.exec(value.trim());
+  if (fraction) return Number(fraction[1] || 0) + Number(fraction[2]) / Number(fraction[3]);
+  return Number(value);
+}
+
+function checkWeather(content, context, weatherData, warn) {
+  if (!weatherData?.location) return;
+  const figures = weatherFigures(weatherData, context);
+
+  for (const match of content.matchAll(/\b(\d{2,3}(?:\.\d+)?)\s*(?:mph|miles per hour)\b/gi)) {
+    const sentence = sentenceAround(content, match.index);
+    if (WIND_RATING.test(sentence)) continue;
+    const speed = Number(match[1]);
+    if (!figures.wind.some(value => Math.abs(value - speed) <= 0.5)) {
+      warn('weather', `The wind speed "${match[0]}" is not in the weather data (wind reports: ${describeFigures(figures.wind, 'mph')}). Use the figures exactly as reported.`, match[0]);
+    }
+  }
+
+  for (const match of content.matchAll(/(?<![\d/])((?:\d+\s+)?\d+\/\d+|\d*\.?\d+)(?:\s*|-)(?:inch(?:es)?|in\.|")/gi)) {
+    const sentence = sentenceAround(content, match.index);
+    if (!/\bhail/i.test(sentence) || HAIL_NOT_STONE.test(sentence)) continue;
+    const size = parseSize(match[1]);
+    if (!Number.isFinite(size)) continue;
+    if (!figures.hail.some(value => Math.abs(value - size) <= 0.05)) {
+      warn('weather', `The hail size "${match[0].trim()}" is not in the weather data (hail reports: ${describeFigures(figures.hail, 'in')}). Use the figures exactly as reported.`, match[0].trim());
+    }
+  }
+}
+
+/**
+ * Check a generated section. Returns [{ type, message, excerpt }], most
+ * important first; an empty list when nothing looks wrong.
+ */
+function checkSection(content, context = {}, weatherData = {}) {
+  const warnings = [];
+  const warn = (type, message, excerpt) => {
+    if (warnings.length < MAX_WARNINGS && !warnings.some(existing => existing.message === message)) {
+      warnings.push({ type, message, excerpt });
+    }
+  };
+  const body = String(content || '');
+  // Quoted passages (e.g. a third-party report in the Rebuttal) are
+  // someone else's words; blank them out, keeping the offsets
+  const ownWords = body.replace(QUOTATION, match => ' '.repeat(match.length));
+
+  checkDates(ownWords, context, warn);
+  checkAddress(ownWords, context, warn);
+  checkWeather(ownWords, context, weatherData, warn);
+  checkRoofSystems(ownWords, context, warn);
+  checkFloors(ownWords, context, warn);
+  checkPlaceholders(body, warn);
+  return warnings;
+}
+
+module.exports = {
+  checkSection
+};
@@ -0,0 +1,334 @@
+/************************************************
+ * netlify/lib/damage/index.js
+ *
+ * Hail damage quantification from test squares. The engineer marks out
+ * 10 ft x 10 ft test squares (100 sq ft, one roofing "square") on each
+ * roof slope and counts the hits in each. A slope's hit density is the
+ * average count per test square; at or above the replacement threshold
+ * for its material the slope is recommended for replacement, below it
+ * for repair.
+ *
+ * Slope areas are entered as plan areas, as measured on an aerial image
+ * or a roof plan. The pitch turns each into the area of the sloped roof
+ * surface (plan area x the pitch factor, sqrt(1 + (rise / 12)^2)), and
+ * the squares, estimated hits and replacement share are worked out on
+ * that surface area.
+ *
+ * The whole roof is recommended for replacement when the slopes due for
+ * replacement make up at least `wholeRoofPercent` of its area; otherwise
+ * only those slopes are, or the roof is repaired.
+ *
+ * The thresholds below are starting points; a survey can set its own.
+ ************************************************/
+const MAX_SLOPES = 60;
+const MAX_TEST_SQUARES = 20;
+
+const MATERIALS = {
+  composition: { label: 'Composition shingles', threshold: 8 },
+  metal: { label: 'Metal panels', threshold: 8 },
+  singlePly: { label: 'Single-ply membrane', threshold: 5 },
+  modBit: { label: 'Modified bitumen', threshold: 8 },
+  bur: { label: 'Built-up roofing', threshold: 8 },
+  clayTile: { label: 'Clay tile', threshold: 5 },
+  concreteTile: { label: 'Concrete tile', threshold: 5 }
+};
+
+const ORIENTATIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const DEFAULT_WHOLE_ROOF_PERCENT = 50;
+
+const SLOPE_RECOMMENDATIONS = {
+  replace: 'Replace',
+  repair: 'Repair',
+  none: 'No repair needed'
+};
+
+const ROOF_RECOMMENDATIONS = {
+  'replace-roof': 'Replace the roof',
+  'replace-slopes': 'Replace the damaged slopes',
+  repair: 'Repair',
+  none: 'No repair needed'
+};
+
+/**
+ * The survey can't be analyzed; the message says what to fix.
+ */
+class DamageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DamageError';
+  }
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value.trim().replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * A roof pitch as rise in 12: "6/12", "6:12", "6" or a low slope such as
+ * "1/4:12". Returns { rise, label, factor } or null, where `factor` is
+ * the sloped surface area per unit of plan area.
+ */
+function parsePitch(value) {
+  const text = String(value ?? '').trim().replace(/\s*(?:[:/]|in)\s*12$/i, '');
+  const fraction = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  const rise = fraction ? Number(fraction[1]) / Number(fraction[2]) : parseNumber(text);
+  if (rise === null || !Number.isFinite(rise) || rise < 0 || rise > 24) return null;
+  return {
+    rise,
+    label: `${fraction ? `${fraction[1]}/${fraction[2]}` : rise}:12`,
+    factor: Math.sqrt(1 + (rise / 12) ** 2)
+  };
+}
+
+/**
+ * The replacement thresholds (hits per test square) by material, with
+ * the survey's own settings in place of the defaults.
+ */
+function surveyThresholds(overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new DamageError('"thresholds" must map materials to hits per test square');
+  }
+  return Object.fromEntries(Object.entries(MATERIALS).map(([key, material]) => {
+    if (overrides[key] === undefined || overrides[key] === '' || overrides[key] === null) return [key, material.threshold];
+    const threshold = parseNumber(overrides[key]);
+    if (threshold === null || threshold <= 0) {
+      throw new DamageError(`The ${material.label.toLowerCase()} threshold must be a number of hits above 0`);
+    }
+    return [key, threshold];
+  }));
+}
+
+function analyzeSlope(slope, index, thresholds) {
+  const where = `Slope ${index + 1}`;
+  if (slope === null || typeof slope !== 'object') throw new DamageError(`${where} must be an object`);
+  const name = typeof slope.name === 'string' && slope.name.trim() ? slope.name.trim() : where;
+  if (!ORIENTATIONS.includes(slope.orientation)) {
+    throw new DamageError(`${name}: the facing direction must be one of ${ORIENTATIONS.join(', ')}`);
+  }
+  const planAreaSqFt = parseNumber(slope.areaSqFt);
+  if (planAreaSqFt === null || planAreaSqFt <= 0) {
+    throw new DamageError(`${name}: the plan area must be a number of square feet above 0`);
+  }
+  const pitch = parsePitch(slope.pitch);
+  if (!pitch) throw new DamageError(`${name}: the pitch must be a rise in 12, such as 6/12`);
+  const material = MATERIALS[slope.material];
+  if (!material) throw new DamageError(`${name}: the material must be one of ${Object.keys(MATERIALS).join(', ')}`);
+
+  const hits = Array.isArray(slope.hits) ? slope.hits.map(parseNumber) : [];
+  if (hits.length === 0) throw new DamageError(`${name}: enter the hit count for at least one test square`);
+  if (hits.length > MAX_TEST_SQUARES) throw new DamageError(`${name}: at most ${MAX_TEST_SQUARES} test squares per slope`);
+  if (hits.some(count => count === null || count < 0 || !Number.isInteger(count))) {
+    throw new DamageError(`${name}: hit counts must be whole numbers`);
+  }
+
+  const hitsPerSquare = hits.reduce((sum, count) => sum + count, 0) / hits.length;
+  const threshold = thresholds[slope.material];
+  const areaSqFt = Math.round(planAreaSqFt * pitch.factor);
+  const squares = areaSqFt / 100;
+  let recommendation = 'none';
+  if (hitsPerSquare >= threshold) recommendation = 'replace';
+  else if (hitsPerSquare > 0) recommendation = 'repair';
+
+  return {
+    name,
+    orientation: slope.orientation,
+    pitch: pitch.label,
+    pitchFactor: round(pitch.factor, 3),
+    planAreaSqFt: round(planAreaSqFt, 0),
+    areaSqFt,
+    squares: round(squares),
+    material: slope.material,
+    materialLabel: material.label,
+    hits,
+    hitsPerSquare: round(hitsPerSquare),
+    estimatedHits: Math.round(hitsPerSquare * squares),
+    threshold,
+    recommendation
+  };
+}
+
+/**
+ * Analyze a damage survey:
+ *   { slopes: [{ name, orientation, areaSqFt, pitch, material, hits: [count per test square] }],
+ *     thresholds: { material: hits per test square }, wholeRoofPercent }
+ * where `areaSqFt` is the slope's plan area. Numbers may be given as
+ * text. Each analyzed slope has its `planAreaSqFt` and its sloped
+ * `areaSqFt`. Throws a DamageError for readings that can't be used.
+ */
+function analyzeDamage(survey) {
+  if (survey === null || typeof survey !== 'object' || Array.isArray(survey)) {
+    throw new DamageError('The damage survey must be an object');
+  }
+  if (!Array.isArray(survey.slopes) || survey.slopes.length === 0) {
+    throw new DamageError('Add at least one roof slope');
+  }
+  if (survey.slopes.length > MAX_SLOPES) {
+    throw new DamageError(`At most ${MAX_SLOPES} slopes can be analyzed`);
+  }
+  const thresholds = surveyThresholds(survey.thresholds);
+  const wholeRoofPercent = survey.wholeRoofPercent === undefined || survey.wholeRoofPercent === ''
+    ? DEFAULT_WHOLE_ROOF_PERCENT
+    : parseNumber(survey.wholeRoofPercent);
+  if (wholeRoofPercent === null || wholeRoofPercent <= 0 || wholeRoofPercent > 100) {
+    throw new DamageError('The whole-roof replacement share must be a percentage from 1 to 100');
+  }
+
+  const slopes = survey.slopes.map((slope, index) => analyzeSlope(slope, index, thresholds));
+  const planAreaSqFt = slopes.reduce((sum, slope) => sum + slope.planAreaSqFt, 0);
+  const areaSqFt = slopes.reduce((sum, slope) => sum + slope.areaSqFt, 0);
+  const replaceAreaSqFt = slopes
+    .filter(slope => slope.recommendation === 'replace')
+    .reduce((sum, slope) => sum + slope.areaSqFt, 0);
+  const replacePercent = round((replaceAreaSqFt / areaSqFt) * 100);
+  // Hits per square over the whole roof, weighting each slope by its area
+  const hitsPerSquare = slopes.reduce((sum, slope) => sum + slope.hitsPerSquare * slope.areaSqFt, 0) / areaSqFt;
+
+  let recommendation = 'none';
+  if (replaceAreaSqFt > 0) recommendation = replacePercent >= wholeRoofPercent ? 'replace-roof' : 'replace-slopes';
+  else if (slopes.some(slope => slope.recommendation === 'repair')) recommendation = 'repair';
+
+  return {
+    slopes,
+    roof: {
+      planAreaSqFt,
+      areaSqFt,
+      squares: round(areaSqFt / 100),
+      testSquares: slopes.reduce((sum, slope) => sum + slope.hits.length, 0),
+      hitsPerSquare: round(hitsPerSquare),
+      replaceAreaSqFt,
+      replacePercent,
+      wholeRoofPercent,
+      recommendation
+    },
+    thresholds
+  };
+}
+
+function formatArea(value) {
+  return value.toLocaleString('en-US');
+}
+
+// Slope names are typed by the engineer: keep them to one cell and one line
+function tableCell(value) {
+  return String(value).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+function markdownTable(header, rows) {
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(tableCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * The analysis as two Markdown tables: `testSquares` (the counts, for
+ * Observations) and `recommendations` (repair or replace, for
+ * Conclusions).
+ */
+function formatDamageTables(analysis) {
+  const testSquares = markdownTable(
+    ['Slope', 'Facing', 'Pitch', 'Material', 'Plan area (sq ft)', 'Roof area (sq ft)', 'Hits per test square', 'Average hits per square'],
+    [
+      ...analysis.slopes.map(slope => [
+        slope.name,
+        slope.orientation,
+        slope.pitch,
+        slope.materialLabel,
+        formatArea(slope.planAreaSqFt),
+        formatArea(slope.areaSqFt),
+        slope.hits.join(', '),
+        slope.hitsPerSquare.toFixed(1)
+      ]),
+      [
+        'Whole roof', '', '', '',
+        formatArea(analysis.roof.planAreaSqFt),
+        formatArea(analysis.roof.areaSqFt),
+        `${analysis.roof.testSquares} test squares`,
+        `${analysis.roof.hitsPerSquare.toFixed(1)} (area-weighted)`
+      ]
+    ]
+  );
+
+  const { roof } = analysis;
+  const recommendations = markdownTable(
+    ['Slope', 'Average hits per square', 'Replacement threshold', 'Recommendation'],
+    [
+      ...analysis.slopes.map(slope => [
+        slope.name,
+        slope.hitsPerSquare.toFixed(1),
+        `${slope.threshold} hits per square`,
+        SLOPE_RECOMMENDATIONS[slope.recommendation]
+      ]),
+      [
+        'Whole roof',
+        roof.hitsPerSquare.toFixed(1),
+        `${roof.wholeRoofPercent}% of the roof area due for replacement`,
+        `${ROOF_RECOMMENDATIONS[roof.recommendation]} (${roof.replacePercent}% of the roof area due for replacement)`
+      ]
+    ]
+  );
+
+  return { testSquares, recommendations };
+}
+
+// A Markdown table row, compared without spacing, emphasis or case
+function rowKey(line) {
+  return line.trim().replace(/^\||\|$/g, '').split('|')
+    .map(cell => cell.replace(/[*_]/g, '').trim().toLowerCase())
+    .join('|');
+}
+
+/**
+ * Put a table from formatDamageTables into a generated section exactly
+ * as computed. The model's own copy (a Markdown table with the same
+ * header row) is replaced by it, and any further copies are dropped;
+ * without a copy the table goes at the end of the section.
+ */
+function insertDamageTable(content, table) {
+  if (!table) return content;
+  const header = rowKey(table.split('\n')[0]);
+  const lines = content.split('\n');
+  const copies = [];
+  for (let start = 0; start < lines.length; start++) {
+    if (!lines[start].trim().startsWith('|')) continue;
+    let end = start;
+    while (end < lines.length && lines[end].trim().startsWith('|')) end++;
+    if (rowKey(lines[start]) === header) copies.push([start, end]);
+    start = end;
+  }
+  if (copies.length === 0) {
+    return `${content.trimEnd()}\n\n${table}${content.endsWith('\n') ? '\n' : ''}`;
+  }
+  copies.reverse().forEach(([start, end], index) => {
+    if (index === copies.length - 1) {
+      lines.splice(start, end - start, table);
+    } else {
+      // A dropped copy takes the blank line before it along
+      const from = start > 0 && !lines[start - 1].trim() ? start - 1 : start;
+      lines.splice(from, end - from);
+    }
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  MATERIALS,
+  ORIENTATIONS,
+  DEFAULT_WHOLE_ROOF_PERCENT,
+  SLOPE_RECOMMENDATIONS,
+  ROOF_RECOMMENDATIONS,
+  DamageError,
+  parsePitch,
+  analyzeDamage,
+  formatDamageTables,
+  insertDamageTable
+};
@@ -0,0 +1,290 @@
+/************************************************
+ * netlify/lib/export/docx.js
+ *
+ * Word (.docx) writer. The table of contents is a Word TOC field over
+ * Heading 1-2; Word fills in its page numbers when the file is opened.
+ ************************************************/
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  ImageRun,
+  LevelFormat,
+  Packer,
+  PageBreak,
+  PageNumber,
+  Paragraph,
+  Table,
+  TableCell,
+  TableOfContents,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+const { photoLabel } = require('./report');
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const FONT = 'Calibri';
+const ACCENT_COLOR = '1F3864';
+// Largest appendix photo, in pixels at 96 dpi (6 x 4 inches)
+const PHOTO_MAX_WIDTH = 576;
+const PHOTO_MAX_HEIGHT = 384;
+
+/**
+ * TextRuns for styled runs; "\n" inside a run becomes a line break.
+ */
+function textRuns(runs, extra = {}) {
+  return runs.flatMap(run =>
+    run.text.split('\n').map((line, index) => new TextRun({
+      text: line,
+      break: index > 0 ? 1 : undefined,
+      bold: run.bold || extra.bold,
+      italics: run.italic || extra.italics,
+      font: run.code ? 'Consolas' : undefined,
+      size: extra.size
+    }))
+  );
+}
+
+function logoRun(logo, height) {
+  return new ImageRun({
+    type: logo.type,
+    data: logo.data,
+    transformation: { width: Math.round(logo.width * height / logo.height), height }
+  });
+}
+
+/**
+ * Word paragraphs and tables for layout blocks.
+ * `listCounter` numbers ordered lists so each one restarts at 1.
+ */
+function blockElements(blocks, listCounter) {
+  return blocks.flatMap(block => {
+    switch (block.type) {
+      case 'heading':
+        return [new Paragraph({
+          heading: HEADING_LEVELS[Math.min(block.depth, 6) - 1],
+          children: textRuns(block.runs)
+        })];
+      case 'paragraph':
+        return [new Paragraph({ children: textRuns(block.runs), spacing: { after: 160 } })];
+      case 'quote':
+        return [new Paragraph({
+          children: textRuns(block.runs, { italics: true }),
+          indent: { left: 720 },
+          spacing: { after: 160 }
+        })];
+      case 'list': {
+        const instance = listCounter.next++;
+        return block.items.map(runs => new Paragraph({
+          children: textRuns(runs),
+          ...(block.ordered
+            ? { numbering: { reference: 'ordered-list', level: 0, instance } }
+            : { bullet: { level: 0 } })
+        }));
+      }
+      case 'table': {
+        const cell = (runs, bold) => new TableCell({
+          children: [new Paragraph({ children: textRuns(runs, { bold }) })],
+          margins: { top: 60, bottom: 60, left: 100, right: 100 }
+        });
+        return [
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: [
+              new TableRow({ tableHeader: true, children: block.header.map(runs => cell(runs, true)) }),
+              ...block.rows.map(row => new TableRow({ children: row.map(runs => cell(runs, false)) }))
+            ]
+          }),
+          new Paragraph({ children: [] })
+        ];
+      }
+      case 'rule':
+        return [new Paragraph({
+          children: [],
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '999999', space: 1 } }
+        })];
+      default:
+        return [];
+    }
+  });
+}
+
+function coverChildren(report) {
+  const { letterhead, cover } = report;
+  const centered = (children, spacing) => new Paragraph({ alignment: AlignmentType.CENTER, children, spacing });
+  return [
+    ...(letterhead.logo ? [centered([logoRun(letterhead.logo, 96)], { after: 240 })] : []),
+    centered([new TextRun({ text: letterhead.name, bold: true, size: 32, color: ACCENT_COLOR })]),
+    ...letterhead.contactLines.map(line => centered([new TextRun({ text: line, size: 20 })])),
+    centered([new TextRun({ text: report.title, bold: true, size: 48 })], { before: 2400, after: 240 }),
+    ...(cover.subtitle ? [centered([new TextRun({ text: cover.subtitle, size: 32 })], { after: 960 })] : []),
+    ...cover.facts.map(([label, value]) => centered([
+      new TextRun({ text: `${label}: `, bold: true }),
+      new TextRun(value)
+    ], { after: 80 })),
+    ...(cover.preparedBy
+      ? [centered([new TextRun({ text: 'Prepared by: ', bold: true }), new TextRun(cover.preparedBy)], { before: 960 })]
+      : [])
+  ];
+}
+
+function signatureChildren(report) {
+  const { signature, letterhead } = report;
+  if (!signature.name) return [];
+  const line = (value, options = {}) => new Paragraph({ children: [new TextRun({ text: value, ...options })] });
+  return [
+    new Paragraph({ children: [new TextRun('Respectfully submitted,')], spacing: { before: 480 }, keepNext: true }),
+    new Paragraph({ children: [new TextRun(letterhead.name)], keepNext: true }),
+    signature.image
+      ? new Paragraph({ children: [logoRun(signature.image, 48)], spacing: { before: 240 }, keepNext: true })
+      : new Paragraph({ children: [new TextRun('_________________________________')], spacing: { before: 720 }, keepNext: true }),
+    line(signature.name, { bold: true }),
+    ...(signature.title ? [line(signature.title)] : []),
+    ...(signature.license ? [line(`Professional Engineer, License No. ${signature.license}`)] : []),
+    ...[signature.email, signature.phone].filter(Boolean).map(value => line(value)),
+    ...(signature.stampLines || []).map(value => line(value, { italics: true }))
+  ];
+}
+
+function scopeAppendixChildren(appendix, listCounter) {
+  if (!appendix) return [];
+  return [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new TextRun(appendix.title)] }),
+    ...blockElements(appendix.blocks, listCounter)
+  ];
+}
+
+function photoAppendixChildren(appendix) {
+  if (!appendix) return [];
+  return [
+    new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new TextRun(appendix.title)] }),
+    ...appendix.photos.flatMap(photo => {
+      const scale = Math.min(PHOTO_MAX_WIDTH / photo.width, PHOTO_MAX_HEIGHT / photo.height, 1);
+      return [
+        new Paragraph({
+          alignment: AlignmentType.CENTER,
+          keepNext: true,
+          spacing: { before: 240 },
+          children: [new ImageRun({
+            type: photo.type,
+            data: photo.data,
+            transformation: { width: Math.round(photo.width * scale), height: Math.round(photo.height * scale) }
+          })]
+        }),
+        new Paragraph({
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 240 },
+          children: [new TextRun({ text: photoLabel(photo), italics: true })]
+        })
+      ];
+    })
+  ];
+}
+
+function letterheadHeader(letterhead) {
+  return new Header({
+    children: [
+      new Paragraph({
+        children: [
+          ...(letterhead.logo ? [logoRun(letterhead.logo, 32), new TextRun('  ')] : []),
+          new TextRun({ text: letterhead.name, bold: true, color: ACCENT_COLOR })
+        ]
+      }),
+      ...letterhead.contactLines.map(contact => new Paragraph({ children: [new TextRun({ text: contact, size: 16 })] })),
+      new Paragraph({
+        children: [],
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: ACCENT_COLOR, space: 1 } }
+      })
+    ]
+  });
+}
+
+function pageNumberFooter(report) {
+  return new Footer({
+    children: [
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [
+          new TextRun({
+            size: 18,
+            children: [`${report.footerLabel}  |  Page `, PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES]
+          })
+        ]
+      })
+    ]
+  });
+}
+
+/**
+ * Render the report as a .docx Buffer.
+ */
+async function renderDocx(report) {
+  const listCounter = { next: 1 };
+  const body = [
+    ...(report.openingLetter
+      ? [...blockElements(report.openingLetter, listCounter), new Paragraph({ children: [new PageBreak()] })]
+      : []),
+    new TableOfContents('Table of Contents', { hyperlink: true, headingStyleRange: '1-2' }),
+    ...report.sections.flatMap(section => [
+      new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new TextRun(section.title)] }),
+      ...blockElements(section.blocks, listCounter)
+    ]),
+    ...signatureChildren(report),
+    ...scopeAppendixChildren(report.scopeAppendix, listCounter),
+    ...photoAppendixChildren(report.photoAppendix)
+  ];
+
+  const doc = new Document({
+    title: report.title,
+    creator: report.letterhead.name,
+    features: { updateFields: true },
+    styles: {
+      default: { document: { run: { font: FONT, size: 22 } } },
+      paragraphStyles: [
+        { id: 'Heading1', name: 'Heading 1', basedOn: 'Normal', next: 'Normal', quickFormat: true,
+          run: { size: 32, bold: true, color: ACCENT_COLOR }, paragraph: { spacing: { before: 240, after: 160 } } },
+        { id: 'Heading2', name: 'Heading 2', basedOn: 'Normal', next: 'Normal', quickFormat: true,
+          run: { size: 26, bold: true, color: ACCENT_COLOR }, paragraph: { spacing: { before: 200, after: 120 } } },
+        { id: 'Heading3', name: 'Heading 3', basedOn: 'Normal', next: 'Normal', quickFormat: true,
+          run: { size: 24, bold: true }, paragraph: { spacing: { before: 160, after: 80 } } }
+      ]
+    },
+    numbering: {
+      config: [{
+        reference: 'ordered-list',
+        levels: [{
+          level: 0,
+          format: LevelFormat.DECIMAL,
+          text: '%1.',
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720, hanging: 360 } } }
+        }]
+      }]
+    },
+    sections: [
+      { children: coverChildren(report) },
+      {
+        headers: { default: letterheadHeader(report.letterhead) },
+        footers: { default: pageNumberFooter(report) },
+        children: body
+      }
+    ]
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  renderDocx
+};
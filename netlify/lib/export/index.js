@@ -0,0 +1,50 @@
+/************************************************
+ * netlify/lib/export/index.js
+ *
+ * Final report export to Word and PDF, rendered locally (no outside
+ * service) with the firm letterhead, a cover page, a table of contents
+ * with page references, page numbers, the engineer's signature block,
+ * the line-item Repair Scope (when the case has one) and a numbered
+ * Photographs appendix.
+ ************************************************/
+const { buildReport } = require('./report');
+const { renderDocx } = require('./docx');
+const { renderPdf } = require('./pdf');
+
+const FORMATS = {
+  docx: {
+    render: renderDocx,
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  },
+  pdf: {
+    render: renderPdf,
+    contentType: 'application/pdf'
+  }
+};
+
+/**
+ * Export the report as `format` ("docx" or "pdf"). `photos` are the
+ * numbered appendix photos ([{ number, caption, tag, contentType, data }]);
+ * `stamp` is the approving PE's seal on an issued report.
+ * Resolves to { data: Buffer, contentType, fileName }.
+ */
+async function exportReport(format, { sections, context, photos = [], stamp = null }) {
+  const writer = FORMATS[format];
+  if (!writer) {
+    throw new Error(`Unknown export format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  const report = buildReport({ sections, context, photos, stamp });
+  if (report.sections.length === 0) {
+    throw new Error('The report has no accepted sections to export');
+  }
+  return {
+    data: await writer.render(report),
+    contentType: writer.contentType,
+    fileName: `${report.fileName}.${format}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  exportReport
+};
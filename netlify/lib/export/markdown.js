@@ -0,0 +1,135 @@
+/************************************************
+ * netlify/lib/export/markdown.js
+ *
+ * Turns section markdown into simple layout blocks that the DOCX and
+ * PDF writers both understand:
+ *   { type: 'heading', depth, runs }     { type: 'paragraph', runs }
+ *   { type: 'list', ordered, start, items: [runs] }
+ *   { type: 'table', header: [runs], rows: [[runs]] }
+ *   { type: 'quote', runs }              { type: 'rule' }
+ * where runs are [{ text, bold, italic, code }].
+ ************************************************/
+const { marked } = require('marked');
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// The lexer HTML-escapes text; the writers want it raw
+function unescapeHtml(text) {
+  return String(text || '').replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Flatten inline tokens into styled runs.
+ */
+function inlineRuns(tokens = [], style = {}) {
+  const runs = [];
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...inlineRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...inlineRuns(token.tokens, { ...style, italic: true }));
+        break;
+      case 'del':
+      case 'link':
+        runs.push(...inlineRuns(token.tokens, style));
+        break;
+      case 'codespan':
+        runs.push({ ...style, code: true, text: unescapeHtml(token.text) });
+        break;
+      case 'br':
+        runs.push({ ...style, text: '\n' });
+        break;
+      case 'html':
+        if (/^<br\s*\/?>$/i.test(token.text.trim())) runs.push({ ...style, text: '\n' });
+        break;
+      case 'text':
+        if (token.tokens) {
+          runs.push(...inlineRuns(token.tokens, style));
+        } else {
+          runs.push({ ...style, text: unescapeHtml(token.text) });
+        }
+        break;
+      default:
+        if (token.text) runs.push({ ...style, text: unescapeHtml(token.text) });
+    }
+  });
+  return runs;
+}
+
+/**
+ * Runs for a block token that may hold paragraphs (list items, quotes):
+ * the paragraphs are joined with line breaks.
+ */
+function blockRuns(tokens = []) {
+  const runs = [];
+  tokens.forEach(token => {
+    if (token.type === 'space') return;
+    if (runs.length > 0) runs.push({ text: '\n' });
+    if (token.type === 'list') {
+      token.items.forEach((item, index) => {
+        if (index > 0) runs.push({ text: '\n' });
+        runs.push({ text: '– ' }, ...blockRuns(item.tokens));
+      });
+    } else {
+      runs.push(...inlineRuns(token.tokens || [{ type: 'text', text: token.text }]));
+    }
+  });
+  return runs;
+}
+
+function runsText(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+/**
+ * Layout blocks for a markdown document.
+ */
+function markdownToBlocks(markdown) {
+  const blocks = [];
+  marked.lexer(String(markdown || '')).forEach(token => {
+    switch (token.type) {
+      case 'heading':
+        blocks.push({ type: 'heading', depth: token.depth, runs: inlineRuns(token.tokens) });
+        break;
+      case 'paragraph':
+      case 'text':
+        blocks.push({ type: 'paragraph', runs: inlineRuns(token.tokens || [{ type: 'text', text: token.text }]) });
+        break;
+      case 'list':
+        blocks.push({
+          type: 'list',
+          ordered: token.ordered,
+          start: Number(token.start) || 1,
+          items: token.items.map(item => blockRuns(item.tokens))
+        });
+        break;
+      case 'table':
+        blocks.push({
+          type: 'table',
+          header: token.header.map(cell => inlineRuns(cell.tokens)),
+          rows: token.rows.map(row => row.map(cell => inlineRuns(cell.tokens)))
+        });
+        break;
+      case 'blockquote':
+        blocks.push({ type: 'quote', runs: blockRuns(token.tokens) });
+        break;
+      case 'code':
+        blocks.push({ type: 'paragraph', runs: [{ text: token.text, code: true }] });
+        break;
+      case 'hr':
+        blocks.push({ type: 'rule' });
+        break;
+      default:
+        // space, raw html and anything else has no place in the export
+        break;
+    }
+  });
+  return blocks;
+}
+
+module.exports = {
+  markdownToBlocks,
+  runsText
+};
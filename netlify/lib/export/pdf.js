@@ -0,0 +1,360 @@
+/************************************************
+ * netlify/lib/export/pdf.js
+ *
+ * PDF writer (PDFKit). Pages are buffered so the table of contents,
+ * which comes before the body, can be filled in with the page each
+ * heading landed on, and every page can be numbered "Page X of Y"
+ * once the total is known.
+ ************************************************/
+const PDFDocument = require('pdfkit');
+const { runsText } = require('./markdown');
+const { photoLabel } = require('./report');
+
+const MARGINS = { top: 108, bottom: 72, left: 72, right: 72 };
+const BODY_SIZE = 11;
+const HEADING_SIZES = [18, 14, 12, 11, 11, 11];
+const TOC_LINE_HEIGHT = 18;
+const PHOTO_MAX_HEIGHT = 260;
+const ACCENT_COLOR = '#1F3864';
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+  code: 'Courier'
+};
+
+function fontFor(run) {
+  if (run.code) return FONTS.code;
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - MARGINS.left - MARGINS.right;
+}
+
+/**
+ * Start a new page unless `height` more points fit on this one.
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGINS.bottom) {
+    doc.addPage();
+  }
+}
+
+/**
+ * Write styled runs as one flowing paragraph starting at `x`.
+ */
+function writeRuns(doc, runs, { x = MARGINS.left, width, style = {}, gap = 6 } = {}) {
+  const parts = runs.filter(run => run.text);
+  if (parts.length === 0) return;
+  doc.fontSize(BODY_SIZE).fillColor('black');
+  parts.forEach((run, index) => {
+    doc.font(fontFor({ ...run, bold: run.bold || style.bold, italic: run.italic || style.italic }));
+    const options = { continued: index < parts.length - 1 };
+    if (index === 0) {
+      doc.text(run.text, x, doc.y, { ...options, width: width || contentWidth(doc) - (x - MARGINS.left) });
+    } else {
+      doc.text(run.text, options);
+    }
+  });
+  doc.x = MARGINS.left;
+  doc.moveDown(gap / BODY_SIZE);
+}
+
+function writeHeading(doc, text, depth, destination) {
+  const size = HEADING_SIZES[Math.min(depth, 6) - 1];
+  ensureSpace(doc, size * 4);
+  doc.moveDown(0.4);
+  doc.font(FONTS.bold).fontSize(size).fillColor(depth <= 2 ? ACCENT_COLOR : 'black');
+  doc.text(text, MARGINS.left, doc.y, { width: contentWidth(doc), destination });
+  doc.fillColor('black').fontSize(BODY_SIZE);
+  doc.moveDown(0.3);
+}
+
+function writeTable(doc, block) {
+  const columns = Math.max(block.header.length, ...block.rows.map(row => row.length));
+  const columnWidth = contentWidth(doc) / columns;
+  const padding = 4;
+
+  const writeRow = (cells, bold) => {
+    doc.font(bold ? FONTS.bold : FONTS.regular).fontSize(BODY_SIZE - 1);
+    const texts = Array.from({ length: columns }, (_, index) => runsText(cells[index] || []));
+    const height = Math.max(...texts.map(text => doc.heightOfString(text || ' ', { width: columnWidth - padding * 2 }))) + padding * 2;
+    ensureSpace(doc, height);
+    const top = doc.y;
+    texts.forEach((text, index) => {
+      const left = MARGINS.left + index * columnWidth;
+      doc.rect(left, top, columnWidth, height).stroke('#999999');
+      doc.fillColor('black').text(text, left + padding, top + padding, { width: columnWidth - padding * 2 });
+    });
+    doc.x = MARGINS.left;
+    doc.y = top + height;
+  };
+
+  writeRow(block.header, true);
+  block.rows.forEach(row => writeRow(row, false));
+  doc.fontSize(BODY_SIZE);
+  doc.moveDown(0.6);
+}
+
+/**
+ * Render layout blocks. Level 1-2 headings are reported through
+ * `onHeading` so they can go into the table of contents.
+ */
+function writeBlocks(doc, blocks, onHeading = () => {}) {
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading': {
+        // Break the page first, so the heading is recorded on the page it lands on
+        ensureSpace(doc, HEADING_SIZES[Math.min(block.depth, 6) - 1] * 4);
+        const destination = block.depth <= 2 ? onHeading(runsText(block.runs), block.depth) : undefined;
+        writeHeading(doc, runsText(block.runs), block.depth, destination);
+        break;
+      }
+      case 'paragraph':
+        ensureSpace(doc, BODY_SIZE * 2);
+        writeRuns(doc, block.runs);
+        break;
+      case 'quote':
+        ensureSpace(doc, BODY_SIZE * 2);
+        writeRuns(doc, block.runs, { x: MARGINS.left + 24, style: { italic: true } });
+        break;
+      case 'list':
+        block.items.forEach((runs, index) => {
+          ensureSpace(doc, BODY_SIZE * 2);
+          const top = doc.y;
+          const marker = block.ordered ? `${block.start + index}.` : '•';
+          doc.font(FONTS.regular).fontSize(BODY_SIZE).fillColor('black')
+            .text(marker, MARGINS.left + 8, top, { width: 20, lineBreak: false });
+          doc.y = top;
+          writeRuns(doc, runs, { x: MARGINS.left + 28, gap: 2 });
+        });
+        doc.moveDown(0.3);
+        break;
+      case 'table':
+        writeTable(doc, block);
+        break;
+      case 'rule': {
+        ensureSpace(doc, 12);
+        const y = doc.y + 4;
+        doc.moveTo(MARGINS.left, y).lineTo(doc.page.width - MARGINS.right, y).stroke('#999999');
+        doc.y = y + 8;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+}
+
+function writeCover(doc, report) {
+  const { letterhead, cover } = report;
+  const width = contentWidth(doc);
+  const centered = { width, align: 'center' };
+  doc.y = 96;
+  if (letterhead.logo) {
+    doc.image(letterhead.logo.data, MARGINS.left + width / 2 - 60, doc.y, { fit: [120, 80], align: 'center' });
+    doc.y += 96;
+  }
+  doc.font(FONTS.bold).fontSize(16).fillColor(ACCENT_COLOR).text(letterhead.name, MARGINS.left, doc.y, centered);
+  doc.font(FONTS.regular).fontSize(9).fillColor('black');
+  letterhead.contactLines.forEach(line => doc.text(line, centered));
+
+  doc.y = 300;
+  doc.font(FONTS.bold).fontSize(24).text(report.title, centered);
+  if (cover.subtitle) {
+    doc.moveDown(0.3).font(FONTS.regular).fontSize(16).text(cover.subtitle, centered);
+  }
+
+  // Label / value pairs, labels right-aligned against a center gutter
+  const facts = [...cover.facts];
+  if (cover.preparedBy) facts.push(['Prepared by', cover.preparedBy]);
+  const gutter = MARGINS.left + width * 0.4;
+  let y = doc.y + 48;
+  doc.fontSize(BODY_SIZE);
+  facts.forEach(([label, value]) => {
+    doc.font(FONTS.bold).text(`${label}:`, MARGINS.left, y, { width: gutter - MARGINS.left - 8, align: 'right' });
+    doc.font(FONTS.regular).text(value, gutter, y, { width: MARGINS.left + width - gutter });
+    y = Math.max(doc.y, y + BODY_SIZE * 1.2) + 6;
+  });
+}
+
+function writeSignature(doc, report) {
+  const { signature, letterhead } = report;
+  if (!signature.name) return;
+  ensureSpace(doc, 200);
+  doc.moveDown(2).font(FONTS.regular).fontSize(BODY_SIZE).fillColor('black');
+  doc.text('Respectfully submitted,', MARGINS.left, doc.y);
+  doc.text(letterhead.name);
+  if (signature.image) {
+    const height = 48;
+    const width = signature.image.width * height / signature.image.height;
+    doc.moveDown(1);
+    doc.image(signature.image.data, MARGINS.left, doc.y, { width, height });
+    doc.y += height + 4;
+  } else {
+    doc.moveDown(3);
+    doc.text('_________________________________');
+  }
+  doc.font(FONTS.bold).text(signature.name);
+  doc.font(FONTS.regular);
+  if (signature.title) doc.text(signature.title);
+  if (signature.license) doc.text(`Professional Engineer, License No. ${signature.license}`);
+  [signature.email, signature.phone].filter(Boolean).forEach(value => doc.text(value));
+  doc.font(FONTS.italic);
+  (signature.stampLines || []).forEach(value => doc.text(value));
+  doc.font(FONTS.regular);
+}
+
+function writePhotoAppendix(doc, appendix, recordHeading) {
+  doc.addPage();
+  writeHeading(doc, appendix.title, 1, recordHeading(appendix.title, 1));
+  const width = contentWidth(doc);
+  appendix.photos.forEach(photo => {
+    const scale = Math.min(width / photo.width, PHOTO_MAX_HEIGHT / photo.height, 1);
+    const imageWidth = photo.width * scale;
+    const imageHeight = photo.height * scale;
+    ensureSpace(doc, imageHeight + 40);
+    const top = doc.y + 8;
+    doc.image(photo.data, MARGINS.left + (width - imageWidth) / 2, top, { width: imageWidth, height: imageHeight });
+    doc.font(FONTS.italic).fontSize(BODY_SIZE - 1).fillColor('black')
+      .text(photoLabel(photo), MARGINS.left, top + imageHeight + 6, { width, align: 'center' });
+    doc.moveDown(1);
+  });
+}
+
+function tocEntriesPerPage(doc) {
+  return Math.floor((doc.page.height - MARGINS.top - MARGINS.bottom - 40) / TOC_LINE_HEIGHT);
+}
+
+function writeToc(doc, entries, firstPage) {
+  const perPage = tocEntriesPerPage(doc);
+  const right = doc.page.width - MARGINS.right;
+  entries.forEach((entry, index) => {
+    const pageOffset = Math.floor(index / perPage);
+    const row = index % perPage;
+    if (row === 0) {
+      doc.switchToPage(firstPage + pageOffset);
+      if (pageOffset === 0) {
+        doc.font(FONTS.bold).fontSize(HEADING_SIZES[0]).fillColor(ACCENT_COLOR)
+          .text('Table of Contents', MARGINS.left, MARGINS.top);
+      }
+    }
+    const y = MARGINS.top + 40 + row * TOC_LINE_HEIGHT;
+    const x = MARGINS.left + (entry.level - 1) * 18;
+    const pageLabel = String(entry.page);
+    doc.font(entry.level === 1 ? FONTS.bold : FONTS.regular).fontSize(BODY_SIZE).fillColor('black');
+    const titleWidth = Math.min(doc.widthOfString(entry.title), right - x - 60);
+    doc.text(entry.title, x, y, { width: titleWidth, height: TOC_LINE_HEIGHT, ellipsis: true, lineBreak: false, goTo: entry.destination });
+    const numberWidth = doc.widthOfString(pageLabel);
+    doc.font(FONTS.regular);
+    const dotsStart = x + titleWidth + 6;
+    const dotsWidth = right - numberWidth - 6 - dotsStart;
+    const dots = '.'.repeat(Math.max(0, Math.floor(dotsWidth / doc.widthOfString('.'))));
+    doc.text(dots, dotsStart, y, { lineBreak: false });
+    doc.text(pageLabel, right - numberWidth, y, { lineBreak: false, goTo: entry.destination });
+  });
+}
+
+/**
+ * Letterhead at the top and "Page X of Y" at the bottom of every page
+ * but the cover.
+ */
+function writePageFurniture(doc, report) {
+  const range = doc.bufferedPageRange();
+  const { letterhead } = report;
+  for (let index = range.start + 1; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Draw inside the margins without PDFKit starting a new page
+    const savedMargins = doc.page.margins;
+    doc.page.margins = { ...savedMargins, top: 0, bottom: 0 };
+
+    let x = MARGINS.left;
+    if (letterhead.logo) {
+      doc.image(letterhead.logo.data, x, 36, { fit: [48, 32] });
+      x += 56;
+    }
+    doc.font(FONTS.bold).fontSize(11).fillColor(ACCENT_COLOR).text(letterhead.name, x, 38, { lineBreak: false });
+    doc.font(FONTS.regular).fontSize(8).fillColor('#444444');
+    letterhead.contactLines.forEach((line, lineIndex) => {
+      doc.text(line, x, 52 + lineIndex * 10, { lineBreak: false });
+    });
+    doc.moveTo(MARGINS.left, 84).lineTo(doc.page.width - MARGINS.right, 84).stroke(ACCENT_COLOR);
+
+    doc.font(FONTS.regular).fontSize(9).fillColor('#444444').text(
+      `${report.footerLabel}  |  Page ${index + 1} of ${range.count}`,
+      MARGINS.left,
+      doc.page.height - 48,
+      { width: contentWidth(doc), align: 'center', lineBreak: false }
+    );
+    doc.page.margins = savedMargins;
+  }
+}
+
+/**
+ * Render the report as a PDF Buffer.
+ */
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margins: MARGINS,
+      bufferPages: true,
+      autoFirstPage: false,
+      info: { Title: report.title, Author: report.letterhead.name }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.addPage();
+    writeCover(doc, report);
+
+    if (report.openingLetter) {
+      doc.addPage();
+      writeBlocks(doc, report.openingLetter);
+    }
+
+    // Reserve the table of contents pages; they're filled in at the end
+    doc.addPage();
+    const tocFirstPage = doc.bufferedPageRange().count - 1;
+    const tocPages = Math.max(1, Math.ceil(report.tocEntries.length / tocEntriesPerPage(doc)));
+    for (let page = 1; page < tocPages; page++) doc.addPage();
+
+    const tocEntries = [];
+    const recordHeading = (title, level) => {
+      const destination = `toc-${tocEntries.length + 1}`;
+      tocEntries.push({ title, level, destination, page: doc.bufferedPageRange().count });
+      return destination;
+    };
+
+    report.sections.forEach(section => {
+      doc.addPage();
+      const destination = recordHeading(section.title, 1);
+      writeHeading(doc, section.title, 1, destination);
+      writeBlocks(doc, section.blocks, recordHeading);
+    });
+    writeSignature(doc, report);
+    if (report.scopeAppendix) {
+      doc.addPage();
+      writeHeading(doc, report.scopeAppendix.title, 1, recordHeading(report.scopeAppendix.title, 1));
+      writeBlocks(doc, report.scopeAppendix.blocks, recordHeading);
+    }
+    if (report.photoAppendix) {
+      writePhotoAppendix(doc, report.photoAppendix, recordHeading);
+    }
+
+    writeToc(doc, tocEntries, tocFirstPage);
+    writePageFurniture(doc, report);
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,262 @@
+/************************************************
+ * netlify/lib/export/report.js
+ *
+ * The layout-neutral report the DOCX and PDF writers render: letterhead,
+ * cover page facts, opening letter, body sections as layout blocks, the
+ * table of contents entries, the signature block, the Repair Scope
+ * appendix and the Photographs appendix.
+ *
+ * Letterhead (environment):
+ *   FIRM_NAME, FIRM_ADDRESS, FIRM_PHONE, FIRM_EMAIL, FIRM_WEBSITE
+ *   FIRM_LOGO_PATH   PNG or JPEG shown on the cover page and letterhead
+ ************************************************/
+const fs = require('fs');
+const path = require('path');
+const { markdownToBlocks, runsText } = require('./markdown');
+const { readEstimate, formatScopeTable, ScopeError } = require('../scope');
+
+const REPORT_TITLE = 'Forensic Engineering Report';
+const PHOTO_APPENDIX_TITLE = 'Appendix: Photographs';
+const SCOPE_APPENDIX_TITLE = 'Appendix: Repair Scope';
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * "2014-03-28" -> "March 28, 2014"; anything else is returned as-is.
+ */
+function formatLongDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text(value));
+  if (!match) return text(value);
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function normalizeTitle(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Pixel size of a PNG or JPEG, so the logo keeps its aspect ratio.
+ */
+function imageSize(data, type) {
+  if (type === 'png') {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+  // JPEG: walk the segments to the start-of-frame marker
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    const marker = data[offset + 1];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function loadLetterhead() {
+  const logoPath = text(process.env.FIRM_LOGO_PATH);
+  let logo = null;
+  if (logoPath) {
+    try {
+      const data = fs.readFileSync(logoPath);
+      const type = path.extname(logoPath).toLowerCase() === '.png' ? 'png' : 'jpg';
+      const size = imageSize(data, type);
+      if (!size) throw new Error(`not a PNG or JPEG image: ${logoPath}`);
+      logo = { data, type, ...size };
+    } catch (error) {
+      console.error('Could not read FIRM_LOGO_PATH:', error.message);
+    }
+  }
+  return {
+    name: text(process.env.FIRM_NAME) || 'NSF Forensic Engineering',
+    contactLines: [
+      text(process.env.FIRM_ADDRESS),
+      [process.env.FIRM_PHONE, process.env.FIRM_EMAIL, process.env.FIRM_WEBSITE].map(text).filter(Boolean).join('  |  ')
+    ].filter(Boolean),
+    logo
+  };
+}
+
+/**
+ * Blocks for one section's markdown. A leading heading that repeats the
+ * section title is dropped, and headings inside the section start at
+ * level 2 so the section title is the only level 1.
+ */
+function sectionBlocks(section) {
+  const blocks = markdownToBlocks(section.content);
+  const first = blocks[0];
+  if (first?.type === 'heading' && normalizeTitle(runsText(first.runs)) === normalizeTitle(section.title)) {
+    blocks.shift();
+  }
+  return blocks.map(block => (block.type === 'heading' ? { ...block, depth: Math.max(2, block.depth) } : block));
+}
+
+function fileSlug(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+/**
+ * Appendix photos with their image type and pixel size. Photos that
+ * aren't a readable PNG or JPEG are left out (their numbers are kept,
+ * so "see Photo 12" in the text still points at the right photo).
+ */
+function appendixPhotos(photos) {
+  return (Array.isArray(photos) ? photos : [])
+    .map(photo => {
+      const type = photo.contentType === 'image/png' ? 'png' : 'jpg';
+      let size = null;
+      try {
+        size = imageSize(photo.data, type);
+      } catch (error) {
+        size = null;
+      }
+      if (!size) {
+        console.error(`Skipping unreadable photo ${photo.number} in the export`);
+        return null;
+      }
+      return {
+        number: photo.number,
+        caption: text(photo.caption),
+        tag: text(photo.tag),
+        data: photo.data,
+        type,
+        ...size
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * The line-item repair scope saved with the intake, as an appendix, or
+ * null when the case has none (or it can't be read).
+ */
+function scopeAppendix(context) {
+  const estimate = context.repairScope?.estimate;
+  if (!estimate) return null;
+  try {
+    const intro = 'Quantities include the waste factors noted. Prices are from the unit-price table'
+      + `${estimate.pricesUpdatedAt ? ` as of ${formatLongDate(estimate.pricesUpdatedAt.slice(0, 10))}` : ''}.`;
+    return {
+      title: SCOPE_APPENDIX_TITLE,
+      blocks: markdownToBlocks(`${intro}\n\n${formatScopeTable(readEstimate(estimate))}`)
+    };
+  } catch (error) {
+    if (!(error instanceof ScopeError)) throw error;
+    console.error(`Leaving the repair scope out of the export: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * "Photo 3 (North Slope): Hail impacts on ridge cap"
+ */
+function photoLabel(photo) {
+  return `Photo ${photo.number}${photo.tag ? ` (${photo.tag})` : ''}${photo.caption ? `: ${photo.caption}` : ''}`;
+}
+
+/**
+ * The signature block. An issued report is signed by the approving PE
+ * from their account (`stamp`, see netlify/lib/workflow.js), with their
+ * signature image and the approval and issue dates; otherwise the
+ * engineer named on the intake signs.
+ */
+function signatureBlock(context, stamp) {
+  if (!stamp) {
+    return {
+      name: text(context.engineerName),
+      license: text(context.engineerLicense),
+      email: text(context.engineerEmail),
+      phone: text(context.engineerPhone)
+    };
+  }
+  let image = null;
+  if (stamp.signature?.data) {
+    const data = Buffer.from(stamp.signature.data, 'base64');
+    const type = stamp.signature.contentType === 'image/png' ? 'png' : 'jpg';
+    try {
+      const size = imageSize(data, type);
+      if (size) image = { data, type, ...size };
+    } catch (error) {
+      image = null;
+    }
+    if (!image) console.error(`Could not read the signature image of ${stamp.name}`);
+  }
+  const license = stamp.license || {};
+  return {
+    name: text(stamp.name),
+    title: text(stamp.title),
+    license: [text(license.state), text(license.number)].filter(Boolean).join(' '),
+    email: text(stamp.email),
+    phone: text(stamp.phone),
+    image,
+    stampLines: [
+      `Approved ${formatLongDate(text(stamp.approvedAt).slice(0, 10))}`,
+      `Issued ${formatLongDate(text(stamp.issuedAt).slice(0, 10))}`
+    ]
+  };
+}
+
+/**
+ * Build the report from the accepted sections ([{ id, title, content }],
+ * in report order), the intake context and the numbered photos
+ * ([{ number, caption, tag, contentType, data: Buffer }]). The generated
+ * Table of Contents section is replaced by a real one with page references.
+ * `stamp` is the approving PE's seal for an issued report.
+ */
+function buildReport({ sections, context = {}, photos = [], stamp = null }) {
+  const usable = (Array.isArray(sections) ? sections : [])
+    .filter(section => section && text(section.title) && text(section.content));
+  const openingLetter = usable.find(section => section.id === 'openingLetter');
+  const body = usable
+    .filter(section => section.id !== 'openingLetter' && section.id !== 'tableOfContents')
+    .map((section, index) => ({
+      id: section.id || `section-${index + 1}`,
+      title: text(section.title),
+      blocks: sectionBlocks(section)
+    }));
+
+  const claimTypes = Array.isArray(context.claimType) ? context.claimType.filter(Boolean) : [];
+  const appendix = appendixPhotos(photos);
+  const scope = scopeAppendix(context);
+
+  return {
+    title: REPORT_TITLE,
+    letterhead: loadLetterhead(),
+    cover: {
+      subtitle: claimTypes.length > 0 ? `${claimTypes.join(' and ')} Damage Evaluation` : '',
+      facts: [
+        ['Project', text(context.projectName)],
+        ['Property Address', text(context.address)],
+        ['Property Owner', text(context.propertyOwnerName)],
+        ['Date of Loss', formatLongDate(context.dateOfLoss)],
+        ['Inspection Date', formatLongDate(context.investigationDate)],
+        ['Report Date', formatLongDate((stamp ? text(stamp.issuedAt) : new Date().toISOString()).slice(0, 10))]
+      ].filter(([, value]) => value),
+      preparedBy: stamp ? text(stamp.name) : text(context.engineerName)
+    },
+    openingLetter: openingLetter ? sectionBlocks(openingLetter) : null,
+    sections: body,
+    tocEntries: body.flatMap(section => [
+      { sectionId: section.id, level: 1, title: section.title },
+      ...section.blocks
+        .filter(block => block.type === 'heading' && block.depth === 2)
+        .map(block => ({ sectionId: section.id, level: 2, title: runsText(block.runs) }))
+    ])
+      .concat(scope ? [{ sectionId: 'repairScope', level: 1, title: SCOPE_APPENDIX_TITLE }] : [])
+      .concat(appendix.length > 0 ? [{ sectionId: 'photographs', level: 1, title: PHOTO_APPENDIX_TITLE }] : []),
+    scopeAppendix: scope,
+    photoAppendix: appendix.length > 0 ? { title: PHOTO_APPENDIX_TITLE, photos: appendix } : null,
+    signature: signatureBlock(context, stamp),
+    footerLabel: text(context.projectName) || text(context.address) || REPORT_TITLE,
+    fileName: fileSlug(context.projectName || context.address) || 'forensic-report'
+  };
+}
+
+module.exports = {
+  buildReport,
+  photoLabel,
+  formatLongDate
+};
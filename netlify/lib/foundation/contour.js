@@ -0,0 +1,289 @@
+/************************************************
+ * netlify/lib/foundation/contour.js
+ *
+ * Contour plot of a floor elevation survey, drawn as a PNG without any
+ * image library: elevations are interpolated linearly across a Delaunay
+ * triangulation of the readings, coloured in bands from blue (low) to
+ * red (high) with dark lines at each contour, and every reading marked.
+ * Areas outside the readings are left white. North is up. The plot has
+ * no text, so the caption carries the contour interval.
+ ************************************************/
+const zlib = require('zlib');
+
+const PLOT_WIDTH = 640;
+const MAX_PLOT_HEIGHT = 800;
+const MARGIN = 24;
+// Interpolate every few pixels; the bands are far wider than this
+const CELL = 2;
+const INTERVALS = [0.1, 0.2, 0.25, 0.5, 1, 2, 5];
+const MAX_BANDS = 12;
+
+// Colour ramp from low (blue) through green and yellow to high (red)
+const RAMP = [
+  [49, 54, 149],
+  [69, 117, 180],
+  [116, 173, 209],
+  [171, 217, 233],
+  [224, 243, 248],
+  [254, 224, 144],
+  [253, 174, 97],
+  [244, 109, 67],
+  [215, 48, 39]
+];
+
+function rampColour(fraction) {
+  const position = Math.min(Math.max(fraction, 0), 1) * (RAMP.length - 1);
+  const index = Math.min(Math.floor(position), RAMP.length - 2);
+  const t = position - index;
+  return RAMP[index].map((channel, i) => Math.round(channel + (RAMP[index + 1][i] - channel) * t));
+}
+
+/**
+ * The smallest standard contour interval giving at most MAX_BANDS bands.
+ */
+function contourInterval(range) {
+  return INTERVALS.find(interval => range / interval <= MAX_BANDS) || INTERVALS[INTERVALS.length - 1];
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode 8-bit RGB pixels (width * height * 3 bytes) as a PNG.
+ */
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Each row starts with filter type 0 (none)
+    pixels.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Delaunay triangulation of the readings (Bowyer-Watson), as triples of
+ * point indexes.
+ */
+function triangulate(points) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1) * 20;
+  // A super-triangle around every reading, removed at the end
+  const vertices = [
+    ...points,
+    { x: minX - size, y: minY - size },
+    { x: minX + size * 2, y: minY - size },
+    { x: minX - size, y: minY + size * 2 }
+  ];
+  const n = points.length;
+
+  const circumcircle = (a, b, c) => {
+    const [pa, pb, pc] = [vertices[a], vertices[b], vertices[c]];
+    const d = 2 * (pa.x * (pb.y - pc.y) + pb.x * (pc.y - pa.y) + pc.x * (pa.y - pb.y));
+    if (Math.abs(d) < 1e-12) return { x: 0, y: 0, r2: Infinity };
+    const sa = pa.x ** 2 + pa.y ** 2;
+    const sb = pb.x ** 2 + pb.y ** 2;
+    const sc = pc.x ** 2 + pc.y ** 2;
+    const x = (sa * (pb.y - pc.y) + sb * (pc.y - pa.y) + sc * (pa.y - pb.y)) / d;
+    const y = (sa * (pc.x - pb.x) + sb * (pa.x - pc.x) + sc * (pb.x - pa.x)) / d;
+    return { x, y, r2: (pa.x - x) ** 2 + (pa.y - y) ** 2 };
+  };
+
+  let triangles = [{ v: [n, n + 1, n + 2], ...circumcircle(n, n + 1, n + 2) }];
+  for (let i = 0; i < n; i++) {
+    const point = vertices[i];
+    const bad = [];
+    const kept = [];
+    triangles.forEach(triangle => {
+      const inside = (point.x - triangle.x) ** 2 + (point.y - triangle.y) ** 2 < triangle.r2 * (1 + 1e-9);
+      (inside ? bad : kept).push(triangle);
+    });
+    // The hole's boundary: edges belonging to only one removed triangle
+    const edges = new Map();
+    bad.forEach(({ v }) => {
+      [[v[0], v[1]], [v[1], v[2]], [v[2], v[0]]].forEach(([a, b]) => {
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        edges.set(key, edges.has(key) ? null : [a, b]);
+      });
+    });
+    edges.forEach(edge => {
+      if (edge) kept.push({ v: [edge[0], edge[1], i], ...circumcircle(edge[0], edge[1], i) });
+    });
+    triangles = kept;
+  }
+  return triangles.map(triangle => triangle.v).filter(v => v.every(index => index < n));
+}
+
+/**
+ * Elevation at (x, y) by linear interpolation within the triangle that
+ * contains it, or null outside the triangulated area.
+ */
+function interpolate(points, triangles, x, y) {
+  for (const [a, b, c] of triangles) {
+    const [pa, pb, pc] = [points[a], points[b], points[c]];
+    const det = (pb.y - pc.y) * (pa.x - pc.x) + (pc.x - pb.x) * (pa.y - pc.y);
+    if (Math.abs(det) < 1e-12) continue;
+    const wa = ((pb.y - pc.y) * (x - pc.x) + (pc.x - pb.x) * (y - pc.y)) / det;
+    const wb = ((pc.y - pa.y) * (x - pc.x) + (pa.x - pc.x) * (y - pc.y)) / det;
+    const wc = 1 - wa - wb;
+    if (wa >= -1e-9 && wb >= -1e-9 && wc >= -1e-9) {
+      return wa * pa.elevation + wb * pb.elevation + wc * pc.elevation;
+    }
+  }
+  return null;
+}
+
+/**
+ * Draw the contour plot for the survey readings ([{ x, y, elevation }],
+ * feet and inches). Returns { data: Buffer (PNG), contentType,
+ * width, height, intervalInches, caption }.
+ */
+function renderContourPlot(points) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(Math.max(...xs) - minX, 1);
+  const spanY = Math.max(Math.max(...ys) - minY, 1);
+
+  const scale = Math.min((PLOT_WIDTH - 2 * MARGIN) / spanX, (MAX_PLOT_HEIGHT - 2 * MARGIN) / spanY);
+  const width = Math.round(spanX * scale) + 2 * MARGIN;
+  const height = Math.round(spanY * scale) + 2 * MARGIN;
+  const toPixel = point => ({
+    px: Math.round(MARGIN + (point.x - minX) * scale),
+    py: Math.round(MARGIN + (minY + spanY - point.y) * scale)
+  });
+
+  const elevations = points.map(point => point.elevation);
+  const low = Math.min(...elevations);
+  const high = Math.max(...elevations);
+  const interval = contourInterval(high - low);
+  const bandBase = Math.floor(low / interval + 1e-9);
+  const bandCount = Math.max(Math.floor(high / interval + 1e-9) - bandBase + 1, 1);
+
+  // Contour band of each interpolation cell inside the surveyed area
+  const columns = Math.ceil((width - 2 * MARGIN + 1) / CELL);
+  const rows = Math.ceil((height - 2 * MARGIN + 1) / CELL);
+  const triangles = triangulate(points);
+  const OUTSIDE = -1;
+  const bands = new Int16Array(columns * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = minX + (column * CELL) / scale;
+      const y = minY + spanY - (row * CELL) / scale;
+      const elevation = interpolate(points, triangles, x, y);
+      bands[row * columns + column] = elevation === null
+        ? OUTSIDE
+        : Math.min(Math.floor(elevation / interval + 1e-9) - bandBase, bandCount - 1);
+    }
+  }
+
+  const pixels = Buffer.alloc(width * height * 3, 255);
+  const setPixel = (px, py, colour) => {
+    if (px < 0 || py < 0 || px >= width || py >= height) return;
+    const offset = (py * width + px) * 3;
+    pixels[offset] = colour[0];
+    pixels[offset + 1] = colour[1];
+    pixels[offset + 2] = colour[2];
+  };
+
+  const line = [60, 60, 60];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const band = bands[row * columns + column];
+      if (band === OUTSIDE) continue;
+      const differs = neighbour => neighbour !== OUTSIDE && neighbour !== band;
+      const edge = (column + 1 < columns && differs(bands[row * columns + column + 1])) ||
+        (row + 1 < rows && differs(bands[(row + 1) * columns + column]));
+      const colour = edge ? line : rampColour(bandCount > 1 ? band / (bandCount - 1) : 0.5);
+      for (let dy = 0; dy < CELL; dy++) {
+        for (let dx = 0; dx < CELL; dx++) {
+          const px = MARGIN + column * CELL + dx;
+          const py = MARGIN + row * CELL + dy;
+          if (px <= width - MARGIN && py <= height - MARGIN) setPixel(px, py, colour);
+        }
+      }
+    }
+  }
+
+  // Frame around the plot
+  const frame = [0, 0, 0];
+  for (let px = MARGIN - 1; px <= width - MARGIN + 1; px++) {
+    setPixel(px, MARGIN - 1, frame);
+    setPixel(px, height - MARGIN + 1, frame);
+  }
+  for (let py = MARGIN - 1; py <= height - MARGIN + 1; py++) {
+    setPixel(MARGIN - 1, py, frame);
+    setPixel(width - MARGIN + 1, py, frame);
+  }
+
+  // Readings: black squares; the highest and lowest are white triangles
+  // pointing up and down
+  const highPoint = points.find(point => point.elevation === high);
+  const lowPoint = points.find(point => point.elevation === low);
+  points.forEach(point => {
+    const { px, py } = toPixel(point);
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setPixel(px + dx, py + dy, frame);
+    }
+  });
+  [[highPoint, 1], [lowPoint, -1]].forEach(([point, pointing]) => {
+    const { px, py } = toPixel(point);
+    const size = 9;
+    for (let step = 0; step <= 2 * size; step++) {
+      // Rows from the tip of the triangle to its base; the tip is above
+      // the reading when pointing up
+      const halfWidth = Math.round(step / 2);
+      const y = py + pointing * (step - size);
+      for (let dx = -halfWidth; dx <= halfWidth; dx++) {
+        const border = step === 2 * size || Math.abs(dx) >= halfWidth - 1;
+        setPixel(px + dx, y, border ? frame : [255, 255, 255]);
+      }
+    }
+  });
+
+  return {
+    data: encodePng(width, height, pixels),
+    contentType: 'image/png',
+    width,
+    height,
+    intervalInches: interval,
+    caption: `Floor elevation contours at ${interval} in intervals (north is up). Red areas are highest and blue ` +
+      'lowest; black squares mark the readings, with triangles pointing up at the highest reading and down at the lowest.'
+  };
+}
+
+module.exports = {
+  renderContourPlot,
+  encodePng
+};
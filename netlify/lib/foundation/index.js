@@ -0,0 +1,344 @@
+/************************************************
+ * netlify/lib/foundation/index.js
+ *
+ * Floor elevation survey analysis for foundation claims. Readings are
+ * relative floor elevations in inches (e.g. from a survey level), taken
+ * on a grid or at measured points; plan positions are in feet with +y
+ * to the north.
+ *
+ * The analysis reports the overall differential, the tilt of the
+ * best-fit plane and the worst deflection ratio along any straight line
+ * of readings, each checked against the Texas Section ASCE "Guidelines
+ * for the Evaluation and Repair of Residential Foundations" criteria.
+ ************************************************/
+const MAX_POINTS = 400;
+// Spans shorter than this are too sensitive to reading error to judge deflection
+const MIN_DEFLECTION_SPAN_FEET = 10;
+
+const DIRECTIONS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+const TOLERANCES = {
+  tilt: {
+    limit: 0.01,
+    label: '1%',
+    source: 'Texas Section ASCE Guidelines for the Evaluation and Repair of Residential Foundations'
+  },
+  deflection: {
+    limit: 1 / 360,
+    label: 'L/360',
+    source: 'Texas Section ASCE Guidelines for the Evaluation and Repair of Residential Foundations'
+  }
+};
+
+/**
+ * The survey readings can't be analyzed; the message says what to fix.
+ */
+class FoundationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FoundationError';
+  }
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value.trim().replace(/^\+/, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// Grid rows are lettered (A is the north edge), columns numbered from the west
+function gridLabel(row, column) {
+  let letters = '';
+  for (let n = row + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${column + 1}`;
+}
+
+/**
+ * Parse a point list exported from a survey level: one reading per line
+ * with x (ft), y (ft) and elevation (in), optionally with a point label.
+ * A header row naming the columns (x, y, elevation/elev/z/reading,
+ * label/point/name/id) is used when present; otherwise the columns are
+ * x, y, elevation, or label, x, y, elevation when the first is not a number.
+ */
+function parseElevationCsv(text) {
+  const rows = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.split(/[,\t;]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')))
+    .filter(cells => cells.some(cell => cell !== ''));
+  if (rows.length === 0) {
+    throw new FoundationError('The point list has no readings.');
+  }
+
+  let columns = null;
+  let firstLine = 1;
+  const header = rows[0].map(cell => cell.toLowerCase());
+  const find = names => header.findIndex(cell => names.some(name => cell === name || cell.startsWith(`${name} `) || cell.startsWith(`${name}(`)));
+  if (header.every(cell => parseNumber(cell) === null)) {
+    columns = {
+      label: find(['label', 'point', 'name', 'id', 'station']),
+      x: find(['x', 'easting', 'east']),
+      y: find(['y', 'northing', 'north']),
+      elevation: find(['elevation', 'elev', 'z', 'reading', 'height'])
+    };
+    if (columns.x < 0 || columns.y < 0 || columns.elevation < 0) {
+      throw new FoundationError('The CSV header must name the x, y and elevation columns.');
+    }
+    rows.shift();
+    firstLine = 2;
+  } else {
+    columns = parseNumber(rows[0][0]) === null
+      ? { label: 0, x: 1, y: 2, elevation: 3 }
+      : { label: 3, x: 0, y: 1, elevation: 2 };
+  }
+
+  return rows.map((cells, index) => {
+    const point = {
+      label: columns.label >= 0 && cells[columns.label] ? cells[columns.label] : `P${index + 1}`,
+      x: parseNumber(cells[columns.x]),
+      y: parseNumber(cells[columns.y]),
+      elevation: parseNumber(cells[columns.elevation])
+    };
+    if (point.x === null || point.y === null || point.elevation === null) {
+      throw new FoundationError(`CSV line ${index + firstLine} ("${cells.join(', ')}") needs numeric x, y and elevation values.`);
+    }
+    return point;
+  });
+}
+
+/**
+ * The readings of a saved survey as [{ label, x, y, elevation }].
+ *   { mode: 'grid', spacingFeet, grid: [[reading or '', ...], ...] }
+ *   { mode: 'points', points: [{ label, x, y, elevation }] }
+ *   { mode: 'points', csv }   a point list as typed or imported (see parseElevationCsv)
+ * Blank grid cells are skipped.
+ */
+function surveyPoints(survey) {
+  if (!survey || typeof survey !== 'object') {
+    throw new FoundationError('Enter the floor elevation readings first.');
+  }
+
+  let points;
+  if (survey.mode === 'grid') {
+    const spacing = parseNumber(survey.spacingFeet);
+    if (spacing === null || spacing <= 0) {
+      throw new FoundationError('The grid spacing must be a positive number of feet.');
+    }
+    const grid = Array.isArray(survey.grid) ? survey.grid : [];
+    points = [];
+    grid.forEach((row, r) => {
+      (Array.isArray(row) ? row : []).forEach((cell, c) => {
+        if (cell === '' || cell === null || cell === undefined) return;
+        const elevation = parseNumber(cell);
+        if (elevation === null) {
+          throw new FoundationError(`Grid reading ${gridLabel(r, c)} ("${cell}") is not a number.`);
+        }
+        points.push({ label: gridLabel(r, c), x: c * spacing, y: (grid.length - 1 - r) * spacing, elevation });
+      });
+    });
+  } else if (survey.mode === 'points' && typeof survey.csv === 'string') {
+    points = parseElevationCsv(survey.csv);
+  } else if (survey.mode === 'points') {
+    points = (Array.isArray(survey.points) ? survey.points : []).map((point, index) => {
+      const clean = {
+        label: typeof point?.label === 'string' && point.label.trim() ? point.label.trim() : `P${index + 1}`,
+        x: parseNumber(point?.x),
+        y: parseNumber(point?.y),
+        elevation: parseNumber(point?.elevation)
+      };
+      if (clean.x === null || clean.y === null || clean.elevation === null) {
+        throw new FoundationError(`Point ${clean.label} needs numeric x, y and elevation values.`);
+      }
+      return clean;
+    });
+  } else {
+    throw new FoundationError('The survey mode must be "grid" or "points".');
+  }
+
+  if (points.length < 3) {
+    throw new FoundationError('At least three elevation readings are needed.');
+  }
+  if (points.length > MAX_POINTS) {
+    throw new FoundationError(`A survey can have at most ${MAX_POINTS} readings.`);
+  }
+  return points;
+}
+
+// Bearing in degrees clockwise from north, as one of eight directions
+function directionName(bearing) {
+  return DIRECTIONS[Math.round(bearing / 45) % 8];
+}
+
+function distanceFeet(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Least-squares plane z = a + b x + c y through the readings.
+ */
+function fitPlane(points) {
+  const n = points.length;
+  const mean = key => points.reduce((sum, point) => sum + point[key], 0) / n;
+  const mx = mean('x');
+  const my = mean('y');
+  const mz = mean('elevation');
+  let sxx = 0; let syy = 0; let sxy = 0; let sxz = 0; let syz = 0;
+  points.forEach(point => {
+    const dx = point.x - mx;
+    const dy = point.y - my;
+    const dz = point.elevation - mz;
+    sxx += dx * dx; syy += dy * dy; sxy += dx * dy;
+    sxz += dx * dz; syz += dy * dz;
+  });
+  const det = sxx * syy - sxy * sxy;
+  if (Math.abs(det) < 1e-9 * Math.max(1, sxx * syy)) {
+    throw new FoundationError('The readings all lie on one line; take readings across the whole floor.');
+  }
+  const b = (sxz * syy - syz * sxy) / det;
+  const c = (syz * sxx - sxz * sxy) / det;
+  return { a: mz - b * mx - c * my, b, c };
+}
+
+/**
+ * Worst deflection along a straight line of readings: for every pair of
+ * readings at least MIN_DEFLECTION_SPAN_FEET apart, how far the readings
+ * lying between them (within a tenth of the span, and no more than 1 ft,
+ * of the line) depart from the straight line joining their elevations.
+ */
+function worstDeflection(points) {
+  let worst = null;
+  for (let i = 0; i < points.length; i++) {
+    for (let k = i + 1; k < points.length; k++) {
+      const start = points[i];
+      const end = points[k];
+      const span = distanceFeet(start, end);
+      if (span < MIN_DEFLECTION_SPAN_FEET) continue;
+      const ux = (end.x - start.x) / span;
+      const uy = (end.y - start.y) / span;
+      const offLine = Math.min(1, span / 10);
+
+      points.forEach((point, j) => {
+        if (j === i || j === k) return;
+        const along = (point.x - start.x) * ux + (point.y - start.y) * uy;
+        const across = Math.abs((point.x - start.x) * uy - (point.y - start.y) * ux);
+        if (along <= 0 || along >= span || across > offLine) return;
+        const chord = start.elevation + (end.elevation - start.elevation) * (along / span);
+        // Readings on the chord come out a rounding error off it
+        const delta = Math.abs(point.elevation - chord) < 1e-9 ? 0 : point.elevation - chord;
+        const ratio = Math.abs(delta) / (span * 12);
+        if (!worst || ratio > worst.ratio) {
+          worst = { ratio, spanFeet: span, deltaInches: delta, from: start.label, to: end.label, at: point.label };
+        }
+      });
+    }
+  }
+  return worst;
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function check(name, ratio) {
+  const tolerance = TOLERANCES[name];
+  return {
+    limit: tolerance.label,
+    source: tolerance.source,
+    exceeds: ratio > tolerance.limit
+  };
+}
+
+/**
+ * Analyze a saved survey. Throws a FoundationError if the readings can't
+ * be used.
+ */
+function analyzeSurvey(survey) {
+  const points = surveyPoints(survey);
+  const high = points.reduce((best, point) => (point.elevation > best.elevation ? point : best));
+  const low = points.reduce((best, point) => (point.elevation < best.elevation ? point : best));
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+
+  const plane = fitPlane(points);
+  // Slope of the plane in inches per foot; ratio is inches per inch
+  const slope = Math.hypot(plane.b, plane.c);
+  const tiltRatio = slope / 12;
+  // The floor falls opposite its gradient; bearings are clockwise from north (+y)
+  const downBearing = (Math.atan2(-plane.b, -plane.c) * 180 / Math.PI + 360) % 360;
+
+  const deflection = worstDeflection(points);
+
+  return {
+    mode: survey.mode,
+    spacingFeet: survey.mode === 'grid' ? parseNumber(survey.spacingFeet) : null,
+    pointCount: points.length,
+    extentFeet: { x: roundTo(Math.max(...xs) - Math.min(...xs), 1), y: roundTo(Math.max(...ys) - Math.min(...ys), 1) },
+    high: { label: high.label, elevation: high.elevation },
+    low: { label: low.label, elevation: low.elevation },
+    differentialInches: roundTo(high.elevation - low.elevation, 2),
+    differentialSpanFeet: roundTo(distanceFeet(high, low), 1),
+    tilt: {
+      percent: roundTo(tiltRatio * 100, 2),
+      oneIn: tiltRatio > 0 ? Math.round(1 / tiltRatio) : null,
+      inchesPerFoot: roundTo(slope, 3),
+      downToward: slope > 0 ? directionName(downBearing) : null,
+      ...check('tilt', tiltRatio)
+    },
+    deflection: deflection ? {
+      ratio: deflection.ratio,
+      lOver: deflection.ratio > 0 ? Math.round(1 / deflection.ratio) : null,
+      deltaInches: roundTo(deflection.deltaInches, 2),
+      spanFeet: roundTo(deflection.spanFeet, 1),
+      shape: deflection.deltaInches > 0 ? 'dome' : 'dish',
+      from: deflection.from,
+      to: deflection.to,
+      at: deflection.at,
+      ...check('deflection', deflection.ratio)
+    } : null,
+    points
+  };
+}
+
+function formatInches(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)} in`;
+}
+
+/**
+ * The analysis as prompt lines for the foundation section.
+ */
+function formatFoundationForPrompt(analysis) {
+  if (!analysis) return '';
+  const layout = analysis.mode === 'grid'
+    ? `a grid at ${analysis.spacingFeet} ft spacing`
+    : 'measured points';
+  const lines = [
+    `Floor elevation survey: ${analysis.pointCount} readings on ${layout}, covering ${analysis.extentFeet.x} ft (west-east) by ${analysis.extentFeet.y} ft (south-north)`,
+    `Highest reading: ${formatInches(analysis.high.elevation)} at ${analysis.high.label}; lowest: ${formatInches(analysis.low.elevation)} at ${analysis.low.label}`,
+    `Overall differential: ${analysis.differentialInches.toFixed(2)} in over ${analysis.differentialSpanFeet} ft`
+  ];
+
+  const { tilt, deflection } = analysis;
+  lines.push(tilt.oneIn
+    ? `Overall tilt (best-fit plane): ${tilt.percent}% (1 in ${tilt.oneIn}), falling toward the ${tilt.downToward}; ${tilt.exceeds ? 'exceeds' : 'within'} the ${tilt.limit} tilt criterion (${tilt.source})`
+    : 'Overall tilt (best-fit plane): none measurable');
+  if (!deflection) {
+    lines.push(`Maximum deflection: not assessed (no straight line of three or more readings spanning at least ${MIN_DEFLECTION_SPAN_FEET} ft)`);
+  } else if (!deflection.lOver) {
+    lines.push('Maximum deflection: none measurable');
+  } else {
+    lines.push(`Maximum deflection: L/${deflection.lOver} (${Math.abs(deflection.deltaInches).toFixed(2)} in ${deflection.shape === 'dome' ? 'high' : 'low'} at ${deflection.at} over the ${deflection.spanFeet} ft span from ${deflection.from} to ${deflection.to}, a ${deflection.shape} shape); ${deflection.exceeds ? 'exceeds' : 'within'} the ${deflection.limit} deflection criterion (${deflection.source})`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  FoundationError,
+  TOLERANCES,
+  parseElevationCsv,
+  surveyPoints,
+  analyzeSurvey,
+  formatFoundationForPrompt
+};
@@ -0,0 +1,155 @@
+/************************************************
+ * netlify/lib/geocode/index.js
+ *
+ * Turns the property address into a confirmed location: coordinates,
+ * county and the nearest weather stations. Bad or ambiguous addresses
+ * throw a GeocodeError with a message the engineer can act on, rather
+ * than letting the weather search guess.
+ *
+ * Configuration (environment):
+ *   GEOCODER             census (default) or local
+ *   GEOCODER_LOCAL_FILE  gazetteer for the local geocoder;
+ *                        default fixtures/geocode/addresses.json
+ ************************************************/
+const { nearbyStations } = require('../weather');
+const { parseCoordinate } = require('../weather/geo');
+
+const PROVIDERS = {
+  census: require('./providers/census'),
+  local: require('./providers/local')
+};
+
+/**
+ * The address couldn't be resolved to exactly one place.
+ * `candidates` lists the matched addresses when it was ambiguous.
+ */
+class GeocodeError extends Error {
+  constructor(message, candidates = []) {
+    super(message);
+    this.name = 'GeocodeError';
+    this.candidates = candidates;
+  }
+}
+
+function geocoderProvider() {
+  const id = (process.env.GEOCODER || 'census').trim().toLowerCase();
+  const provider = PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unknown GEOCODER "${id}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+/**
+ * The single geocoder match for an address. Throws a GeocodeError if
+ * there is no match or more than one.
+ */
+async function geocodeAddress(address) {
+  const query = String(address || '').trim();
+  if (!query) {
+    throw new GeocodeError('Enter the property address to look up its location.');
+  }
+
+  const provider = geocoderProvider();
+  const matches = [];
+  (await provider.geocode(query)).forEach(match => {
+    const usable = parseCoordinate(match.lat) !== null && parseCoordinate(match.lon) !== null;
+    if (usable && !matches.some(existing => existing.matchedAddress === match.matchedAddress)) {
+      matches.push(match);
+    }
+  });
+
+  if (matches.length === 0) {
+    throw new GeocodeError(
+      `No match found for "${query}". Check the street number, street name, city and state.`
+    );
+  }
+  if (matches.length > 1) {
+    throw new GeocodeError(
+      `"${query}" matches ${matches.length} places. Add the city, state or ZIP code to pick one.`,
+      matches.map(match => match.matchedAddress)
+    );
+  }
+  return { ...matches[0], geocoder: provider.name };
+}
+
+/**
+ * Geocode the property and find its nearest weather stations.
+ * The result doubles as the `location` the weather search uses.
+ */
+async function locateProperty(address, options = {}) {
+  const match = await geocodeAddress(address);
+  const location = {
+    address: String(address).trim(),
+    matchedAddress: match.matchedAddress,
+    name: match.matchedAddress,
+    lat: Number(match.lat),
+    lon: Number(match.lon),
+    city: match.city || '',
+    county: match.county || '',
+    region: match.state || '',
+    zip: match.zip || '',
+    timezone: match.timezone || '',
+    geocoder: match.geocoder,
+    stations: [],
+    stationNote: ''
+  };
+
+  try {
+    location.stations = await nearbyStations(location, options);
+    if (location.stations.length === 0) {
+      location.stationNote = 'No ASOS weather stations found near the property.';
+    }
+  } catch (error) {
+    console.error('Weather station lookup failed:', error.message);
+    location.stationNote = `Weather station lookup failed: ${error.message}`;
+  }
+  return location;
+}
+
+/**
+ * A location sent back by the client after the engineer confirmed it,
+ * or null if it's missing, unconfirmed, has no usable coordinates or
+ * was resolved for a different `address`.
+ */
+function confirmedLocation(value, address) {
+  if (!value || typeof value !== 'object' || !value.confirmed) return null;
+  if (address !== undefined && String(value.address || '').trim() !== String(address || '').trim()) return null;
+  const lat = parseCoordinate(value.lat);
+  const lon = parseCoordinate(value.lon);
+  if (lat === null || lon === null) return null;
+  return {
+    ...value,
+    lat,
+    lon,
+    stations: Array.isArray(value.stations) ? value.stations : []
+  };
+}
+
+/**
+ * Plain-text location facts for the prompts.
+ */
+function formatLocationForPrompt(location) {
+  if (!location) return '';
+  const lines = [
+    `- Geocoded Address: ${location.matchedAddress || location.name}`,
+    location.county ? `- County: ${location.county}${location.region ? `, ${location.region}` : ''}` : '',
+    `- Coordinates: ${Number(location.lat).toFixed(4)}, ${Number(location.lon).toFixed(4)}`
+  ];
+  if (location.stations.length > 0) {
+    const [nearest, ...others] = location.stations;
+    lines.push(`- Nearest Weather Station: ${nearest.id} (${nearest.name}), ${nearest.distanceMiles} mi ${nearest.direction} of the property`);
+    if (others.length > 0) {
+      lines.push(`- Other Nearby Stations: ${others.map(station => `${station.id} (${station.name}) ${station.distanceMiles} mi ${station.direction}`).join('; ')}`);
+    }
+  }
+  return lines.filter(Boolean).join('\n');
+}
+
+module.exports = {
+  GeocodeError,
+  geocodeAddress,
+  locateProperty,
+  confirmedLocation,
+  formatLocationForPrompt
+};
@@ -0,0 +1,47 @@
+/************************************************
+ * netlify/lib/geocode/providers/census.js
+ *
+ * US Census Bureau geocoder (one-line address, with county geography).
+ * Free and keyless, but only matches US street addresses.
+ ************************************************/
+const axios = require('axios');
+
+const name = 'US Census Bureau Geocoder';
+const CENSUS_URL = 'https://geocoding.geo.census.gov/geocoder/geographies/onelineaddress';
+const HTTP_TIMEOUT_MS = 15000;
+
+/**
+ * All address matches for a one-line address, as geocoder matches
+ * ({ matchedAddress, lat, lon, city, county, state, zip }).
+ */
+async function geocode(address) {
+  const response = await axios.get(CENSUS_URL, {
+    params: {
+      address,
+      benchmark: 'Public_AR_Current',
+      vintage: 'Current_Current',
+      layers: 'Counties',
+      format: 'json'
+    },
+    timeout: HTTP_TIMEOUT_MS
+  });
+
+  return (response.data?.result?.addressMatches || []).map(match => {
+    const components = match.addressComponents || {};
+    const county = match.geographies?.Counties?.[0];
+    return {
+      matchedAddress: match.matchedAddress,
+      lat: match.coordinates?.y,
+      lon: match.coordinates?.x,
+      city: components.city || '',
+      county: county?.NAME || '',
+      state: components.state || '',
+      zip: components.zip || ''
+    };
+  });
+}
+
+module.exports = {
+  name,
+  geocode
+};
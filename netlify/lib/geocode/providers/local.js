@@ -0,0 +1,48 @@
+/************************************************
+ * netlify/lib/geocode/providers/local.js
+ *
+ * Offline stand-in geocoder for tests and local development: looks the
+ * address up in a JSON gazetteer (GEOCODER_LOCAL_FILE, defaulting to
+ * fixtures/geocode/addresses.json). Each entry is a geocoder match plus
+ * the `address` it answers to.
+ ************************************************/
+const fs = require('fs/promises');
+const path = require('path');
+
+const name = 'Local gazetteer';
+
+// Common street-address abbreviations, so "Road" and "Rd" match
+const ABBREVIATIONS = {
+  street: 'st', road: 'rd', avenue: 'ave', drive: 'dr', lane: 'ln', boulevard: 'blvd',
+  court: 'ct', highway: 'hwy', north: 'n', south: 's', east: 'e', west: 'w', texas: 'tx'
+};
+
+function addressTokens(address) {
+  return String(address || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token);
+}
+
+/**
+ * Every gazetteer entry whose address contains all the words of the query.
+ */
+async function geocode(address) {
+  const file = process.env.GEOCODER_LOCAL_FILE || path.join(process.cwd(), 'fixtures', 'geocode', 'addresses.json');
+  const entries = JSON.parse(await fs.readFile(file, 'utf8'));
+  const queryTokens = addressTokens(address);
+
+  return entries
+    .filter(entry => {
+      const entryTokens = new Set(addressTokens(entry.address));
+      return queryTokens.every(token => entryTokens.has(token));
+    })
+    .map(({ address: _address, ...match }) => match);
+}
+
+module.exports = {
+  name,
+  geocode
+};
@@ -0,0 +1,91 @@
+/************************************************
+ * netlify/lib/http.js
+ *
+ * Request and response plumbing shared by the functions: CORS headers,
+ * the preflight answer, JSON responses and JSON request bodies.
+ *
+ * Since the session token travels with every request (see accounts.js),
+ * browsers may only call the functions from the site itself (Netlify's
+ * URL and DEPLOY_PRIME_URL) and from the origins in ALLOWED_ORIGINS.
+ *
+ * Configuration (environment):
+ *   ALLOWED_ORIGINS      other origins allowed to call the functions,
+ *                        comma-separated (e.g. "https://intranet.example.com")
+ ************************************************/
+
+/**
+ * Error with an HTTP status, for bad requests and missing records.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The request's JSON body; an empty body is {}. Anything but a JSON
+ * object throws a 400 HttpError.
+ */
+function parseBody(event) {
+  try {
+    const body = event.body ? JSON.parse(event.body) : {};
+    if (!isPlainObject(body)) throw new Error('not an object');
+    return body;
+  } catch (error) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+}
+
+function allowedOrigins() {
+  return [process.env.URL, process.env.DEPLOY_PRIME_URL, ...(process.env.ALLOWED_ORIGINS || '').split(',')]
+    .map(origin => (origin || '').trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * The CORS headers for a function's responses, allowing `methods`
+ * ("GET, POST, OPTIONS"). A request from an allowed origin has it
+ * echoed back; any other origin gets no Access-Control-Allow-Origin,
+ * so its browser won't let it read the response.
+ */
+function corsHeaders(event, methods) {
+  const headers = event.headers || {};
+  const origin = headers.origin || headers.Origin || '';
+  return {
+    ...(origin && allowedOrigins().includes(origin) ? { 'Access-Control-Allow-Origin': origin } : {}),
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': methods,
+    Vary: 'Origin'
+  };
+}
+
+/**
+ * What a function needs to answer `event`: its CORS `headers`, a
+ * `respond(statusCode, data)` that sends data as JSON, and `preflight`,
+ * the answer to an OPTIONS request (null for any other method).
+ */
+function responder(event, methods) {
+  const headers = corsHeaders(event, methods);
+  return {
+    headers,
+    respond: (statusCode, data) => ({
+      statusCode,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    }),
+    preflight: event.httpMethod === 'OPTIONS' ? { statusCode: 200, headers, body: '' } : null
+  };
+}
+
+module.exports = {
+  HttpError,
+  isPlainObject,
+  parseBody,
+  corsHeaders,
+  responder
+};
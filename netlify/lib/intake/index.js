@@ -0,0 +1,255 @@
+/************************************************
+ * netlify/lib/intake/index.js
+ *
+ * Reading and checking intake inputs against the schema in ./schema.js.
+ *
+ * Inputs carry the `schemaVersion` they were saved with; inputs and
+ * files from before versioning count as version 1. migrateIntake()
+ * brings them up to date one version at a time, and validateIntake()
+ * lists what's wrong with them as [{ field, message }].
+ ************************************************/
+const { SCHEMA_VERSION, ROOF_SYSTEMS, BUILDING_FIELDS, FIELDS } = require('./schema');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// How older inputs wrote counts like "How many times has the roof been replaced?"
+const COUNT_WORDS = { none: 0, never: 0, zero: 0, once: 1, one: 1, twice: 2, two: 2, thrice: 3, three: 3 };
+
+/**
+ * Inputs that can't be read at all (not an object, or saved by a newer
+ * version of the form).
+ */
+class IntakeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IntakeError';
+  }
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * A number typed as text: "48,000" is 48000, "40 years" is 40 and
+ * "Twice" is 2. Anything else is returned unchanged for validation to
+ * report.
+ */
+function readNumber(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim().replace(/,/g, '');
+  if (text === '') return null;
+  const leading = text.match(/^-?\d+(\.\d+)?/);
+  if (leading) return Number(leading[0]);
+  const word = COUNT_WORDS[text.toLowerCase().split(/\s+/)[0]];
+  return word === undefined ? value : word;
+}
+
+/**
+ * Steps from each schema version to the next, keyed by the version they
+ * start from. Each takes a copy of the inputs and returns it updated,
+ * adding to `warnings` anything the engineer should check.
+ */
+const MIGRATIONS = {
+  // Version 1 had a second date of loss ("dol") and kept numbers as typed
+  1: (inputs, warnings) => {
+    if (isEmpty(inputs.dateOfLoss)) {
+      if (!isEmpty(inputs.dol)) inputs.dateOfLoss = inputs.dol;
+    } else if (!isEmpty(inputs.dol) && String(inputs.dol).trim() !== String(inputs.dateOfLoss).trim()) {
+      // Two different dates: keep the second one where the engineer will see it
+      const note = `Second date of loss from an older input file: ${inputs.dol}`;
+      inputs.engineerNotes = isEmpty(inputs.engineerNotes) ? note : `${inputs.engineerNotes}\n\n${note}`;
+      warnings.push(`The file had a second date of loss (${inputs.dol}) besides ${inputs.dateOfLoss}; it was moved to the engineer notes`);
+    }
+    delete inputs.dol;
+    FIELDS.forEach(field => {
+      const value = inputs[field.key];
+      if (field.type === 'number') {
+        inputs[field.key] = readNumber(value);
+      } else if (field.type === 'select' && field.options && typeof value === 'string') {
+        inputs[field.key] = field.options.find(option => option.toLowerCase() === value.trim().toLowerCase()) ?? value;
+      }
+    });
+    return inputs;
+  }
+};
+
+/**
+ * Bring saved inputs (a parsed input file, or a case's inputs) up to the
+ * current schema version. Returns { inputs, migratedFrom, warnings },
+ * where `migratedFrom` is the version they were saved with, or null if
+ * they were already current, and `warnings` lists values the update
+ * had to move. Fields the schema doesn't know are kept.
+ */
+function migrateIntake(saved) {
+  if (saved === null || typeof saved !== 'object' || Array.isArray(saved)) {
+    throw new IntakeError('Saved inputs must be a JSON object');
+  }
+  const version = saved.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new IntakeError(`"schemaVersion" must be a whole number from 1 to ${SCHEMA_VERSION}`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new IntakeError(`These inputs were saved by a newer version of the form (schema ${version}); reload the page and try again`);
+  }
+
+  let inputs = JSON.parse(JSON.stringify(saved));
+  const warnings = [];
+  for (let from = version; from < SCHEMA_VERSION; from++) {
+    inputs = MIGRATIONS[from](inputs, warnings);
+  }
+  inputs.schemaVersion = SCHEMA_VERSION;
+  return { inputs, migratedFrom: version < SCHEMA_VERSION ? version : null, warnings };
+}
+
+// A real calendar date: "2014-02-30" isn't one
+function isDate(value) {
+  if (!DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * What's wrong with one field's value, or null. `value` isn't empty.
+ */
+function checkValue(field, value) {
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${field.label} must be a number`;
+      if (field.integer && !Number.isInteger(value)) return `${field.label} must be a whole number`;
+      if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        return `${field.label} must be between ${field.min} and ${field.max}`;
+      }
+      return null;
+    case 'checkbox':
+      return typeof value === 'boolean' ? null : `${field.label} must be true or false`;
+    case 'choices': {
+      const allowed = field.options.map(option => option.value);
+      return Array.isArray(value) && value.every(choice => allowed.includes(choice))
+        ? null
+        : `${field.label} must be a list of: ${allowed.join(', ')}`;
+    }
+    case 'data':
+      if (field.list) return Array.isArray(value) ? null : `${field.label} must be a list`;
+      return typeof value === 'object' && !Array.isArray(value) ? null : `${field.label} must be an object`;
+    default:
+      break;
+  }
+
+  if (typeof value !== 'string') return `${field.label} must be text`;
+  if (field.type === 'email' && !EMAIL.test(value.trim())) return `${field.label} must be an email address`;
+  if (field.type === 'date' && !isDate(value)) {
+    return `${field.label} must be a date (YYYY-MM-DD)`;
+  }
+  if (field.type === 'select' && field.options && !field.options.includes(value)) {
+    return `${field.label} must be one of: ${field.options.join(', ')}`;
+  }
+  return null;
+}
+
+function isBlank(value) {
+  return isEmpty(value) || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * What's wrong with the records in a list field with `items` (e.g. the
+ * buildings), as messages naming the record: "Building 2: Name or ID is
+ * required".
+ */
+function checkRecords(field, records, complete) {
+  const messages = [];
+  const seen = new Map();
+  records.forEach((record, index) => {
+    const where = `${field.itemLabel} ${index + 1}`;
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      messages.push(`${where} must be an object`);
+      return;
+    }
+    field.items.forEach(item => {
+      const value = record[item.key];
+      if (isBlank(value)) {
+        if (complete && item.required) messages.push(`${where}: ${item.label} is required`);
+        return;
+      }
+      const message = checkValue(item, value);
+      if (message) {
+        messages.push(`${where}: ${message}`);
+        return;
+      }
+      if (item.unique) {
+        const key = `${item.key}:${String(value).trim().toLowerCase()}`;
+        if (seen.has(key)) messages.push(`${where}: ${item.label} "${String(value).trim()}" is already used by ${field.itemLabel.toLowerCase()} ${seen.get(key)}`);
+        else seen.set(key, index + 1);
+      }
+    });
+  });
+  return messages;
+}
+
+/**
+ * Check current-version inputs against the schema. Returns the problems
+ * as [{ field, message }], in form order; none means the inputs are
+ * fine. With `complete: false` required fields may still be empty (a
+ * draft being saved or loaded). Roof-system details are only checked
+ * while their roof system is checked.
+ */
+function validateIntake(inputs, { complete = true } = {}) {
+  if (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs)) {
+    return [{ field: null, message: 'The inputs must be an object' }];
+  }
+  const problems = [];
+  const byKey = Object.fromEntries(FIELDS.map(field => [field.key, field]));
+
+  FIELDS.forEach(field => {
+    if (field.roof && inputs[field.roof] !== true) return;
+    const value = inputs[field.key];
+    if (isBlank(value)) {
+      if (complete && field.required) problems.push({ field: field.key, message: `${field.label} is required` });
+      return;
+    }
+    const message = checkValue(field, value);
+    if (message) {
+      problems.push({ field: field.key, message });
+      return;
+    }
+    if (field.items) {
+      checkRecords(field, value, complete).forEach(recordMessage => problems.push({ field: field.key, message: recordMessage }));
+    }
+    (field.notBefore || []).forEach(otherKey => {
+      const other = inputs[otherKey];
+      if (typeof other === 'string' && isDate(other) && value < other) {
+        problems.push({
+          field: field.key,
+          message: `${field.label} (${value}) can't be before the ${byKey[otherKey].label.toLowerCase()} (${other})`
+        });
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * One line listing the problems, for error messages.
+ */
+function describeProblems(problems) {
+  return problems.map(problem => problem.message).join('; ');
+}
+
+/**
+ * The schema as the intake form loads it.
+ */
+function intakeSchema() {
+  return { version: SCHEMA_VERSION, fields: FIELDS };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ROOF_SYSTEMS,
+  BUILDING_FIELDS,
+  FIELDS,
+  IntakeError,
+  migrateIntake,
+  validateIntake,
+  describeProblems,
+  intakeSchema
+};
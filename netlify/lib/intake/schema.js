@@ -0,0 +1,240 @@
+/************************************************
+ * netlify/lib/intake/schema.js
+ *
+ * The intake form, field by field. The same list drives the form in
+ * index.html (which fields it reads and fills, their required/min/max
+ * attributes and select options), saved input files and the checks in
+ * netlify/lib/intake/index.js.
+ *
+ * Each field has a `key` (its name in the inputs), a `label` for
+ * messages and a `type`:
+ *
+ *   text, textarea   free text
+ *   email            an email address
+ *   date             YYYY-MM-DD
+ *   number           a number, `min`/`max` inclusive, `integer` for counts
+ *   select           one of `options` (any value if there are none)
+ *   checkbox         true or false
+ *   choices          the `options` that are checked, as an array
+ *   data             structured values the page manages itself
+ *                    (storm dates, the confirmed location, ...): an
+ *                    object, or an array if `list` is set. A list with
+ *                    `items` is a list of records, each checked against
+ *                    those fields (the buildings of a complex)
+ *
+ * `element` is the form element's id when it isn't the key; `choices`
+ * options name their own checkbox. In a list of records, `itemLabel`
+ * names one record in messages and `unique` fields can't repeat.
+ * `notBefore` lists the date fields this one can't precede. Fields
+ * with a `roof` key are roof-system details that only apply while that
+ * roof system's checkbox is set.
+ ************************************************/
+
+// Bump this, and add a step to MIGRATIONS in ./index.js, when saved
+// inputs need converting
+const SCHEMA_VERSION = 2;
+
+/**
+ * Roof systems on the intake form. A system's details (`fields`, plus
+ * the sub-type checkboxes in `options`) only count when its checkbox
+ * (`checkedKey`) is set.
+ */
+const ROOF_SYSTEMS = [
+  {
+    checkedKey: 'roofMetalChecked',
+    element: 'roofMetalCheckbox',
+    label: 'Metal',
+    optionsLabel: 'Panel types',
+    options: [
+      { key: 'metalPBR', label: 'PBR Panel' },
+      { key: 'metalSeam', label: 'Standing Seam' },
+      { key: 'metalTrapezoidal', label: 'Trapezoidal' },
+      { key: 'metalCorrugated', label: 'Corrugated' },
+      { key: 'metalDecra', label: 'Decra' },
+      { key: 'metalAluminumShake', label: 'Aluminum Shake' },
+      { key: 'metalOther', label: 'Other' }
+    ],
+    fields: [
+      { key: 'roofMetalAluminum', label: 'Aluminum or metal' },
+      { key: 'roofMetalGauge', label: 'Gauge', type: 'select', options: ['29', '28', '27', '26', '25', '24'], default: '29', required: true },
+      { key: 'metalOtherNotes', label: 'Other panel type notes', type: 'textarea' },
+      { key: 'pbrShortLapDirection', label: 'PBR short lap direction' },
+      { key: 'metalSeamGaps', label: 'Seam gaps caused by wind or hail' },
+      { key: 'metalSheddingWater', label: 'Able to shed water as before the event' }
+    ]
+  },
+  {
+    checkedKey: 'roofCompChecked',
+    element: 'roofCompCheckbox',
+    label: 'Composition Shingles',
+    fields: [
+      { key: 'compDamagedShingles', label: 'Damaged shingles, wind-facing vs. leeward', type: 'textarea' },
+      { key: 'compSlopesDamaged', label: 'Number of damaged slopes' },
+      { key: 'compShinglesTestSquare', label: 'Damaged shingles per 100 sq ft test square' },
+      { key: 'compBrittleTest', label: 'Brittleness test result' },
+      { key: 'compShingleDensity', label: 'Shingle density / weight' }
+    ]
+  },
+  {
+    checkedKey: 'roofSinglePlyChecked',
+    element: 'roofSinglePlyCheckbox',
+    label: 'Single-Ply Membrane',
+    optionsLabel: 'Membrane types',
+    options: [
+      { key: 'singleTPO', label: 'TPO' },
+      { key: 'singleEPDM', label: 'EPDM' },
+      { key: 'singlePVC', label: 'PVC' }
+    ],
+    fields: [
+      { key: 'singleMembraneAttachment', label: 'Attachment (fully adhered or mechanically fastened)' },
+      { key: 'singleVisiblePenetrations', label: 'Visible penetrations in the membrane' },
+      { key: 'singleEngineerNotes', label: 'Engineer notes', type: 'textarea' }
+    ]
+  },
+  {
+    checkedKey: 'roofModBitChecked',
+    element: 'roofModBitCheckbox',
+    label: 'Modified Bitumen',
+    fields: [
+      { key: 'modBitHailDamage', label: 'Visible hail damage' }
+    ]
+  },
+  {
+    checkedKey: 'roofBURChecked',
+    element: 'roofBURCheckbox',
+    label: 'Built Up Roofing (Gravel Ballast)',
+    fields: [
+      { key: 'burBirdNests', label: '"Bird nests" in the gravel ballast' },
+      { key: 'burMattingDamage', label: 'Visible hail damage to the underlying matting' }
+    ]
+  },
+  {
+    checkedKey: 'roofClayTileChecked',
+    element: 'roofClayTileCheckbox',
+    label: 'Clay Tile',
+    fields: [
+      { key: 'clayTileManufacturer', label: 'Manufacturer' },
+      { key: 'clayTileDiscontinued', label: 'Discontinued product' },
+      { key: 'clayTileAge', label: 'Roof age' },
+      { key: 'clayTileAttach', label: 'Attachment' },
+      { key: 'clayTileUnderlayment', label: 'Underlayment' },
+      { key: 'clayTileDripEdge', label: 'Drip edge present' },
+      { key: 'clayTileShape', label: 'Tile shape' }
+    ]
+  },
+  {
+    checkedKey: 'roofConcreteTileChecked',
+    element: 'roofConcreteTileCheckbox',
+    label: 'Concrete Tile',
+    fields: [
+      { key: 'concreteTileManufacturer', label: 'Manufacturer' },
+      { key: 'concreteTileDiscontinued', label: 'Discontinued product' },
+      { key: 'concreteTileAge', label: 'Roof age' },
+      { key: 'concreteTileAttach', label: 'Attachment' },
+      { key: 'concreteTileUnderlayment', label: 'Underlayment' },
+      { key: 'concreteTileDripEdge', label: 'Drip edge present' },
+      { key: 'concreteTileShape', label: 'Tile shape' }
+    ]
+  }
+];
+
+/**
+ * One structure of a multi-building property. The property-level fields
+ * describe the site as a whole; each building has its own size, age,
+ * roof systems and observations.
+ */
+const BUILDING_FIELDS = [
+  { key: 'name', label: 'Name or ID', type: 'text', required: true, unique: true },
+  { key: 'currentUse', label: 'Current use', type: 'text' },
+  { key: 'propertyAge', label: 'Age (years)', type: 'number', min: 0, max: 300 },
+  { key: 'squareFootage', label: 'Square footage', type: 'number', min: 1, max: 10000000 },
+  { key: 'roofSystems', label: 'Roof systems', type: 'choices', options: ROOF_SYSTEMS.map(system => ({ value: system.label })) },
+  { key: 'observations', label: 'Damage observations', type: 'textarea' }
+];
+
+const FIELDS = [
+  // Project data
+  { key: 'projectName', label: 'Project name', type: 'text', required: true },
+  { key: 'propertyOwnerName', label: 'Property owner name', type: 'text' },
+  { key: 'address', label: 'Address', type: 'text', required: true },
+  { key: 'phoneNumber', label: 'Phone number', type: 'text' },
+  { key: 'projectEmail', label: 'Email', type: 'email' },
+
+  // Basic information
+  { key: 'investigationDate', label: 'Inspection date', type: 'date', required: true, notBefore: ['dateOfLoss', 'causationDate'] },
+  { key: 'propertyType', label: 'Property type', type: 'select', options: ['residential', 'commercial'], default: 'residential' },
+  { key: 'propertyAge', label: 'Property age', type: 'number', min: 0, max: 300, required: true },
+  { key: 'constructionType', label: 'Construction type', type: 'text', required: true },
+  { key: 'currentUse', label: 'Current use', type: 'text', required: true },
+  { key: 'squareFootage', label: 'Square footage', type: 'number', min: 1, max: 10000000, required: true },
+  { key: 'buildings', label: 'Buildings', itemLabel: 'Building', type: 'data', list: true, items: BUILDING_FIELDS },
+
+  // Claim data
+  {
+    key: 'claimType',
+    label: 'Claim type',
+    type: 'choices',
+    options: [
+      { value: 'Hail', element: 'claimHail' },
+      { value: 'Wind', element: 'claimWind' },
+      { value: 'Foundation', element: 'claimFoundation' }
+    ]
+  },
+  { key: 'dateOfLoss', label: 'Date of loss', type: 'date', required: true },
+  { key: 'causationDate', label: 'Causation date', type: 'date' },
+  { key: 'stormDateCandidates', label: 'Storm date candidates', type: 'data', list: true },
+  { key: 'propertyLocation', label: 'Property location', type: 'data' },
+  { key: 'foundationSurvey', label: 'Foundation survey', type: 'data' },
+  { key: 'damageSurvey', label: 'Hail test squares', type: 'data' },
+  { key: 'thirdPartyReports', label: 'Third-party reports', type: 'data', list: true },
+
+  // Property analysis
+  { key: 'analysisCause', label: 'Purported cause of loss', type: 'textarea' },
+  { key: 'analysisHail', label: 'Hail size and direction', type: 'textarea' },
+  { key: 'analysisWind', label: 'Wind intensity and direction', type: 'textarea' },
+  { key: 'analysisRoofReplaced', label: 'Number of roof replacements', type: 'number', min: 0, max: 20, integer: true },
+  { key: 'analysisRoofYear', label: 'Year of the most recent roof', type: 'number', min: 1900, max: new Date().getFullYear() + 1, integer: true },
+  { key: 'analysisWindDirection', label: 'Prevailing wind direction', type: 'text' },
+  // The pitch list in the form is a guide; older inputs have low slopes like "1/4:12"
+  { key: 'analysisRoofPitch', label: 'Roof pitch', type: 'select' },
+  { key: 'analysisHailSpatter', label: 'Collateral damage / hail spatter size', type: 'textarea' },
+  { key: 'analysisSoftMetals', label: 'Damage to parapet caps and soft metals', type: 'textarea' },
+  { key: 'analysisImpactSize', label: 'Measured impact indentation size', type: 'textarea' },
+
+  // Roof systems
+  ...ROOF_SYSTEMS.flatMap(system => [
+    { key: system.checkedKey, label: `${system.label} roof`, type: 'checkbox', element: system.element },
+    ...(system.options || []).map(option => ({ key: option.key, label: option.label, type: 'checkbox', roof: system.checkedKey })),
+    ...system.fields.map(field => ({ type: 'text', ...field, roof: system.checkedKey }))
+  ]),
+
+  // Damage assessment
+  {
+    key: 'affectedAreas',
+    label: 'Affected areas',
+    type: 'choices',
+    options: [
+      { value: 'Roof', element: 'roof' },
+      { value: 'Siding', element: 'siding' },
+      { value: 'Windows', element: 'windows' },
+      { value: 'Gutters', element: 'gutters' },
+      { value: 'Foundation', element: 'foundation' },
+      { value: 'Interior', element: 'interior' }
+    ]
+  },
+  { key: 'repairScope', label: 'Repair scope', type: 'data' },
+  { key: 'engineerNotes', label: 'Engineer notes', type: 'textarea' },
+
+  // Engineer credentials, from the drafting engineer's profile
+  { key: 'engineerName', label: 'Engineer name', type: 'text' },
+  { key: 'engineerEmail', label: 'Engineer email', type: 'email' },
+  { key: 'engineerLicense', label: 'Engineer license number', type: 'text' },
+  { key: 'engineerPhone', label: 'Engineer phone number', type: 'text' }
+];
+
+module.exports = {
+  SCHEMA_VERSION,
+  ROOF_SYSTEMS,
+  BUILDING_FIELDS,
+  FIELDS
+};
@@ -0,0 +1,388 @@
+/************************************************
+ * netlify/lib/library/index.js
+ *
+ * The firm's library: past issued reports and reference excerpts (HAAG
+ * hail thresholds, ASTM and ICC clauses and the like), uploaded as PDF,
+ * Word (.docx) or text files and kept in the "library" document store.
+ *
+ * Each document is split into passages of a paragraph or so, under the
+ * heading they appear in, and indexed when it is uploaded: a passage
+ * stores its term counts, and searchLibrary ranks passages against a
+ * query with BM25. Everything runs locally; no text leaves the site
+ * except in the prompts that use it.
+ *
+ * For each section, retrieveSources picks the closest passages from
+ * past reports (style examples) and from references (citable sources),
+ * numbered S1, S2... The section prompt lists them by number and the
+ * model cites references inline as [S3]; citedSources and
+ * checkCitations then tell the reviewer which sources the draft used
+ * and flag citations to sources it was never given.
+ ************************************************/
+const crypto = require('crypto');
+const { getDocumentStore } = require('../storage');
+const { extractReport, splitSentences, ThirdPartyReportError } = require('../third-party');
+
+// Document kinds, with their labels
+const KINDS = {
+  report: 'Past report',
+  reference: 'Reference'
+};
+
+const MAX_PASSAGE_WORDS = 150;
+const MIN_PASSAGE_WORDS = 5;
+const MAX_PASSAGES = 2000;
+const MAX_TITLE_LENGTH = 200;
+
+// Passages per section prompt, and from any one document
+const EXAMPLE_COUNT = 2;
+const REFERENCE_COUNT = 4;
+const MAX_PER_DOCUMENT = 2;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set(`
+a about above after all also an and any are as at be been being below between both but by can could did do does
+each either for from had has have having he her here his how if in into is it its itself may more most must no nor
+not of off on once only or other our out over own per same shall she should so some such than that the their them
+then there these they this those through to too under until up upon very was we were what when where which while
+who whom why will with within without would you your
+`.trim().split(/\s+/));
+
+const CITATION = /\[(S\d+(?:\s*,\s*S\d+)*)\]/g;
+
+/**
+ * A library document that can't be added, with a message for the engineer.
+ */
+class LibraryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LibraryError';
+  }
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function wordCount(value) {
+  return value.split(/\s+/).filter(Boolean).length;
+}
+
+// Plurals count as the singular: "shingles" finds "shingle"
+function stem(term) {
+  if (term.length <= 3 || /\d/.test(term)) return term;
+  if (term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (/(?:ch|sh|ss|x|z)es$/.test(term)) return term.slice(0, -2);
+  if (term.endsWith('s') && !/(?:ss|us|is)$/.test(term)) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * The index terms of a text, in order: lower-case words and numbers
+ * ("1.75", "d3161"), without stop words.
+ */
+function indexTerms(value) {
+  return (String(value || '').toLowerCase().match(/[a-z0-9]+(?:\.\d+)*/g) || [])
+    .filter(term => !STOP_WORDS.has(term) && (term.length > 1 || /\d/.test(term)))
+    .map(stem);
+}
+
+function countTerms(terms) {
+  const counts = {};
+  terms.forEach(term => {
+    counts[term] = (counts[term] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Split extracted blocks (see extractReport in netlify/lib/third-party)
+ * into passages: [{ id, text, page, heading }]. Paragraphs under the
+ * same heading are joined up to MAX_PASSAGE_WORDS; a longer paragraph is
+ * split between sentences.
+ */
+function splitPassages(blocks) {
+  const passages = [];
+  let heading = '';
+  let current = null;
+
+  const flush = () => {
+    if (current && wordCount(current.text) >= MIN_PASSAGE_WORDS && passages.length < MAX_PASSAGES) {
+      passages.push({ id: `p${passages.length + 1}`, ...current });
+    }
+    current = null;
+  };
+  const add = (piece, page) => {
+    if (current && wordCount(current.text) + wordCount(piece) > MAX_PASSAGE_WORDS) flush();
+    if (current) {
+      current.text = `${current.text}\n${piece}`;
+    } else {
+      current = { text: piece, page, heading };
+    }
+  };
+
+  blocks.forEach(block => {
+    if (block.heading) {
+      flush();
+      heading = block.text;
+      return;
+    }
+    if (wordCount(block.text) <= MAX_PASSAGE_WORDS) {
+      add(block.text, block.page);
+      return;
+    }
+    flush();
+    splitSentences(block.text).forEach(sentence => add(sentence, block.page));
+    flush();
+  });
+  flush();
+  return passages;
+}
+
+/**
+ * Read an uploaded file into passages, each with its index entry
+ * ({ terms: { term: count }, length }).
+ * Returns { title, pageCount, passages }.
+ */
+function extractDocument({ fileName, contentType, data }) {
+  let extracted;
+  try {
+    extracted = extractReport({ fileName, contentType, data });
+  } catch (error) {
+    if (error instanceof ThirdPartyReportError) throw new LibraryError(error.message);
+    throw error;
+  }
+  const passages = splitPassages(extracted.blocks).map(passage => {
+    const terms = indexTerms(`${passage.heading} ${passage.text}`);
+    return { ...passage, terms: countTerms(terms), length: terms.length };
+  });
+  if (passages.length === 0) {
+    throw new LibraryError('No passages long enough to use were found in the document');
+  }
+  return { title: extracted.title, pageCount: extracted.pageCount, passages };
+}
+
+/**
+ * Check the details given for an upload and return them cleaned up:
+ * { kind, title, citation }.
+ */
+function checkDocumentDetails({ kind, title, citation }) {
+  if (!Object.prototype.hasOwnProperty.call(KINDS, kind)) {
+    throw new LibraryError(`"kind" must be one of: ${Object.keys(KINDS).join(', ')}`);
+  }
+  if (text(title).length > MAX_TITLE_LENGTH || text(citation).length > MAX_TITLE_LENGTH) {
+    throw new LibraryError(`The title and citation must be under ${MAX_TITLE_LENGTH} characters`);
+  }
+  return { kind, title: text(title), citation: text(citation) };
+}
+
+// What the library listing shows of a document (no passages)
+function summarize(document) {
+  const { passages, ...summary } = document;
+  return { ...summary, passageCount: passages.length };
+}
+
+/**
+ * Add a file to the library and index it. `upload` is
+ * { fileName, contentType, data (Buffer), kind, title, citation }; the
+ * title defaults to the one in the file, and the citation (how a
+ * reference is cited, e.g. "ICC IBC 2012, Section 1510.3") to the title.
+ * Resolves to the document's summary.
+ */
+async function addDocument(upload, user, event) {
+  const details = checkDocumentDetails(upload);
+  const extracted = extractDocument(upload);
+  const title = details.title || extracted.title || text(upload.fileName);
+  const document = {
+    id: crypto.randomUUID(),
+    kind: details.kind,
+    title,
+    citation: details.citation || title,
+    fileName: text(upload.fileName),
+    pageCount: extracted.pageCount,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy: user || null,
+    passages: extracted.passages
+  };
+  await getDocumentStore('library', event).put(document.id, document);
+  return summarize(document);
+}
+
+/**
+ * The library's documents, with their passages and index entries.
+ */
+async function loadLibrary(event) {
+  return getDocumentStore('library', event).list();
+}
+
+/**
+ * The library listing: document summaries, past reports first, then by title.
+ */
+async function listDocuments(event) {
+  const kinds = Object.keys(KINDS);
+  return (await loadLibrary(event))
+    .map(summarize)
+    .sort((a, b) => kinds.indexOf(a.kind) - kinds.indexOf(b.kind) || a.title.localeCompare(b.title));
+}
+
+/**
+ * Remove a document from the library. Resolves to false if there was none.
+ */
+async function removeDocument(id, event) {
+  const store = getDocumentStore('library', event);
+  if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(id) || !(await store.get(id))) return false;
+  await store.remove(id);
+  return true;
+}
+
+/**
+ * Rank the passages of `documents` against a query with BM25.
+ * Returns the best `limit` passages, at most MAX_PER_DOCUMENT from any
+ * one document: [{ documentId, passageId, kind, title, citation, page,
+ * heading, text, score }]. `kind` limits the search to one kind of
+ * document; passages that share no terms with the query are left out.
+ */
+function searchLibrary(documents, query, { kind, limit = 5 } = {}) {
+  const searched = documents.filter(document => !kind || document.kind === kind);
+  const passages = searched.flatMap(document => document.passages.map(passage => ({ document, passage })));
+  if (passages.length === 0) return [];
+
+  const queryTerms = countTerms(indexTerms(query));
+  const averageLength = passages.reduce((sum, { passage }) => sum + passage.length, 0) / passages.length || 1;
+  const idf = {};
+  Object.keys(queryTerms).forEach(term => {
+    const containing = passages.filter(({ passage }) => passage.terms[term]).length;
+    idf[term] = Math.log(1 + (passages.length - containing + 0.5) / (containing + 0.5));
+  });
+
+  const scored = passages
+    .map(({ document, passage }) => {
+      const score = Object.entries(queryTerms).reduce((sum, [term, queryCount]) => {
+        const count = passage.terms[term] || 0;
+        if (count === 0) return sum;
+        const saturation = (count * (K1 + 1)) / (count + K1 * (1 - B + B * passage.length / averageLength));
+        return sum + idf[term] * saturation * queryCount;
+      }, 0);
+      return { document, passage, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const perDocument = new Map();
+  const results = [];
+  for (const { document, passage, score } of scored) {
+    if (results.length >= limit) break;
+    const taken = perDocument.get(document.id) || 0;
+    if (taken >= MAX_PER_DOCUMENT) continue;
+    perDocument.set(document.id, taken + 1);
+    results.push({
+      documentId: document.id,
+      passageId: passage.id,
+      kind: document.kind,
+      title: document.title,
+      citation: document.citation,
+      page: passage.page,
+      heading: passage.heading,
+      text: passage.text,
+      score: Math.round(score * 1000) / 1000
+    });
+  }
+  return results;
+}
+
+/**
+ * The sources for one section: the closest past-report passages (style
+ * examples), then the closest reference passages, numbered S1, S2...
+ * Returns [{ id, documentId, passageId, kind, title, citation, page, heading, text }].
+ */
+function retrieveSources(documents, query) {
+  return [
+    ...searchLibrary(documents, query, { kind: 'report', limit: EXAMPLE_COUNT }),
+    ...searchLibrary(documents, query, { kind: 'reference', limit: REFERENCE_COUNT })
+  ].map(({ score, ...source }, index) => ({ id: `S${index + 1}`, ...source }));
+}
+
+function sourceLocation(source) {
+  return [
+    Number.isInteger(source.page) ? `page ${source.page}` : '',
+    source.heading ? `under "${source.heading}"` : ''
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * The sources of one kind, for the prompt: "[S1] <citation> (page 4,
+ * under "Heading"):" and the passage.
+ */
+function formatSourcesForPrompt(sources, kind) {
+  return sources
+    .filter(source => source.kind === kind)
+    .map(source => {
+      const where = sourceLocation(source);
+      return `[${source.id}] ${source.citation}${where ? ` (${where})` : ''}:\n${source.text}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * The source ids a section cites, as [S1] or [S1, S3], in order of first use.
+ */
+function citedSourceIds(content) {
+  const ids = [];
+  for (const match of String(content || '').matchAll(CITATION)) {
+    match[1].split(',').map(id => id.trim()).forEach(id => {
+      if (!ids.includes(id)) ids.push(id);
+    });
+  }
+  return ids;
+}
+
+/**
+ * The sources given for a section, each marked `cited` if the section
+ * cites it.
+ */
+function citedSources(content, sources) {
+  const cited = citedSourceIds(content);
+  return sources.map(source => ({ ...source, cited: cited.includes(source.id) }));
+}
+
+/**
+ * Consistency warnings (see netlify/lib/consistency.js) for citations
+ * to sources the section was not given: [{ type, message, excerpt }].
+ */
+function checkCitations(content, sources) {
+  const known = new Set(sources.map(source => source.id));
+  const warnings = [];
+  for (const match of String(content || '').matchAll(CITATION)) {
+    match[1].split(',').map(id => id.trim()).filter(id => !known.has(id)).forEach(id => {
+      // One warning per unknown source
+      known.add(id);
+      warnings.push({
+        type: 'source',
+        message: `[${id}] is not one of the library sources given for this section; cite only the sources listed`,
+        excerpt: match[0]
+      });
+    });
+  }
+  return warnings;
+}
+
+module.exports = {
+  KINDS,
+  LibraryError,
+  indexTerms,
+  splitPassages,
+  extractDocument,
+  checkDocumentDetails,
+  addDocument,
+  loadLibrary,
+  listDocuments,
+  removeDocument,
+  searchLibrary,
+  retrieveSources,
+  formatSourcesForPrompt,
+  citedSourceIds,
+  citedSources,
+  checkCitations
+};
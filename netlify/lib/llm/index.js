@@ -0,0 +1,133 @@
+/************************************************
+ * netlify/lib/llm/index.js
+ *
+ * The language model that writes report sections. generate-report
+ * builds the prompt; a provider sends it to a model and returns the
+ * text, either all at once or streamed in chunks. Which provider, model
+ * and sampling settings are used can differ per environment and per
+ * report section.
+ *
+ * Configuration (environment):
+ *   LLM_PROVIDER          openai (default) or mock
+ *   LLM_MODEL             default chatgpt-4o-latest
+ *   LLM_TEMPERATURE       default 0, to keep the report to the facts given
+ *   LLM_MAX_TOKENS        default 4000
+ *   LLM_BASE_URL          any OpenAI-compatible endpoint, e.g. a local
+ *                         server; default the OpenAI API
+ *   LLM_API_KEY           key for that endpoint; default OPENAI_API_KEY
+ *   LLM_MAX_RETRIES       retries of a failed request; default 2
+ *   LLM_TIMEOUT_SECONDS   per request; default 600
+ *   LLM_SECTION_SETTINGS  JSON overrides keyed by section id, e.g.
+ *                         {"openingLetter": {"model": "gpt-4o-mini", "temperature": 0.3}}
+ *                         (provider, model, temperature, maxTokens, baseUrl)
+ *   LLM_MOCK_DIR          recorded responses for the mock provider;
+ *                         default fixtures/llm
+ ************************************************/
+
+const PROVIDERS = {
+  openai: require('./providers/openai'),
+  mock: require('./providers/mock')
+};
+
+const DEFAULT_MODEL = 'chatgpt-4o-latest';
+const SECTION_SETTING_KEYS = ['provider', 'model', 'temperature', 'maxTokens', 'baseUrl'];
+
+function numberSetting(value, fallback, min, max) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : fallback;
+}
+
+function textSetting(value, fallback = '') {
+  return typeof value === 'string' && value.trim() ? value.trim() : fallback;
+}
+
+/**
+ * The per-section overrides from LLM_SECTION_SETTINGS, for one section.
+ */
+function sectionOverrides(sectionId) {
+  const raw = process.env.LLM_SECTION_SETTINGS;
+  if (!raw || !raw.trim()) return {};
+  let all;
+  try {
+    all = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`LLM_SECTION_SETTINGS is not valid JSON (${error.message})`);
+  }
+  if (all === null || typeof all !== 'object' || Array.isArray(all)) {
+    throw new Error('LLM_SECTION_SETTINGS must be a JSON object keyed by section id');
+  }
+  const overrides = all[sectionId];
+  if (overrides === undefined) return {};
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`LLM_SECTION_SETTINGS["${sectionId}"] must be an object`);
+  }
+  const unknown = Object.keys(overrides).filter(key => !SECTION_SETTING_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`LLM_SECTION_SETTINGS["${sectionId}"] has unknown settings: ${unknown.join(', ')} (expected: ${SECTION_SETTING_KEYS.join(', ')})`);
+  }
+  return overrides;
+}
+
+/**
+ * The model settings for one report section: the environment defaults
+ * with that section's overrides applied.
+ */
+function modelSettings(sectionId) {
+  const env = process.env;
+  const overrides = sectionOverrides(sectionId);
+
+  const provider = textSetting(overrides.provider ?? env.LLM_PROVIDER, 'openai').toLowerCase();
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return {
+    sectionId,
+    provider,
+    model: textSetting(overrides.model ?? env.LLM_MODEL, DEFAULT_MODEL),
+    temperature: numberSetting(overrides.temperature ?? env.LLM_TEMPERATURE, 0, 0, 2),
+    maxTokens: Math.round(numberSetting(overrides.maxTokens ?? env.LLM_MAX_TOKENS, 4000, 1, 1000000)),
+    baseUrl: textSetting(overrides.baseUrl ?? env.LLM_BASE_URL),
+    apiKey: textSetting(env.LLM_API_KEY, textSetting(env.OPENAI_API_KEY)),
+    maxRetries: Math.round(numberSetting(env.LLM_MAX_RETRIES, 2, 0, 10)),
+    timeoutSeconds: numberSetting(env.LLM_TIMEOUT_SECONDS, 600, 1, 3600)
+  };
+}
+
+/**
+ * The model name recorded with a generated section (and its ratings).
+ * Anything other than the OpenAI provider is prefixed with the provider.
+ */
+function modelLabel(settings) {
+  return settings.provider === 'openai' ? settings.model : `${settings.provider}:${settings.model}`;
+}
+
+/**
+ * Generate a section's text in one request.
+ * Resolves to { text, model }.
+ */
+async function complete(settings, messages) {
+  return PROVIDERS[settings.provider].complete({ ...settings, messages });
+}
+
+/**
+ * Generate a section's text as a stream. Resolves once the model has
+ * accepted the request (so a refused request still rejects here) to
+ * { chunks, abort }: an async iterable of text chunks, and a function
+ * that cancels the request.
+ */
+async function streamCompletion(settings, messages) {
+  const controller = new AbortController();
+  const chunks = await PROVIDERS[settings.provider].stream({ ...settings, messages, signal: controller.signal });
+  return {
+    chunks,
+    abort: () => controller.abort()
+  };
+}
+
+module.exports = {
+  modelSettings,
+  modelLabel,
+  complete,
+  streamCompletion
+};
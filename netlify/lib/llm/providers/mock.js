@@ -0,0 +1,63 @@
+/************************************************
+ * netlify/lib/llm/providers/mock.js
+ *
+ * Offline stand-in model for tests and local development. The same
+ * request always gets the same answer: the recorded response for the
+ * section (<LLM_MOCK_DIR>/<section id>.md, defaulting to fixtures/llm)
+ * if there is one, or else a short placeholder naming the section and
+ * a hash of the prompt. Streaming splits the text into word chunks.
+ ************************************************/
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const name = 'Mock model';
+
+async function recordedResponse(sectionId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(String(sectionId || ''))) return null;
+  const dir = process.env.LLM_MOCK_DIR || path.join(process.cwd(), 'fixtures', 'llm');
+  try {
+    return await fs.readFile(path.join(dir, `${sectionId}.md`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function responseText(request) {
+  const recorded = await recordedResponse(request.sectionId);
+  if (recorded !== null) return recorded;
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify(request.messages))
+    .digest('hex')
+    .slice(0, 12);
+  return `Mock ${request.sectionId || 'section'} text for prompt ${hash}.`;
+}
+
+async function complete(request) {
+  return {
+    text: await responseText(request),
+    model: request.model
+  };
+}
+
+async function* textChunks(text, signal) {
+  for (const chunk of text.match(/\S*\s*/g).filter(Boolean)) {
+    if (signal?.aborted) {
+      const error = new Error('Request was aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+    yield chunk;
+  }
+}
+
+async function stream(request) {
+  return textChunks(await responseText(request), request.signal);
+}
+
+module.exports = {
+  name,
+  complete,
+  stream
+};
@@ -0,0 +1,68 @@
+/************************************************
+ * netlify/lib/llm/providers/openai.js
+ *
+ * Chat completions from the OpenAI API or any server that speaks the
+ * same protocol (LLM_BASE_URL), such as a model served locally.
+ ************************************************/
+const OpenAI = require('openai');
+
+const name = 'OpenAI-compatible';
+
+// One client per endpoint and key, reused across invocations
+const clients = new Map();
+
+function client({ baseUrl, apiKey, maxRetries, timeoutSeconds }) {
+  if (!apiKey && !baseUrl) {
+    throw new Error('No API key: set LLM_API_KEY or OPENAI_API_KEY');
+  }
+  const key = JSON.stringify([baseUrl, apiKey, maxRetries, timeoutSeconds]);
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({
+      // Local servers usually don't check the key, but the client needs one
+      apiKey: apiKey || 'not-needed',
+      baseURL: baseUrl || undefined,
+      maxRetries,
+      timeout: timeoutSeconds * 1000
+    }));
+  }
+  return clients.get(key);
+}
+
+function completionRequest(request, stream) {
+  return {
+    model: request.model,
+    messages: request.messages,
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    stream
+  };
+}
+
+async function complete(request) {
+  const completion = await client(request).chat.completions.create(completionRequest(request, false));
+  return {
+    text: completion.choices?.[0]?.message?.content || '',
+    model: completion.model || request.model
+  };
+}
+
+async function* textChunks(completion) {
+  for await (const chunk of completion) {
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) yield text;
+  }
+}
+
+async function stream(request) {
+  const completion = await client(request).chat.completions.create(
+    completionRequest(request, true),
+    { signal: request.signal }
+  );
+  return textChunks(completion);
+}
+
+module.exports = {
+  name,
+  complete,
+  stream
+};
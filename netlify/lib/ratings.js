@@ -0,0 +1,131 @@
+/************************************************
+ * netlify/lib/ratings.js
+ *
+ * Reviewer ratings of generated sections (1-7, with written feedback),
+ * and the summary behind the feedback dashboard: averages by section
+ * and by template version, month by month, the lowest-rated outputs
+ * and the regeneration instructions engineers give most often.
+ ************************************************/
+
+const MIN_RATING = 1;
+const MAX_RATING = 7;
+const MIN_FEEDBACK_WORDS = 10;
+
+// The header line of "Regenerate with Fixes" instructions (see index.html)
+const FIX_INSTRUCTIONS_HEADER = /^fix these problems found in the previous draft:?$/i;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function wordCount(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Running count and average, for grouping ratings.
+ */
+function tally(groups, key, rating, fields = {}) {
+  const group = groups.get(key) || { ...fields, count: 0, total: 0 };
+  group.count += 1;
+  group.total += rating;
+  groups.set(key, group);
+  return group;
+}
+
+function averages(groups) {
+  return [...groups.values()].map(({ total, ...group }) => ({ ...group, average: round(total / group.count) }));
+}
+
+function templateKey(template) {
+  return template ? `${template.id} v${template.version}` : 'unknown';
+}
+
+/**
+ * The individual instructions in a regeneration request: one per line,
+ * without list markers or the "Regenerate with Fixes" header.
+ */
+function splitInstructions(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').replace(/\s+/g, ' ').trim())
+    .filter(line => line && !FIX_INSTRUCTIONS_HEADER.test(line));
+}
+
+/**
+ * Summarize stored ratings for the dashboard:
+ * {
+ *   count, average,
+ *   bySection:  [{ sectionId, title, count, average }]          lowest average first
+ *   byTemplate: [{ template, id, version, count, average }]
+ *   byMonth:    [{ month, count, average, bySection: { id: { count, average } },
+ *                  byTemplate: { "id vN": { count, average } } }]   oldest first
+ *   lowest:     [rating]                                       the `lowestCount` worst
+ *   instructions: [{ text, count, average }]                   most frequent first
+ * }
+ */
+function summarizeRatings(ratings, { lowestCount = 10, instructionCount = 15 } = {}) {
+  const valid = ratings.filter(entry => Number.isInteger(entry?.rating));
+  const sections = new Map();
+  const templates = new Map();
+  const months = new Map();
+  const instructions = new Map();
+
+  valid.forEach(entry => {
+    tally(sections, entry.sectionId, entry.rating, {
+      sectionId: entry.sectionId,
+      title: entry.sectionTitle || entry.sectionId
+    });
+    tally(templates, templateKey(entry.template), entry.rating, {
+      template: templateKey(entry.template),
+      id: entry.template?.id || null,
+      version: entry.template?.version ?? null
+    });
+
+    const month = String(entry.createdAt || '').slice(0, 7) || 'unknown';
+    const monthGroup = tally(months, month, entry.rating, { month, sectionGroups: new Map(), templateGroups: new Map() });
+    tally(monthGroup.sectionGroups, entry.sectionId, entry.rating);
+    tally(monthGroup.templateGroups, templateKey(entry.template), entry.rating);
+
+    splitInstructions(entry.customInstructions).forEach(text => {
+      const key = text.toLowerCase().replace(/[.!;:]+$/, '');
+      tally(instructions, key, entry.rating, { text });
+    });
+  });
+
+  const byKey = groups => Object.fromEntries(
+    [...groups].map(([key, { count, total: sum }]) => [key, { count, average: round(sum / count) }])
+  );
+
+  const total = valid.reduce((sum, entry) => sum + entry.rating, 0);
+  return {
+    count: valid.length,
+    average: valid.length > 0 ? round(total / valid.length) : null,
+    bySection: averages(sections).sort((a, b) => a.average - b.average || b.count - a.count),
+    byTemplate: averages(templates).sort((a, b) =>
+      String(a.id).localeCompare(String(b.id)) || (a.version ?? 0) - (b.version ?? 0)
+    ),
+    byMonth: averages(months)
+      .map(({ sectionGroups, templateGroups, ...group }) => ({
+        ...group,
+        bySection: byKey(sectionGroups),
+        byTemplate: byKey(templateGroups)
+      }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+    lowest: [...valid]
+      .sort((a, b) => a.rating - b.rating || String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, lowestCount),
+    instructions: averages(instructions)
+      .sort((a, b) => b.count - a.count || a.average - b.average)
+      .slice(0, instructionCount)
+  };
+}
+
+module.exports = {
+  MIN_RATING,
+  MAX_RATING,
+  MIN_FEEDBACK_WORDS,
+  wordCount,
+  summarizeRatings
+};
@@ -0,0 +1,363 @@
+/************************************************
+ * netlify/lib/scope/index.js
+ *
+ * Repair scope and cost estimate: quantified line items priced from the
+ * unit-price table.
+ *
+ * The roof is priced from the hail test squares when there are any (see
+ * netlify/lib/damage): the slopes due for replacement (or every slope,
+ * when the whole roof is) are torn off and replaced by material, and the
+ * hits on the slopes to repair are spot repaired. Without test squares a
+ * damaged roof is replaced whole, over `roofAreaSqFt` or the square
+ * footage. Damaged gutters, siding and windows are priced from the
+ * quantities the engineer enters.
+ *
+ * The unit-price table is kept in the "unit-prices" document store and
+ * edited by the signing PE or an administrator; until it has been
+ * edited the defaults below apply. An estimate records the prices it
+ * was built with, so a saved case keeps its figures when prices change.
+ ************************************************/
+const { getDocumentStore } = require('../storage');
+const { MATERIALS, analyzeDamage } = require('../damage');
+
+const PRICES_ID = 'current';
+const MAX_WASTE_PERCENT = 50;
+
+// Starting prices in US dollars; every firm should set its own
+const DEFAULT_UNIT_PRICES = {
+  tearOff: { description: 'Remove and dispose of roofing', unit: 'SQ', price: 65, waste: 0 },
+  composition: { description: 'Composition shingles, installed', unit: 'SQ', price: 275, waste: 10 },
+  metal: { description: 'Metal roof panels, installed', unit: 'SQ', price: 650, waste: 5 },
+  singlePly: { description: 'Single-ply membrane, installed', unit: 'SQ', price: 550, waste: 10 },
+  modBit: { description: 'Modified bitumen roofing, installed', unit: 'SQ', price: 480, waste: 10 },
+  bur: { description: 'Built-up roofing with gravel ballast, installed', unit: 'SQ', price: 520, waste: 10 },
+  clayTile: { description: 'Clay tile roofing, installed', unit: 'SQ', price: 1200, waste: 15 },
+  concreteTile: { description: 'Concrete tile roofing, installed', unit: 'SQ', price: 850, waste: 15 },
+  spotRepair: { description: 'Spot repair of a hail impact', unit: 'EA', price: 35, waste: 0 },
+  gutters: { description: 'Seamless aluminum gutters', unit: 'LF', price: 11, waste: 5 },
+  siding: { description: 'Siding, installed', unit: 'SF', price: 6, waste: 10 },
+  windows: { description: 'Window replacement', unit: 'EA', price: 650, waste: 0 }
+};
+
+// The roofing material for each intake roof-system checkbox
+const ROOF_MATERIALS = {
+  roofCompChecked: 'composition',
+  roofMetalChecked: 'metal',
+  roofSinglePlyChecked: 'singlePly',
+  roofModBitChecked: 'modBit',
+  roofBURChecked: 'bur',
+  roofClayTileChecked: 'clayTile',
+  roofConcreteTileChecked: 'concreteTile'
+};
+
+/**
+ * A scope or price table that can't be used; the message says what to fix.
+ */
+class ScopeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScopeError';
+  }
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value.trim().replace(/[$,]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function formatCurrency(value) {
+  return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatQuantity(value) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function getPriceStore(event) {
+  return getDocumentStore('unit-prices', event);
+}
+
+/**
+ * The unit-price table: { items: { id: { description, unit, price, waste } },
+ * updatedAt, updatedBy }. `waste` is the default waste factor in percent.
+ */
+async function getUnitPrices(event) {
+  const stored = await getPriceStore(event).get(PRICES_ID);
+  return {
+    items: Object.fromEntries(Object.entries(DEFAULT_UNIT_PRICES).map(([id, item]) => [id, { ...item, ...stored?.items?.[id] }])),
+    updatedAt: stored?.updatedAt || null,
+    updatedBy: stored?.updatedBy || null
+  };
+}
+
+/**
+ * Check edits to the price table ({ id: { description, price, waste } })
+ * and return the complete table items. Units are fixed, since the scope
+ * measures in them.
+ */
+function checkUnitPrices(items) {
+  if (items === null || typeof items !== 'object' || Array.isArray(items)) {
+    throw new ScopeError('"items" must map price items to { description, price, waste }');
+  }
+  const unknown = Object.keys(items).filter(id => !DEFAULT_UNIT_PRICES[id]);
+  if (unknown.length > 0) {
+    throw new ScopeError(`Unknown price items: ${unknown.join(', ')} (expected: ${Object.keys(DEFAULT_UNIT_PRICES).join(', ')})`);
+  }
+  return Object.fromEntries(Object.entries(DEFAULT_UNIT_PRICES).map(([id, defaults]) => {
+    const edit = items[id] || {};
+    const description = isBlank(edit.description) ? defaults.description : String(edit.description).trim();
+    const price = isBlank(edit.price) ? defaults.price : parseNumber(edit.price);
+    const waste = isBlank(edit.waste) ? defaults.waste : parseNumber(edit.waste);
+    if (price === null || price < 0) throw new ScopeError(`${description}: the unit price must be a number of dollars, 0 or more`);
+    if (waste === null || waste < 0 || waste > MAX_WASTE_PERCENT) {
+      throw new ScopeError(`${description}: the waste factor must be a percentage from 0 to ${MAX_WASTE_PERCENT}`);
+    }
+    return [id, { description, unit: defaults.unit, price: round(price), waste }];
+  }));
+}
+
+/**
+ * Save edits to the unit-price table, as `user` (an account reference).
+ */
+async function saveUnitPrices(items, user, event) {
+  const table = { items: checkUnitPrices(items), updatedAt: new Date().toISOString(), updatedBy: user };
+  await getPriceStore(event).put(PRICES_ID, table);
+  return table;
+}
+
+/**
+ * A quantity the engineer entered: null when blank, otherwise a number
+ * above 0 (a whole number for counts).
+ */
+function readQuantity(value, label, { integer = false } = {}) {
+  if (isBlank(value)) return null;
+  const quantity = parseNumber(value);
+  if (quantity === null || quantity <= 0 || (integer && !Number.isInteger(quantity))) {
+    throw new ScopeError(`${label} must be ${integer ? 'a whole number' : 'a number'} above 0`);
+  }
+  return quantity;
+}
+
+/**
+ * The scope's waste factors: the price table's, with the scope's own in
+ * their place.
+ */
+function wasteFactors(prices, overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ScopeError('"waste" must map price items to a percentage');
+  }
+  return Object.fromEntries(Object.entries(prices.items).map(([id, item]) => {
+    if (isBlank(overrides[id])) return [id, item.waste];
+    const waste = parseNumber(overrides[id]);
+    if (waste === null || waste < 0 || waste > MAX_WASTE_PERCENT) {
+      throw new ScopeError(`${item.description}: the waste factor must be a percentage from 0 to ${MAX_WASTE_PERCENT}`);
+    }
+    return [id, waste];
+  }));
+}
+
+function slopeNames(slopes) {
+  return slopes.map(slope => `${slope.name} (${formatQuantity(slope.areaSqFt)} sq ft)`).join(', ');
+}
+
+/**
+ * Roof line items as [{ item, quantity, basis }], before pricing.
+ */
+function roofQuantities(inputs, settings) {
+  if (inputs.damageSurvey) {
+    let analysis;
+    try {
+      analysis = analyzeDamage(inputs.damageSurvey);
+    } catch (error) {
+      throw new ScopeError(`The hail test squares can't be used: ${error.message}`);
+    }
+    const { recommendation } = analysis.roof;
+    const replace = recommendation === 'replace-roof'
+      ? analysis.slopes
+      : analysis.slopes.filter(slope => slope.recommendation === 'replace');
+    const repair = recommendation === 'replace-roof'
+      ? []
+      : analysis.slopes.filter(slope => slope.recommendation === 'repair');
+
+    const byMaterial = new Map();
+    replace.forEach(slope => byMaterial.set(slope.material, [...(byMaterial.get(slope.material) || []), slope]));
+    const lines = [];
+    if (replace.length > 0) {
+      lines.push({
+        item: 'tearOff',
+        quantity: replace.reduce((sum, slope) => sum + slope.areaSqFt, 0) / 100,
+        basis: recommendation === 'replace-roof' ? 'Whole roof' : slopeNames(replace)
+      });
+    }
+    byMaterial.forEach((slopes, material) => {
+      lines.push({
+        item: material,
+        quantity: slopes.reduce((sum, slope) => sum + slope.areaSqFt, 0) / 100,
+        basis: slopeNames(slopes)
+      });
+    });
+    const hits = repair.reduce((sum, slope) => sum + slope.estimatedHits, 0);
+    if (hits > 0) {
+      lines.push({
+        item: 'spotRepair',
+        quantity: hits,
+        basis: `Hits estimated from the test squares on ${repair.map(slope => slope.name).join(', ')}`
+      });
+    }
+    return lines;
+  }
+
+  const affected = Array.isArray(inputs.affectedAreas) ? inputs.affectedAreas : [];
+  if (!affected.includes('Roof')) return [];
+  const checked = Object.keys(ROOF_MATERIALS).find(key => inputs[key] === true);
+  const material = isBlank(settings.roofMaterial) ? ROOF_MATERIALS[checked] : settings.roofMaterial;
+  if (!MATERIALS[material]) {
+    throw new ScopeError('Choose the roofing material to price (or check a roof system), or count hail test squares');
+  }
+  const areaSqFt = readQuantity(settings.roofAreaSqFt, 'The roof area') ?? readQuantity(inputs.squareFootage, 'The square footage');
+  if (areaSqFt === null) throw new ScopeError('Enter the roof area to price the roof replacement');
+  const basis = `Whole roof (${formatQuantity(areaSqFt)} sq ft)`;
+  return [
+    { item: 'tearOff', quantity: areaSqFt / 100, basis },
+    { item: material, quantity: areaSqFt / 100, basis }
+  ];
+}
+
+/**
+ * Line items for the other affected areas, before pricing.
+ */
+function areaQuantities(inputs, settings) {
+  const affected = Array.isArray(inputs.affectedAreas) ? inputs.affectedAreas : [];
+  return [
+    { area: 'Gutters', item: 'gutters', key: 'gutterFeet', label: 'The length of damaged gutters (ft)' },
+    { area: 'Siding', item: 'siding', key: 'sidingSqFt', label: 'The area of damaged siding (sq ft)' },
+    { area: 'Windows', item: 'windows', key: 'windowCount', label: 'The number of damaged windows', integer: true }
+  ]
+    .filter(entry => affected.includes(entry.area))
+    .map(entry => {
+      const quantity = readQuantity(settings[entry.key], entry.label, { integer: entry.integer });
+      if (quantity === null) throw new ScopeError(`${entry.area} is an affected area: enter ${entry.label.charAt(0).toLowerCase()}${entry.label.slice(1)}`);
+      return { item: entry.item, quantity, basis: `Damaged ${entry.area.toLowerCase()}` };
+    });
+}
+
+/**
+ * Build the priced scope for a case's intake inputs, with the scope
+ * settings in `inputs.repairScope` ({ roofMaterial, roofAreaSqFt,
+ * gutterFeet, sidingSqFt, windowCount, waste: { item: percent } }).
+ * Returns the estimate:
+ *   { lines: [{ item, description, unit, quantity, waste, unitPrice, total, basis }],
+ *     total, pricesUpdatedAt }
+ * Quantities include the waste factor.
+ */
+function buildScope(inputs, prices) {
+  if (inputs === null || typeof inputs !== 'object' || Array.isArray(inputs)) {
+    throw new ScopeError('The inputs must be an object');
+  }
+  const settings = inputs.repairScope ?? {};
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ScopeError('The repair scope settings must be an object');
+  }
+  const waste = wasteFactors(prices, settings.waste);
+  const quantities = [...roofQuantities(inputs, settings), ...areaQuantities(inputs, settings)];
+  if (quantities.length === 0) {
+    throw new ScopeError('Nothing to price: no roof damage to repair and no damaged gutters, siding or windows');
+  }
+
+  const lines = quantities.map(({ item, quantity, basis }) => {
+    const price = prices.items[item];
+    const withWaste = round(quantity * (1 + waste[item] / 100));
+    return {
+      item,
+      description: price.description,
+      unit: price.unit,
+      quantity: withWaste,
+      waste: waste[item],
+      unitPrice: price.price,
+      total: round(withWaste * price.price),
+      basis
+    };
+  });
+  return {
+    lines,
+    total: round(lines.reduce((sum, line) => sum + line.total, 0)),
+    pricesUpdatedAt: prices.updatedAt
+  };
+}
+
+/**
+ * A saved estimate, checked before it goes into a report. Throws a
+ * ScopeError if it isn't one.
+ */
+function readEstimate(estimate) {
+  const valid = estimate && typeof estimate === 'object'
+    && Array.isArray(estimate.lines) && estimate.lines.length > 0
+    && Number.isFinite(estimate.total)
+    && estimate.lines.every(line => line && typeof line.description === 'string'
+      && Number.isFinite(line.quantity) && Number.isFinite(line.unitPrice) && Number.isFinite(line.total));
+  if (!valid) throw new ScopeError('The saved repair scope is incomplete; rebuild it');
+  return estimate;
+}
+
+/**
+ * The estimate as a Markdown table, for the report appendix.
+ */
+function formatScopeTable(estimate) {
+  const rows = [
+    ['Item', 'Quantity', 'Unit', 'Unit price', 'Total', 'Basis'],
+    ['---', '---:', '---', '---:', '---:', '---'],
+    ...estimate.lines.map(line => [
+      line.description,
+      formatQuantity(line.quantity),
+      line.unit,
+      formatCurrency(line.unitPrice),
+      formatCurrency(line.total),
+      `${line.basis}${line.waste ? `; includes ${line.waste}% waste` : ''}`
+    ]),
+    ['Estimated total', '', '', '', formatCurrency(estimate.total), '']
+  ];
+  return rows.map(row => `| ${row.join(' | ')} |`).join('\n');
+}
+
+function csvCell(value) {
+  const textValue = String(value ?? '');
+  return /[",\r\n]/.test(textValue) ? `"${textValue.replace(/"/g, '""')}"` : textValue;
+}
+
+/**
+ * The estimate as CSV, one line item per row and the total last.
+ */
+function formatScopeCsv(estimate) {
+  const rows = [
+    ['Item', 'Description', 'Quantity', 'Unit', 'Waste (%)', 'Unit price', 'Total', 'Basis'],
+    ...estimate.lines.map(line => [
+      line.item, line.description, line.quantity, line.unit, line.waste, line.unitPrice.toFixed(2), line.total.toFixed(2), line.basis
+    ]),
+    ['', 'Estimated total', '', '', '', '', estimate.total.toFixed(2), '']
+  ];
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  DEFAULT_UNIT_PRICES,
+  ScopeError,
+  getUnitPrices,
+  checkUnitPrices,
+  saveUnitPrices,
+  buildScope,
+  readEstimate,
+  formatCurrency,
+  formatScopeTable,
+  formatScopeCsv
+};
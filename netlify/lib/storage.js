@@ -0,0 +1,217 @@
+/************************************************
+ * netlify/lib/storage.js
+ *
+ * Pluggable JSON document storage shared by the Netlify functions.
+ * Documents live in named collections (e.g. "cases") and are keyed by id.
+ *
+ * Select the backend with STORAGE_BACKEND:
+ *   file              one JSON file per document under STORAGE_DIR
+ *                    (defaults to ./.data); for local development
+ *   sqlite            a single SQLite database at STORAGE_SQLITE_PATH
+ *                    (defaults to ./.data/storage.sqlite); needs Node
+ *                    22.13 or newer, for node:sqlite without a flag
+ *   blobs             Netlify Blobs; use this in production
+ * Unset, it is blobs when running on Netlify (deployed functions have a
+ * read-only file system) and file everywhere else. Choosing sqlite on an
+ * older Node fails as soon as this module loads, not on the first request.
+ ************************************************/
+const fs = require('fs/promises');
+const path = require('path');
+
+// Ids become file names and blob keys, so keep them boring
+const SAFE_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+function assertSafeId(id) {
+  if (typeof id !== 'string' || !SAFE_ID.test(id)) {
+    throw new Error(`Invalid document id: ${id}`);
+  }
+}
+
+/**
+ * One JSON file per document: <STORAGE_DIR>/<collection>/<id>.json
+ */
+function createFileStore(collection) {
+  const dir = path.join(process.env.STORAGE_DIR || path.join(process.cwd(), '.data'), collection);
+
+  return {
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const docs = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => this.get(file.replace(/\.json$/, '')))
+      );
+      return docs.filter(Boolean);
+    },
+
+    async get(id) {
+      assertSafeId(id);
+      try {
+        return JSON.parse(await fs.readFile(path.join(dir, `${id}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async put(id, doc) {
+      assertSafeId(id);
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename, so a crash never leaves half a document
+      const target = path.join(dir, `${id}.json`);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(doc, null, 2));
+      await fs.rename(temp, target);
+    },
+
+    async remove(id) {
+      assertSafeId(id);
+      await fs.rm(path.join(dir, `${id}.json`), { force: true });
+    }
+  };
+}
+
+let sqliteDb = null;
+
+/**
+ * The node:sqlite module, or a clear error on a Node without it.
+ */
+function requireSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch (error) {
+    throw new Error(`STORAGE_BACKEND=sqlite needs Node 22.13 or newer (node:sqlite); this is Node ${process.versions.node}`);
+  }
+}
+
+/**
+ * All collections in one table of a SQLite database (node:sqlite).
+ */
+function createSqliteStore(collection) {
+  if (!sqliteDb) {
+    const { DatabaseSync } = requireSqlite();
+    const dbPath = process.env.STORAGE_SQLITE_PATH || path.join(process.cwd(), '.data', 'storage.sqlite');
+    require('fs').mkdirSync(path.dirname(dbPath), { recursive: true });
+    sqliteDb = new DatabaseSync(dbPath);
+    sqliteDb.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+  }
+
+  return {
+    async list() {
+      return sqliteDb
+        .prepare('SELECT data FROM documents WHERE collection = ?')
+        .all(collection)
+        .map(row => JSON.parse(row.data));
+    },
+
+    async get(id) {
+      assertSafeId(id);
+      const row = sqliteDb
+        .prepare('SELECT data FROM documents WHERE collection = ? AND id = ?')
+        .get(collection, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async put(id, doc) {
+      assertSafeId(id);
+      sqliteDb
+        .prepare(`
+          INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+          ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+        `)
+        .run(collection, id, JSON.stringify(doc));
+    },
+
+    async remove(id) {
+      assertSafeId(id);
+      sqliteDb.prepare('DELETE FROM documents WHERE collection = ? AND id = ?').run(collection, id);
+    }
+  };
+}
+
+/**
+ * Netlify Blobs, one store per collection.
+ * Lambda-style functions must pass their event so Blobs can pick up
+ * the site credentials.
+ */
+function createBlobStore(collection, event) {
+  const { getStore, connectLambda } = require('@netlify/blobs');
+  if (event?.blobs) {
+    connectLambda(event);
+  }
+  const store = getStore(collection);
+
+  return {
+    async list() {
+      const { blobs } = await store.list();
+      const docs = await Promise.all(blobs.map(blob => store.get(blob.key, { type: 'json' })));
+      return docs.filter(Boolean);
+    },
+
+    async get(id) {
+      assertSafeId(id);
+      return (await store.get(id, { type: 'json' })) || null;
+    },
+
+    async put(id, doc) {
+      assertSafeId(id);
+      await store.setJSON(id, doc);
+    },
+
+    async remove(id) {
+      assertSafeId(id);
+      await store.delete(id);
+    }
+  };
+}
+
+const BACKENDS = {
+  file: createFileStore,
+  sqlite: createSqliteStore,
+  blobs: createBlobStore
+};
+
+/**
+ * Whether this is a Netlify function, deployed (on AWS Lambda) or under
+ * `netlify dev`.
+ */
+function onNetlify() {
+  return Boolean(process.env.NETLIFY || process.env.NETLIFY_DEV || process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+function configuredBackend() {
+  return (process.env.STORAGE_BACKEND || (onNetlify() ? 'blobs' : 'file')).trim().toLowerCase();
+}
+
+/**
+ * Get the document store for a collection, using the configured backend.
+ * Every store has: list(), get(id), put(id, doc), remove(id).
+ */
+function getDocumentStore(collection, event) {
+  const backend = configuredBackend();
+  const createStore = BACKENDS[backend];
+  if (!createStore) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return createStore(collection, event);
+}
+
+// Refuse to start at all rather than fail every request
+if (configuredBackend() === 'sqlite') requireSqlite();
+
+module.exports = {
+  getDocumentStore
+};
@@ -0,0 +1,322 @@
+/************************************************
+ * netlify/lib/templates/index.js
+ *
+ * Versioned report templates: the sections of a report, their order and
+ * titles, the prompt for each one and the intake fields it uses. The
+ * generate-report function and the UI both read the same template, and
+ * each case records the template id and version that produced it.
+ *
+ * Built-in templates ship with the code (./standard-v*.js). Edited
+ * templates are saved as new versions in the "templates" document store;
+ * a saved version is never changed, so old cases keep their layout.
+ * Saved templates get ids of their own ("custom-standard" for an edit of
+ * "standard"), so a built-in version shipped later never takes the id
+ * and version a case recorded for an edit, or becomes its latest version.
+ *
+ * Prompts are plain text with placeholders:
+ *   {{name}}                 the value of a prompt variable
+ *   {{#name}}...{{/name}}    the enclosed text, only when `name` has a value
+ * `{{fields}}` lists the section's intake fields ("- Label: value").
+ * A section with `claimTypes` is only part of the report when the case
+ * has one of those claim types (e.g. the Foundation section).
+ *
+ * Configuration (environment):
+ *   REPORT_TEMPLATE   template for new cases (default: standard)
+ ************************************************/
+const { getDocumentStore } = require('../storage');
+
+const BUILT_IN_TEMPLATES = [
+  require('./standard-v1'),
+  require('./standard-v2'),
+  require('./standard-v3'),
+  require('./standard-v4'),
+  require('./standard-v5'),
+  require('./standard-v6'),
+  require('./standard-v7')
+];
+
+// Intake fields a section can list in its prompt, with their labels
+const TEMPLATE_FIELDS = {
+  address: 'Address',
+  dateOfLoss: 'Date of Loss',
+  investigationDate: 'Investigation Date',
+  claimTypes: 'Claim Type(s)',
+  propertyType: 'Property Type',
+  propertyAge: 'Age',
+  constructionType: 'Construction Type',
+  currentUse: 'Current Use',
+  squareFootage: 'Square Footage',
+  projectName: 'Project Name',
+  propertyOwnerName: 'Property Owner',
+  affectedAreas: 'Affected Areas',
+  roofTypes: 'Roof Categories Indicated',
+  engineerName: 'Engineer',
+  engineerLicense: 'License',
+  engineerEmail: 'Email',
+  engineerPhone: 'Phone'
+};
+
+// Other variables prompts can use, besides the fields above
+const PROMPT_VARIABLES = [
+  'fields', 'evidence', 'photoList', 'weatherSummary', 'locationFacts',
+  'locationConfirmed', 'otherStormDates', 'sectionList', 'sectionOutline',
+  'completedSectionsText', 'foundationAnalysis', 'disputedClaims',
+  'damageTable', 'repairTable', 'scopeTotal', 'buildings', 'buildingTable',
+  'libraryExamples', 'libraryReferences'
+];
+
+const TEMPLATE_ID = /^[a-z0-9-]{1,64}$/;
+const CUSTOM_PREFIX = 'custom-';
+const SECTION_ID = /^[A-Za-z][A-Za-z0-9]{0,63}$/;
+
+/**
+ * A template that can't be saved, with a message saying what to fix.
+ */
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+function defaultTemplateId() {
+  return (process.env.REPORT_TEMPLATE || 'standard').trim().toLowerCase();
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check a template and return a clean copy. Throws a TemplateError
+ * naming the first problem.
+ */
+function validateTemplate(template) {
+  if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+    throw new TemplateError('The template must be an object');
+  }
+  if (typeof template.id !== 'string' || !TEMPLATE_ID.test(template.id)) {
+    throw new TemplateError('"id" must be lower-case letters, digits and dashes');
+  }
+  if (!nonEmptyString(template.name)) {
+    throw new TemplateError('"name" is required');
+  }
+  if (typeof template.systemPrompt !== 'string') {
+    throw new TemplateError('"systemPrompt" must be text');
+  }
+  if (!Array.isArray(template.sections) || template.sections.length === 0) {
+    throw new TemplateError('"sections" must list at least one section');
+  }
+
+  const seen = new Set();
+  const sections = template.sections.map((section, index) => {
+    const where = `sections[${index}]`;
+    if (section === null || typeof section !== 'object') {
+      throw new TemplateError(`"${where}" must be an object`);
+    }
+    if (typeof section.id !== 'string' || !SECTION_ID.test(section.id)) {
+      throw new TemplateError(`"${where}.id" must start with a letter and contain only letters and digits`);
+    }
+    const key = section.id.toLowerCase();
+    if (seen.has(key)) {
+      throw new TemplateError(`Section "${section.id}" appears more than once`);
+    }
+    seen.add(key);
+    if (!nonEmptyString(section.title)) {
+      throw new TemplateError(`"${where}.title" is required`);
+    }
+    if (!nonEmptyString(section.prompt)) {
+      throw new TemplateError(`"${where}.prompt" is required`);
+    }
+    const fields = section.fields === undefined ? [] : section.fields;
+    if (!Array.isArray(fields)) {
+      throw new TemplateError(`"${where}.fields" must be a list of intake fields`);
+    }
+    const unknown = fields.find(field => !Object.prototype.hasOwnProperty.call(TEMPLATE_FIELDS, field));
+    if (unknown !== undefined) {
+      throw new TemplateError(`"${where}.fields" has an unknown field "${unknown}" (expected one of: ${Object.keys(TEMPLATE_FIELDS).join(', ')})`);
+    }
+    const claimTypes = section.claimTypes === undefined ? [] : section.claimTypes;
+    if (!Array.isArray(claimTypes) || !claimTypes.every(nonEmptyString)) {
+      throw new TemplateError(`"${where}.claimTypes" must be a list of claim types`);
+    }
+    return {
+      id: section.id,
+      title: section.title.trim(),
+      summary: Boolean(section.summary),
+      weather: Boolean(section.weather),
+      ...(claimTypes.length > 0 ? { claimTypes: [...claimTypes] } : {}),
+      fields: [...fields],
+      prompt: section.prompt
+    };
+  });
+
+  return {
+    id: template.id,
+    version: template.version,
+    name: template.name.trim(),
+    systemPrompt: template.systemPrompt,
+    sections
+  };
+}
+
+/**
+ * The id an edited template is saved under: "custom-" and the id it was
+ * edited from, unless it already has the prefix.
+ */
+function customTemplateId(id) {
+  return id.startsWith(CUSTOM_PREFIX) ? id : `${CUSTOM_PREFIX}${id}`;
+}
+
+/**
+ * Saved (edited) template versions, plus the built-in ones. A saved
+ * version under a built-in id (from before edits had their own ids) or
+ * repeating an id and version saved earlier is left out, so each
+ * (id, version) names exactly one template.
+ */
+async function allTemplates(event) {
+  const builtInIds = new Set(BUILT_IN_TEMPLATES.map(template => template.id));
+  const seen = new Set();
+  const templates = BUILT_IN_TEMPLATES.map(template => {
+    seen.add(`${template.id} v${template.version}`);
+    return { ...template, builtIn: true };
+  });
+  const saved = (await getDocumentStore('templates', event).list())
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  saved.forEach(template => {
+    const key = `${template.id} v${template.version}`;
+    if (builtInIds.has(template.id) || seen.has(key)) {
+      console.error(`Ignoring saved template ${key}: the id and version belong to another template`);
+      return;
+    }
+    seen.add(key);
+    templates.push(template);
+  });
+  return templates;
+}
+
+/**
+ * The latest version of each template: [{ id, name, version, versions, builtIn }].
+ */
+async function listTemplates(event) {
+  const byId = new Map();
+  (await allTemplates(event)).forEach(template => {
+    const entry = byId.get(template.id) || { id: template.id, versions: [] };
+    entry.versions.push(template.version);
+    if (!entry.version || template.version > entry.version) {
+      Object.assign(entry, {
+        name: template.name,
+        version: template.version,
+        builtIn: Boolean(template.builtIn)
+      });
+    }
+    byId.set(template.id, entry);
+  });
+  return [...byId.values()]
+    .map(entry => ({ ...entry, versions: entry.versions.sort((a, b) => a - b) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * One template version, or the latest version when `version` is omitted.
+ * Resolves to null if there is no such template.
+ */
+async function getTemplate(id = defaultTemplateId(), version, event) {
+  const matches = (await allTemplates(event))
+    .filter(template => template.id === id)
+    .sort((a, b) => b.version - a.version);
+  if (version === undefined || version === null || version === '') {
+    return matches[0] || null;
+  }
+  return matches.find(template => template.version === Number(version)) || null;
+}
+
+/**
+ * Save an edited template as the next version of its custom id (see
+ * customTemplateId). Resolves to the saved template.
+ */
+async function saveTemplateVersion(template, event) {
+  const clean = validateTemplate(template);
+  const id = customTemplateId(clean.id);
+  if (!TEMPLATE_ID.test(id)) {
+    throw new TemplateError(`"id" must be at most ${64 - CUSTOM_PREFIX.length} characters`);
+  }
+  const versions = (await allTemplates(event))
+    .filter(existing => existing.id === id)
+    .map(existing => existing.version);
+  const saved = {
+    ...clean,
+    id,
+    version: versions.length > 0 ? Math.max(...versions) + 1 : 1,
+    createdAt: new Date().toISOString()
+  };
+  await getDocumentStore('templates', event).put(`${saved.id}-v${saved.version}`, saved);
+  return saved;
+}
+
+/**
+ * The template's section for a section id (case-insensitive), or null.
+ */
+function findSection(template, sectionId) {
+  const key = String(sectionId || '').trim().toLowerCase();
+  return (template?.sections || []).find(section => section.id.toLowerCase() === key) || null;
+}
+
+/**
+ * The template's sections that belong in this case's report, in report
+ * order: sections limited to certain claim types are left out unless
+ * the case has one of them.
+ */
+function sectionsForCase(template, context) {
+  const caseClaimTypes = (Array.isArray(context?.claimType) ? context.claimType : [])
+    .map(claimType => String(claimType).toLowerCase());
+  return (template?.sections || []).filter(section =>
+    !section.claimTypes || section.claimTypes.some(claimType => caseClaimTypes.includes(claimType.toLowerCase()))
+  );
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return Boolean(value);
+}
+
+/**
+ * Fill in a prompt's placeholders from `variables`, in one pass: blocks
+ * and placeholders are matched together, so a value that itself
+ * contains "{{name}}" (engineer notes, a quoted report) goes in as text.
+ */
+function renderPrompt(text, variables) {
+  return String(text || '').replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{(\w+)\}\}/g, (match, block, body, name) => {
+    if (block) return hasValue(variables[block]) ? renderPrompt(body, variables) : '';
+    const value = variables[name];
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * The "- Label: value" lines for a section's intake fields, skipping
+ * fields the engineer left empty.
+ */
+function formatSectionFields(section, variables) {
+  return (section?.fields || [])
+    .filter(field => hasValue(variables[field]))
+    .map(field => `- ${TEMPLATE_FIELDS[field]}: ${renderPrompt(`{{${field}}}`, variables)}`)
+    .join('\n');
+}
+
+module.exports = {
+  TemplateError,
+  TEMPLATE_FIELDS,
+  PROMPT_VARIABLES,
+  defaultTemplateId,
+  validateTemplate,
+  listTemplates,
+  getTemplate,
+  saveTemplateVersion,
+  findSection,
+  sectionsForCase,
+  renderPrompt,
+  formatSectionFields
+};
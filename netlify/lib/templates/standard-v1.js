@@ -0,0 +1,220 @@
+/************************************************
+ * netlify/lib/templates/standard-v1.js
+ *
+ * The standard forensic report, version 1: the layout and prompts the
+ * assistant has always used. Built-in versions are never edited in
+ * place; save a changed copy as a new version instead (see ./index.js).
+ ************************************************/
+module.exports = {
+  id: 'standard',
+  version: 1,
+  name: 'Standard Forensic Report',
+
+  systemPrompt: `
+You are an expert forensic engineer generating professional report sections.
+Use only the data from user inputs; do not invent details that contradict them.
+Utilize the engineer inputs and create sound, detailed, and objective arguments in defense of substantiating the claim.
+
+Guidelines:
+1. Use formal, technical language
+2. Include specific context details
+3. Maintain logical flow
+4. Support conclusions with evidence
+5. Reference documentation appropriately
+6. Use unique phrasing
+7. Ensure completeness
+8. Incorporate custom instructions while maintaining standards
+9. For the Table of Contents, use a clean, minimal layout in Markdown. Avoid bullet points and asterisks and hashtags.
+10. Make it so that each section is as long and detailed as possible.
+11. Make all the formatting uniform, with all the main headings the same font in bold, and all the rest of the text smaller font.
+12. Utilize the engineer inputs and create sound, detailed, and objective arguments in defense of substantiating the claim.
+13. Be lenghty and detailed throughout.
+
+Key points:
+1. Do NOT invent roofing types if user only specifies certain categories.
+2. Do NOT mention multiple floors if user has not indicated that (avoid referencing an upper floor if not specified).
+3. Keep Date of Loss ({{dateOfLoss}}) separate from Inspection Date ({{investigationDate}}).
+4. If weather data is missing or the date was in the future, note that briefly rather than printing "N/A".
+5. Avoid placeholders like [e.g., ...], [Third Party], etc.
+6. The user’s claim types: {{claimTypes}}.
+7. The indicated roof categories: {{roofTypes}}.
+8. The property address: {{address}}.
+9. The property owner (or project name): {{propertyOwnerName}} / {{projectName}}.
+10. The building type: {{propertyType}}, age: {{propertyAge}}, use: {{currentUse}}, sq ft: {{squareFootage}}.
+11. Weather Data Summary: {{weatherSummary}}
+`,
+
+  // In final report order. Summary sections are written last, from the
+  // finished content of the others; weather sections get the geocoded
+  // location and the forensic weather search.
+  sections: [
+    {
+      id: 'openingLetter',
+      title: 'Opening Letter',
+      summary: true,
+      weather: false,
+      fields: ['dateOfLoss', 'investigationDate', 'claimTypes', 'address'],
+      prompt: `
+"Opening Letter" for the final report.
+Include:
+{{fields}}
+- Brief greeting
+- Signature block: {{engineerName}}, License: {{engineerLicense}}, Email: {{engineerEmail}}, Phone: {{engineerPhone}}
+{{#completedSectionsText}}
+Summarize the findings and conclusions of the finished report below. Do not contradict it.
+{{completedSectionsText}}
+{{/completedSectionsText}}`
+    },
+    {
+      id: 'tableOfContents',
+      title: 'Table of Contents',
+      summary: true,
+      weather: false,
+      fields: [],
+      prompt: `
+"Table of Contents" in markdown, headings in this order:
+{{sectionList}}
+{{#sectionOutline}}
+Only list sections that were actually written. The finished sections and their sub-headings are:
+{{sectionOutline}}
+{{/sectionOutline}}`
+    },
+    {
+      id: 'introduction',
+      title: 'Introduction',
+      weather: false,
+      fields: ['address', 'dateOfLoss', 'investigationDate', 'claimTypes'],
+      prompt: `
+You are writing the "Introduction" for a forensic engineering report.
+{{fields}}
+Explain the purpose of the inspection (hail, wind, etc.).
+Do not add contradictory roofing details.
+`
+    },
+    {
+      id: 'authorization',
+      title: 'Authorization and Scope',
+      weather: true,
+      fields: [],
+      prompt: `
+You are writing the "Authorization and Scope of Investigation" section.
+Include:
+1) Who authorized it (e.g., property owner or law firm).
+2) The scope of work (site visit, photos, etc.).
+3) Summarize major tasks.
+4) Note any references if available.
+`
+    },
+    {
+      id: 'background',
+      title: 'Background Information',
+      weather: true,
+      fields: [
+        'propertyType', 'propertyAge', 'constructionType', 'currentUse',
+        'squareFootage', 'projectName', 'propertyOwnerName'
+      ],
+      prompt: `
+You are writing "Background Information."
+Include relevant details:
+{{fields}}
+{{#locationFacts}}Property location (geocoded{{#locationConfirmed}} and confirmed by the engineer{{/locationConfirmed}}):
+{{locationFacts}}
+State the county in the property description.
+{{/locationFacts}}No placeholders or contradictory info.
+`
+    },
+    {
+      id: 'observations',
+      title: 'Site Observations and Analysis',
+      weather: true,
+      fields: ['affectedAreas', 'roofTypes', 'claimTypes'],
+      prompt: `
+You are writing "Site Observations and Analysis."
+{{fields}}
+
+Only mention what the user indicated.
+{{#evidence}}
+Field evidence recorded by the engineer (cite the specific counts, test results and measurements):
+{{evidence}}
+{{/evidence}}{{#photoList}}
+Photographs in the report's Photographs appendix:
+{{photoList}}
+Refer to the photos that show each observation by number, e.g. "(see Photo 12)".
+Only cite a photo whose caption or tag matches what you are describing; never invent photo numbers.
+{{/photoList}}`
+    },
+    {
+      id: 'moisture',
+      title: 'Survey',
+      weather: true,
+      fields: [],
+      prompt: `
+"Survey" (Moisture) section.
+If user indicated interior water intrusion, mention it. Otherwise, be concise.
+`
+    },
+    {
+      id: 'meteorologist',
+      title: 'Meteorologist Report',
+      weather: true,
+      fields: [],
+      prompt: `
+"Meteorologist Report" section.
+Use the data:
+{{weatherSummary}}
+{{#locationFacts}}
+Property location used for the weather search:
+{{locationFacts}}
+{{/locationFacts}}
+If not available or date is in the future, note it.
+Cite each data source by name (e.g., NOAA SPC Storm Reports, NOAA Storm Events Database,
+the ASOS station identifier, WeatherAPI.com) wherever its figures are used, and state the
+distance and direction from the property to each report you rely on.
+Report the maximum hail diameter and peak gust exactly as given; do not round or estimate them.
+{{#otherStormDates}}
+Other severe-weather dates near the property that were considered when confirming the Date of Loss:
+{{otherStormDates}}
+Briefly list these dates and explain why the Date of Loss ({{dateOfLoss}}) was selected over them.
+{{/otherStormDates}}`
+    },
+    {
+      id: 'conclusions',
+      title: 'Conclusions and Recommendations',
+      weather: true,
+      fields: [],
+      prompt: `
+"Conclusions and Recommendations."
+Summarize your final opinion on cause(s) of loss.
+Propose next steps or repairs if relevant.
+{{#evidence}}
+Base the opinion on this field evidence recorded by the engineer:
+{{evidence}}
+{{/evidence}}`
+    },
+    {
+      id: 'rebuttal',
+      title: 'Rebuttal',
+      weather: true,
+      fields: [],
+      prompt: `
+"Rebuttal" section.
+If no third-party or conflicting reports were indicated, keep minimal.
+Otherwise, address them if user provided details.
+{{#evidence}}
+Field evidence available to support our position:
+{{evidence}}
+{{/evidence}}`
+    },
+    {
+      id: 'limitations',
+      title: 'Limitations',
+      weather: true,
+      fields: [],
+      prompt: `
+"Limitations" section.
+Typical disclaimers about data reliance, scope boundaries, site access, etc.
+No placeholders.
+`
+    }
+  ]
+};
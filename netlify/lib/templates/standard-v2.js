@@ -0,0 +1,45 @@
+/************************************************
+ * netlify/lib/templates/standard-v2.js
+ *
+ * The standard forensic report, version 2: version 1 plus a Foundation
+ * section, written from the floor elevation survey, for foundation claims.
+ ************************************************/
+const standardV1 = require('./standard-v1');
+
+const foundation = {
+  id: 'foundation',
+  title: 'Foundation Observations and Conclusions',
+  weather: false,
+  claimTypes: ['Foundation'],
+  fields: ['propertyType', 'propertyAge', 'constructionType', 'affectedAreas'],
+  prompt: `
+You are writing "Foundation Observations and Conclusions."
+{{fields}}
+{{#foundationAnalysis}}
+Floor elevation survey results, computed from the engineer's readings (report these figures exactly):
+{{foundationAnalysis}}
+Describe how the survey was taken and the pattern of the floor (where it is high and low, and any dish or dome shape).
+Compare the tilt and deflection with the tolerance criteria above, naming the source of the criteria,
+and state whether the foundation has experienced distress that warrants repair.
+{{/foundationAnalysis}}
+If no elevation survey results are given, state that no floor elevation survey was performed and base the
+conclusions on the visual observations only.
+{{#photoList}}
+Photographs in the report's Photographs appendix:
+{{photoList}}
+Refer to the photos (including any floor elevation contour plot) by number, e.g. "(see Photo 12)".
+Only cite a photo whose caption or tag matches what you are describing; never invent photo numbers.
+{{/photoList}}`
+};
+
+const observationsIndex = standardV1.sections.findIndex(section => section.id === 'observations');
+
+module.exports = {
+  ...standardV1,
+  version: 2,
+  sections: [
+    ...standardV1.sections.slice(0, observationsIndex + 1),
+    foundation,
+    ...standardV1.sections.slice(observationsIndex + 1)
+  ]
+};
@@ -0,0 +1,38 @@
+/************************************************
+ * netlify/lib/templates/standard-v3.js
+ *
+ * The standard forensic report, version 3: version 2 with a Rebuttal
+ * written point by point from the third-party report statements the
+ * engineer disputes.
+ ************************************************/
+const standardV2 = require('./standard-v2');
+
+const rebuttal = {
+  id: 'rebuttal',
+  title: 'Rebuttal',
+  weather: true,
+  fields: [],
+  prompt: `
+"Rebuttal" section.
+{{#disputedClaims}}
+The engineer disputes the following statements from third-party reports:
+{{disputedClaims}}
+
+Respond point by point, in the order given, with a short heading for each point. For each one:
+quote the opposing statement exactly, in quotation marks, naming the report it comes from (and the page when given);
+then give our response, based on the engineer's evidence for that point, the field evidence and the weather data.
+Cite the supporting photos by number, e.g. "(see Photo 12)". Do not address statements that are not listed,
+and do not attribute anything else to the third-party reports.
+{{/disputedClaims}}
+If no disputed statements are listed, keep this section minimal.
+{{#evidence}}
+Field evidence available to support our position:
+{{evidence}}
+{{/evidence}}`
+};
+
+module.exports = {
+  ...standardV2,
+  version: 3,
+  sections: standardV2.sections.map(section => (section.id === 'rebuttal' ? rebuttal : section))
+};
@@ -0,0 +1,63 @@
+/************************************************
+ * netlify/lib/templates/standard-v4.js
+ *
+ * The standard forensic report, version 4: version 3 with the hail
+ * test-square tables in Site Observations (the counts) and Conclusions
+ * (repair or replace for each slope and the whole roof).
+ ************************************************/
+const standardV3 = require('./standard-v3');
+
+const observations = {
+  id: 'observations',
+  title: 'Site Observations and Analysis',
+  weather: true,
+  fields: ['affectedAreas', 'roofTypes', 'claimTypes'],
+  prompt: `
+You are writing "Site Observations and Analysis."
+{{fields}}
+
+Only mention what the user indicated.
+{{#damageTable}}
+Hail test squares (10 ft x 10 ft) counted by the engineer on each roof slope. Include this table in the section
+exactly as given, as a Markdown table, and describe how the test squares were laid out and counted.
+Do not change, round or recompute any figure in it:
+{{damageTable}}
+{{/damageTable}}
+{{#evidence}}
+Field evidence recorded by the engineer (cite the specific counts, test results and measurements):
+{{evidence}}
+{{/evidence}}{{#photoList}}
+Photographs in the report's Photographs appendix:
+{{photoList}}
+Refer to the photos that show each observation by number, e.g. "(see Photo 12)".
+Only cite a photo whose caption or tag matches what you are describing; never invent photo numbers.
+{{/photoList}}`
+};
+
+const conclusions = {
+  id: 'conclusions',
+  title: 'Conclusions and Recommendations',
+  weather: true,
+  fields: [],
+  prompt: `
+"Conclusions and Recommendations."
+Summarize your final opinion on cause(s) of loss.
+Propose next steps or repairs if relevant.
+{{#repairTable}}
+Repair or replacement, computed from the hail test squares against the replacement thresholds.
+Include this table exactly as given, as a Markdown table, and make the recommendations in the text agree with it:
+{{repairTable}}
+{{/repairTable}}
+{{#evidence}}
+Base the opinion on this field evidence recorded by the engineer:
+{{evidence}}
+{{/evidence}}`
+};
+
+const replaced = { observations, conclusions };
+
+module.exports = {
+  ...standardV3,
+  version: 4,
+  sections: standardV3.sections.map(section => replaced[section.id] || section)
+};
@@ -0,0 +1,39 @@
+/************************************************
+ * netlify/lib/templates/standard-v5.js
+ *
+ * The standard forensic report, version 5: version 4 with the estimated
+ * repair cost from the line-item scope (the report's Repair Scope
+ * appendix) stated in Conclusions.
+ ************************************************/
+const standardV4 = require('./standard-v4');
+
+const conclusions = {
+  id: 'conclusions',
+  title: 'Conclusions and Recommendations',
+  weather: true,
+  fields: [],
+  prompt: `
+"Conclusions and Recommendations."
+Summarize your final opinion on cause(s) of loss.
+Propose next steps or repairs if relevant.
+{{#repairTable}}
+Repair or replacement, computed from the hail test squares against the replacement thresholds.
+Include this table exactly as given, as a Markdown table, and make the recommendations in the text agree with it:
+{{repairTable}}
+{{/repairTable}}
+{{#scopeTotal}}
+The estimated cost of the recommended repairs is {{scopeTotal}}, from the line-item scope in the report's
+"Appendix: Repair Scope". State this total exactly as given and refer the reader to the appendix;
+do not list the line items or compute any other cost.
+{{/scopeTotal}}
+{{#evidence}}
+Base the opinion on this field evidence recorded by the engineer:
+{{evidence}}
+{{/evidence}}`
+};
+
+module.exports = {
+  ...standardV4,
+  version: 5,
+  sections: standardV4.sections.map(section => (section.id === 'conclusions' ? conclusions : section))
+};
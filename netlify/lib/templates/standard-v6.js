@@ -0,0 +1,67 @@
+/************************************************
+ * netlify/lib/templates/standard-v6.js
+ *
+ * The standard forensic report, version 6: version 5 with multi-building
+ * properties. When the intake lists buildings, Background, Observations
+ * and Conclusions have a subsection per building and a summary table
+ * across all of them.
+ ************************************************/
+const standardV5 = require('./standard-v5');
+
+const original = id => standardV5.sections.find(section => section.id === id);
+
+const background = {
+  ...original('background'),
+  prompt: `
+You are writing "Background Information."
+Include relevant details:
+{{fields}}
+{{#locationFacts}}Property location (geocoded{{#locationConfirmed}} and confirmed by the engineer{{/locationConfirmed}}):
+{{locationFacts}}
+State the county in the property description.
+{{/locationFacts}}{{#buildings}}
+The property has several buildings. After describing the property as a whole, write a subsection for each
+building, in this order, headed with its name exactly as given ("### <name>"), describing its use, age, size
+and roof systems:
+{{buildings}}
+
+Then include this summary table exactly as given, as a Markdown table:
+{{buildingTable}}
+{{/buildings}}No placeholders or contradictory info.
+`
+};
+
+const observations = {
+  ...original('observations'),
+  prompt: `${original('observations').prompt}
+{{#buildings}}
+Organize the observations by building: a subsection for each building below, in this order, headed with its name
+exactly as given ("### <name>"). Describe under each building only the roof systems and damage recorded for it:
+{{buildings}}
+
+End with a summary table across all buildings, as a Markdown table with the columns
+Building | Roof systems | Damage observed, one row per building, using the names exactly as given.
+{{/buildings}}`
+};
+
+const conclusions = {
+  ...original('conclusions'),
+  prompt: `${original('conclusions').prompt}
+{{#buildings}}
+Give the conclusions for each building in its own subsection, in this order, headed with its name exactly as given
+("### <name>"):
+{{buildings}}
+
+End with a summary table across all buildings, as a Markdown table with the columns
+Building | Cause of damage | Recommendation, one row per building, using the names exactly as given.
+Make each row agree with that building's subsection.
+{{/buildings}}`
+};
+
+const replaced = { background, observations, conclusions };
+
+module.exports = {
+  ...standardV5,
+  version: 6,
+  sections: standardV5.sections.map(section => replaced[section.id] || section)
+};
@@ -0,0 +1,28 @@
+/************************************************
+ * netlify/lib/templates/standard-v7.js
+ *
+ * The standard forensic report, version 7: version 6 with the firm's
+ * library. Each section's prompt carries the closest passages from past
+ * issued reports as style examples and from the reference library as
+ * citable sources, numbered [S1], [S2]... (see netlify/lib/library);
+ * sections cite the references they rely on and end with a Sources list.
+ ************************************************/
+const standardV6 = require('./standard-v6');
+
+const systemPrompt = `${standardV6.systemPrompt}{{#libraryExamples}}
+Style examples: passages from the firm's past issued reports on similar subjects. Match their tone, structure and
+level of detail, but take no facts from them; they describe other properties and other losses.
+{{libraryExamples}}
+{{/libraryExamples}}{{#libraryReferences}}
+References: excerpts from the firm's standards library. Where a statement relies on one, quote or paraphrase it
+accurately and cite it inline by its number, e.g. [S3]. Do not quote standards, clauses or thresholds that are not
+given here or in the engineer's inputs. End the section with a "Sources" list giving the number and citation of
+each reference cited.
+{{libraryReferences}}
+{{/libraryReferences}}`;
+
+module.exports = {
+  ...standardV6,
+  version: 7,
+  systemPrompt
+};
@@ -0,0 +1,138 @@
+/************************************************
+ * netlify/lib/third-party/docx.js
+ *
+ * Plain-text extraction from Word (.docx) files: the document part is
+ * read out of the zip container with zlib and its paragraphs are taken
+ * from the WordprocessingML, marking headings and list items.
+ ************************************************/
+const zlib = require('zlib');
+
+/**
+ * A file that isn't a readable .docx.
+ */
+class DocxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocxError';
+  }
+}
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * The entries of a zip file: Map(name -> () => Buffer).
+ */
+function readZip(bytes) {
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (bytes.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new DocxError('This is not a .docx file');
+
+  const count = bytes.readUInt16LE(end + 10);
+  let offset = bytes.readUInt32LE(end + 16);
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > bytes.length || bytes.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new DocxError('The .docx file is damaged');
+    }
+    const method = bytes.readUInt16LE(offset + 10);
+    const compressedSize = bytes.readUInt32LE(offset + 20);
+    const nameLength = bytes.readUInt16LE(offset + 28);
+    const extraLength = bytes.readUInt16LE(offset + 30);
+    const commentLength = bytes.readUInt16LE(offset + 32);
+    const localOffset = bytes.readUInt32LE(offset + 42);
+    const name = bytes.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (bytes.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+        throw new DocxError('The .docx file is damaged');
+      }
+      const dataStart = localOffset + 30 + bytes.readUInt16LE(localOffset + 26) + bytes.readUInt16LE(localOffset + 28);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new DocxError(`Unsupported compression in the .docx file (method ${method})`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function xmlAttribute(xml, name) {
+  const match = new RegExp(`${name}="([^"]*)"`).exec(xml);
+  return match ? decodeXml(match[1]) : '';
+}
+
+/**
+ * The text of one <w:p> paragraph, with tabs and line breaks.
+ */
+function paragraphText(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>|<w:noBreakHyphen\/>/g)) {
+    if (match[1] !== undefined) {
+      text += decodeXml(match[1]);
+    } else if (match[0].startsWith('<w:tab')) {
+      text += '\t';
+    } else if (match[0].startsWith('<w:noBreakHyphen')) {
+      text += '-';
+    } else {
+      text += '\n';
+    }
+  }
+  return text;
+}
+
+/**
+ * Extract the text of a .docx file (a Buffer).
+ * Returns { title, author, paragraphs: [{ text, heading, listItem }] }.
+ */
+function extractDocxText(bytes) {
+  const entries = readZip(bytes);
+  const documentPart = entries.get('word/document.xml');
+  if (!documentPart) throw new DocxError('The file has no Word document in it');
+  const xml = documentPart().toString('utf8');
+
+  const paragraphs = [];
+  for (const match of xml.matchAll(/<w:p[\s>][\s\S]*?<\/w:p>|<w:p\/>/g)) {
+    const text = paragraphText(match[0]).trim();
+    if (!text) continue;
+    const style = xmlAttribute(/<w:pStyle\s[^>]*\/>/.exec(match[0])?.[0] || '', 'w:val');
+    paragraphs.push({
+      text,
+      heading: /^(?:heading|title)/i.test(style),
+      listItem: /<w:numPr>/.test(match[0]) || /^list/i.test(style)
+    });
+  }
+
+  const coreProperties = entries.get('docProps/core.xml');
+  const core = coreProperties ? coreProperties().toString('utf8') : '';
+  const property = name => decodeXml(new RegExp(`<${name}[^>]*>([^<]*)</${name}>`).exec(core)?.[1] || '').trim();
+  return {
+    title: property('dc:title'),
+    author: property('dc:creator'),
+    paragraphs
+  };
+}
+
+module.exports = {
+  DocxError,
+  extractDocxText
+};
@@ -0,0 +1,266 @@
+/************************************************
+ * netlify/lib/third-party/index.js
+ *
+ * Opposing engineers' and adjusters' reports, for the Rebuttal section.
+ * An uploaded report (PDF, DOCX or plain text) has its text extracted
+ * here, with no outside service, and is split into the individual
+ * claims and findings it makes. The engineer marks the claims to dispute
+ * and adds their own evidence; formatDisputedClaims then lists those
+ * points for the Rebuttal prompt.
+ *
+ * A claim is { id, text, page, heading }: the statement as written, the
+ * page it starts on (PDF only) and the heading it appears under. The
+ * engineer's additions are { dispute, evidence, photoIds }.
+ ************************************************/
+const { extractPdfText, PdfError } = require('./pdf');
+const { extractDocxText, DocxError } = require('./docx');
+
+const MAX_CLAIMS = 200;
+const MAX_CLAIM_LENGTH = 800;
+const MIN_CLAIM_WORDS = 6;
+
+// Sections that hold no claims worth disputing
+const SKIPPED_HEADINGS = /\b(?:table of contents|contents|references|bibliography|qualifications|curriculum vitae|resume|limitations|appendix|attachments?|exhibits?|photographs?|photo log|distribution|signatures?|certification|glossary)\b/i;
+// Sections where every statement is a finding
+const FINDING_HEADINGS = /\b(?:conclusions?|findings?|opinions?|observations?|discussion|analysis|summary|causes?|recommendations?)\b/i;
+// Statements elsewhere that read like a finding
+const FINDING_WORDS = /\b(?:conclu\w*|opinion|determin\w*|found|observ\w*|caused?|due to|result(?:ed|s)? (?:of|from)|consistent with|attribut\w*|evidence|damage\w*|deteriorat\w*|wear|age[- ]related|pre-?existing|long[- ]term|manufactur\w*|install\w*|defect\w*|functional|cosmetic|repair\w*|replace\w*|hail\w*|wind|storm|leak\w*|not (?:caused|related|consistent))\b/i;
+
+const LIST_MARKER = /^(?:\d{1,2}[.)]|\(?[a-z]\)|\(\d{1,2}\)|[•▪●◦■\-–*])\s+/;
+const PAGE_FURNITURE = /^(?:page\s+\d+(?:\s+of\s+\d+)?|\d{1,4}|-\s*\d+\s*-)$/i;
+// Abbreviations that end in a period without ending the sentence
+const ABBREVIATIONS = /(?:\b(?:Mr|Mrs|Ms|Dr|No|Nos|Fig|Figs|St|Ave|Rd|approx|vs|e\.g|i\.e|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec|Bldg|Ref|Sec|U\.S)|\b[A-Z])\.$/;
+// Abbreviations that often end a sentence too ("...signed by J. Smith, P.E."),
+// so they end one when a capitalized word follows
+const FINAL_ABBREVIATIONS = /\b(?:P\.E|Ph\.D|Inc|Co|Corp|Ltd|LLC|Jr|Sr|etc|ft|in)\.$/;
+
+/**
+ * A file that can't be read as a report, with a message for the engineer.
+ */
+class ThirdPartyReportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ThirdPartyReportError';
+  }
+}
+
+function fileKind(fileName, contentType) {
+  const extension = String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/)?.[1] || '';
+  const type = String(contentType || '').toLowerCase();
+  if (extension === 'pdf' || type === 'application/pdf') return 'pdf';
+  if (extension === 'docx' || type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+  if (['txt', 'text', 'md'].includes(extension) || type.startsWith('text/')) return 'text';
+  if (extension === 'doc' || type === 'application/msword') {
+    throw new ThirdPartyReportError('Old Word (.doc) files are not supported; save the report as .docx or PDF');
+  }
+  throw new ThirdPartyReportError('Upload the report as a PDF, Word (.docx) or text file');
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function isHeadingLine(line) {
+  if (LIST_MARKER.test(line) && !/^\d{1,2}\.\d*\s+[A-Z]/.test(line)) return false;
+  if (wordCount(line) > 10 || /[.,;]$/.test(line)) return false;
+  const letters = line.replace(/^\d+(?:\.\d+)*\.?\s+/, '').replace(/[^A-Za-z]/g, '');
+  if (letters.length < 3) return false;
+  // ALL CAPS, or every significant word capitalized
+  const upper = letters.replace(/[^A-Z]/g, '').length / letters.length;
+  const words = line.replace(/^\d+(?:\.\d+)*\.?\s+/, '').split(/\s+/).filter(word => word.length > 3);
+  return upper > 0.8 || (words.length > 0 && words.every(word => /^[A-Z(]/.test(word)));
+}
+
+/**
+ * Join text lines into blocks: headings and list items start a new
+ * block, blank lines end one, and wrapped lines are rejoined (removing
+ * hyphenation).
+ */
+function linesToBlocks(lines, page, blocks) {
+  let current = blocks[blocks.length - 1];
+  // A paragraph can continue from the previous page
+  if (current && (current.heading || /[.!?:]["”']?$/.test(current.text))) current = null;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line || PAGE_FURNITURE.test(line)) {
+      if (!line) current = null;
+      return;
+    }
+    if (isHeadingLine(line)) {
+      blocks.push({ text: line.replace(/:$/, ''), page, heading: true, listItem: false });
+      current = null;
+      return;
+    }
+    if (!current || current.heading || LIST_MARKER.test(line)) {
+      current = { text: line, page, heading: false, listItem: LIST_MARKER.test(line) };
+      blocks.push(current);
+      return;
+    }
+    current.text = /[A-Za-z]-$/.test(current.text) && /^[a-z]/.test(line)
+      ? current.text.slice(0, -1) + line
+      : `${current.text} ${line}`;
+  });
+}
+
+/**
+ * Extract a report's text. `data` is the file's bytes (a Buffer).
+ * Returns { title, author, pageCount, blocks: [{ text, page, heading, listItem }] }.
+ */
+function extractReport({ fileName, contentType, data }) {
+  const kind = fileKind(fileName, contentType);
+  const blocks = [];
+  let title = '';
+  let author = '';
+  let pageCount = null;
+
+  try {
+    if (kind === 'pdf') {
+      const pdf = extractPdfText(data);
+      pdf.pages.forEach((lines, index) => linesToBlocks(lines, index + 1, blocks));
+      ({ title, author } = pdf);
+      pageCount = pdf.pages.length;
+    } else if (kind === 'docx') {
+      const docx = extractDocxText(data);
+      docx.paragraphs.forEach(paragraph => {
+        const text = paragraph.text.replace(/\s+/g, ' ').trim();
+        const heading = paragraph.heading || (!paragraph.listItem && isHeadingLine(text));
+        blocks.push({ text, page: null, heading, listItem: paragraph.listItem || LIST_MARKER.test(text) });
+      });
+      ({ title, author } = docx);
+    } else {
+      linesToBlocks(data.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/), null, blocks);
+    }
+  } catch (error) {
+    if (error instanceof PdfError || error instanceof DocxError) {
+      throw new ThirdPartyReportError(error.message);
+    }
+    if (kind === 'text') throw error;
+    throw new ThirdPartyReportError(`The ${kind === 'pdf' ? 'PDF' : '.docx'} file could not be read (${error.message})`);
+  }
+
+  if (!blocks.some(block => !block.heading)) {
+    throw new ThirdPartyReportError(kind === 'pdf'
+      ? 'No text was found in the PDF; it may be a scan. Upload a text version of the report instead'
+      : 'No text was found in the report');
+  }
+  return {
+    title: title || blocks.find(block => block.heading)?.text || '',
+    author,
+    pageCount,
+    blocks
+  };
+}
+
+/**
+ * Split a paragraph into sentences.
+ */
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  for (const match of text.matchAll(/[.!?]["”')\]]*\s+(?=["“(]?[A-Z0-9])/g)) {
+    const end = match.index + match[0].trimEnd().length;
+    const candidate = text.slice(start, end);
+    const before = text.slice(start, match.index + 1);
+    if (!FINAL_ABBREVIATIONS.test(before) && ABBREVIATIONS.test(before)) continue;
+    sentences.push(candidate.trim());
+    start = match.index + match[0].length;
+  }
+  sentences.push(text.slice(start).trim());
+  return sentences.filter(Boolean);
+}
+
+function clip(text) {
+  return text.length > MAX_CLAIM_LENGTH ? `${text.slice(0, MAX_CLAIM_LENGTH - 3).trimEnd()}...` : text;
+}
+
+/**
+ * The claims and findings in an extracted report, in document order:
+ * [{ id, text, page, heading }]. List items are taken whole; other
+ * paragraphs are split into sentences, keeping the ones that state a
+ * finding (all of them under a Conclusions/Findings-type heading).
+ */
+function splitClaims(blocks) {
+  const claims = [];
+  let heading = '';
+  let skipping = false;
+
+  const add = (text, page) => {
+    if (claims.length >= MAX_CLAIMS || wordCount(text) < MIN_CLAIM_WORDS) return;
+    claims.push({ id: `c${claims.length + 1}`, text: clip(text), page, heading });
+  };
+
+  blocks.forEach(block => {
+    if (block.heading) {
+      heading = block.text;
+      skipping = SKIPPED_HEADINGS.test(heading);
+      return;
+    }
+    if (skipping) return;
+    const findingSection = FINDING_HEADINGS.test(heading);
+
+    if (block.listItem) {
+      const text = block.text.replace(LIST_MARKER, '');
+      if (findingSection || FINDING_WORDS.test(text)) add(text, block.page);
+      return;
+    }
+    splitSentences(block.text).forEach(sentence => {
+      if (findingSection || FINDING_WORDS.test(sentence)) add(sentence, block.page);
+    });
+  });
+  return claims;
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * The disputed claims from the case's third-party reports, numbered as
+ * points for the Rebuttal prompt, each with the engineer's evidence and
+ * supporting photos. `photos` are the numbered appendix photos
+ * ([{ id, number, tag, caption }]). Empty if nothing is disputed.
+ */
+function formatDisputedClaims(reports, photos = []) {
+  const photoById = new Map((Array.isArray(photos) ? photos : []).filter(photo => photo?.id).map(photo => [photo.id, photo]));
+  let point = 0;
+
+  return (Array.isArray(reports) ? reports : [])
+    .map(report => {
+      const disputed = (Array.isArray(report?.claims) ? report.claims : [])
+        .filter(claim => claim?.dispute && text(claim.text));
+      if (disputed.length === 0) return '';
+
+      const source = [
+        text(report.title) ? `"${text(report.title)}"` : 'Third-party report',
+        text(report.preparedBy) ? `prepared by ${text(report.preparedBy)}` : '',
+        text(report.fileName) ? `(${text(report.fileName)})` : ''
+      ].filter(Boolean).join(' ');
+
+      const points = disputed.map(claim => {
+        const where = [
+          Number.isInteger(claim.page) ? `page ${claim.page}` : '',
+          text(claim.heading) ? `under "${text(claim.heading)}"` : ''
+        ].filter(Boolean).join(', ');
+        const lines = [`Point ${++point}${where ? ` (${where})` : ''}: "${text(claim.text)}"`];
+        if (text(claim.evidence)) lines.push(`  Our evidence: ${text(claim.evidence)}`);
+        const supporting = (Array.isArray(claim.photoIds) ? claim.photoIds : [])
+          .map(id => photoById.get(id))
+          .filter(Boolean)
+          .map(photo => `Photo ${photo.number}${text(photo.tag) ? ` (${text(photo.tag)})` : ''}: ${text(photo.caption) || 'No caption'}`);
+        if (supporting.length > 0) lines.push(`  Supporting photos: ${supporting.join('; ')}`);
+        return lines.join('\n');
+      });
+      return `From ${source}:\n${points.join('\n')}`;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  ThirdPartyReportError,
+  extractReport,
+  splitSentences,
+  splitClaims,
+  formatDisputedClaims
+};
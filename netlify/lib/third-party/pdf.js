@@ -0,0 +1,627 @@
+/************************************************
+ * netlify/lib/third-party/pdf.js
+ *
+ * Plain-text extraction from PDF files, with no external service:
+ * objects are read straight from the file (including compressed object
+ * streams), each page's content streams are interpreted for their text
+ * operators, and font ToUnicode maps turn character codes into text.
+ *
+ * Good enough for reports written in Word or similar tools. Scanned
+ * pages have no text to extract, and fonts without a ToUnicode map are
+ * read as WinAnsi text.
+ ************************************************/
+const zlib = require('zlib');
+
+const MAX_FORM_DEPTH = 5;
+
+/**
+ * A parse problem in the file; the caller reports it as unreadable.
+ */
+class PdfError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfError';
+  }
+}
+
+// Values: numbers, booleans, null, Buffer (strings), { name }, { ref },
+// arrays and plain objects (dictionaries, keyed by name)
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+
+function isName(value, name) {
+  return value !== null && typeof value === 'object' && typeof value.name === 'string' && (name === undefined || value.name === name);
+}
+
+/**
+ * Reads PDF values from a Buffer, starting at `pos`.
+ */
+class Lexer {
+  constructor(bytes, pos = 0) {
+    this.bytes = bytes;
+    this.pos = pos;
+  }
+
+  skipSpace() {
+    const { bytes } = this;
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos];
+      if (WHITESPACE.has(byte)) {
+        this.pos++;
+      } else if (byte === 0x25) { // % comment
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  // A bare word: number, keyword or operator
+  readWord() {
+    const start = this.pos;
+    while (this.pos < this.bytes.length && !WHITESPACE.has(this.bytes[this.pos]) && !DELIMITERS.has(this.bytes[this.pos])) {
+      this.pos++;
+    }
+    return this.bytes.toString('latin1', start, this.pos);
+  }
+
+  readName() {
+    this.pos++; // /
+    return { name: this.readWord().replace(/#([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))) };
+  }
+
+  readLiteralString() {
+    const { bytes } = this;
+    const out = [];
+    let depth = 1;
+    this.pos++; // (
+    while (this.pos < bytes.length) {
+      const byte = bytes[this.pos++];
+      if (byte === 0x5c) { // backslash
+        const next = bytes[this.pos++];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[next] !== undefined) {
+          out.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = next - 0x30;
+          for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+            octal = octal * 8 + (bytes[this.pos++] - 0x30);
+          }
+          out.push(octal & 0xff);
+        } else if (next === 0x0d) {
+          if (bytes[this.pos] === 0x0a) this.pos++;
+        } else if (next !== 0x0a) {
+          out.push(next);
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        out.push(byte);
+      } else if (byte === 0x29) {
+        if (--depth === 0) break;
+        out.push(byte);
+      } else {
+        out.push(byte);
+      }
+    }
+    return Buffer.from(out);
+  }
+
+  readHexString() {
+    const end = this.bytes.indexOf(0x3e, this.pos); // >
+    const hex = this.bytes.toString('latin1', this.pos + 1, end === -1 ? this.bytes.length : end).replace(/[^0-9A-Fa-f]/g, '');
+    this.pos = end === -1 ? this.bytes.length : end + 1;
+    return Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+  }
+
+  /**
+   * The next value, or an operator/keyword as { op }. Returns null at the end.
+   */
+  readToken() {
+    this.skipSpace();
+    const { bytes } = this;
+    if (this.pos >= bytes.length) return null;
+    const byte = bytes[this.pos];
+
+    if (byte === 0x2f) return this.readName();
+    if (byte === 0x28) return this.readLiteralString();
+    if (byte === 0x3c) {
+      if (bytes[this.pos + 1] === 0x3c) {
+        this.pos += 2;
+        return { op: '<<' };
+      }
+      return this.readHexString();
+    }
+    if (byte === 0x3e && bytes[this.pos + 1] === 0x3e) {
+      this.pos += 2;
+      return { op: '>>' };
+    }
+    if (byte === 0x5b || byte === 0x5d || byte === 0x7b || byte === 0x7d) {
+      this.pos++;
+      return { op: String.fromCharCode(byte) };
+    }
+    if (DELIMITERS.has(byte)) {
+      this.pos++;
+      return { op: String.fromCharCode(byte) };
+    }
+
+    const word = this.readWord();
+    if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) return Number(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return { op: word };
+  }
+
+  /**
+   * A complete value (arrays and dictionaries included), resolving
+   * "n g R" into { ref }. Returns { op } for anything else.
+   */
+  readValue(token = this.readToken()) {
+    if (token === null || typeof token !== 'object' || Buffer.isBuffer(token) || !token.op) {
+      if (typeof token === 'number' && Number.isInteger(token)) {
+        // Look ahead for "generation R"
+        const saved = this.pos;
+        const generation = this.readToken();
+        if (typeof generation === 'number') {
+          const keyword = this.readToken();
+          if (keyword && keyword.op === 'R') return { ref: `${token} ${generation}` };
+        }
+        this.pos = saved;
+      }
+      return token;
+    }
+    if (token.op === '[') {
+      const array = [];
+      for (let next = this.readToken(); next !== null && next.op !== ']'; next = this.readToken()) {
+        array.push(this.readValue(next));
+      }
+      return array;
+    }
+    if (token.op === '<<') {
+      const dict = {};
+      for (let key = this.readToken(); key !== null && key.op !== '>>'; key = this.readToken()) {
+        if (isName(key)) dict[key.name] = this.readValue();
+      }
+      return dict;
+    }
+    return token;
+  }
+}
+
+function filterNames(dict) {
+  const filter = dict.Filter;
+  return (Array.isArray(filter) ? filter : filter ? [filter] : []).map(entry => (isName(entry) ? entry.name : ''));
+}
+
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch (error) {
+    // Tolerate truncated or sloppily terminated streams
+    return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  }
+}
+
+/**
+ * The indirect objects of a PDF file, with their streams decoded.
+ */
+class PdfDocument {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.objects = new Map();
+    this.scanObjects();
+    this.readObjectStreams();
+  }
+
+  // Every "n g obj" in the file; a later definition replaces an earlier one
+  scanObjects() {
+    const text = this.bytes.toString('latin1');
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    for (const match of text.matchAll(header)) {
+      const lexer = new Lexer(this.bytes, match.index + match[0].length);
+      let value;
+      try {
+        value = lexer.readValue();
+      } catch (error) {
+        continue;
+      }
+      const entry = { value };
+      lexer.skipSpace();
+      if (value && typeof value === 'object' && !Array.isArray(value) && text.startsWith('stream', lexer.pos)) {
+        entry.streamStart = lexer.pos + 6 + (text[lexer.pos + 6] === '\r' ? 2 : 1);
+      }
+      this.objects.set(`${match[1]} ${match[2]}`, entry);
+    }
+  }
+
+  // Objects packed into compressed object streams (PDF 1.5+)
+  readObjectStreams() {
+    [...this.objects.values()].forEach(entry => {
+      if (!isName(entry.value?.Type, 'ObjStm')) return;
+      const data = this.streamData(entry);
+      if (!data) return;
+      const count = this.resolve(entry.value.N);
+      const first = this.resolve(entry.value.First);
+      const lexer = new Lexer(data);
+      const offsets = [];
+      for (let i = 0; i < count; i++) {
+        const number = lexer.readToken();
+        const offset = lexer.readToken();
+        if (typeof number !== 'number' || typeof offset !== 'number') break;
+        offsets.push([number, offset]);
+      }
+      offsets.forEach(([number, offset]) => {
+        const key = `${number} 0`;
+        if (this.objects.has(key)) return;
+        try {
+          this.objects.set(key, { value: new Lexer(data, first + offset).readValue() });
+        } catch (error) {
+          // Skip an unreadable object
+        }
+      });
+    });
+  }
+
+  resolve(value, depth = 0) {
+    if (value && typeof value === 'object' && typeof value.ref === 'string' && depth < 32) {
+      const entry = this.objects.get(value.ref);
+      return entry ? this.resolve(entry.value, depth + 1) : null;
+    }
+    return value;
+  }
+
+  entryFor(value) {
+    return value && typeof value.ref === 'string' ? this.objects.get(value.ref) || null : null;
+  }
+
+  /**
+   * The decoded bytes of a stream object, or null if it uses a filter we
+   * can't decode (images, mostly).
+   */
+  streamData(entry) {
+    if (!entry || entry.streamStart === undefined) return null;
+    if (entry.data !== undefined) return entry.data;
+
+    const dict = entry.value;
+    const length = this.resolve(dict.Length);
+    let end = -1;
+    if (Number.isInteger(length) && length >= 0) {
+      const after = this.bytes.toString('latin1', entry.streamStart + length, entry.streamStart + length + 12);
+      if (/^\s*endstream/.test(after)) end = entry.streamStart + length;
+    }
+    if (end === -1) {
+      end = this.bytes.indexOf('endstream', entry.streamStart, 'latin1');
+      if (end === -1) end = this.bytes.length;
+      while (end > entry.streamStart && (this.bytes[end - 1] === 0x0a || this.bytes[end - 1] === 0x0d)) end--;
+    }
+
+    let data = this.bytes.subarray(entry.streamStart, end);
+    try {
+      for (const filter of filterNames(dict)) {
+        if (filter === 'FlateDecode' || filter === 'Fl') {
+          data = inflate(data);
+        } else {
+          data = null;
+          break;
+        }
+      }
+    } catch (error) {
+      data = null;
+    }
+    entry.data = data;
+    return data;
+  }
+
+  /**
+   * The page dictionaries in order, with inherited Resources filled in.
+   */
+  pages() {
+    const catalog = [...this.objects.values()].map(entry => entry.value).find(value => isName(value?.Type, 'Catalog'));
+    const pages = [];
+    const seen = new Set();
+    const walk = (node, inheritedResources) => {
+      const dict = this.resolve(node);
+      if (!dict || typeof dict !== 'object' || seen.has(dict)) return;
+      seen.add(dict);
+      const resources = dict.Resources !== undefined ? this.resolve(dict.Resources) : inheritedResources;
+      if (Array.isArray(this.resolve(dict.Kids))) {
+        this.resolve(dict.Kids).forEach(kid => walk(kid, resources));
+      } else if (isName(dict.Type, 'Page') || dict.Contents !== undefined) {
+        pages.push({ ...dict, Resources: resources });
+      }
+    };
+    if (catalog) walk(catalog.Pages, null);
+
+    if (pages.length === 0) {
+      // No usable page tree: take the page objects in file order
+      [...this.objects.values()]
+        .map(entry => entry.value)
+        .filter(value => isName(value?.Type, 'Page'))
+        .forEach(page => pages.push({ ...page, Resources: this.resolve(page.Resources) }));
+    }
+    return pages;
+  }
+
+  info() {
+    const trailerInfo = [...this.objects.values()]
+      .map(entry => entry.value)
+      .find(value => value && typeof value === 'object' && value.Info);
+    const info = this.resolve(trailerInfo?.Info) || this.findTrailerInfo();
+    return info && typeof info === 'object' ? info : {};
+  }
+
+  findTrailerInfo() {
+    const text = this.bytes.toString('latin1');
+    const index = text.lastIndexOf('trailer');
+    if (index === -1) return null;
+    const lexer = new Lexer(this.bytes, index + 7);
+    const trailer = lexer.readValue();
+    return this.resolve(trailer?.Info);
+  }
+}
+
+/**
+ * Decode a PDF text string (document info): UTF-16BE with a BOM, or
+ * PDFDocEncoding, which is close enough to Latin-1.
+ */
+function decodeTextString(value) {
+  if (!Buffer.isBuffer(value)) return '';
+  if (value[0] === 0xfe && value[1] === 0xff) {
+    let text = '';
+    for (let i = 2; i + 1 < value.length; i += 2) text += String.fromCharCode(value.readUInt16BE(i));
+    return text;
+  }
+  return value.toString('latin1');
+}
+
+// WinAnsiEncoding where it differs from Latin-1 (0x80-0x9F)
+const WIN_ANSI_EXTRA = {
+  0x80: '\u20ac', 0x82: '\u201a', 0x83: '\u0192', 0x84: '\u201e', 0x85: '\u2026', 0x86: '\u2020',
+  0x87: '\u2021', 0x88: '\u02c6', 0x89: '\u2030', 0x8a: '\u0160', 0x8b: '\u2039', 0x8c: '\u0152',
+  0x8e: '\u017d', 0x91: '\u2018', 0x92: '\u2019', 0x93: '\u201c', 0x94: '\u201d', 0x95: '\u2022',
+  0x96: '\u2013', 0x97: '\u2014', 0x98: '\u02dc', 0x99: '\u2122', 0x9a: '\u0161', 0x9b: '\u203a',
+  0x9c: '\u0153', 0x9e: '\u017e', 0x9f: '\u0178'
+};
+
+function decodeWinAnsi(bytes) {
+  let text = '';
+  for (const byte of bytes) text += WIN_ANSI_EXTRA[byte] || String.fromCharCode(byte);
+  return text;
+}
+
+function hexToNumber(buffer) {
+  return buffer.length === 0 ? 0 : parseInt(buffer.toString('hex'), 16);
+}
+
+function utf16ToString(buffer) {
+  let text = '';
+  for (let i = 0; i + 1 < buffer.length; i += 2) text += String.fromCharCode(buffer.readUInt16BE(i));
+  if (buffer.length % 2) text += String.fromCharCode(buffer[buffer.length - 1]);
+  return text;
+}
+
+/**
+ * Parse a ToUnicode CMap: { codeBytes, map: Map(code -> text) }.
+ */
+function parseToUnicode(data) {
+  const map = new Map();
+  let codeBytes = 1;
+  const lexer = new Lexer(data);
+  const operands = [];
+  for (let token = lexer.readToken(); token !== null; token = lexer.readToken()) {
+    if (!token || typeof token !== 'object' || Buffer.isBuffer(token) || !token.op) {
+      operands.push(token);
+      continue;
+    }
+    if (token.op === '[') {
+      operands.push(lexer.readValue(token));
+      continue;
+    }
+    if (token.op === 'endcodespacerange') {
+      const ranges = operands.filter(Buffer.isBuffer);
+      if (ranges.length > 0) codeBytes = Math.max(...ranges.map(range => range.length));
+    } else if (token.op === 'endbfchar') {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        if (Buffer.isBuffer(operands[i]) && Buffer.isBuffer(operands[i + 1])) {
+          map.set(hexToNumber(operands[i]), utf16ToString(operands[i + 1]));
+        }
+      }
+    } else if (token.op === 'endbfrange') {
+      for (let i = 0; i + 2 < operands.length; i += 3) {
+        const [low, high, target] = operands.slice(i, i + 3);
+        if (!Buffer.isBuffer(low) || !Buffer.isBuffer(high)) continue;
+        const start = hexToNumber(low);
+        const end = Math.min(hexToNumber(high), start + 0xffff);
+        for (let code = start; code <= end; code++) {
+          if (Array.isArray(target)) {
+            if (Buffer.isBuffer(target[code - start])) map.set(code, utf16ToString(target[code - start]));
+          } else if (Buffer.isBuffer(target)) {
+            const base = Buffer.from(target);
+            base.writeUInt16BE((base.readUInt16BE(base.length - 2) + (code - start)) & 0xffff, base.length - 2);
+            map.set(code, utf16ToString(base));
+          }
+        }
+      }
+    }
+    if (/^(?:begin|end)/.test(token.op) || token.op === 'def') operands.length = 0;
+  }
+  return { codeBytes, map };
+}
+
+/**
+ * A function turning a shown string (Buffer) into text, for one font.
+ */
+function fontDecoder(doc, fontRef, cache) {
+  const entry = doc.entryFor(fontRef);
+  if (entry && cache.has(entry)) return cache.get(entry);
+
+  const font = doc.resolve(fontRef) || {};
+  const toUnicodeEntry = doc.entryFor(font.ToUnicode);
+  const cmapData = toUnicodeEntry ? doc.streamData(toUnicodeEntry) : null;
+  let decode;
+  if (cmapData) {
+    const { codeBytes, map } = parseToUnicode(cmapData);
+    decode = bytes => {
+      let text = '';
+      for (let i = 0; i + codeBytes <= bytes.length; i += codeBytes) {
+        const code = codeBytes === 2 ? bytes.readUInt16BE(i) : bytes[i];
+        text += map.has(code) ? map.get(code) : codeBytes === 1 ? String.fromCharCode(code) : '';
+      }
+      return text;
+    };
+  } else if (isName(font.Subtype, 'Type0')) {
+    // Two-byte codes with no map to Unicode: nothing readable
+    decode = () => '';
+  } else {
+    decode = decodeWinAnsi;
+  }
+  if (entry) cache.set(entry, decode);
+  return decode;
+}
+
+/**
+ * Run a content stream's text operators, appending to `out` (an array of
+ * lines being built; the last entry is the current line).
+ */
+function readContent(doc, data, resources, out, fontCache, depth = 0) {
+  const fonts = doc.resolve(resources?.Font) || {};
+  const xObjects = doc.resolve(resources?.XObject) || {};
+  const lexer = new Lexer(data);
+  const operands = [];
+  let decode = decodeWinAnsi;
+  let lineY = null;
+
+  const newLine = () => {
+    if (out[out.length - 1] !== '') out.push('');
+  };
+  const show = text => {
+    out[out.length - 1] += text;
+  };
+  const showString = value => {
+    if (Buffer.isBuffer(value)) show(decode(value));
+  };
+  const moveTo = y => {
+    if (lineY !== null && Math.abs(y - lineY) > 0.5) newLine();
+    lineY = y;
+  };
+
+  for (let token = lexer.readToken(); token !== null; token = lexer.readToken()) {
+    if (!token || typeof token !== 'object' || Buffer.isBuffer(token) || isName(token) || !token.op) {
+      operands.push(token);
+      continue;
+    }
+    if (token.op === '[' || token.op === '<<') {
+      operands.push(lexer.readValue(token));
+      continue;
+    }
+
+    switch (token.op) {
+      case 'Tf':
+        if (isName(operands[0])) decode = fontDecoder(doc, fonts[operands[0].name], fontCache);
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[1] !== 0) {
+          newLine();
+        } else if (operands[0] > 0) {
+          show(' ');
+        }
+        break;
+      case 'Tm':
+        moveTo(operands[5]);
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'Tj':
+        showString(operands[0]);
+        break;
+      case "'":
+        newLine();
+        showString(operands[0]);
+        break;
+      case '"':
+        newLine();
+        showString(operands[2]);
+        break;
+      case 'TJ':
+        (Array.isArray(operands[0]) ? operands[0] : []).forEach(part => {
+          // A large negative adjustment is a word gap
+          if (typeof part === 'number') {
+            if (part < -200) show(' ');
+          } else {
+            showString(part);
+          }
+        });
+        break;
+      case 'ET':
+        show(' ');
+        break;
+      case 'Do': {
+        const entry = isName(operands[0]) ? doc.entryFor(xObjects[operands[0].name]) : null;
+        if (entry && isName(entry.value?.Subtype, 'Form') && depth < MAX_FORM_DEPTH) {
+          const formData = doc.streamData(entry);
+          if (formData) {
+            readContent(doc, formData, doc.resolve(entry.value.Resources) || resources, out, fontCache, depth + 1);
+          }
+        }
+        break;
+      }
+      case 'BI': {
+        // Skip inline image data
+        const end = data.indexOf('EI', lexer.pos, 'latin1');
+        lexer.pos = end === -1 ? data.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands.length = 0;
+  }
+}
+
+/**
+ * Extract the text of a PDF file (a Buffer).
+ * Resolves to { title, author, pages: [[line, ...], ...] }.
+ */
+function extractPdfText(bytes) {
+  if (bytes.toString('latin1', 0, 1024).indexOf('%PDF-') === -1) {
+    throw new PdfError('This is not a PDF file');
+  }
+  const doc = new PdfDocument(bytes);
+  if ([...doc.objects.values()].some(entry => entry.value && entry.value.Encrypt)) {
+    throw new PdfError('The PDF is encrypted; save an unprotected copy and try again');
+  }
+
+  const pageDicts = doc.pages();
+  if (pageDicts.length === 0) {
+    throw new PdfError('No pages were found in the PDF; the file may be damaged or incomplete');
+  }
+
+  const fontCache = new Map();
+  const pages = pageDicts.map(page => {
+    const contents = doc.resolve(page.Contents);
+    const refs = Array.isArray(contents) ? contents : [page.Contents];
+    const data = Buffer.concat(
+      refs
+        .map(ref => doc.streamData(doc.entryFor(ref)))
+        .filter(Boolean)
+        .flatMap(chunk => [chunk, Buffer.from('\n')])
+    );
+    const lines = [''];
+    readContent(doc, data, page.Resources, lines, fontCache);
+    return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  });
+
+  const info = doc.info();
+  return {
+    title: decodeTextString(doc.resolve(info.Title)).trim(),
+    author: decodeTextString(doc.resolve(info.Author)).trim(),
+    pages
+  };
+}
+
+module.exports = {
+  PdfError,
+  extractPdfText
+};
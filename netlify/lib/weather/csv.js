@@ -0,0 +1,70 @@
+/************************************************
+ * netlify/lib/weather/csv.js
+ ************************************************/
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields with
+ * embedded commas, doubled quotes and newlines. Blank lines are skipped.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header name.
+ * Lines starting with "#" (comments in some NOAA exports) are dropped.
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(
+    String(text || '')
+      .split(/\r?\n/)
+      .filter(line => !line.startsWith('#'))
+      .join('\n')
+  );
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return rows.map(values => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (values[index] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv
+};
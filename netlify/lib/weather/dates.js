@@ -0,0 +1,32 @@
+/************************************************
+ * netlify/lib/weather/dates.js
+ ************************************************/
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in the given IANA time zone,
+ * or in UTC if the zone is missing or unknown.
+ */
+function localDateKey(date, timezone) {
+  const instant = date instanceof Date ? date : new Date(date);
+  if (timezone) {
+    try {
+      // en-CA formats dates as YYYY-MM-DD
+      return instant.toLocaleDateString('en-CA', { timeZone: timezone });
+    } catch (error) {
+      // Unknown time zone name: fall back to UTC below
+    }
+  }
+  return instant.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days between two YYYY-MM-DD dates (end - start).
+ */
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000);
+}
+
+module.exports = {
+  localDateKey,
+  daysBetween
+};
@@ -0,0 +1,46 @@
+/************************************************
+ * netlify/lib/weather/geo.js
+ ************************************************/
+
+const EARTH_RADIUS_MILES = 3958.8;
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Great-circle distance in miles between two { lat, lon } points.
+ */
+function distanceMiles(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * 16-point compass direction from one point to another (e.g. "NNE").
+ */
+function compassDirection(from, to) {
+  const y = Math.sin(toRadians(to.lon - from.lon)) * Math.cos(toRadians(to.lat));
+  const x = Math.cos(toRadians(from.lat)) * Math.sin(toRadians(to.lat)) -
+    Math.sin(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.cos(toRadians(to.lon - from.lon));
+  const bearing = ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+  return COMPASS_POINTS[Math.round(bearing / 22.5) % 16];
+}
+
+/**
+ * Utility function: Parse a coordinate, returning null if it isn't a finite number.
+ */
+function parseCoordinate(value) {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+module.exports = {
+  distanceMiles,
+  compassDirection,
+  parseCoordinate
+};
@@ -0,0 +1,452 @@
+/************************************************
+ * netlify/lib/weather/index.js
+ *
+ * Forensic weather for a date of loss: runs each configured provider,
+ * keeps the hail and wind reports within the search radius and time
+ * window around the property, and summarizes the maximum hail size and
+ * peak wind with the distance and direction to each report.
+ *
+ * Configuration (environment):
+ *   WEATHER_PROVIDERS             comma list; default "weatherapi,spc,asos,storm-events"
+ *   WEATHER_RADIUS_MILES          storm report search radius; default 10
+ *   WEATHER_STATION_RADIUS_MILES  ASOS station search radius; default 30
+ *   WEATHER_WINDOW_HOURS          hours searched either side of the date of loss; default 12
+ *   WEATHER_FIXTURES_DIR          read saved fixture files instead of calling out
+ *   STORM_EVENTS_DIR              folder of NOAA Storm Events details CSVs
+ *
+ * findStormDates() searches a whole date range instead, ranking the
+ * severe-weather days near the property to confirm the date of loss.
+ ************************************************/
+const { distanceMiles, compassDirection, parseCoordinate } = require('./geo');
+const { createWeatherSource } = require('./source');
+const { localDateKey, daysBetween } = require('./dates');
+
+const PROVIDERS = {
+  weatherapi: require('./providers/weatherapi'),
+  spc: require('./providers/spc'),
+  asos: require('./providers/asos'),
+  'storm-events': require('./providers/storm-events')
+};
+
+const DEFAULT_PROVIDERS = 'weatherapi,spc,asos,storm-events';
+const MAX_PROMPT_REPORTS = 15;
+
+// Date-of-loss search: providers that can cover a long date range
+const DATE_SEARCH_PROVIDERS = ['spc', 'asos', 'storm-events'];
+const MAX_DATE_SEARCH_DAYS = 3 * 366;
+const MAX_CANDIDATE_DATES = 20;
+// A date without hail reports only counts as a candidate at this gust speed or more
+const CANDIDATE_MIN_GUST_MPH = 50;
+
+function numberSetting(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Search settings from the environment, with optional per-request overrides.
+ */
+function weatherConfig(overrides = {}) {
+  const providerList = overrides.providers || process.env.WEATHER_PROVIDERS || DEFAULT_PROVIDERS;
+  return {
+    providers: String(providerList)
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(id => PROVIDERS[id]),
+    radiusMiles: numberSetting(overrides.radiusMiles ?? process.env.WEATHER_RADIUS_MILES, 10),
+    stationRadiusMiles: numberSetting(overrides.stationRadiusMiles ?? process.env.WEATHER_STATION_RADIUS_MILES, 30),
+    windowHours: numberSetting(overrides.windowHours ?? process.env.WEATHER_WINDOW_HOURS, 12)
+  };
+}
+
+/**
+ * The UTC search window: the date-of-loss day padded by windowHours each side.
+ */
+function searchWindow(dateOfLoss, windowHours) {
+  const [year, month, day] = dateOfLoss.split('-').map(Number);
+  const dayStart = Date.UTC(year, month - 1, day);
+  return {
+    start: new Date(dayStart - windowHours * 3600000),
+    end: new Date(dayStart + 24 * 3600000 + windowHours * 3600000)
+  };
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Add distance and direction from the property to each report, then keep
+ * the ones inside the time window and the right radius (stations use the
+ * wider station radius).
+ */
+function locateReports(reports, location, window, config) {
+  return reports
+    .map(report => ({
+      ...report,
+      distanceMiles: round(distanceMiles(location, report)),
+      direction: compassDirection(location, report)
+    }))
+    .filter(report => {
+      const time = new Date(report.time);
+      if (time < window.start || time > window.end) return false;
+      const radius = report.kind === 'observation' ? config.stationRadiusMiles : config.radiusMiles;
+      return report.kind === 'model' || report.distanceMiles <= radius;
+    });
+}
+
+/**
+ * Largest-magnitude report of a type, nearest first on ties.
+ */
+function maxReport(reports, type) {
+  return reports
+    .filter(report => report.type === type && report.kind !== 'model' && report.magnitude !== null)
+    .sort((a, b) => b.magnitude - a.magnitude || a.distanceMiles - b.distanceMiles)[0] || null;
+}
+
+function formatTime(isoTime, timezone) {
+  const date = new Date(isoTime);
+  if (timezone) {
+    try {
+      return date.toLocaleString('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+      });
+    } catch (error) {
+      // Unknown time zone name: fall back to UTC below
+    }
+  }
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * One-line description of a report, e.g.
+ * "1.75 in hail, 3.2 mi NNE, Mar 28, 2014, 4:10 PM CDT, Killeen, Bell, TX (NOAA SPC Storm Reports)"
+ */
+function describeReport(report, timezone) {
+  const size = report.magnitude === null
+    ? `${report.type} (size not reported)`
+    : report.type === 'hail'
+      ? `${report.magnitude.toFixed(2)} in hail`
+      : `${report.magnitude} mph wind`;
+  const where = report.kind === 'model' ? 'at the property' : `${report.distanceMiles} mi ${report.direction}`;
+  const details = [report.place, report.comments].filter(Boolean).join('; ');
+  return `${size}, ${where}, ${formatTime(report.time, timezone)}${details ? `, ${details}` : ''} (${report.source})`;
+}
+
+/**
+ * Run one provider, recording it (with any note or error) in `sources`.
+ * A failing provider never fails the whole search.
+ */
+async function runProvider(id, query, source, sources) {
+  const provider = PROVIDERS[id];
+  try {
+    const result = await provider.fetchReports(query, source);
+    sources.push({ id, name: provider.name, citation: provider.citation, note: result.note || '' });
+    return result;
+  } catch (error) {
+    console.error(`Weather provider ${id} failed:`, error.message);
+    sources.push({ id, name: provider.name, citation: provider.citation, error: error.message });
+    return { reports: [] };
+  }
+}
+
+function countSourceReports(sources, reports, providerOrder) {
+  sources.sort((a, b) => providerOrder.indexOf(a.id) - providerOrder.indexOf(b.id));
+  sources.forEach(entry => {
+    entry.reportCount = reports.filter(report => report.source === entry.name).length;
+  });
+}
+
+/**
+ * A caller-supplied location (e.g. from the geocoder) usually has no
+ * time zone; borrow the one WeatherAPI reports for the same point.
+ */
+function withTimezone(location, lookedUp) {
+  if (!location || location.timezone || !lookedUp?.timezone) return location;
+  return { ...location, timezone: lookedUp.timezone };
+}
+
+/**
+ * The ASOS stations nearest a location ({ lat, lon, region }), with the
+ * distance and direction from the property. Empty if the state is unknown.
+ */
+async function nearbyStations(location, options = {}) {
+  const config = weatherConfig(options);
+  const stations = await PROVIDERS.asos.findStations(location, createWeatherSource(), config.stationRadiusMiles);
+  return (stations || []).map(station => ({
+    id: station.id,
+    name: station.name,
+    lat: station.lat,
+    lon: station.lon,
+    distanceMiles: round(station.distanceMiles, 1),
+    direction: compassDirection(location, station)
+  }));
+}
+
+/**
+ * Run every configured provider and summarize the evidence.
+ * `location` ({ lat, lon, name, region }) is optional; without it the
+ * WeatherAPI provider resolves the address.
+ */
+async function getForensicWeather({ address, dateOfLoss, location = null, options = {} }) {
+  const config = weatherConfig(options);
+  const window = searchWindow(dateOfLoss, config.windowHours);
+  const source = createWeatherSource();
+  const sources = [];
+  let daily = {};
+  let resolvedLocation = location && parseCoordinate(location.lat) !== null && parseCoordinate(location.lon) !== null
+    ? location
+    : null;
+
+  const baseQuery = {
+    address,
+    dateOfLoss,
+    start: window.start,
+    end: window.end,
+    radiusMiles: config.radiusMiles,
+    stationRadiusMiles: config.stationRadiusMiles
+  };
+
+  const reports = [];
+
+  // WeatherAPI first: it resolves the address for the radius searches
+  if (config.providers.includes('weatherapi')) {
+    const result = await runProvider('weatherapi', { ...baseQuery, location: resolvedLocation }, source, sources);
+    resolvedLocation = withTimezone(resolvedLocation, result.location) || result.location || null;
+    daily = result.daily || {};
+    reports.push(...result.reports);
+  }
+
+  if (!resolvedLocation) {
+    return {
+      ...daily,
+      hailPossible: 'Unknown',
+      note: 'The property location could not be resolved, so nearby storm reports were not searched.',
+      sources
+    };
+  }
+
+  const others = config.providers.filter(id => id !== 'weatherapi');
+  const results = await Promise.all(
+    others.map(id => runProvider(id, { ...baseQuery, location: resolvedLocation }, source, sources))
+  );
+  results.forEach(result => reports.push(...result.reports));
+
+  const located = locateReports(reports, resolvedLocation, window, config)
+    .sort((a, b) => a.distanceMiles - b.distanceMiles);
+  const maxHail = maxReport(located, 'hail');
+  const peakWind = maxReport(located, 'wind');
+
+  countSourceReports(sources, located, config.providers);
+
+  const conditionsMentionHail = String(daily.conditions || '').toLowerCase().includes('hail');
+  return {
+    ...daily,
+    hailPossible: maxHail || conditionsMentionHail ? 'Yes' : 'No',
+    location: {
+      name: resolvedLocation.name || address,
+      lat: round(resolvedLocation.lat, 4),
+      lon: round(resolvedLocation.lon, 4),
+      timezone: resolvedLocation.timezone || ''
+    },
+    searchRadiusMiles: config.radiusMiles,
+    stationRadiusMiles: config.stationRadiusMiles,
+    searchWindow: { start: window.start.toISOString(), end: window.end.toISOString() },
+    maxHailSize: maxHail ? `${maxHail.magnitude.toFixed(2)} in` : 'None reported',
+    maxHailReport: maxHail,
+    peakWindSpeed: peakWind ? `${peakWind.magnitude} mph` : 'None reported',
+    peakWindReport: peakWind,
+    stormReports: located,
+    sources
+  };
+}
+
+/**
+ * Flatten a candidate date's strongest reports for the client and prompts.
+ */
+function summarizeCandidate(date, reports) {
+  const maxHail = maxReport(reports, 'hail');
+  const peakWind = maxReport(reports, 'wind');
+  return {
+    date,
+    maxHailInches: maxHail ? maxHail.magnitude : null,
+    maxHailDistanceMiles: maxHail ? maxHail.distanceMiles : null,
+    maxHailDirection: maxHail ? maxHail.direction : '',
+    maxHailSource: maxHail ? maxHail.source : '',
+    peakGustMph: peakWind ? peakWind.magnitude : null,
+    peakGustDistanceMiles: peakWind ? peakWind.distanceMiles : null,
+    peakGustDirection: peakWind ? peakWind.direction : '',
+    peakGustSource: peakWind ? `${peakWind.source}${peakWind.station ? ` (${peakWind.station})` : ''}` : '',
+    reportCount: reports.length,
+    sources: [...new Set(reports.map(report => report.source))]
+  };
+}
+
+/**
+ * Search a date range for severe-weather days near the property, to
+ * confirm or find the date of loss. Candidate dates (local to the
+ * property) are ranked by maximum hail size, then peak gust.
+ * Throws a RangeError for an invalid date range; returns a note with
+ * no candidates if the address can't be resolved.
+ */
+async function findStormDates({ address, startDate, endDate, location = null, options = {} }) {
+  const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+  if (!isoDate.test(startDate || '') || !isoDate.test(endDate || '')) {
+    throw new RangeError('Start and end dates must be YYYY-MM-DD');
+  }
+  const spanDays = daysBetween(startDate, endDate);
+  if (spanDays < 0) throw new RangeError('The start date must be on or before the end date');
+  if (spanDays > MAX_DATE_SEARCH_DAYS) throw new RangeError(`The search range can be at most ${MAX_DATE_SEARCH_DAYS} days`);
+
+  const config = weatherConfig(options);
+  const source = createWeatherSource();
+  const sources = [];
+
+  let resolvedLocation = location && parseCoordinate(location.lat) !== null && parseCoordinate(location.lon) !== null
+    ? location
+    : null;
+  // The location lookup isn't a storm date source, so keep it out of `sources`
+  const lookup = [];
+  if (!resolvedLocation?.timezone && config.providers.includes('weatherapi')) {
+    const result = await runProvider('weatherapi', { address, dateOfLoss: endDate, location: resolvedLocation }, source, lookup);
+    resolvedLocation = withTimezone(resolvedLocation, result.location) || result.location || null;
+  }
+  if (!resolvedLocation) {
+    const reason = lookup[0]?.error ? ` (${lookup[0].error})` : '';
+    return {
+      note: `Could not resolve the address "${address}" to a location${reason}, so no storm dates were searched.`,
+      startDate,
+      endDate,
+      candidates: [],
+      sources
+    };
+  }
+
+  const window = {
+    start: new Date(`${startDate}T00:00:00Z`),
+    end: new Date(Date.parse(`${endDate}T00:00:00Z`) + 24 * 3600000)
+  };
+  const query = {
+    address,
+    start: window.start,
+    end: window.end,
+    radiusMiles: config.radiusMiles,
+    stationRadiusMiles: config.stationRadiusMiles,
+    location: resolvedLocation,
+    perDay: true
+  };
+  const providerIds = config.providers.filter(id => DATE_SEARCH_PROVIDERS.includes(id));
+  const results = await Promise.all(providerIds.map(id => runProvider(id, query, source, sources)));
+  const located = locateReports(results.flatMap(result => result.reports), resolvedLocation, window, config);
+  countSourceReports(sources, located, providerIds);
+
+  const byDate = new Map();
+  located.forEach(report => {
+    const date = localDateKey(report.time, resolvedLocation.timezone);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(report);
+  });
+
+  const candidates = [...byDate.entries()]
+    .map(([date, reports]) => summarizeCandidate(date, reports))
+    .filter(candidate => candidate.maxHailInches !== null || candidate.peakGustMph >= CANDIDATE_MIN_GUST_MPH)
+    .sort((a, b) =>
+      (b.maxHailInches || 0) - (a.maxHailInches || 0) ||
+      (b.peakGustMph || 0) - (a.peakGustMph || 0) ||
+      a.date.localeCompare(b.date)
+    )
+    .slice(0, MAX_CANDIDATE_DATES);
+
+  return {
+    location: {
+      name: resolvedLocation.name || address,
+      lat: round(resolvedLocation.lat, 4),
+      lon: round(resolvedLocation.lon, 4),
+      timezone: resolvedLocation.timezone || ''
+    },
+    startDate,
+    endDate,
+    searchRadiusMiles: config.radiusMiles,
+    stationRadiusMiles: config.stationRadiusMiles,
+    candidates,
+    sources
+  };
+}
+
+/**
+ * One line per severe-weather date, e.g.
+ * "2014-03-28: max hail 2.00 in (2.2 mi SW, NOAA SPC Storm Reports); peak gust 67 mph (6.9 mi WSW, ...)"
+ */
+function describeCandidate(candidate) {
+  const hail = candidate.maxHailInches !== null && candidate.maxHailInches !== undefined
+    ? `max hail ${Number(candidate.maxHailInches).toFixed(2)} in (${candidate.maxHailDistanceMiles} mi ${candidate.maxHailDirection}, ${candidate.maxHailSource})`
+    : 'no hail reported';
+  const wind = candidate.peakGustMph !== null && candidate.peakGustMph !== undefined
+    ? `peak wind ${candidate.peakGustMph} mph (${candidate.peakGustDistanceMiles} mi ${candidate.peakGustDirection}, ${candidate.peakGustSource})`
+    : 'no wind reports';
+  return `${candidate.date}: ${hail}; ${wind}`;
+}
+
+/**
+ * Plain-text weather evidence for the prompts, citing every source.
+ */
+function formatWeatherForPrompt(weatherData) {
+  if (!weatherData || Object.keys(weatherData).length === 0) return '';
+  if (!weatherData.location) {
+    return weatherData.note ? `Weather Data Note: ${weatherData.note}` : '';
+  }
+
+  const timezone = weatherData.location.timezone;
+  const lines = [
+    `Property location used for the search: ${weatherData.location.name} (${weatherData.location.lat}, ${weatherData.location.lon}).`,
+    `Search window: ${formatTime(weatherData.searchWindow.start, timezone)} to ${formatTime(weatherData.searchWindow.end, timezone)}; ` +
+      `storm reports within ${weatherData.searchRadiusMiles} miles, weather stations within ${weatherData.stationRadiusMiles} miles.`,
+    '',
+    `Maximum reported hail: ${weatherData.maxHailReport ? describeReport(weatherData.maxHailReport, timezone) : 'no hail reports found in the search area'}.`,
+    `Peak reported/measured wind: ${weatherData.peakWindReport ? describeReport(weatherData.peakWindReport, timezone) : 'no wind reports or station gusts found in the search area'}.`
+  ];
+
+  const listed = weatherData.stormReports
+    .filter(report => report.kind !== 'model')
+    .slice(0, MAX_PROMPT_REPORTS);
+  if (listed.length > 0) {
+    lines.push('', 'Reports and observations (nearest first):');
+    listed.forEach(report => lines.push(`- ${describeReport(report, timezone)}`));
+  }
+
+  if (weatherData.conditions) {
+    lines.push(
+      '',
+      `Daily conditions at the property (WeatherAPI.com): ${weatherData.conditions}; high ${weatherData.maxTemp}, low ${weatherData.minTemp}; ` +
+        `precipitation ${weatherData.totalPrecip}; gridded max gust ${weatherData.maxWindGust}${weatherData.maxWindTime ? ` at ${weatherData.maxWindTime}` : ''}.`
+    );
+  }
+
+  lines.push('', 'Sources:');
+  weatherData.sources.forEach(entry => {
+    const status = entry.error
+      ? `unavailable (${entry.error})`
+      : entry.note
+        ? entry.note
+        : `${entry.reportCount} matching report(s)`;
+    lines.push(`- ${entry.citation} - ${status}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  getForensicWeather,
+  formatWeatherForPrompt,
+  findStormDates,
+  describeCandidate,
+  nearbyStations,
+  weatherConfig
+};
@@ -0,0 +1,169 @@
+/************************************************
+ * netlify/lib/weather/providers/asos.js
+ *
+ * METAR/ASOS airport station observations, from the Iowa Environmental
+ * Mesonet (IEM) archive. Finds the nearest ASOS stations in the
+ * property's state and reports each station's peak gust in the window.
+ ************************************************/
+const { parseCsv } = require('../csv');
+const { distanceMiles, parseCoordinate } = require('../geo');
+const { localDateKey } = require('../dates');
+
+const name = 'ASOS/METAR Observations';
+const citation = 'NOAA/FAA Automated Surface Observing System (ASOS) METAR observations, via the Iowa Environmental Mesonet archive (https://mesonet.agron.iastate.edu/)';
+const IEM_BASE_URL = 'https://mesonet.agron.iastate.edu';
+
+const KNOTS_TO_MPH = 1.15078;
+const MAX_STATIONS = 3;
+
+const US_STATE_CODES = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'district of columbia': 'DC',
+  'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL',
+  'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA',
+  'maine': 'ME', 'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN',
+  'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK', 'oregon': 'OR',
+  'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+  'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA',
+  'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY'
+};
+
+/**
+ * Two-letter state code from a region name or code ("Texas" or "TX").
+ */
+function stateCode(region) {
+  const value = String(region || '').trim();
+  if (/^[A-Za-z]{2}$/.test(value)) return value.toUpperCase();
+  return US_STATE_CODES[value.toLowerCase()] || null;
+}
+
+/**
+ * Stations from an IEM network GeoJSON, nearest first, within maxMiles.
+ */
+function nearestStations(networkGeoJson, location, maxMiles, limit = MAX_STATIONS) {
+  return (networkGeoJson?.features || [])
+    .map(feature => {
+      const [lon, lat] = feature.geometry?.coordinates || [];
+      if (parseCoordinate(lat) === null || parseCoordinate(lon) === null) return null;
+      return {
+        id: feature.properties?.sid || feature.id,
+        name: feature.properties?.sname || '',
+        lat,
+        lon,
+        distanceMiles: distanceMiles(location, { lat, lon })
+      };
+    })
+    .filter(station => station && station.distanceMiles <= maxMiles)
+    .sort((a, b) => a.distanceMiles - b.distanceMiles)
+    .slice(0, limit);
+}
+
+/**
+ * Peak wind observations for one station from an IEM asos.py CSV
+ * (columns station,valid,lon,lat,drct,sknt,gust; "M" = missing).
+ * Returns the single peak in the window, or with `perDay` the peak of
+ * each local calendar day (in `timezone`). Days without wind are left out.
+ */
+function peakStationWinds(csvText, station, start, end, { perDay = false, timezone = '' } = {}) {
+  const peaks = new Map();
+  parseCsv(csvText).forEach(row => {
+    const time = new Date(`${row.valid.replace(' ', 'T')}Z`);
+    if (isNaN(time.getTime()) || time < start || time > end) return;
+    const gust = parseFloat(row.gust);
+    const sustained = parseFloat(row.sknt);
+    const knots = Number.isFinite(gust) ? gust : sustained;
+    if (!Number.isFinite(knots)) return;
+    const key = perDay ? localDateKey(time, timezone) : 'window';
+    const peak = peaks.get(key);
+    if (!peak || knots > peak.knots) {
+      peaks.set(key, { knots, isGust: Number.isFinite(gust), direction: row.drct, time });
+    }
+  });
+
+  return [...peaks.values()].map(peak => {
+    const directionNote = parseCoordinate(peak.direction) !== null ? ` from ${peak.direction}°` : '';
+    return {
+      source: name,
+      type: 'wind',
+      kind: 'observation',
+      time: peak.time.toISOString(),
+      magnitude: Math.round(peak.knots * KNOTS_TO_MPH),
+      units: 'mph',
+      lat: station.lat,
+      lon: station.lon,
+      place: `${station.id}${station.name ? ` (${station.name})` : ''}`,
+      station: station.id,
+      comments: `${peak.isGust ? 'Peak gust' : 'Peak sustained wind (no gusts reported)'}${directionNote}`
+    };
+  });
+}
+
+function asosRequestUrl(stationId, start, end) {
+  // day2 is exclusive, so ask for the day after the window ends
+  const dayAfterEnd = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  const params = new URLSearchParams({
+    station: stationId,
+    tz: 'Etc/UTC',
+    format: 'onlycomma',
+    latlon: 'yes',
+    missing: 'M',
+    year1: start.getUTCFullYear(),
+    month1: start.getUTCMonth() + 1,
+    day1: start.getUTCDate(),
+    year2: dayAfterEnd.getUTCFullYear(),
+    month2: dayAfterEnd.getUTCMonth() + 1,
+    day2: dayAfterEnd.getUTCDate()
+  });
+  ['drct', 'sknt', 'gust'].forEach(field => params.append('data', field));
+  return `${IEM_BASE_URL}/cgi-bin/request/asos.py?${params.toString()}`;
+}
+
+/**
+ * The ASOS stations nearest a location ({ lat, lon, region }), from the
+ * IEM network for its state. Null if the state can't be determined.
+ */
+async function findStations(location, source, maxMiles, limit = MAX_STATIONS) {
+  const state = stateCode(location?.region);
+  if (!location || !state) return null;
+
+  const network = await source.getJson(
+    'asos',
+    `${state}_ASOS.geojson`,
+    `${IEM_BASE_URL}/geojson/network/${state}_ASOS.geojson`
+  );
+  return nearestStations(network, location, maxMiles, limit);
+}
+
+async function fetchReports(query, source) {
+  const stations = await findStations(query.location, source, query.stationRadiusMiles);
+  if (!stations) {
+    return { reports: [], note: 'Could not determine the US state for the station search' };
+  }
+  if (stations.length === 0) {
+    return { reports: [], note: `No ASOS stations within ${query.stationRadiusMiles} miles` };
+  }
+
+  const reports = [];
+  for (const station of stations) {
+    const text = await source.getText('asos', `${station.id}.csv`, asosRequestUrl(station.id, query.start, query.end));
+    if (text) {
+      reports.push(...peakStationWinds(text, station, query.start, query.end, {
+        perDay: query.perDay,
+        timezone: query.location.timezone
+      }));
+    }
+  }
+  return { reports };
+}
+
+module.exports = {
+  name,
+  citation,
+  fetchReports,
+  findStations,
+  nearestStations,
+  peakStationWinds,
+  stateCode
+};
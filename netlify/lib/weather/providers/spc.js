@@ -0,0 +1,101 @@
+/************************************************
+ * netlify/lib/weather/providers/spc.js
+ *
+ * NOAA Storm Prediction Center daily storm reports (preliminary
+ * local storm reports from spotters, law enforcement and the NWS).
+ * Each daily file YYMMDD covers 12Z that day to 12Z the next day;
+ * report times are HHMM in UTC.
+ ************************************************/
+const { parseCsv } = require('../csv');
+const { parseCoordinate } = require('../geo');
+
+const name = 'NOAA SPC Storm Reports';
+const citation = 'NOAA/NWS Storm Prediction Center, Daily Storm Reports (https://www.spc.noaa.gov/climo/reports/)';
+const BASE_URL = 'https://www.spc.noaa.gov/climo/reports';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One request per day per report type, so long searches are left to the other providers
+const MAX_DAYS = 45;
+
+function spcDayCode(date) {
+  const iso = date.toISOString();
+  return `${iso.slice(2, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}`;
+}
+
+/**
+ * Report time: HHMM from 1200-2359 is on the file's day,
+ * 0000-1159 on the following day.
+ */
+function spcReportTime(fileDay, hhmm) {
+  const value = String(hhmm).padStart(4, '0');
+  const hours = parseInt(value.slice(0, 2), 10);
+  const minutes = parseInt(value.slice(2, 4), 10);
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
+  const time = new Date(fileDay.getTime() + hours * 3600000 + minutes * 60000);
+  return hours < 12 ? new Date(time.getTime() + DAY_MS) : time;
+}
+
+/**
+ * Parse one SPC filtered report CSV (hail or wind) into normalized reports.
+ */
+function parseSpcReports(csvText, fileDay, type) {
+  return parseCsv(csvText)
+    .map(row => {
+      const lat = parseCoordinate(row.Lat);
+      const lon = parseCoordinate(row.Lon);
+      const time = spcReportTime(fileDay, row.Time);
+      if (lat === null || lon === null || !time) return null;
+
+      let magnitude = null;
+      if (type === 'hail') {
+        const hundredths = parseFloat(row.Size);
+        magnitude = Number.isFinite(hundredths) ? hundredths / 100 : null;
+      } else {
+        const speed = parseFloat(row.Speed);
+        magnitude = Number.isFinite(speed) ? speed : null;
+      }
+
+      return {
+        source: name,
+        type,
+        kind: 'report',
+        time: time.toISOString(),
+        magnitude,
+        units: type === 'hail' ? 'in' : 'mph',
+        lat,
+        lon,
+        place: [row.Location, row.County, row.State].filter(Boolean).join(', '),
+        comments: row.Comments || ''
+      };
+    })
+    .filter(Boolean);
+}
+
+async function fetchReports(query, source) {
+  // The file for the day before the window can hold reports up to 12Z inside it
+  const firstDay = Date.UTC(query.start.getUTCFullYear(), query.start.getUTCMonth(), query.start.getUTCDate()) - DAY_MS;
+  if ((query.end.getTime() - firstDay) / DAY_MS > MAX_DAYS) {
+    return { reports: [], note: `Skipped: daily report files are only searched for windows up to ${MAX_DAYS} days` };
+  }
+  const reports = [];
+
+  for (let day = firstDay; day <= query.end.getTime(); day += DAY_MS) {
+    const fileDay = new Date(day);
+    const code = spcDayCode(fileDay);
+    for (const type of ['hail', 'wind']) {
+      const file = `${code}_rpts_filtered_${type}.csv`;
+      const text = await source.getText('spc', file, `${BASE_URL}/${file}`);
+      if (text) reports.push(...parseSpcReports(text, fileDay, type));
+    }
+  }
+
+  return { reports };
+}
+
+module.exports = {
+  name,
+  citation,
+  fetchReports,
+  parseSpcReports
+};
@@ -0,0 +1,125 @@
+/************************************************
+ * netlify/lib/weather/providers/storm-events.js
+ *
+ * NOAA NCEI Storm Events Database, from the bulk "details" CSV files
+ * (StormEvents_details-ftp_v1.0_dYYYY_*.csv[.gz]) saved in
+ * STORM_EVENTS_DIR. Download them from
+ * https://www.ncei.noaa.gov/pub/data/swdi/stormevents/csvfiles/
+ ************************************************/
+const fs = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { parseCsv } = require('../csv');
+const { parseCoordinate } = require('../geo');
+
+const gunzip = promisify(zlib.gunzip);
+
+const name = 'NOAA Storm Events Database';
+const citation = 'NOAA National Centers for Environmental Information (NCEI), Storm Events Database';
+
+const KNOTS_TO_MPH = 1.15078;
+const WIND_EVENT_TYPES = ['Thunderstorm Wind', 'High Wind', 'Strong Wind', 'Marine Thunderstorm Wind'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * BEGIN_DATE_TIME ("28-MAR-14 15:45:00") is local standard time;
+ * CZ_TIMEZONE ("CST-6") gives its UTC offset.
+ */
+function parseStormEventTime(dateTime, timezone) {
+  const match = /^(\d{1,2})-([A-Z]{3})-(\d{2,4}) (\d{1,2}):(\d{2}):(\d{2})$/i.exec(String(dateTime).trim());
+  if (!match) return null;
+  const [, day, monthName, yearText, hours, minutes, seconds] = match;
+  const month = MONTHS.indexOf(monthName.toUpperCase());
+  if (month === -1) return null;
+  let year = parseInt(yearText, 10);
+  if (yearText.length === 2) year += year < 50 ? 2000 : 1900;
+
+  const offsetMatch = /([+-]\d{1,2})$/.exec(String(timezone || ''));
+  const offsetHours = offsetMatch ? parseInt(offsetMatch[1], 10) : 0;
+  return new Date(Date.UTC(year, month, +day, +hours - offsetHours, +minutes, +seconds));
+}
+
+/**
+ * Parse Storm Events details CSV text into normalized hail and wind reports.
+ */
+function parseStormEvents(csvText) {
+  return parseCsv(csvText)
+    .map(row => {
+      const isHail = row.EVENT_TYPE === 'Hail';
+      const isWind = WIND_EVENT_TYPES.includes(row.EVENT_TYPE);
+      if (!isHail && !isWind) return null;
+
+      const lat = parseCoordinate(row.BEGIN_LAT);
+      const lon = parseCoordinate(row.BEGIN_LON);
+      const time = parseStormEventTime(row.BEGIN_DATE_TIME, row.CZ_TIMEZONE);
+      if (lat === null || lon === null || !time) return null;
+
+      const rawMagnitude = parseFloat(row.MAGNITUDE);
+      let magnitude = Number.isFinite(rawMagnitude) ? rawMagnitude : null;
+      if (isWind && magnitude !== null) {
+        // Wind magnitudes are in knots
+        magnitude = Math.round(magnitude * KNOTS_TO_MPH);
+      }
+
+      return {
+        source: name,
+        type: isHail ? 'hail' : 'wind',
+        kind: 'report',
+        time: time.toISOString(),
+        magnitude,
+        units: isHail ? 'in' : 'mph',
+        lat,
+        lon,
+        place: [row.BEGIN_LOCATION, row.CZ_NAME, row.STATE].filter(Boolean).join(', '),
+        comments: [row.EVENT_TYPE, row.MAGNITUDE_TYPE ? `(${row.MAGNITUDE_TYPE})` : '', row.EVENT_ID ? `Event ID ${row.EVENT_ID}` : '']
+          .filter(Boolean)
+          .join(' ')
+      };
+    })
+    .filter(Boolean);
+}
+
+async function readCsvFile(filePath) {
+  const raw = await fs.readFile(filePath);
+  return filePath.endsWith('.gz') ? (await gunzip(raw)).toString('utf8') : raw.toString('utf8');
+}
+
+async function fetchReports(query, source) {
+  const dir = source.directory('storm-events');
+  if (!dir) {
+    return { reports: [], note: 'STORM_EVENTS_DIR is not configured' };
+  }
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { reports: [], note: `Storm Events directory not found: ${dir}` };
+    throw error;
+  }
+
+  // Only read the yearly files that can overlap the search window
+  const years = new Set();
+  for (let year = query.start.getUTCFullYear(); year <= query.end.getUTCFullYear(); year++) {
+    years.add(year);
+  }
+  const relevant = files.filter(file => {
+    if (!/\.csv(\.gz)?$/.test(file)) return false;
+    const yearMatch = /_d(\d{4})_/.exec(file);
+    return !yearMatch || years.has(parseInt(yearMatch[1], 10));
+  });
+
+  const reports = [];
+  for (const file of relevant) {
+    reports.push(...parseStormEvents(await readCsvFile(path.join(dir, file))));
+  }
+  return { reports };
+}
+
+module.exports = {
+  name,
+  citation,
+  fetchReports,
+  parseStormEvents
+};
@@ -0,0 +1,80 @@
+/************************************************
+ * netlify/lib/weather/providers/weatherapi.js
+ *
+ * WeatherAPI.com daily history for the date of loss. Also resolves the
+ * address to coordinates, which the other providers search around.
+ ************************************************/
+
+const name = 'WeatherAPI.com';
+const citation = 'WeatherAPI.com Historical Weather (history.json), daily and hourly data for the property location';
+
+async function fetchReports(query, source) {
+  const data = await source.getJson(
+    'weatherapi',
+    `history_${query.dateOfLoss}.json`,
+    'http://api.weatherapi.com/v1/history.json',
+    {
+      key: process.env.WEATHER_API_KEY,
+      q: query.location ? `${query.location.lat},${query.location.lon}` : query.address,
+      dt: query.dateOfLoss
+    }
+  );
+  const forecastDay = data?.forecast?.forecastday?.[0];
+  if (!forecastDay) {
+    return { reports: [], note: 'No history data returned for the date of loss' };
+  }
+
+  const dayData = forecastDay.day;
+  const hourlyData = forecastDay.hour || [];
+  const maxWindGust = hourlyData.length > 0 ? Math.max(...hourlyData.map(hour => hour.gust_mph)) : null;
+  const maxWindHour = hourlyData.find(hour => hour.gust_mph === maxWindGust);
+  const conditionText = dayData.condition?.text || '';
+
+  const location = data.location
+    ? {
+        name: [data.location.name, data.location.region, data.location.country].filter(Boolean).join(', '),
+        lat: data.location.lat,
+        lon: data.location.lon,
+        region: data.location.region,
+        country: data.location.country,
+        timezone: data.location.tz_id
+      }
+    : null;
+
+  const reports = [];
+  if (location && maxWindHour) {
+    reports.push({
+      source: name,
+      type: 'wind',
+      kind: 'model',
+      time: new Date(maxWindHour.time_epoch * 1000).toISOString(),
+      magnitude: maxWindGust,
+      units: 'mph',
+      lat: location.lat,
+      lon: location.lon,
+      place: 'Property location (gridded estimate)'
+    });
+  }
+
+  return {
+    location,
+    reports,
+    daily: {
+      maxTemp: `${dayData.maxtemp_f}°F`,
+      minTemp: `${dayData.mintemp_f}°F`,
+      avgTemp: `${dayData.avgtemp_f}°F`,
+      maxWindGust: maxWindGust === null ? '' : `${maxWindGust} mph`,
+      maxWindTime: maxWindHour?.time || '',
+      totalPrecip: `${dayData.totalprecip_in} inches`,
+      humidity: `${dayData.avghumidity}%`,
+      conditions: conditionText,
+      thunderstorm: conditionText.toLowerCase().includes('thunder') ? 'Yes' : 'No'
+    }
+  };
+}
+
+module.exports = {
+  name,
+  citation,
+  fetchReports
+};
@@ -0,0 +1,80 @@
+/************************************************
+ * netlify/lib/weather/source.js
+ *
+ * Where the weather providers get their raw data from:
+ * live HTTP, or saved fixture files when WEATHER_FIXTURES_DIR is set
+ * (fixtures/weather in this repo), so nothing calls out to the network.
+ ************************************************/
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+const HTTP_TIMEOUT_MS = 15000;
+
+/**
+ * Live data. A 404 means "no data" (e.g. SPC has no report file for
+ * a quiet day) and resolves to null.
+ */
+function createHttpSource() {
+  return {
+    async getText(provider, key, url, params) {
+      try {
+        const response = await axios.get(url, {
+          params,
+          responseType: 'text',
+          transformResponse: data => data,
+          timeout: HTTP_TIMEOUT_MS
+        });
+        return response.data;
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async getJson(provider, key, url, params) {
+      const text = await this.getText(provider, key, url, params);
+      return text === null ? null : JSON.parse(text);
+    },
+
+    directory(provider) {
+      return provider === 'storm-events' ? process.env.STORM_EVENTS_DIR || null : null;
+    }
+  };
+}
+
+/**
+ * Saved responses: <dir>/<provider>/<key>. A missing file resolves to null.
+ */
+function createFixtureSource(dir) {
+  return {
+    async getText(provider, key) {
+      try {
+        return await fs.readFile(path.join(dir, provider, key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async getJson(provider, key) {
+      const text = await this.getText(provider, key);
+      return text === null ? null : JSON.parse(text);
+    },
+
+    directory(provider) {
+      return path.join(dir, provider);
+    }
+  };
+}
+
+function createWeatherSource() {
+  const fixturesDir = process.env.WEATHER_FIXTURES_DIR;
+  return fixturesDir ? createFixtureSource(fixturesDir) : createHttpSource();
+}
+
+module.exports = {
+  createWeatherSource,
+  createHttpSource,
+  createFixtureSource
+};
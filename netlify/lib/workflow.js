@@ -0,0 +1,282 @@
+/************************************************
+ * netlify/lib/workflow.js
+ *
+ * Peer review and PE sign-off for a case's report:
+ *
+ *   draft ──submit──▶ in_review ──approve──▶ approved ──issue──▶ issued
+ *     ▲                   │                     │
+ *     └──────return───────┴─────────────────────┘
+ *
+ *   submit    drafting engineer, once every section the report needs is accepted
+ *   return    reviewer or signing PE, sends the report back for changes
+ *   approve   signing PE, with a license and signature on their profile,
+ *             who did not submit the report themselves; their details
+ *             are copied onto the case as the approval
+ *   issue     the approving PE; the accepted sections are frozen with
+ *             the approval and the case can no longer change
+ *
+ * The report can only be edited as a draft. Reviewers and PEs leave
+ * comments on individual sections until it is issued, and every change
+ * goes into the case's audit log. Cases saved before the workflow
+ * existed ("complete") count as drafts.
+ ************************************************/
+const crypto = require('crypto');
+const { ROLES, hasRole, userRef, sealDetails } = require('./accounts');
+const { sectionsForCase } = require('./templates');
+
+const STATUSES = {
+  draft: 'Draft',
+  in_review: 'In review',
+  approved: 'Approved',
+  issued: 'Issued'
+};
+
+// `logged` is how the step reads in the audit log
+const ACTIONS = {
+  submit: { from: ['draft'], to: 'in_review', roles: ['engineer'], logged: 'submitted for review' },
+  return: { from: ['in_review', 'approved'], to: 'draft', roles: ['reviewer', 'pe'], logged: 'returned to draft' },
+  approve: { from: ['in_review'], to: 'approved', roles: ['pe'], logged: 'approved' },
+  issue: { from: ['approved'], to: 'issued', roles: ['pe'], logged: 'issued' }
+};
+
+// Edits by one engineer within this long share an audit entry
+const AUDIT_MERGE_MINUTES = 15;
+const MAX_COMMENT_LENGTH = 4000;
+
+/**
+ * A workflow step that isn't allowed: 403 for the wrong role, 409 for
+ * the wrong status, 400 for a bad request.
+ */
+class WorkflowError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+function caseStatus(caseRecord) {
+  return STATUSES[caseRecord.status] ? caseRecord.status : 'draft';
+}
+
+/**
+ * The accepted text of a saved section ({ versions, acceptedVersion }),
+ * or '' if it has none.
+ */
+function acceptedContent(saved) {
+  if (!saved || !Number.isInteger(saved.acceptedVersion)) return '';
+  const content = saved.versions?.[saved.acceptedVersion]?.content;
+  return typeof content === 'string' ? content : '';
+}
+
+/**
+ * The report's sections ([{ id, title, content }], in report order) and
+ * the titles of those not yet accepted.
+ */
+function reportSections(caseRecord, template) {
+  const sections = sectionsForCase(template, caseRecord.inputs).map(section => ({
+    id: section.id,
+    title: section.title,
+    content: acceptedContent(caseRecord.sections?.[section.id])
+  }));
+  return {
+    sections: sections.filter(section => section.content.trim()),
+    missing: sections.filter(section => !section.content.trim()).map(section => section.title)
+  };
+}
+
+/**
+ * Add an audit entry. Consecutive edits by the same engineer are folded
+ * into one entry listing everything they changed.
+ */
+function recordAudit(caseRecord, user, action, details = {}, at = new Date().toISOString()) {
+  const audit = Array.isArray(caseRecord.audit) ? caseRecord.audit : [];
+  const last = audit[audit.length - 1];
+  if (action === 'updated' && last?.action === 'updated' && last.user?.id === user.id &&
+      Date.parse(at) - Date.parse(last.at) < AUDIT_MERGE_MINUTES * 60 * 1000) {
+    last.at = at;
+    last.details.fields = [...new Set([...(last.details.fields || []), ...(details.fields || [])])];
+  } else {
+    audit.push({ at, user: userRef(user), action, details });
+  }
+  caseRecord.audit = audit;
+  return caseRecord;
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * What an update body changes on a case, for the audit log:
+ * "inputs.address", "sections.introduction", "photos", "template", "archived".
+ */
+function changedFields(caseRecord, body) {
+  const fields = [];
+  const keyed = (name, before = {}, after) => {
+    if (after === undefined) return;
+    new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(key => {
+      if (!same(before?.[key], after?.[key])) fields.push(`${name}.${key}`);
+    });
+  };
+  keyed('inputs', caseRecord.inputs, body.inputs);
+  keyed('sections', caseRecord.sections, body.sections);
+  ['photos', 'template', 'archived'].forEach(name => {
+    if (body[name] !== undefined && !same(caseRecord[name], body[name])) fields.push(name);
+  });
+  return fields;
+}
+
+/**
+ * Throws unless the report can still be edited.
+ */
+function assertEditable(caseRecord) {
+  const status = caseStatus(caseRecord);
+  if (status === 'issued') {
+    throw new WorkflowError(409, 'This report has been issued and is locked');
+  }
+  if (status !== 'draft') {
+    throw new WorkflowError(409, `This report is ${STATUSES[status].toLowerCase()}; it must be returned to draft before it can be edited`);
+  }
+}
+
+function requireRole(user, roles) {
+  if (!roles.some(role => hasRole(user, role))) {
+    throw new WorkflowError(403, `This needs the ${roles.map(role => ROLES[role]).join(' or ')} role`);
+  }
+}
+
+/**
+ * Move the case through the workflow with `action` (submit, return,
+ * approve or issue). `template` is the case's report template, `note` an
+ * optional remark kept in the audit log. Updates the case in place.
+ */
+function applyAction(caseRecord, action, user, { template, note = '' } = {}) {
+  const step = ACTIONS[action];
+  if (!step) {
+    throw new WorkflowError(400, `Unknown action "${action}" (expected one of: ${Object.keys(ACTIONS).join(', ')})`);
+  }
+  requireRole(user, step.roles);
+  const status = caseStatus(caseRecord);
+  if (!step.from.includes(status)) {
+    throw new WorkflowError(409, `Can't ${action} a report that is ${STATUSES[status].toLowerCase()}`);
+  }
+
+  const now = new Date().toISOString();
+  if (action === 'submit' || action === 'issue') {
+    const { missing } = reportSections(caseRecord, template);
+    if (missing.length > 0) {
+      throw new WorkflowError(409, `Accept these sections first: ${missing.join(', ')}`);
+    }
+  }
+  if (action === 'submit') {
+    caseRecord.submitted = { ...userRef(user), submittedAt: now };
+  }
+  if (action === 'return') {
+    caseRecord.approval = null;
+  }
+  if (action === 'approve') {
+    // An account can hold every role, but a report always needs a second engineer
+    if (caseRecord.submitted?.id === user.id) {
+      throw new WorkflowError(403, 'You submitted this report; another signing PE must approve it');
+    }
+    let seal;
+    try {
+      seal = sealDetails(user);
+    } catch (error) {
+      throw new WorkflowError(400, error.message);
+    }
+    caseRecord.approval = { ...seal, approvedAt: now };
+  }
+  if (action === 'issue') {
+    if (caseRecord.approval?.userId !== user.id) {
+      throw new WorkflowError(403, `Only ${caseRecord.approval?.name || 'the approving PE'} can issue this report`);
+    }
+    caseRecord.issued = {
+      issuedAt: now,
+      issuedBy: userRef(user),
+      template: caseRecord.template || null,
+      sections: reportSections(caseRecord, template).sections
+    };
+  }
+
+  caseRecord.status = step.to;
+  caseRecord.updatedAt = now;
+  caseRecord.updatedBy = userRef(user);
+  const trimmed = typeof note === 'string' ? note.trim() : '';
+  return recordAudit(caseRecord, user, step.logged, trimmed ? { note: trimmed } : {}, now);
+}
+
+/**
+ * The seal printed on an issued report: the approval with the issue date.
+ */
+function issuedStamp(caseRecord) {
+  if (caseStatus(caseRecord) !== 'issued' || !caseRecord.approval || !caseRecord.issued) return null;
+  return { ...caseRecord.approval, issuedAt: caseRecord.issued.issuedAt };
+}
+
+function assertCommentable(caseRecord, user) {
+  requireRole(user, ['engineer', 'reviewer', 'pe']);
+  if (caseStatus(caseRecord) === 'issued') {
+    throw new WorkflowError(409, 'This report has been issued and is locked');
+  }
+}
+
+/**
+ * Add a reviewer's comment on one section: { sectionId, text }.
+ */
+function addComment(caseRecord, user, body) {
+  requireRole(user, ['reviewer', 'pe']);
+  assertCommentable(caseRecord, user);
+  const sectionId = typeof body.sectionId === 'string' ? body.sectionId.trim() : '';
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  if (!sectionId) throw new WorkflowError(400, '"sectionId" is required');
+  if (!text) throw new WorkflowError(400, '"text" is required');
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new WorkflowError(400, `Comments must be under ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  const comment = {
+    id: crypto.randomUUID(),
+    sectionId,
+    text,
+    author: userRef(user),
+    createdAt: new Date().toISOString(),
+    resolvedAt: null,
+    resolvedBy: null
+  };
+  caseRecord.comments = [...(caseRecord.comments || []), comment];
+  recordAudit(caseRecord, user, 'commented', { sectionId, commentId: comment.id }, comment.createdAt);
+  return comment;
+}
+
+/**
+ * Mark a comment as dealt with (or reopen it with `resolved: false`).
+ */
+function resolveComment(caseRecord, user, body) {
+  assertCommentable(caseRecord, user);
+  const comment = (caseRecord.comments || []).find(candidate => candidate.id === body.commentId);
+  if (!comment) throw new WorkflowError(404, `Comment not found: ${body.commentId}`);
+  const resolved = body.resolved !== false;
+  const now = new Date().toISOString();
+  comment.resolvedAt = resolved ? now : null;
+  comment.resolvedBy = resolved ? userRef(user) : null;
+  recordAudit(caseRecord, user, resolved ? 'resolved comment' : 'reopened comment',
+    { sectionId: comment.sectionId, commentId: comment.id }, now);
+  return comment;
+}
+
+module.exports = {
+  STATUSES,
+  ACTIONS,
+  WorkflowError,
+  caseStatus,
+  reportSections,
+  recordAudit,
+  changedFields,
+  assertEditable,
+  applyAction,
+  issuedStamp,
+  addComment,
+  resolveComment
+};
@@ -0,0 +1,73 @@
+/************************************************
+ * section-stream.js
+ *
+ * Reads a section streamed by the generate-report function as
+ * Server-Sent Events (see createSectionEventStream in
+ * netlify/functions/generate-report.js). index.html loads this as a
+ * plain script; the tests require it.
+ ************************************************/
+(function(exports) {
+  /**
+   * Read a Server-Sent Events response body, calling onEvent(name, data)
+   * for every complete event.
+   */
+  async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const eventName = (rawEvent.match(/^event: (.*)$/m) || [])[1] || 'message';
+        const data = rawEvent
+          .split('\n')
+          .filter(line => line.startsWith('data: '))
+          .map(line => line.slice(6))
+          .join('\n');
+        onEvent(eventName, data ? JSON.parse(data) : null);
+      }
+    }
+  }
+
+  /**
+   * Read a streamed section and resolve with { content, warnings,
+   * sources, model, template }. onDelta(textSoFar) is called as tokens
+   * arrive. Rejects on an error event, and when the stream ends without
+   * its done event (the function timed out or the connection dropped):
+   * the text so far is not a finished section.
+   */
+  async function readSectionStream(response, onDelta) {
+    let content = '';
+    let warnings = [];
+    let sources = [];
+    let generatedBy = {};
+    let streamError = null;
+    let receivedDone = false;
+    await readEventStream(response, (eventName, data) => {
+      if (eventName === 'meta') {
+        generatedBy = { model: data.model, template: data.template };
+      } else if (eventName === 'delta') {
+        content += data.text;
+        if (onDelta) onDelta(content);
+      } else if (eventName === 'done') {
+        receivedDone = true;
+        content = data.section;
+        warnings = Array.isArray(data.warnings) ? data.warnings : [];
+        sources = Array.isArray(data.sources) ? data.sources : [];
+      } else if (eventName === 'error') {
+        streamError = new Error(data.details || data.error);
+      }
+    });
+    if (streamError) throw streamError;
+    if (!receivedDone) throw new Error('The section stream ended before the section was finished');
+    return { content, warnings, sources, ...generatedBy };
+  }
+
+  exports.readEventStream = readEventStream;
+  exports.readSectionStream = readSectionStream;
+})(typeof module !== 'undefined' ? module.exports : window);
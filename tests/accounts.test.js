@@ -0,0 +1,150 @@
+/************************************************
+ * tests/accounts.test.js
+ *
+ * The accounts function: first-run setup, signing in, profiles and
+ * what administrators can change.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_PASSWORD, createAccount, invoke } = require('./helpers');
+
+const { handler } = require('../netlify/functions/accounts');
+
+function request(method, params = {}, body, headers = {}) {
+  return invoke(handler, {
+    httpMethod: method,
+    queryStringParameters: params,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }).then(response => ({ ...response, data: JSON.parse(response.body || 'null') }));
+}
+
+const bearer = token => ({ authorization: `Bearer ${token}` });
+
+describe('setup and sign-in', () => {
+  let admin;
+
+  test('the first account is set up with every role', async () => {
+    assert.deepEqual((await request('GET', { action: 'status' })).data, { setupRequired: true });
+
+    const response = await request('POST', { action: 'setup' }, {
+      email: ' Admin@Example.com ',
+      password: TEST_PASSWORD,
+      name: 'Dana Whitfield'
+    });
+    assert.equal(response.statusCode, 201);
+    admin = response.data;
+    assert.equal(admin.user.email, 'admin@example.com');
+    assert.deepEqual(admin.user.roles, ['engineer', 'reviewer', 'pe', 'admin']);
+    assert.equal(admin.user.passwordHash, undefined);
+    assert.ok(Date.parse(admin.expiresAt) > Date.now());
+
+    assert.deepEqual((await request('GET', { action: 'status' })).data, { setupRequired: false });
+    const again = await request('POST', { action: 'setup' }, { email: 'x@example.com', password: TEST_PASSWORD, name: 'X' });
+    assert.equal(again.statusCode, 409);
+  });
+
+  test('signing in checks the password without saying which part was wrong', async () => {
+    const signedIn = await request('POST', { action: 'login' }, { email: 'admin@example.com', password: TEST_PASSWORD });
+    assert.equal(signedIn.statusCode, 200);
+    assert.equal((await request('GET', { id: 'me' }, undefined, bearer(signedIn.data.token))).data.user.name, 'Dana Whitfield');
+
+    for (const body of [
+      { email: 'admin@example.com', password: 'not the password' },
+      { email: 'nobody@example.com', password: TEST_PASSWORD }
+    ]) {
+      const refused = await request('POST', { action: 'login' }, body);
+      assert.equal(refused.statusCode, 401);
+      assert.deepEqual(refused.data, { error: 'Incorrect email or password' });
+    }
+  });
+
+  test('everything else needs a valid session', async () => {
+    assert.equal((await request('GET', { id: 'me' })).statusCode, 401);
+    const [payload] = admin.token.split('.');
+    const tampered = await request('GET', { id: 'me' }, undefined, bearer(`${payload}.${'A'.repeat(43)}`));
+    assert.equal(tampered.statusCode, 401);
+  });
+
+  test('changing the password needs the current one and ends other sessions', async () => {
+    const wrong = await request('PUT', { id: 'me' }, { password: 'a new password 1', currentPassword: 'guess' }, bearer(admin.token));
+    assert.equal(wrong.statusCode, 400);
+    const short = await request('PUT', { id: 'me' }, { password: 'short', currentPassword: TEST_PASSWORD }, bearer(admin.token));
+    assert.deepEqual(short.data, { error: 'The password must be at least 10 characters' });
+
+    const changed = await request('PUT', { id: 'me' }, { password: 'a new password 1', currentPassword: TEST_PASSWORD }, bearer(admin.token));
+    assert.equal(changed.statusCode, 200);
+    assert.equal((await request('GET', { id: 'me' }, undefined, bearer(admin.token))).statusCode, 401);
+    assert.equal((await request('GET', { id: 'me' }, undefined, bearer(changed.data.token))).statusCode, 200);
+    admin = changed.data;
+  });
+});
+
+describe('profiles and roles', () => {
+  test('engineers keep their license and signature on their profile', async () => {
+    const engineer = await createAccount({ roles: ['engineer'] });
+    const response = await request('PUT', { id: 'me' }, {
+      title: 'Senior Engineer',
+      license: { number: '123456', state: 'tx', expires: '2030-12-31' },
+      signature: { contentType: 'image/png', data: 'iVBORw0KGgo=' }
+    }, engineer.headers);
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.data.user.license, { number: '123456', state: 'TX', expires: '2030-12-31' });
+    assert.equal(response.data.user.signature.contentType, 'image/png');
+
+    const bad = await request('PUT', { id: 'me' }, { signature: { contentType: 'image/gif', data: 'R0lG' } }, engineer.headers);
+    assert.deepEqual(bad.data, { error: 'The signature must be one of: image/png, image/jpeg' });
+    const badDate = await request('PUT', { id: 'me' }, { license: { number: '1', expires: '12/31/2030' } }, engineer.headers);
+    assert.deepEqual(badDate.data, { error: 'The license expiry date must be YYYY-MM-DD' });
+  });
+
+  test('only administrators manage accounts and roles', async () => {
+    const engineer = await createAccount({ roles: ['engineer'] });
+    const admin = await createAccount({ roles: ['admin'] });
+
+    assert.equal((await request('GET', {}, undefined, engineer.headers)).statusCode, 403);
+    const promote = await request('PUT', { id: 'me' }, { roles: ['engineer', 'pe'] }, engineer.headers);
+    assert.deepEqual(promote.data, { error: 'Only an administrator can change roles or deactivate accounts' });
+    const other = await request('PUT', { id: admin.user.id }, { name: 'Someone Else' }, engineer.headers);
+    assert.equal(other.statusCode, 403);
+
+    const created = await request('POST', {}, {
+      email: 'reviewer@example.com',
+      password: TEST_PASSWORD,
+      name: 'Pat Reviewer',
+      roles: ['reviewer']
+    }, admin.headers);
+    assert.equal(created.statusCode, 201);
+    const duplicate = await request('POST', {}, { email: 'REVIEWER@example.com', password: TEST_PASSWORD, name: 'P' }, admin.headers);
+    assert.deepEqual(duplicate.data, { error: 'There is already an account for reviewer@example.com' });
+    const badRole = await request('POST', {}, { email: 'r2@example.com', password: TEST_PASSWORD, name: 'R', roles: ['boss'] }, admin.headers);
+    assert.equal(badRole.statusCode, 400);
+
+    const list = await request('GET', {}, undefined, admin.headers);
+    assert.ok(list.data.users.some(user => user.email === 'reviewer@example.com'));
+    assert.ok(list.data.users.every(user => user.passwordHash === undefined));
+
+    const roles = await request('PUT', { id: engineer.user.id }, { roles: ['engineer', 'pe'] }, admin.headers);
+    assert.deepEqual(roles.data.user.roles, ['engineer', 'pe']);
+    // The change applies to the engineer's existing session
+    assert.deepEqual((await request('GET', { id: 'me' }, undefined, engineer.headers)).data.user.roles, ['engineer', 'pe']);
+
+    const deactivated = await request('PUT', { id: engineer.user.id }, { active: false }, admin.headers);
+    assert.equal(deactivated.data.user.active, false);
+    assert.equal((await request('GET', { id: 'me' }, undefined, engineer.headers)).statusCode, 401);
+    const signIn = await request('POST', { action: 'login' }, { email: engineer.user.email, password: TEST_PASSWORD });
+    assert.equal(signIn.statusCode, 401);
+  });
+
+  test('the last active administrator stays one', async () => {
+    const onlyAdmin = await createAccount({ roles: ['admin'] });
+    const admins = (await request('GET', {}, undefined, onlyAdmin.headers)).data.users
+      .filter(user => user.active && user.roles.includes('admin') && user.id !== onlyAdmin.user.id);
+    for (const other of admins) {
+      await request('PUT', { id: other.id }, { active: false }, onlyAdmin.headers);
+    }
+    const demoted = await request('PUT', { id: 'me' }, { roles: ['engineer'] }, onlyAdmin.headers);
+    assert.equal(demoted.statusCode, 409);
+    assert.deepEqual(demoted.data, { error: 'The site needs at least one active administrator' });
+  });
+});
@@ -0,0 +1,61 @@
+/************************************************
+ * tests/buildings.test.js
+ *
+ * Multi-building properties: the building list, the roof systems across
+ * buildings and the per-building prompt text and summary table.
+ ************************************************/
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers');
+
+const { buildingList, roofSystemKeys, formatBuildingsForPrompt, formatBuildingTable } = require('../netlify/lib/buildings');
+const { checkSection } = require('../netlify/lib/consistency');
+
+const context = readFixture('cases', 'killeen-2014.json');
+
+test('buildings are read in intake order, without unnamed ones', () => {
+  const buildings = buildingList({
+    buildings: [
+      { name: ' Building A ', squareFootage: 1200, roofSystems: ['Metal', 'Slate'] },
+      { name: '', currentUse: 'Storage' },
+      null
+    ]
+  });
+  assert.deepEqual(buildings, [
+    { name: 'Building A', currentUse: '', propertyAge: null, squareFootage: 1200, roofSystems: ['Metal'], observations: '' }
+  ]);
+  assert.deepEqual(buildingList({}), []);
+});
+
+test("the property's roof systems include every building's", () => {
+  assert.deepEqual([...roofSystemKeys(context)], ['roofSinglePlyChecked', 'roofBURChecked']);
+  const metalShed = { ...context, buildings: [...context.buildings, { name: 'Shed', roofSystems: ['Metal'] }] };
+  assert.deepEqual([...roofSystemKeys(metalShed)], ['roofMetalChecked', 'roofSinglePlyChecked', 'roofBURChecked']);
+
+  const text = 'The shed has a standing seam metal roof.';
+  assert.deepEqual(checkSection(text, context).map(warning => warning.type), ['roof']);
+  assert.deepEqual(checkSection(text, metalShed), []);
+});
+
+test('prompt text and summary table', () => {
+  const buildings = buildingList(context);
+  assert.equal(formatBuildingsForPrompt(buildings.slice(0, 1)), [
+    'Building 1:',
+    '- Current use: Retail',
+    '- Age: 40 years',
+    '- Square footage: 14,000',
+    '- Roof systems: Built Up Roofing (Gravel Ballast)',
+    '- Damage observations: Stained ceiling tiles below Section A; no fractures found in the felts'
+  ].join('\n'));
+  assert.equal(formatBuildingsForPrompt(buildingList({ buildings: [{ name: 'Annex' }] })), 'Annex:');
+
+  assert.deepEqual(formatBuildingTable(buildings).split('\n'), [
+    '| Building | Current use | Age (years) | Square footage | Roof systems |',
+    '| --- | --- | ---: | ---: | --- |',
+    '| Building 1 | Retail | 40 | 14,000 | Built Up Roofing (Gravel Ballast) |',
+    '| Building 2 | Retail | 40 | 12,000 | Single-Ply Membrane |',
+    '| Building 3 | Retail | 40 | 12,000 | Single-Ply Membrane |',
+    '| Building 4 | Restaurant | 35 | 10,000 | Single-Ply Membrane |',
+    '| All 4 buildings |  |  | 48,000 |  |'
+  ]);
+});
@@ -0,0 +1,324 @@
+/************************************************
+ * tests/cases.test.js
+ *
+ * Saved cases through peer review and PE sign-off: who can move a
+ * report along, what is locked when, the section comments and the
+ * audit log, and the stamped export of an issued report.
+ ************************************************/
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, createAccount, invoke, readFixture, withEnv } = require('./helpers');
+
+const { handler } = require('../netlify/functions/cases');
+const photos = require('../netlify/functions/photos');
+const exportReport = require('../netlify/functions/export-report');
+const { getTemplate, sectionsForCase } = require('../netlify/lib/templates');
+const { buildReport } = require('../netlify/lib/export/report');
+const { getDocumentStore } = require('../netlify/lib/storage');
+
+const context = readFixture('cases', 'killeen-2014.json');
+
+// A 1x1 PNG
+const SIGNATURE = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function call(fn, method, params, body, account) {
+  return invoke(fn, {
+    httpMethod: method,
+    queryStringParameters: params,
+    headers: account.headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }).then(response => ({
+    ...response,
+    data: response.headers['Content-Type'] === 'application/json' ? JSON.parse(response.body) : null
+  }));
+}
+
+const request = (method, params, body, account) => call(handler, method, params, body, account);
+
+describe('review workflow', () => {
+  let template;
+  let engineer;
+  let reviewer;
+  let pe;
+  let otherPe;
+  let sections;
+
+  before(async () => {
+    template = await getTemplate();
+    sections = Object.fromEntries(sectionsForCase(template, context).map(section => [section.id, {
+      versions: [{ content: fs.readFileSync(path.join(FIXTURES, 'llm', `${section.id}.md`), 'utf8'), label: 'Generated' }],
+      acceptedVersion: 0
+    }]));
+    engineer = await createAccount({ roles: ['engineer'], name: 'Sam Drafter' });
+    reviewer = await createAccount({ roles: ['reviewer'], name: 'Pat Reviewer' });
+    pe = await createAccount({
+      roles: ['pe'],
+      name: 'Dana Whitfield, P.E.',
+      title: 'Principal Engineer',
+      license: { number: '123456', state: 'TX', expires: '2099-12-31' },
+      signature: { contentType: 'image/png', data: SIGNATURE }
+    });
+    otherPe = await createAccount({ roles: ['pe'], name: 'Lee Other, P.E.' });
+  });
+
+  async function newCase(overrides = {}) {
+    const response = await request('POST', {}, {
+      inputs: context,
+      sections,
+      photos: [],
+      template: { id: template.id, version: template.version },
+      ...overrides
+    }, engineer);
+    assert.equal(response.statusCode, 201);
+    return response.data;
+  }
+
+  test('only drafting engineers create and edit cases', async () => {
+    const refused = await request('POST', {}, { inputs: context }, reviewer);
+    assert.equal(refused.statusCode, 403);
+    assert.equal((await request('GET', {}, undefined, { headers: {} })).statusCode, 401);
+
+    const caseRecord = await newCase();
+    assert.equal(caseRecord.status, 'draft');
+    assert.deepEqual(caseRecord.createdBy, { id: engineer.user.id, name: 'Sam Drafter' });
+    assert.deepEqual(caseRecord.audit.map(entry => entry.action), ['created']);
+
+    const status = await request('PUT', { id: caseRecord.id }, { status: 'issued' }, engineer);
+    assert.equal(status.statusCode, 400);
+    assert.match(status.data.error, /"status" changes through the review actions: submit, return, approve, issue/);
+  });
+
+  test('a report is submitted only when every section is accepted', async () => {
+    const { introduction, limitations, ...rest } = sections;
+    const caseRecord = await newCase({ sections: { ...rest, introduction: { ...introduction, acceptedVersion: null } } });
+    const response = await request('POST', { id: caseRecord.id, action: 'submit' }, {}, engineer);
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.data.error, 'Accept these sections first: Introduction, Limitations');
+  });
+
+  test('draft → in review → approved → issued, with comments and an audit log', async () => {
+    const { id } = await newCase();
+
+    // Edits by the same engineer are one audit entry
+    await request('PUT', { id }, { inputs: { ...context, squareFootage: '49,000' } }, engineer);
+    await request('PUT', { id }, { photos: [{ id: 'p1', caption: 'Fracture' }] }, engineer);
+
+    assert.equal((await request('POST', { id, action: 'approve' }, {}, pe)).statusCode, 409);
+    assert.equal((await request('POST', { id, action: 'submit' }, {}, reviewer)).statusCode, 403);
+    const submitted = await request('POST', { id, action: 'submit' }, {}, engineer);
+    assert.equal(submitted.data.status, 'in_review');
+
+    const locked = await request('PUT', { id }, { inputs: context }, engineer);
+    assert.equal(locked.statusCode, 409);
+    assert.equal(locked.data.error, 'This report is in review; it must be returned to draft before it can be edited');
+
+    assert.equal((await request('POST', { id, action: 'comment' }, { sectionId: 'conclusions', text: 'x' }, engineer)).statusCode, 403);
+    const commented = await request('POST', { id, action: 'comment' }, {
+      sectionId: 'conclusions',
+      text: 'State the hail size at the roof, not just at the station.'
+    }, reviewer);
+    assert.equal(commented.statusCode, 201);
+    assert.deepEqual(commented.data.comment.author, { id: reviewer.user.id, name: 'Pat Reviewer' });
+
+    const returned = await request('POST', { id, action: 'return' }, { note: 'See the Conclusions comment' }, reviewer);
+    assert.equal(returned.data.status, 'draft');
+    const edited = await request('PUT', { id }, {
+      sections: { ...sections, conclusions: { ...sections.conclusions, versions: [...sections.conclusions.versions, { content: 'Revised.' }], acceptedVersion: 1 } }
+    }, engineer);
+    assert.equal(edited.statusCode, 200);
+    const resolved = await request('POST', { id, action: 'resolve-comment' }, { commentId: commented.data.comment.id }, engineer);
+    assert.deepEqual(resolved.data.comment.resolvedBy, { id: engineer.user.id, name: 'Sam Drafter' });
+    await request('POST', { id, action: 'submit' }, {}, engineer);
+
+    const noSeal = await request('POST', { id, action: 'approve' }, {}, otherPe);
+    assert.equal(noSeal.statusCode, 400);
+    assert.equal(noSeal.data.error, 'Add your license number, license state, signature to your profile before approving reports');
+
+    const approved = await request('POST', { id, action: 'approve' }, {}, pe);
+    assert.equal(approved.data.status, 'approved');
+    assert.equal(approved.data.approval.name, 'Dana Whitfield, P.E.');
+    assert.deepEqual(approved.data.approval.license, { number: '123456', state: 'TX', expires: '2099-12-31' });
+
+    const notTheirs = await request('POST', { id, action: 'issue' }, {}, otherPe);
+    assert.equal(notTheirs.statusCode, 403);
+    assert.equal(notTheirs.data.error, 'Only Dana Whitfield, P.E. can issue this report');
+
+    const issued = await request('POST', { id, action: 'issue' }, {}, pe);
+    assert.equal(issued.data.status, 'issued');
+    assert.equal(issued.data.issued.sections.find(section => section.id === 'conclusions').content, 'Revised.');
+    assert.deepEqual(
+      issued.data.issued.sections.map(section => section.id),
+      sectionsForCase(template, context).map(section => section.id)
+    );
+
+    assert.deepEqual(
+      issued.data.audit.map(entry => [entry.action, entry.user.name]),
+      [
+        ['created', 'Sam Drafter'],
+        ['updated', 'Sam Drafter'],
+        ['submitted for review', 'Sam Drafter'],
+        ['commented', 'Pat Reviewer'],
+        ['returned to draft', 'Pat Reviewer'],
+        ['updated', 'Sam Drafter'],
+        ['resolved comment', 'Sam Drafter'],
+        ['submitted for review', 'Sam Drafter'],
+        ['approved', 'Dana Whitfield, P.E.'],
+        ['issued', 'Dana Whitfield, P.E.']
+      ]
+    );
+    assert.deepEqual(issued.data.audit[1].details.fields, ['inputs.squareFootage', 'photos']);
+    assert.deepEqual(issued.data.audit[4].details, { note: 'See the Conclusions comment' });
+    assert.deepEqual(issued.data.audit[5].details.fields, ['sections.conclusions']);
+  });
+
+  test('a PE who submitted the report can\'t approve it', async () => {
+    const { id } = await newCase();
+    const draftingPe = await createAccount({
+      roles: ['engineer', 'pe'],
+      name: 'Robin Both, P.E.',
+      license: { number: '654321', state: 'TX' },
+      signature: { contentType: 'image/png', data: SIGNATURE }
+    });
+    await request('POST', { id, action: 'submit' }, {}, draftingPe);
+
+    const own = await request('POST', { id, action: 'approve' }, {}, draftingPe);
+    assert.equal(own.statusCode, 403);
+    assert.equal(own.data.error, 'You submitted this report; another signing PE must approve it');
+
+    // Once someone else submits it, they can approve it
+    await request('POST', { id, action: 'return' }, {}, pe);
+    await request('POST', { id, action: 'submit' }, {}, engineer);
+    const approved = await request('POST', { id, action: 'approve' }, {}, draftingPe);
+    assert.equal(approved.data.approval.name, 'Robin Both, P.E.');
+  });
+
+  test('an issued report is locked and exports with the PE stamp', async () => {
+    const { id } = await newCase();
+    await request('POST', { id, action: 'submit' }, {}, engineer);
+    await request('POST', { id, action: 'approve' }, {}, pe);
+    await request('POST', { id, action: 'issue' }, {}, pe);
+
+    for (const [method, params, body, account] of [
+      ['PUT', { id }, { inputs: context }, engineer],
+      ['POST', { id, action: 'return' }, {}, pe],
+      ['POST', { id, action: 'comment' }, { sectionId: 'introduction', text: 'Too late' }, reviewer]
+    ]) {
+      const response = await request(method, params, body, account);
+      assert.equal(response.statusCode, 409, `${method} ${params.action || ''}`);
+    }
+    const upload = await call(photos.handler, 'POST', {}, { caseId: id, contentType: 'image/png', data: SIGNATURE }, engineer);
+    assert.equal(upload.statusCode, 409);
+    assert.equal(upload.data.error, 'This report has been issued and is locked');
+
+    // Archiving doesn't change the report
+    const archived = await request('PUT', { id }, { archived: true }, pe);
+    assert.equal(archived.data.archived, true);
+
+    const exported = await call(exportReport.handler, 'POST', {}, {
+      format: 'docx',
+      caseId: id,
+      sections: [{ id: 'introduction', title: 'Introduction', content: 'Not what was issued.' }]
+    }, reviewer);
+    assert.equal(exported.statusCode, 200);
+    assert.equal(exported.headers['Content-Disposition'], 'attachment; filename="440-plaza.docx"');
+  });
+
+  test('the stamp signs the report with the approving PE\'s details', () => {
+    const report = buildReport({
+      sections: [{ id: 'introduction', title: 'Introduction', content: 'Text.' }],
+      context,
+      stamp: {
+        name: 'Dana Whitfield, P.E.',
+        title: 'Principal Engineer',
+        email: 'dana@example.com',
+        phone: '',
+        license: { number: '123456', state: 'TX', expires: '2099-12-31' },
+        signature: { contentType: 'image/png', data: SIGNATURE },
+        approvedAt: '2014-10-20T15:00:00.000Z',
+        issuedAt: '2014-10-21T15:00:00.000Z'
+      }
+    });
+    const { image, ...signature } = report.signature;
+    assert.deepEqual(signature, {
+      name: 'Dana Whitfield, P.E.',
+      title: 'Principal Engineer',
+      license: 'TX 123456',
+      email: 'dana@example.com',
+      phone: '',
+      stampLines: ['Approved October 20, 2014', 'Issued October 21, 2014']
+    });
+    assert.deepEqual([image.type, image.width, image.height], ['png', 1, 1]);
+    assert.deepEqual(report.cover.facts.find(([label]) => label === 'Report Date'), ['Report Date', 'October 21, 2014']);
+  });
+
+  test('a copy of an issued report starts over as a draft', async () => {
+    const { id } = await newCase();
+    await request('POST', { id, action: 'submit' }, {}, engineer);
+    await request('POST', { id, action: 'comment' }, { sectionId: 'introduction', text: 'Fine as is.' }, reviewer);
+    await request('POST', { id, action: 'approve' }, {}, pe);
+    await request('POST', { id, action: 'issue' }, {}, pe);
+
+    const copy = await request('POST', { id, action: 'duplicate' }, undefined, engineer);
+    assert.equal(copy.statusCode, 201);
+    assert.equal(copy.data.status, 'draft');
+    for (const field of ['submitted', 'approval', 'issued', 'comments']) {
+      assert.equal(copy.data[field], undefined, field);
+    }
+    assert.deepEqual(copy.data.audit.map(entry => [entry.action, entry.details]), [['created', { duplicatedFrom: id }]]);
+  });
+
+  test('a copy has its own photos, so either case can delete them', async () => {
+    const { id } = await newCase();
+    const upload = await call(photos.handler, 'POST', {}, { caseId: id, contentType: 'image/png', data: SIGNATURE }, engineer);
+    const photoId = upload.data.id;
+    const claim = { id: 'c1', text: 'No hail damage was found.', dispute: true, photoIds: [photoId] };
+    await request('PUT', { id }, {
+      photos: [{ id: photoId, caption: 'Fracture' }],
+      inputs: { ...context, thirdPartyReports: [{ id: 'r1', claims: [claim] }] }
+    }, engineer);
+
+    const copy = (await request('POST', { id, action: 'duplicate' }, undefined, engineer)).data;
+    const copiedId = copy.photos[0].id;
+    assert.notEqual(copiedId, photoId);
+    assert.equal(copy.photos[0].caption, 'Fracture');
+    assert.deepEqual(copy.inputs.thirdPartyReports[0].claims[0].photoIds, [copiedId]);
+
+    const deleted = await call(photos.handler, 'DELETE', { id: photoId, caseId: id }, undefined, engineer);
+    assert.equal(deleted.data.deleted, true);
+    const image = await call(photos.handler, 'GET', { id: copiedId }, undefined, engineer);
+    assert.equal(image.statusCode, 200);
+    assert.equal(image.body, SIGNATURE);
+    const deletedCopy = await call(photos.handler, 'DELETE', { id: copiedId, caseId: copy.id }, undefined, engineer);
+    assert.equal(deletedCopy.data.deleted, true);
+  });
+
+  test('cases saved as "complete" before the workflow are drafts', async () => {
+    await getDocumentStore('cases', {}).put('legacy-case', {
+      id: 'legacy-case',
+      name: 'Old case',
+      status: 'complete',
+      inputs: context,
+      sections,
+      photos: [],
+      updatedAt: '2020-01-01T00:00:00.000Z'
+    });
+    const { cases } = (await request('GET', {}, undefined, reviewer)).data;
+    assert.equal(cases.find(summary => summary.id === 'legacy-case').status, 'draft');
+    const submitted = await request('POST', { id: 'legacy-case', action: 'submit' }, {}, engineer);
+    assert.equal(submitted.data.status, 'in_review');
+  });
+});
+
+describe('storage backend', () => {
+  test('on Netlify the default is Blobs, never the read-only file system', async () => {
+    const unset = { STORAGE_BACKEND: undefined, NETLIFY: undefined, NETLIFY_DEV: undefined, AWS_LAMBDA_FUNCTION_NAME: undefined };
+    await withEnv({ ...unset, AWS_LAMBDA_FUNCTION_NAME: 'cases' }, async () => {
+      assert.throws(() => getDocumentStore('cases', {}), { name: 'MissingBlobsEnvironmentError' });
+    });
+    await withEnv(unset, async () => {
+      assert.ok(Array.isArray(await getDocumentStore('cases', {}).list()));
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/************************************************
+ * tests/consistency.test.js
+ *
+ * The checks run on each generated section: what each heuristic flags,
+ * and the wording it lets through.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkSection } = require('../netlify/lib/consistency');
+
+const context = {
+  address: '1204 North Oak Street, Killeen, TX 76541',
+  dateOfLoss: '2014-03-28',
+  investigationDate: '2014-06-10',
+  constructionType: 'Single-story wood frame on a slab',
+  roofCompChecked: true
+};
+
+const weatherData = {
+  location: { lat: 31.1, lon: -97.7 },
+  maxWindGust: '58',
+  stormReports: [
+    { type: 'hail', magnitude: 1.75 },
+    { type: 'wind', magnitude: 61 }
+  ]
+};
+
+function types(content, extraContext = {}, weather = weatherData) {
+  return checkSection(content, { ...context, ...extraContext }, weather).map(warning => warning.type);
+}
+
+describe('checkSection', () => {
+  test('text that agrees with the intake has no warnings', () => {
+    assert.deepEqual(checkSection(
+      'The property at 1204 N. Oak St. was inspected on June 10, 2014. The Date of Loss was March 28, 2014, ' +
+      'when hail up to 1.75 inches fell and winds gusted to 61 mph.', context, weatherData), []);
+    assert.deepEqual(checkSection(''), []);
+  });
+
+  test('dates', () => {
+    assert.deepEqual(checkSection('The Date of Loss was 4/2/2014.', context), [{
+      type: 'date',
+      message: 'The Date of Loss is given as "4/2/2014", but the intake says March 28, 2014.',
+      excerpt: '4/2/2014'
+    }]);
+    assert.match(checkSection('The site visit was on 2014-03-28.', context)[0].message, /is the Date of Loss, but the text gives it as the Inspection Date/);
+    // A date nothing labels is left alone
+    assert.deepEqual(types('The roof was replaced on May 1, 2009.'), []);
+  });
+
+  test('addresses', () => {
+    const [warning] = checkSection('Photographs were also taken at 1210 North Oak Street.', context);
+    assert.deepEqual(warning, {
+      type: 'address',
+      message: 'The address "1210 North Oak Street" does not match the property address (1204 North Oak Street, Killeen, TX 76541).',
+      excerpt: '1210 North Oak Street'
+    });
+    // Abbreviations, the geocoder's spelling and bare numbers are fine
+    assert.deepEqual(types('The house at 1204 N Oak St faces east.'), []);
+    assert.deepEqual(types('The house at 1204 Oak Street faces east.'), []);
+    assert.deepEqual(types('See 1204 Old Oak Road.', { propertyLocation: { matchedAddress: '1204 Old Oak Rd, Killeen, TX' } }), []);
+    assert.deepEqual(types('The roof covers 2400 square feet across 14 slopes.'), []);
+    // Without an address in the intake there is nothing to compare
+    assert.deepEqual(types('Photographs were taken at 1210 North Oak Street.', { address: '' }), []);
+  });
+
+  test('roof systems', () => {
+    assert.deepEqual(types('The standing seam metal roof was dented.'), ['roof']);
+    assert.deepEqual(types('The laminated shingles were bruised.'), []);
+    assert.deepEqual(types('There was no metal roofing on the building.'), []);
+  });
+
+  test('upper floors', () => {
+    const [warning] = checkSection('Water stains were found on the second-floor ceiling.', context);
+    assert.equal(warning.type, 'floors');
+    assert.equal(warning.excerpt, 'second-floor');
+    // Denials, and buildings the intake describes as multi-story
+    assert.deepEqual(types('The house does not have a second floor.'), []);
+    assert.deepEqual(types('Water stains were found upstairs.', { constructionType: 'Two-story wood frame' }), []);
+    assert.deepEqual(types('Water stains were found upstairs.', { engineerNotes: 'Bedrooms are on the 2nd floor.' }), []);
+  });
+
+  test('leftover placeholders', () => {
+    const warnings = checkSection('Inspected by [Engineer Name] on {{investigationDate}}. Roof age: TBD. Insert photo here.');
+    assert.deepEqual(warnings.map(warning => warning.excerpt), ['[Engineer Name]', '{{investigationDate}}', 'TBD', 'Insert photo here']);
+    assert.equal(warnings[0].message, 'Replace the placeholder "[Engineer Name]" with the actual information, or leave it out.');
+    // Links, task boxes, footnotes and library citations are not placeholders
+    assert.deepEqual(checkSection('See [the NWS report](https://weather.gov) [1]. - [x] Attic checked; - [ ] Garage. Hail bruises shingles [S2, S4].'), []);
+  });
+
+  test('quoted text is only checked for placeholders', () => {
+    const quote = 'The adjuster wrote: "the hail at 1210 North Oak Street was 3 inches across and the second floor leaked."';
+    assert.deepEqual(types(quote), []);
+    assert.deepEqual(types('The adjuster wrote: "the insured will send photos of the [missing] items."'), ['placeholder']);
+  });
+
+  test('weather figures', () => {
+    const wind = checkSection('Winds gusted to 75 mph at the property.', context, weatherData);
+    assert.deepEqual(wind, [{
+      type: 'weather',
+      message: 'The wind speed "75 mph" is not in the weather data (wind reports: 61 mph, 58 mph). Use the figures exactly as reported.',
+      excerpt: '75 mph'
+    }]);
+    assert.deepEqual(types('Hail up to 2-inch fell near the house.'), ['weather']);
+    assert.deepEqual(types('Hail 1 3/4" in diameter fell, with gusts of 58 mph.'), []);
+    // Ratings and damage sizes are not weather observations
+    assert.deepEqual(types('The shingles are rated for 110 mph winds.'), []);
+    assert.deepEqual(types('The hail left 2 inch dents in the gutters.'), []);
+    // Storms the engineer compared count as reported figures
+    assert.deepEqual(types('On the other date hail reached 2.5 inches.', { stormDateCandidates: [{ maxHailInches: 2.5 }] }), []);
+    // Without weather data for the property there is nothing to compare
+    assert.deepEqual(types('Winds gusted to 75 mph.', {}, {}), []);
+  });
+});
@@ -0,0 +1,179 @@
+/************************************************
+ * tests/damage.test.js
+ *
+ * Hail test squares: hit density per slope, repair or replace for each
+ * slope and the whole roof, the report tables and the damage-survey
+ * function.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, post, readFixture } = require('./helpers');
+
+const { MATERIALS, DamageError, parsePitch, analyzeDamage, formatDamageTables, insertDamageTable } = require('../netlify/lib/damage');
+const { handler } = require('../netlify/functions/damage-survey');
+
+const survey = readFixture('cases', 'killeen-2014.json').damageSurvey;
+
+function slope(overrides) {
+  return { name: 'North', orientation: 'N', areaSqFt: 1000, pitch: '6/12', material: 'composition', hits: [2, 4], ...overrides };
+}
+
+describe('analyzeDamage', () => {
+  test('hit density and recommendations for each slope and the roof', () => {
+    const { slopes, roof, thresholds } = analyzeDamage(survey);
+    assert.deepEqual(slopes.map(s => [s.name, s.hitsPerSquare, s.threshold, s.recommendation]), [
+      ['Section C', 7.3, 5, 'replace'],
+      ['Section F', 3.5, 5, 'repair'],
+      ['Section A', 0.3, 8, 'repair']
+    ]);
+    // Numbers typed as text are read, and the low slope adds a little to the plan area
+    assert.equal(slopes[0].planAreaSqFt, 6400);
+    assert.equal(slopes[0].areaSqFt, 6401);
+    assert.equal(slopes[0].squares, 64);
+    assert.equal(slopes[0].estimatedHits, 469);
+    assert.equal(slopes[0].pitch, '1/4:12');
+    assert.deepEqual(roof, {
+      planAreaSqFt: 19600,
+      areaSqFt: 19604,
+      squares: 196,
+      testSquares: 8,
+      hitsPerSquare: 3.4,
+      replaceAreaSqFt: 6401,
+      replacePercent: 32.7,
+      wholeRoofPercent: 50,
+      recommendation: 'replace-slopes'
+    });
+    assert.equal(thresholds.composition, MATERIALS.composition.threshold);
+  });
+
+  test('the survey can set its own thresholds and whole-roof share', () => {
+    const strict = analyzeDamage({ ...survey, thresholds: { singlePly: '3' }, wholeRoofPercent: 30 });
+    assert.deepEqual(strict.slopes.map(s => s.recommendation), ['replace', 'replace', 'repair']);
+    assert.equal(strict.roof.replacePercent, 59.2);
+    assert.equal(strict.roof.recommendation, 'replace-roof');
+
+    const lenient = analyzeDamage({ ...survey, thresholds: { singlePly: 10 } });
+    assert.equal(lenient.roof.recommendation, 'repair');
+  });
+
+  test('the pitch turns the plan area into the roof surface area', () => {
+    const { slopes, roof } = analyzeDamage({
+      slopes: [slope(), slope({ name: 'South', orientation: 'S', pitch: '12/12', hits: [12, 10] })],
+      thresholds: { composition: 10 }
+    });
+    assert.deepEqual(slopes.map(s => [s.pitchFactor, s.planAreaSqFt, s.areaSqFt, s.squares, s.estimatedHits]), [
+      [1.118, 1000, 1118, 11.2, 34],
+      [1.414, 1000, 1414, 14.1, 156]
+    ]);
+    // The steeper slope is the larger share of the roof
+    assert.equal(roof.planAreaSqFt, 2000);
+    assert.equal(roof.areaSqFt, 2532);
+    assert.equal(roof.replacePercent, 55.8);
+    assert.equal(roof.recommendation, 'replace-roof');
+  });
+
+  test('a roof without hits needs no repair', () => {
+    const { slopes, roof } = analyzeDamage({ slopes: [slope({ hits: [0, 0, 0] })] });
+    assert.equal(slopes[0].recommendation, 'none');
+    assert.equal(roof.recommendation, 'none');
+  });
+
+  test('pitches are read as rise in 12', () => {
+    const read = value => {
+      const { rise, label, factor } = parsePitch(value);
+      return [rise, label, Math.round(factor * 1000) / 1000];
+    };
+    assert.deepEqual(read('6/12'), [6, '6:12', 1.118]);
+    assert.deepEqual(read('8:12'), [8, '8:12', 1.202]);
+    assert.deepEqual(read('4'), [4, '4:12', 1.054]);
+    assert.deepEqual(read('1/4:12'), [0.25, '1/4:12', 1]);
+    assert.deepEqual(read('0'), [0, '0:12', 1]);
+    assert.equal(parsePitch('steep'), null);
+    assert.equal(parsePitch(''), null);
+  });
+
+  for (const [name, value, message] of [
+    ['not an object', [], /must be an object/],
+    ['no slopes', { slopes: [] }, /at least one roof slope/],
+    ['a bad facing', { slopes: [slope({ orientation: 'Up' })] }, /North: the facing direction/],
+    ['no area', { slopes: [slope({ areaSqFt: '' })] }, /North: the plan area/],
+    ['a bad pitch', { slopes: [slope({ pitch: 'steep' })] }, /North: the pitch/],
+    ['an unknown material', { slopes: [slope({ material: 'slate' })] }, /North: the material/],
+    ['no test squares', { slopes: [slope({ hits: [] })] }, /North: enter the hit count/],
+    ['a fractional count', { slopes: [slope({ hits: [2.5] })] }, /hit counts must be whole numbers/],
+    ['a bad threshold', { slopes: [slope()], thresholds: { metal: 0 } }, /metal panels threshold/],
+    ['a bad whole-roof share', { slopes: [slope()], wholeRoofPercent: 120 }, /percentage from 1 to 100/]
+  ]) {
+    test(`${name} is rejected`, () => {
+      assert.throws(() => analyzeDamage(value), error => error instanceof DamageError && message.test(error.message));
+    });
+  }
+});
+
+describe('formatDamageTables', () => {
+  test('the counts and the recommendations as Markdown tables', () => {
+    const { testSquares, recommendations } = formatDamageTables(analyzeDamage(survey));
+    const testRows = testSquares.split('\n');
+    assert.equal(
+      testRows[0],
+      '| Slope | Facing | Pitch | Material | Plan area (sq ft) | Roof area (sq ft) | Hits per test square | Average hits per square |'
+    );
+    assert.equal(testRows[2], '| Section C | W | 1/4:12 | Single-ply membrane | 6,400 | 6,401 | 7, 9, 6 | 7.3 |');
+    assert.equal(testRows.at(-1), '| Whole roof |  |  |  | 19,600 | 19,604 | 8 test squares | 3.4 (area-weighted) |');
+
+    const recommendationRows = recommendations.split('\n');
+    assert.equal(recommendationRows.length, 6);
+    assert.equal(recommendationRows[4], '| Section A | 0.3 | 8 hits per square | Repair |');
+    assert.equal(
+      recommendationRows.at(-1),
+      '| Whole roof | 3.4 | 50% of the roof area due for replacement | Replace the damaged slopes (32.7% of the roof area due for replacement) |'
+    );
+  });
+
+  test('a slope name stays in its own cell', () => {
+    const { recommendations } = formatDamageTables(analyzeDamage({ slopes: [slope({ name: 'Porch | west\nside <b>' })] }));
+    assert.equal(recommendations.split('\n')[2], '| Porch \\| west side <b> | 3.0 | 8 hits per square | Repair |');
+  });
+});
+
+describe('insertDamageTable', () => {
+  const { testSquares } = formatDamageTables(analyzeDamage(survey));
+
+  test('the model\'s copy of the table is replaced as computed', () => {
+    const copied = testSquares.replace('| 7.3 |', '| 7.33 |').replace(/\| /g, '|  ');
+    assert.equal(
+      insertDamageTable(`Test squares:\n\n${copied}\n\nSection C is worst.\n\n${testSquares}\n`, testSquares),
+      `Test squares:\n\n${testSquares}\n\nSection C is worst.\n`
+    );
+  });
+
+  test('a missing table goes at the end, and no table changes nothing', () => {
+    assert.equal(insertDamageTable('Test squares were counted.\n', testSquares), `Test squares were counted.\n\n${testSquares}\n`);
+    assert.equal(insertDamageTable('| A | B |\n| --- | --- |', testSquares), `| A | B |\n| --- | --- |\n\n${testSquares}`);
+    assert.equal(insertDamageTable('Text.', ''), 'Text.');
+  });
+});
+
+describe('damage-survey function', () => {
+  test('serves the defaults', async () => {
+    const response = await invoke(handler, { httpMethod: 'GET' });
+    assert.equal(response.statusCode, 200);
+    const defaults = JSON.parse(response.body);
+    assert.deepEqual(defaults.materials, MATERIALS);
+    assert.equal(defaults.orientations.length, 8);
+    assert.equal(defaults.wholeRoofPercent, 50);
+    assert.equal((await invoke(handler, { httpMethod: 'GET', headers: {} })).statusCode, 401);
+  });
+
+  test('analyzes a survey', async () => {
+    const response = await post(handler, { survey });
+    assert.equal(response.statusCode, 200);
+    const { analysis, tables } = JSON.parse(response.body);
+    assert.equal(analysis.roof.recommendation, 'replace-slopes');
+    assert.deepEqual(tables, formatDamageTables(analyzeDamage(survey)));
+
+    const bad = await post(handler, { survey: { slopes: [slope({ hits: ['many'] })] } });
+    assert.equal(bad.statusCode, 400);
+    assert.deepEqual(JSON.parse(bad.body), { error: 'North: hit counts must be whole numbers' });
+  });
+});
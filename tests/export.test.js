@@ -0,0 +1,260 @@
+/************************************************
+ * tests/export.test.js
+ *
+ * Report export: section markdown as layout blocks, the report model
+ * (table of contents, photo appendix, PE stamp) and the text of the
+ * Word and PDF files written from it.
+ ************************************************/
+const { test, describe, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { markdownToBlocks, runsText } = require('../netlify/lib/export/markdown');
+const { buildReport, photoLabel } = require('../netlify/lib/export/report');
+const { exportReport } = require('../netlify/lib/export');
+const { encodePng } = require('../netlify/lib/foundation/contour');
+const { extractPdfText } = require('../netlify/lib/third-party/pdf');
+const { extractDocxText } = require('../netlify/lib/third-party/docx');
+
+afterEach(() => mock.restoreAll());
+
+const IMAGE = encodePng(4, 3, Buffer.alloc(4 * 3 * 3, 128));
+
+const context = {
+  projectName: '1204 Oak Street Hail Claim',
+  address: '1204 North Oak Street, Killeen, TX 76541',
+  dateOfLoss: '2014-03-28',
+  investigationDate: '2014-06-10',
+  claimType: ['Hail', 'Wind'],
+  engineerName: 'Pat Lee, P.E.',
+  engineerLicense: 'TX 98765'
+};
+
+const stamp = {
+  name: 'Dana Whitfield, P.E.',
+  title: 'Principal Engineer',
+  email: 'dana@example.com',
+  phone: '',
+  license: { number: '123456', state: 'TX', expires: '2099-12-31' },
+  signature: { contentType: 'image/png', data: IMAGE.toString('base64') },
+  approvedAt: '2014-10-20T15:00:00.000Z',
+  issuedAt: '2014-10-21T15:00:00.000Z'
+};
+
+const photos = [
+  { number: 1, caption: 'Hail impacts on the ridge cap', tag: 'North Slope', contentType: 'image/png', data: IMAGE },
+  { number: 2, caption: 'Not an image', tag: '', contentType: 'image/jpeg', data: Buffer.from('not a jpeg') },
+  { number: 3, caption: 'Dented gutter', tag: '', contentType: 'image/png', data: IMAGE }
+];
+
+const sections = [
+  { id: 'openingLetter', title: 'Opening Letter', content: 'Dear Ms. Ortiz,\n\nPlease find our report enclosed.' },
+  { id: 'tableOfContents', title: 'Table of Contents', content: '1. Introduction\n2. Observations' },
+  {
+    id: 'introduction',
+    title: 'Introduction',
+    content: '# Introduction\n\nThe roof was **inspected** on *June 10, 2014*.\n\n# Scope\n\n1. Roof\n2. Gutters\n\n' +
+      '| Slope | Hits |\n|---|---|\n| North | 4 |\n| South | 1 |'
+  },
+  {
+    id: 'observations',
+    title: 'Observations',
+    content: `## Exterior\n\n${Array.from({ length: 50 }, (_, i) => `Observation ${i + 1}: the shingles on this part of the roof were examined closely for hail damage and wind creasing.`).join('\n\n')}\n\n## Interior\n\nNo ceiling stains were found.`
+  },
+  { id: 'conclusions', title: 'Conclusions', content: '' }
+];
+
+describe('markdownToBlocks', () => {
+  test('headings, paragraphs with styled runs, lists, quotes and rules', () => {
+    const blocks = markdownToBlocks([
+      '## Roof &amp; Gutters',
+      '',
+      'The **north** slope had *many* `hits` & dents.  ',
+      'Second line.',
+      '',
+      '3. Third',
+      '4. Fourth',
+      '',
+      '- One',
+      '  - Nested',
+      '',
+      '> Quoted "text"',
+      '',
+      '---',
+      '',
+      '<div>raw html</div>',
+      '',
+      '```',
+      'code block',
+      '```'
+    ].join('\n'));
+    assert.deepEqual(blocks, [
+      { type: 'heading', depth: 2, runs: [{ text: 'Roof & Gutters' }] },
+      {
+        type: 'paragraph',
+        runs: [
+          { text: 'The ' },
+          { bold: true, text: 'north' },
+          { text: ' slope had ' },
+          { italic: true, text: 'many' },
+          { text: ' ' },
+          { code: true, text: 'hits' },
+          { text: ' & dents.' },
+          { text: '\n' },
+          { text: 'Second line.' }
+        ]
+      },
+      { type: 'list', ordered: true, start: 3, items: [[{ text: 'Third' }], [{ text: 'Fourth' }]] },
+      { type: 'list', ordered: false, start: 1, items: [[{ text: 'One' }, { text: '\n' }, { text: '– ' }, { text: 'Nested' }]] },
+      { type: 'quote', runs: [{ text: 'Quoted "text"' }] },
+      { type: 'rule' },
+      { type: 'paragraph', runs: [{ text: 'code block', code: true }] }
+    ]);
+    assert.equal(runsText(blocks[1].runs), 'The north slope had many hits & dents.\nSecond line.');
+  });
+
+  test('tables keep their header and rows as runs', () => {
+    const [table] = markdownToBlocks('| Slope | Hits per square |\n|:---|---:|\n| **North** | 4 |\n| South |  |');
+    assert.equal(table.type, 'table');
+    assert.deepEqual(table.header.map(runsText), ['Slope', 'Hits per square']);
+    assert.deepEqual(table.rows.map(row => row.map(runsText)), [['North', '4'], ['South', '']]);
+    assert.deepEqual(table.rows[0][0], [{ bold: true, text: 'North' }]);
+  });
+
+  test('empty markdown has no blocks', () => {
+    assert.deepEqual(markdownToBlocks(''), []);
+    assert.deepEqual(markdownToBlocks(null), []);
+  });
+});
+
+describe('buildReport', () => {
+  test('sections, headings and the table of contents', () => {
+    const report = buildReport({ sections, context });
+    // The opening letter stands apart; the generated contents and empty sections are left out
+    assert.deepEqual(report.openingLetter.map(block => runsText(block.runs)), ['Dear Ms. Ortiz,', 'Please find our report enclosed.']);
+    assert.deepEqual(report.sections.map(section => section.id), ['introduction', 'observations']);
+
+    // The heading repeating the title is dropped and the rest start at level 2
+    const [introduction] = report.sections;
+    assert.deepEqual(introduction.blocks.map(block => block.type), ['paragraph', 'heading', 'list', 'table']);
+    assert.equal(introduction.blocks[1].depth, 2);
+
+    assert.deepEqual(report.tocEntries, [
+      { sectionId: 'introduction', level: 1, title: 'Introduction' },
+      { sectionId: 'introduction', level: 2, title: 'Scope' },
+      { sectionId: 'observations', level: 1, title: 'Observations' },
+      { sectionId: 'observations', level: 2, title: 'Exterior' },
+      { sectionId: 'observations', level: 2, title: 'Interior' }
+    ]);
+    assert.equal(report.photoAppendix, null);
+    assert.equal(report.cover.subtitle, 'Hail and Wind Damage Evaluation');
+    assert.equal(report.fileName, '1204-oak-street-hail-claim');
+  });
+
+  test('the photo appendix keeps the photo numbers and skips unreadable images', () => {
+    // Photo 2 isn't an image; the export logs that it was left out
+    mock.method(console, 'error', () => {});
+    const report = buildReport({ sections, context, photos });
+    assert.equal(report.photoAppendix.title, 'Appendix: Photographs');
+    assert.deepEqual(report.photoAppendix.photos.map(photo => [photo.number, photo.type, photo.width, photo.height]),
+      [[1, 'png', 4, 3], [3, 'png', 4, 3]]);
+    assert.deepEqual(report.tocEntries.at(-1), { sectionId: 'photographs', level: 1, title: 'Appendix: Photographs' });
+    assert.equal(photoLabel(report.photoAppendix.photos[0]), 'Photo 1 (North Slope): Hail impacts on the ridge cap');
+    assert.equal(photoLabel(report.photoAppendix.photos[1]), 'Photo 3: Dented gutter');
+  });
+
+  test('an issued report is signed and dated from the stamp', () => {
+    const unsigned = buildReport({ sections, context });
+    assert.deepEqual(unsigned.signature, { name: 'Pat Lee, P.E.', license: 'TX 98765', email: '', phone: '' });
+
+    const report = buildReport({ sections, context, stamp });
+    assert.equal(report.cover.preparedBy, 'Dana Whitfield, P.E.');
+    assert.deepEqual(report.cover.facts.at(-1), ['Report Date', 'October 21, 2014']);
+    const { image, ...signature } = report.signature;
+    assert.deepEqual(signature, {
+      name: 'Dana Whitfield, P.E.',
+      title: 'Principal Engineer',
+      license: 'TX 123456',
+      email: 'dana@example.com',
+      phone: '',
+      stampLines: ['Approved October 20, 2014', 'Issued October 21, 2014']
+    });
+    assert.deepEqual([image.type, image.width, image.height], ['png', 4, 3]);
+  });
+});
+
+describe('exportReport', () => {
+  test('the PDF table of contents gives the page each heading is on', async () => {
+    mock.method(console, 'error', () => {});
+    const pdf = await exportReport('pdf', { sections, context, photos, stamp });
+    assert.equal(pdf.contentType, 'application/pdf');
+    assert.equal(pdf.fileName, '1204-oak-street-hail-claim.pdf');
+    const { pages } = extractPdfText(pdf.data);
+
+    // Cover, opening letter, contents, then the body
+    assert.ok(pages[0].includes('Forensic Engineering Report'));
+    assert.ok(pages[0].includes('Report Date: October 21, 2014'));
+    assert.ok(pages[1].includes('Please find our report enclosed.'));
+    assert.equal(pages[2][0], 'Table of Contents');
+
+    const toc = pages[2].slice(1, 7).map(line => /^(.+?) \.+ (\d+)$/.exec(line).slice(1));
+    assert.deepEqual(toc.map(([title]) => title),
+      ['Introduction', 'Scope', 'Observations', 'Exterior', 'Interior', 'Appendix: Photographs']);
+    toc.forEach(([title, page]) => {
+      assert.ok(pages[Number(page) - 1].includes(title), `"${title}" is on page ${page}`);
+    });
+    // The long section runs over several pages
+    assert.deepEqual(toc.map(([, page]) => Number(page)), [4, 4, 5, 5, 7, 9]);
+    assert.equal(pages.length, 9);
+    assert.ok(pages[3].includes('1204 Oak Street Hail Claim | Page 4 of 9'));
+
+    // The signature block with the stamp doesn't fit under the last section
+    const signed = pages[7].join('\n');
+    assert.match(signed, /Dana Whitfield, P\.E\.\nPrincipal Engineer\nProfessional Engineer, License No\. TX 123456/);
+    assert.match(signed, /Approved October 20, 2014\nIssued October 21, 2014/);
+
+    assert.deepEqual(pages[8].slice(0, 3),
+      ['Appendix: Photographs', 'Photo 1 (North Slope): Hail impacts on the ridge cap', 'Photo 3: Dented gutter']);
+  });
+
+  test('the PDF contents run over more than one page when they need to', async () => {
+    const many = Array.from({ length: 40 }, (_, i) => ({ id: `section${i + 1}`, title: `Section ${i + 1}`, content: 'Text.' }));
+    const { pages } = extractPdfText((await exportReport('pdf', { sections: many, context })).data);
+    const entries = pages.slice(1, 3).flat().filter(line => /\.{3,} \d+$/.test(line));
+    assert.equal(entries.length, 40);
+    // Two contents pages, so the first section is on page 4
+    assert.equal(entries[0], `Section 1 ${entries[0].match(/\.+/)[0]} 4`);
+    assert.match(entries[39], /^Section 40 \.+ 43$/);
+    assert.ok(pages[42].includes('Section 40'));
+  });
+
+  test('the Word document has the same headings, tables, appendix and stamp', async () => {
+    mock.method(console, 'error', () => {});
+    const docx = await exportReport('docx', { sections, context, photos, stamp });
+    assert.equal(docx.fileName, '1204-oak-street-hail-claim.docx');
+    const { paragraphs } = extractDocxText(docx.data);
+    const texts = paragraphs.map(paragraph => paragraph.text);
+
+    assert.deepEqual(paragraphs.filter(paragraph => paragraph.heading).map(paragraph => paragraph.text),
+      ['Introduction', 'Scope', 'Observations', 'Exterior', 'Interior', 'Appendix: Photographs']);
+    assert.deepEqual(paragraphs.filter(paragraph => paragraph.listItem).map(paragraph => paragraph.text), ['Roof', 'Gutters']);
+    // Table cells, header first
+    const table = texts.indexOf('Slope');
+    assert.deepEqual(texts.slice(table, table + 6), ['Slope', 'Hits', 'North', '4', 'South', '1']);
+
+    const signature = texts.indexOf('Dana Whitfield, P.E.');
+    assert.deepEqual(texts.slice(signature, signature + 6), [
+      'Dana Whitfield, P.E.',
+      'Principal Engineer',
+      'Professional Engineer, License No. TX 123456',
+      'dana@example.com',
+      'Approved October 20, 2014',
+      'Issued October 21, 2014'
+    ]);
+    assert.deepEqual(texts.slice(-2), ['Photo 1 (North Slope): Hail impacts on the ridge cap', 'Photo 3: Dented gutter']);
+  });
+
+  test('a report needs an accepted section and a known format', async () => {
+    await assert.rejects(exportReport('pdf', { sections: [], context }), { message: 'The report has no accepted sections to export' });
+    await assert.rejects(exportReport('html', { sections, context }), { message: 'Unknown export format "html" (expected one of: docx, pdf)' });
+  });
+});
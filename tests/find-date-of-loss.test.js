@@ -0,0 +1,125 @@
+/************************************************
+ * tests/find-date-of-loss.test.js
+ *
+ * The date-of-loss finder: storm dates near the Killeen property ranked
+ * from the recorded weather fixtures (fixtures/weather), through
+ * findStormDates and the find-date-of-loss function.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccount, post } = require('./helpers');
+
+const { findStormDates, describeCandidate } = require('../netlify/lib/weather');
+const { handler } = require('../netlify/functions/find-date-of-loss');
+
+const address = '714 S Fort Hood Rd, Killeen, TX 76541';
+// Where the local geocoder places the address
+const location = { name: address, lat: 31.1171, lon: -97.7278, region: 'TX', timezone: 'America/Chicago' };
+
+// [date, max hail, hail miles, peak gust, gust source] per candidate
+function ranked(result) {
+  return result.candidates.map(candidate => [
+    candidate.date,
+    candidate.maxHailInches,
+    candidate.maxHailDistanceMiles,
+    candidate.peakGustMph,
+    candidate.peakGustSource
+  ]);
+}
+
+describe('findStormDates', () => {
+  test('severe-weather dates are ranked by hail size, on the local calendar date', async () => {
+    const result = await findStormDates({ address, startDate: '2014-03-15', endDate: '2014-04-14', location });
+    assert.deepEqual(ranked(result), [
+      ['2014-03-28', 2, 2.2, 67, 'ASOS/METAR Observations (GRK)'],
+      // 00:30 UTC on the 14th is the evening of the 13th in Killeen
+      ['2014-04-13', 1, 0.5, null, '']
+    ]);
+    assert.deepEqual(result.sources.map(entry => [entry.id, entry.reportCount]), [
+      ['spc', 4],
+      ['asos', 3],
+      ['storm-events', 3]
+    ]);
+    assert.equal(
+      describeCandidate(result.candidates[0]),
+      '2014-03-28: max hail 2.00 in (2.2 mi WSW, NOAA SPC Storm Reports); peak wind 67 mph (6.9 mi WSW, ASOS/METAR Observations (GRK))'
+    );
+    assert.equal(describeCandidate(result.candidates[1]).split('; ')[1], 'no wind reports');
+  });
+
+  test('the daily SPC files are skipped for long ranges', async () => {
+    const result = await findStormDates({ address, startDate: '2014-01-01', endDate: '2014-06-30', location });
+    assert.equal(result.sources[0].note, 'Skipped: daily report files are only searched for windows up to 45 days');
+    // The Storm Events hail is then the largest on the 28th
+    assert.deepEqual(ranked(result)[0], ['2014-03-28', 1.75, 0.5, 67, 'ASOS/METAR Observations (GRK)']);
+  });
+
+  test('a date without hail needs a strong gust to be a candidate', async () => {
+    const result = await findStormDates({
+      address,
+      startDate: '2014-03-28',
+      endDate: '2014-03-28',
+      location,
+      options: { providers: 'asos', stationRadiusMiles: 5 }
+    });
+    // ILE's 59 mph gust is the only observation within 5 miles
+    assert.deepEqual(ranked(result), [['2014-03-28', null, null, 59, 'ASOS/METAR Observations (ILE)']]);
+
+    // TPL's 47 mph gust alone is not enough
+    const calm = await findStormDates({
+      address,
+      startDate: '2014-03-28',
+      endDate: '2014-03-28',
+      location: { ...location, lat: 31.1525, lon: -97.4078 },
+      options: { providers: 'asos', stationRadiusMiles: 5 }
+    });
+    assert.deepEqual(calm.candidates, []);
+  });
+
+  test('bad date ranges are refused', async () => {
+    await assert.rejects(findStormDates({ address, startDate: '03/28/2014', endDate: '2014-04-01', location }), {
+      name: 'RangeError',
+      message: 'Start and end dates must be YYYY-MM-DD'
+    });
+    await assert.rejects(findStormDates({ address, startDate: '2014-04-02', endDate: '2014-04-01', location }), {
+      message: 'The start date must be on or before the end date'
+    });
+    await assert.rejects(findStormDates({ address, startDate: '2010-01-01', endDate: '2014-04-01', location }), {
+      message: 'The search range can be at most 1098 days'
+    });
+  });
+});
+
+describe('find-date-of-loss function', () => {
+  test('the address is geocoded and the candidates returned', async () => {
+    const response = await post(handler, { address, startDate: '2014-03-15', endDate: '2014-04-14' });
+    assert.equal(response.statusCode, 200);
+    const result = JSON.parse(response.body);
+    assert.deepEqual(result.location, {
+      name: '714 S FORT HOOD RD, KILLEEN, TX, 76541',
+      lat: 31.1171,
+      lon: -97.7278,
+      timezone: 'America/Chicago'
+    });
+    assert.deepEqual(result.candidates.map(candidate => candidate.date), ['2014-03-28', '2014-04-13']);
+  });
+
+  test('bad requests are refused', async () => {
+    const unknown = await post(handler, { address: '1 Nowhere Ln, Nowhere, TX', startDate: '2014-03-15', endDate: '2014-04-14' });
+    assert.equal(unknown.statusCode, 422);
+    assert.deepEqual(JSON.parse(unknown.body).candidates, []);
+
+    const reversed = await post(handler, { address, startDate: '2014-04-15', endDate: '2014-04-14' });
+    assert.equal(reversed.statusCode, 400);
+    assert.equal(JSON.parse(reversed.body).error, 'The start date must be on or before the end date');
+
+    const radius = await post(handler, { address, startDate: '2014-03-15', endDate: '2014-04-14', radiusMiles: 500 });
+    assert.equal(radius.statusCode, 400);
+
+    const engineer = await createAccount({ roles: ['engineer'] });
+    const signedOut = await post(handler, { address, startDate: '2014-03-15', endDate: '2014-04-14' }, {});
+    assert.equal(signedOut.statusCode, 401);
+    const signedIn = await post(handler, { address, startDate: '2014-03-15', endDate: '2014-04-14' }, engineer.headers);
+    assert.equal(signedIn.statusCode, 200);
+  });
+});
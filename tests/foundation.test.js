@@ -0,0 +1,228 @@
+/************************************************
+ * tests/foundation.test.js
+ *
+ * Floor elevation surveys: tilt and deflection of known floor shapes,
+ * point-list import, the reading limit, the contour plot and the
+ * foundation-survey function.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { invoke, post, readFixture } = require('./helpers');
+
+const { FoundationError, parseElevationCsv, analyzeSurvey, formatFoundationForPrompt } = require('../netlify/lib/foundation');
+const { renderContourPlot } = require('../netlify/lib/foundation/contour');
+const { handler } = require('../netlify/functions/foundation-survey');
+
+// A 30 x 30 ft floor falling 0.12 in per foot (1%) toward the east
+const tiltedEast = {
+  mode: 'grid',
+  spacingFeet: 10,
+  grid: [0, 1, 2, 3].map(() => ['0.0', '-1.2', '-2.4', '-3.6'])
+};
+
+// A 20 x 20 ft floor, flat but for a reading 0.5 in low in the middle
+const bowl = {
+  mode: 'grid',
+  spacingFeet: '10',
+  grid: [['0', '0', '0'], ['0', '-0.5', '0'], ['0', '0', '0']]
+};
+
+describe('analyzeSurvey', () => {
+  test('a tilted plane has the exact slope and direction and no deflection', () => {
+    const analysis = analyzeSurvey(tiltedEast);
+    assert.equal(analysis.pointCount, 16);
+    assert.deepEqual(analysis.extentFeet, { x: 30, y: 30 });
+    assert.deepEqual(analysis.high, { label: 'A1', elevation: 0 });
+    assert.deepEqual(analysis.low, { label: 'A4', elevation: -3.6 });
+    assert.equal(analysis.differentialInches, 3.6);
+    assert.equal(analysis.differentialSpanFeet, 30);
+
+    const { percent, oneIn, inchesPerFoot, downToward, limit, exceeds } = analysis.tilt;
+    assert.deepEqual({ percent, oneIn, inchesPerFoot, downToward, limit, exceeds },
+      { percent: 1, oneIn: 100, inchesPerFoot: 0.12, downToward: 'east', limit: '1%', exceeds: false });
+
+    assert.equal(analysis.deflection.ratio, 0);
+    assert.equal(analysis.deflection.lOver, null);
+    assert.equal(analysis.deflection.exceeds, false);
+  });
+
+  test('the direction of tilt follows the grid: row A is the north edge', () => {
+    const tiltedSouth = { mode: 'grid', spacingFeet: 10, grid: [['0', '0', '0'], ['-1.2', '-1.2', '-1.2'], ['-2.4', '-2.4', '-2.4']] };
+    assert.equal(analyzeSurvey(tiltedSouth).tilt.downToward, 'south');
+
+    // Twice as steep toward the northwest exceeds the criterion
+    const points = [];
+    for (let x = 0; x <= 20; x += 10) {
+      for (let y = 0; y <= 20; y += 10) points.push({ x, y, elevation: Math.round((0.17 * x - 0.17 * y) * 100) / 100 });
+    }
+    const { tilt } = analyzeSurvey({ mode: 'points', points });
+    assert.equal(tilt.downToward, 'northwest');
+    assert.equal(tilt.inchesPerFoot, 0.24);
+    assert.equal(tilt.exceeds, true);
+  });
+
+  test('a bowl has its worst deflection at the low reading', () => {
+    const analysis = analyzeSurvey(bowl);
+    assert.equal(analysis.spacingFeet, 10);
+    assert.deepEqual(analysis.low, { label: 'B2', elevation: -0.5 });
+    assert.equal(analysis.tilt.percent, 0);
+    assert.equal(analysis.tilt.downToward, null);
+
+    const { ratio, source, ...deflection } = analysis.deflection;
+    // 0.5 in over a 20 ft (240 in) span
+    assert.equal(ratio, 0.5 / 240);
+    assert.deepEqual(deflection, {
+      lOver: 480,
+      deltaInches: -0.5,
+      spanFeet: 20,
+      shape: 'dish',
+      from: 'A2',
+      to: 'C2',
+      at: 'B2',
+      limit: 'L/360',
+      exceeds: false
+    });
+
+    const deeper = { ...bowl, grid: [['0', '0', '0'], ['0', '-0.8', '0'], ['0', '0', '0']] };
+    assert.equal(analyzeSurvey(deeper).deflection.lOver, 300);
+    assert.equal(analyzeSurvey(deeper).deflection.exceeds, true);
+  });
+
+  test('at most 400 readings are accepted', () => {
+    const points = count => Array.from({ length: count }, (_, i) => ({ x: i % 20, y: Math.floor(i / 20), elevation: 0 }));
+    assert.equal(analyzeSurvey({ mode: 'points', points: points(400) }).pointCount, 400);
+    assert.throws(() => analyzeSurvey({ mode: 'points', points: points(401) }),
+      { name: 'FoundationError', message: 'A survey can have at most 400 readings.' });
+  });
+
+  test('surveys that cannot be analyzed are rejected', () => {
+    const rejects = (survey, message) => assert.throws(() => analyzeSurvey(survey), error => {
+      assert.ok(error instanceof FoundationError);
+      assert.equal(error.message, message);
+      return true;
+    });
+    rejects(undefined, 'Enter the floor elevation readings first.');
+    rejects({ mode: 'laser' }, 'The survey mode must be "grid" or "points".');
+    rejects({ ...bowl, spacingFeet: 0 }, 'The grid spacing must be a positive number of feet.');
+    rejects({ ...bowl, grid: [['0', '0', '0'], ['0', 'low', '0']] }, 'Grid reading B2 ("low") is not a number.');
+    rejects({ mode: 'grid', spacingFeet: 10, grid: [['0', '-0.1']] }, 'At least three elevation readings are needed.');
+    rejects({ mode: 'grid', spacingFeet: 10, grid: [['0', '-0.1', '-0.3', '-0.2']] },
+      'The readings all lie on one line; take readings across the whole floor.');
+  });
+
+  test('the fixture case survey', () => {
+    const analysis = analyzeSurvey(readFixture('cases', 'killeen-2014.json').foundationSurvey);
+    assert.equal(analysis.differentialInches, 1.1);
+    assert.deepEqual(analysis.low, { label: 'C4', elevation: -1.1 });
+    assert.equal(analysis.tilt.downToward, 'southeast');
+  });
+});
+
+describe('parseElevationCsv', () => {
+  test('reads a header row, or columns in the usual order without one', () => {
+    assert.deepEqual(parseElevationCsv('Label,X,Y,Elev\nP1,0,0,0\nP2,10,0,-0.5\n\nP3,0,10,0.2\n'), [
+      { label: 'P1', x: 0, y: 0, elevation: 0 },
+      { label: 'P2', x: 10, y: 0, elevation: -0.5 },
+      { label: 'P3', x: 0, y: 10, elevation: 0.2 }
+    ]);
+    assert.deepEqual(parseElevationCsv('elevation\ty\tx\n-0.5\t0\t10'),
+      [{ label: 'P1', x: 10, y: 0, elevation: -0.5 }]);
+    assert.deepEqual(parseElevationCsv('0;0;0;Porch\n10;0;-0.5;Kitchen').map(point => point.label), ['Porch', 'Kitchen']);
+    assert.deepEqual(parseElevationCsv('Porch,0,0,0\nKitchen,10,0,-0.5')[1],
+      { label: 'Kitchen', x: 10, y: 0, elevation: -0.5 });
+  });
+
+  test('rejects rows without plain numbers', () => {
+    assert.throws(() => parseElevationCsv('x,y,elevation\n0,0,0\n10 ft,0,-0.5'),
+      { name: 'FoundationError', message: 'CSV line 3 ("10 ft, 0, -0.5") needs numeric x, y and elevation values.' });
+    assert.throws(() => parseElevationCsv('0,0,0\n10,0,0.5"'),
+      { message: 'CSV line 2 ("10, 0, 0.5"") needs numeric x, y and elevation values.' });
+    assert.throws(() => parseElevationCsv('name,height\nA,0'),
+      { message: 'The CSV header must name the x, y and elevation columns.' });
+    assert.throws(() => parseElevationCsv(' \n '), { message: 'The point list has no readings.' });
+  });
+});
+
+describe('formatFoundationForPrompt', () => {
+  test('describes the survey, tilt and deflection', () => {
+    assert.equal(formatFoundationForPrompt(analyzeSurvey(bowl)), [
+      'Floor elevation survey: 9 readings on a grid at 10 ft spacing, covering 20 ft (west-east) by 20 ft (south-north)',
+      'Highest reading: 0.00 in at A1; lowest: -0.50 in at B2',
+      'Overall differential: 0.50 in over 14.1 ft',
+      'Overall tilt (best-fit plane): none measurable',
+      'Maximum deflection: L/480 (0.50 in low at B2 over the 20 ft span from A2 to C2, a dish shape); within the L/360 ' +
+        'deflection criterion (Texas Section ASCE Guidelines for the Evaluation and Repair of Residential Foundations)'
+    ].join('\n'));
+
+    const lines = formatFoundationForPrompt(analyzeSurvey(tiltedEast)).split('\n');
+    assert.match(lines[3], /^Overall tilt \(best-fit plane\): 1% \(1 in 100\), falling toward the east; within the 1% tilt criterion/);
+    assert.equal(lines[4], 'Maximum deflection: none measurable');
+
+    const triangle = { mode: 'points', points: [{ x: 0, y: 0, elevation: 0 }, { x: 8, y: 0, elevation: 0 }, { x: 0, y: 8, elevation: 0 }] };
+    assert.equal(formatFoundationForPrompt(analyzeSurvey(triangle)).split('\n')[4],
+      'Maximum deflection: not assessed (no straight line of three or more readings spanning at least 10 ft)');
+    assert.equal(formatFoundationForPrompt(null), '');
+  });
+});
+
+describe('renderContourPlot', () => {
+  test('draws a PNG sized to the floor with a suitable contour interval', () => {
+    const { points } = analyzeSurvey(tiltedEast);
+    const plot = renderContourPlot(points);
+    assert.equal(plot.contentType, 'image/png');
+    assert.deepEqual(plot.data.subarray(0, 8), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    // IHDR holds the width and height
+    assert.equal(plot.data.readUInt32BE(16), plot.width);
+    assert.equal(plot.data.readUInt32BE(20), plot.height);
+    assert.equal(plot.width, 640);
+    assert.equal(plot.height, 640);
+    // 3.6 in of fall in bands of at most twelve
+    assert.equal(plot.intervalInches, 0.5);
+    assert.match(plot.caption, /^Floor elevation contours at 0.5 in intervals \(north is up\)/);
+
+    // The image data inflates to one filtered row per pixel row
+    const idatLength = plot.data.readUInt32BE(33);
+    const rows = zlib.inflateSync(plot.data.subarray(41, 41 + idatLength));
+    assert.equal(rows.length, (plot.width * 3 + 1) * plot.height);
+
+    assert.equal(renderContourPlot(analyzeSurvey(bowl).points).intervalInches, 0.1);
+  });
+});
+
+describe('foundation-survey function', () => {
+  test('analyzes a survey and returns the contour plot', async () => {
+    const response = await post(handler, { survey: bowl });
+    assert.equal(response.statusCode, 200);
+    const { analysis, contour } = JSON.parse(response.body);
+    const { points, ...expected } = analyzeSurvey(bowl);
+    assert.deepEqual(analysis, expected);
+    assert.equal(contour.contentType, 'image/png');
+    assert.equal(Buffer.from(contour.data, 'base64').subarray(1, 4).toString('ascii'), 'PNG');
+    assert.equal(contour.intervalInches, 0.1);
+  });
+
+  test('readings that cannot be analyzed return 400', async () => {
+    const rejected = async (survey, message) => {
+      const response = await post(handler, { survey });
+      assert.equal(response.statusCode, 400);
+      assert.deepEqual(JSON.parse(response.body), { error: message });
+    };
+    await rejected({ mode: 'points', csv: 'x,y,elevation\n0,0,0\n10,0,-0.5\n0,10' },
+      'CSV line 4 ("0, 10") needs numeric x, y and elevation values.');
+    await rejected({ mode: 'points', csv: 'x,y,elevation\n0,0,0\n10,0,-0.5in\n0,10,0' },
+      'CSV line 3 ("10, 0, -0.5in") needs numeric x, y and elevation values.');
+    await rejected({ mode: 'points', csv: '0,0,0\n3 m,0,-0.5\n0,10,0' },
+      'CSV line 2 ("3 m, 0, -0.5") needs numeric x, y and elevation values.');
+    await rejected({ mode: 'grid', spacingFeet: '10 ft', grid: bowl.grid },
+      'The grid spacing must be a positive number of feet.');
+
+    const notJson = await post(handler, 'survey');
+    assert.equal(notJson.statusCode, 400);
+  });
+
+  test('requires a signed-in user and a POST', async () => {
+    assert.equal((await post(handler, { survey: bowl }, {})).statusCode, 401);
+    assert.equal((await invoke(handler, { httpMethod: 'GET' })).statusCode, 405);
+  });
+});
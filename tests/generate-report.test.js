@@ -0,0 +1,431 @@
+/************************************************
+ * tests/generate-report.test.js
+ *
+ * The generate-report function end to end: the fixture case
+ * (fixtures/cases) is geocoded from the local gazetteer, its weather
+ * comes from the saved fixture files, and the sections are written by
+ * the mock model from the recorded responses in fixtures/llm. Prompt
+ * assembly and provider failures go through the OpenAI provider to a
+ * local OpenAI-compatible server.
+ ************************************************/
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, createAccount, invoke, post, parseEvents, readFixture, withEnv, sendCompletion, startModelServer } = require('./helpers');
+
+const { handler } = require('../netlify/functions/generate-report');
+const { getTemplate, sectionsForCase } = require('../netlify/lib/templates');
+const { analyzeDamage, formatDamageTables } = require('../netlify/lib/damage');
+
+const context = readFixture('cases', 'killeen-2014.json');
+const damageTables = formatDamageTables(analyzeDamage(context.damageSurvey));
+// The site's URL, as Netlify sets it
+const SITE = 'https://pausa.example.com';
+
+function recorded(sectionId) {
+  return fs.readFileSync(path.join(FIXTURES, 'llm', `${sectionId}.md`), 'utf8');
+}
+
+// Something from the case that each section's prompt must carry
+const SECTION_PROMPT_FACTS = {
+  openingLetter: ['- Signature block: Dana Whitfield, P.E., License: TX 123456, Email: dwhitfield@example.com'],
+  tableOfContents: ['1. Opening Letter\n2. Introduction', '11. Limitations'],
+  introduction: ['- Address: 714 S Fort Hood Rd, Killeen, TX 76541', '- Date of Loss: 2014-03-28', '- Investigation Date: 2014-10-02'],
+  authorization: ['"Authorization and Scope of Investigation" section'],
+  background: [
+    '- Square Footage: 48,000',
+    '- County: Bell County, TX',
+    '- Nearest Weather Station: ILE (Killeen Skylark Field)',
+    'Building 4:\n- Current use: Restaurant\n- Age: 35 years\n- Square footage: 10,000\n- Roof systems: Single-Ply Membrane',
+    '| Building 1 | Retail | 40 | 14,000 | Built Up Roofing (Gravel Ballast) |',
+    '| All 4 buildings |  |  | 48,000 |  |'
+  ],
+  observations: [
+    '- Membrane types: PVC',
+    '| Section C | W | 1/4:12 | Single-ply membrane | 6,400 | 6,401 | 7, 9, 6 | 7.3 |',
+    '- Visible hail damage to the underlying matting: No fractures found in the felts',
+    '- Photo 2 (RTU 4): Dented condenser fins on the west side',
+    'Engineer Notes:\nTen ceiling leaks in Building 1',
+    '- Damage observations: Circular fractures at hail impacts on sections L and N',
+    'Building | Roof systems | Damage observed'
+  ],
+  foundation: ['Overall differential: 1.10 in', 'within the 1% tilt criterion'],
+  moisture: ['"Survey" (Moisture) section'],
+  meteorologist: ['Maximum reported hail: 2.00 in hail, 2.2 mi WSW', '67 mph wind, 6.9 mi WSW', 'NOAA Storm Events Database'],
+  conclusions: [
+    '- Hail size and direction: Up to 1.75 inch hail from the west',
+    'Single-Ply Membrane roof:',
+    '| Section C | 7.3 | 5 hits per square | Replace |',
+    '| Whole roof | 3.4 | 50% of the roof area due for replacement | Replace the damaged slopes (32.7% of the roof area due for replacement) |',
+    'The estimated cost of the recommended repairs is $50,201.15',
+    'Building | Cause of damage | Recommendation'
+  ],
+  rebuttal: [
+    'Point 1 (page 12, under "Conclusions"): "The gravel-ballasted BUR membranes were not damaged by hail."',
+    'Our evidence: Desaturated samples showed inter-ply bruising at three of six cores.',
+    'Supporting photos: Photo 1 (Roof Section C)'
+  ],
+  limitations: ['"Limitations" section']
+};
+
+describe('requests', () => {
+  test('OPTIONS answers the CORS preflight', async () => {
+    const response = await withEnv({ URL: SITE }, () => invoke(handler, { httpMethod: 'OPTIONS', headers: { origin: SITE } }));
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Access-Control-Allow-Origin'], SITE);
+    assert.equal(response.headers['Access-Control-Allow-Methods'], 'POST, OPTIONS');
+    assert.equal(response.headers['Access-Control-Allow-Headers'], 'Content-Type, Authorization');
+    assert.equal(response.headers.Vary, 'Origin');
+    assert.equal(response.body, '');
+  });
+
+  test('only the site and the configured origins are allowed', async () => {
+    const preflight = origin => invoke(handler, { httpMethod: 'OPTIONS', headers: { origin } });
+    await withEnv({ URL: `${SITE}/`, ALLOWED_ORIGINS: ' https://intranet.example.com, https://qa.example.com' }, async () => {
+      assert.equal((await preflight(SITE)).headers['Access-Control-Allow-Origin'], SITE);
+      assert.equal((await preflight('https://qa.example.com')).headers['Access-Control-Allow-Origin'], 'https://qa.example.com');
+      assert.equal((await preflight('https://evil.example.com')).headers['Access-Control-Allow-Origin'], undefined);
+    });
+    assert.equal((await preflight('https://qa.example.com')).headers['Access-Control-Allow-Origin'], undefined);
+  });
+
+  test('other methods are refused', async () => {
+    const response = await invoke(handler, { httpMethod: 'GET' });
+    assert.equal(response.statusCode, 405);
+    assert.deepEqual(JSON.parse(response.body), { error: 'Unsupported request: GET' });
+  });
+
+  for (const body of ['{"section": "introduction"', 'null', '[]', '"introduction"']) {
+    test(`a body of ${body} is a bad request`, async () => {
+      const response = await withEnv({ URL: SITE }, () => post(handler, body, { origin: SITE }));
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.headers['Access-Control-Allow-Origin'], SITE);
+      assert.deepEqual(JSON.parse(response.body), { error: 'Request body must be a JSON object' });
+    });
+  }
+
+  test('generating needs a signed-in drafting engineer', async () => {
+    const anonymous = await post(handler, { section: 'introduction', context }, {});
+    assert.equal(anonymous.statusCode, 401);
+    assert.deepEqual(JSON.parse(anonymous.body), { error: 'Sign in to continue' });
+
+    const forged = await post(handler, { section: 'introduction', context }, { authorization: 'Bearer abc.def' });
+    assert.equal(forged.statusCode, 401);
+
+    const reviewer = await createAccount({ roles: ['reviewer'] });
+    const refused = await post(handler, { section: 'introduction', context }, reviewer.headers);
+    assert.equal(refused.statusCode, 403);
+    assert.deepEqual(JSON.parse(refused.body), { error: 'This needs the Drafting engineer role' });
+  });
+
+  test('an unknown template is a bad request', async () => {
+    const response = await post(handler, { section: 'introduction', context, template: { id: 'standard', version: 99 } });
+    assert.equal(response.statusCode, 400);
+    assert.match(JSON.parse(response.body).error, /Unknown report template: standard v99/);
+  });
+
+  test('an intake that fails validation is a bad request', async () => {
+    const response = await post(handler, {
+      section: 'introduction',
+      context: { ...context, schemaVersion: 2, squareFootage: 48000, propertyAge: 40, investigationDate: '2014-03-01' }
+    });
+    assert.equal(response.statusCode, 400);
+    const { error, problems } = JSON.parse(response.body);
+    assert.match(error, /^The intake form needs attention: /);
+    // Current-version inputs are taken as they are: no reading "Twice" as 2
+    assert.deepEqual(problems.map(problem => problem.field), [
+      'investigationDate', 'investigationDate', 'propertyType', 'analysisRoofReplaced', 'analysisRoofYear'
+    ]);
+
+    const newer = await post(handler, { section: 'introduction', context: { ...context, schemaVersion: 9 } });
+    assert.equal(newer.statusCode, 400);
+    assert.match(JSON.parse(newer.body).error, /saved by a newer version of the form/);
+  });
+
+  test('an address that cannot be located is reported', async () => {
+    const response = await post(handler, {
+      section: 'meteorologist',
+      context: { ...context, address: '1 Nowhere Ln, Killeen, TX 76541' }
+    });
+    assert.equal(response.statusCode, 422);
+    assert.match(JSON.parse(response.body).error, /^Could not locate the property: No match found/);
+  });
+});
+
+describe('recorded responses', async () => {
+  const template = await getTemplate();
+  const sections = sectionsForCase(template, context);
+
+  test('the fixture case uses every section of the template', () => {
+    assert.deepEqual(sections.map(section => section.id), template.sections.map(section => section.id));
+  });
+
+  for (const section of sections) {
+    test(`${section.id} returns its recorded response`, async () => {
+      const response = await post(handler, { section: section.id, context });
+      assert.equal(response.statusCode, 200);
+      const result = JSON.parse(response.body);
+      assert.equal(result.section, recorded(section.id));
+      assert.equal(result.sectionName, section.id);
+      assert.equal(result.model, 'mock:chatgpt-4o-latest');
+      assert.deepEqual(result.template, { id: template.id, version: template.version });
+      assert.deepEqual(result.warnings, []);
+      // The library is empty here; see library.test.js
+      assert.deepEqual(result.sources, []);
+      if (section.weather) {
+        assert.equal(result.weatherData.maxHailSize, '2.00 in');
+        assert.equal(result.weatherData.peakWindSpeed, '67 mph');
+      } else {
+        assert.deepEqual(result.weatherData, {});
+      }
+    });
+  }
+
+  test('a streamed section arrives as meta, deltas and done', async () => {
+    const { headers } = await createAccount({ roles: ['engineer'] });
+    const response = await withEnv({ URL: SITE }, () => post(handler, { section: 'meteorologist', context, stream: true }, {
+      ...headers,
+      origin: SITE
+    }));
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'text/event-stream');
+    assert.equal(response.headers['Access-Control-Allow-Origin'], SITE);
+
+    const events = parseEvents(response.body);
+    assert.equal(events[0].event, 'meta');
+    assert.equal(events[0].data.sectionName, 'meteorologist');
+    assert.equal(events[0].data.model, 'mock:chatgpt-4o-latest');
+    assert.equal(events[0].data.weatherData.maxHailSize, '2.00 in');
+
+    const deltas = events.slice(1, -1);
+    assert.ok(deltas.length > 1);
+    assert.ok(deltas.every(event => event.event === 'delta'));
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.equal(deltas.map(event => event.data.text).join(''), recorded('meteorologist'));
+    assert.equal(done.data.section, recorded('meteorologist'));
+    assert.deepEqual(done.data.warnings, []);
+  });
+
+  test('consistency warnings come back with the section', async () => {
+    const response = await post(handler, {
+      section: 'openingLetter',
+      context: { ...context, dateOfLoss: '2014-03-27', causationDate: '' }
+    });
+    const result = JSON.parse(response.body);
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(result.warnings.map(warning => [warning.type, warning.excerpt.includes('March 28, 2014')]), [['date', true]]);
+  });
+});
+
+describe('prompt assembly', async () => {
+  const template = await getTemplate();
+  const sections = sectionsForCase(template, context);
+  let server;
+  const openai = () => ({ LLM_PROVIDER: 'openai', LLM_BASE_URL: server.baseUrl, LLM_MAX_RETRIES: 0 });
+  const lastPrompt = () => server.requests[server.requests.length - 1].messages[0].content;
+
+  before(async () => {
+    server = await startModelServer();
+  });
+  after(() => server.close());
+
+  test('every section has prompt checks', () => {
+    assert.deepEqual(Object.keys(SECTION_PROMPT_FACTS).sort(), sections.map(section => section.id).sort());
+  });
+
+  for (const section of sections) {
+    test(`${section.id} prompt`, async () => {
+      const response = await withEnv(openai(), () => post(handler, { section: section.id, context }));
+      assert.equal(response.statusCode, 200);
+      // The test-square tables are added when the model leaves them out
+      const table = { observations: damageTables.testSquares, conclusions: damageTables.recommendations }[section.id];
+      assert.equal(JSON.parse(response.body).section, table ? `Test section text.\n\n${table}` : 'Test section text.');
+
+      const request = server.requests[server.requests.length - 1];
+      assert.equal(request.path, '/v1/chat/completions');
+      assert.equal(request.model, 'chatgpt-4o-latest');
+      assert.equal(request.temperature, 0);
+      assert.equal(request.max_tokens, 4000);
+      assert.equal(request.messages.length, 1);
+      assert.equal(request.messages[0].role, 'system');
+
+      const prompt = lastPrompt();
+      assert.ok(prompt.includes(`Now produce the "${section.title}" section.`));
+      assert.ok(prompt.includes('8. The property address: 714 S Fort Hood Rd, Killeen, TX 76541.'));
+      assert.ok(!/\{\{|\}\}/.test(prompt), 'no template placeholders are left');
+      SECTION_PROMPT_FACTS[section.id].forEach(fact => assert.ok(prompt.includes(fact), `prompt includes ${fact}`));
+      // Weather data only goes to the weather sections
+      assert.equal(prompt.includes('Peak reported/measured wind: 67 mph'), Boolean(section.weather));
+    });
+  }
+
+  test('undisputed third-party statements stay out of the Rebuttal', async () => {
+    await withEnv(openai(), () => post(handler, { section: 'rebuttal', context }));
+    assert.ok(!lastPrompt().includes('seven core locations'));
+  });
+
+  test('the Opening Letter sees the finished sections', async () => {
+    const completedSections = [{ id: 'conclusions', title: 'Conclusions and Recommendations', content: '## Conclusions\n\nHail fractured the membranes.' }];
+    await withEnv(openai(), () => post(handler, { section: 'openingLetter', context, completedSections }));
+    assert.ok(lastPrompt().includes('--- Conclusions and Recommendations ---\n## Conclusions\n\nHail fractured the membranes.'));
+  });
+
+  test('custom instructions are appended', async () => {
+    await withEnv(openai(), () => post(handler, { section: 'introduction', context, customInstructions: 'Keep it to one paragraph.' }));
+    assert.ok(lastPrompt().trimEnd().endsWith('Additional instructions:\nKeep it to one paragraph.'));
+  });
+
+  test('settings can differ per section', async () => {
+    const env = {
+      ...openai(),
+      LLM_MODEL: 'local-model',
+      LLM_API_KEY: 'test-key',
+      LLM_SECTION_SETTINGS: JSON.stringify({ openingLetter: { model: 'letter-model', temperature: 0.4, maxTokens: 1200 } })
+    };
+    const letter = await withEnv(env, () => post(handler, { section: 'openingLetter', context }));
+    const letterRequest = server.requests[server.requests.length - 1];
+    const introduction = await withEnv(env, () => post(handler, { section: 'introduction', context }));
+    const introductionRequest = server.requests[server.requests.length - 1];
+
+    assert.equal(JSON.parse(letter.body).model, 'letter-model');
+    assert.deepEqual([letterRequest.model, letterRequest.temperature, letterRequest.max_tokens], ['letter-model', 0.4, 1200]);
+    assert.equal(JSON.parse(introduction.body).model, 'local-model');
+    assert.deepEqual([introductionRequest.model, introductionRequest.temperature, introductionRequest.max_tokens], ['local-model', 0, 4000]);
+    assert.equal(introductionRequest.headers.authorization, 'Bearer test-key');
+  });
+
+  test('a streamed section is requested as a stream', async () => {
+    const response = await withEnv(openai(), () => post(handler, { section: 'introduction', context, stream: true }));
+    const events = parseEvents(response.body);
+    assert.equal(server.requests[server.requests.length - 1].stream, true);
+    assert.equal(events[0].data.model, 'chatgpt-4o-latest');
+    assert.deepEqual(events[events.length - 1], { event: 'done', data: { section: 'Test section text.', warnings: [], sources: [] } });
+  });
+});
+
+describe('test-square tables', () => {
+  let server;
+  let text;
+
+  before(async () => {
+    server = await startModelServer((request, response) => sendCompletion(response, request, text));
+  });
+  after(() => server.close());
+
+  const run = body => withEnv(
+    { LLM_PROVIDER: 'openai', LLM_BASE_URL: server.baseUrl, LLM_MAX_RETRIES: 0 },
+    () => post(handler, { context, ...body })
+  );
+
+  test('a table the model changed is replaced with the computed one', async () => {
+    const [header, divider, sectionC, ...rest] = damageTables.recommendations.split('\n');
+    text = [
+      'Hail damaged the roof.',
+      '',
+      [header.replace('Slope', '**Slope**'), divider, sectionC.replace('7.3', '7'), ...rest.slice(0, -1)].join('\n'),
+      '',
+      'We recommend replacing Section C.',
+      '',
+      damageTables.recommendations
+    ].join('\n');
+    const response = await run({ section: 'conclusions' });
+    assert.equal(
+      JSON.parse(response.body).section,
+      `Hail damaged the roof.\n\n${damageTables.recommendations}\n\nWe recommend replacing Section C.`
+    );
+  });
+
+  test('a streamed section ends with the computed table', async () => {
+    text = 'We marked out test squares on three sections.\n\n| Slope | Hits |\n| --- | --- |\n| Section C | 22 |\n';
+    const response = await run({ section: 'observations', stream: true });
+    const events = parseEvents(response.body);
+    const done = events[events.length - 1];
+    assert.equal(events.filter(event => event.event === 'delta').map(event => event.data.text).join(''), text);
+    // Another table of the model's own is left alone
+    assert.equal(done.data.section, `${text.trimEnd()}\n\n${damageTables.testSquares}\n`);
+  });
+
+  test('sections that don\'t offer a table are left alone', async () => {
+    text = `Background.\n\n${damageTables.testSquares}`;
+    assert.equal(JSON.parse((await run({ section: 'background' })).body).section, text);
+  });
+});
+
+describe('provider failures', () => {
+  let server;
+  let reply;
+
+  before(async () => {
+    server = await startModelServer((request, response) => reply(request, response));
+    // The handler logs each failure; keep the test output readable
+    mock.method(console, 'error', () => {});
+  });
+  after(() => {
+    mock.restoreAll();
+    return server.close();
+  });
+
+  const run = body => withEnv(
+    { LLM_PROVIDER: 'openai', LLM_BASE_URL: server.baseUrl, LLM_MAX_RETRIES: 0 },
+    () => post(handler, { section: 'introduction', context, ...body })
+  );
+
+  function serverError(request, response) {
+    response.writeHead(500, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: { message: 'The model is overloaded', type: 'server_error' } }));
+  }
+
+  test('an error from the model is a 500', async () => {
+    reply = serverError;
+    const response = await run();
+    assert.equal(response.statusCode, 500);
+    const result = JSON.parse(response.body);
+    assert.equal(result.error, 'Failed to generate report section');
+    assert.match(result.details, /overloaded/);
+  });
+
+  test('a stream the model refuses is a 500, not an event stream', async () => {
+    reply = serverError;
+    const response = await run({ stream: true });
+    assert.equal(response.statusCode, 500);
+    assert.equal(JSON.parse(response.body).error, 'Failed to generate report section');
+  });
+
+  test('a stream that breaks off ends with an error event', async () => {
+    reply = (request, response) => {
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.write(`data: ${JSON.stringify({
+        id: 'chatcmpl-test',
+        object: 'chat.completion.chunk',
+        created: 0,
+        model: request.model,
+        choices: [{ index: 0, delta: { content: 'The property ' }, finish_reason: null }]
+      })}\n\n`);
+      setTimeout(() => response.destroy(), 20);
+    };
+    const response = await run({ stream: true });
+    assert.equal(response.statusCode, 200);
+    const events = parseEvents(response.body);
+    assert.deepEqual(events.map(event => event.event), ['meta', 'delta', 'error']);
+    assert.equal(events[2].data.error, 'Failed to generate report section');
+  });
+
+  test('an unreachable server is a 500', async () => {
+    const closed = await startModelServer();
+    await closed.close();
+    const response = await withEnv(
+      { LLM_PROVIDER: 'openai', LLM_BASE_URL: closed.baseUrl, LLM_MAX_RETRIES: 0 },
+      () => post(handler, { section: 'introduction', context })
+    );
+    assert.equal(response.statusCode, 500);
+    assert.match(JSON.parse(response.body).details, /Connection error/);
+  });
+
+  test('an unknown provider is a 500', async () => {
+    const response = await withEnv({ LLM_PROVIDER: 'nope' }, () => post(handler, { section: 'introduction', context }));
+    assert.equal(response.statusCode, 500);
+    assert.match(JSON.parse(response.body).details, /Unknown LLM_PROVIDER "nope"/);
+  });
+});
@@ -0,0 +1,147 @@
+/************************************************
+ * tests/geocode.test.js
+ *
+ * Locating the property: the local gazetteer and a recorded Census
+ * geocoder response, the nearest weather stations, the engineer's
+ * confirmation, and the 422 for an address that isn't one place.
+ ************************************************/
+const { test, describe, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { post, readFixture, withEnv } = require('./helpers');
+
+const {
+  GeocodeError,
+  geocodeAddress,
+  locateProperty,
+  confirmedLocation,
+  formatLocationForPrompt
+} = require('../netlify/lib/geocode');
+const { handler } = require('../netlify/functions/geocode-address');
+
+const address = '714 S Fort Hood Rd, Killeen, TX 76541';
+
+afterEach(() => mock.restoreAll());
+
+describe('geocoders', () => {
+  test('the local gazetteer matches abbreviated and spelled-out street names', async () => {
+    const match = await geocodeAddress('714 South Fort Hood Road, Killeen, Texas');
+    assert.deepEqual(match, {
+      matchedAddress: '714 S FORT HOOD RD, KILLEEN, TX, 76541',
+      lat: 31.1171,
+      lon: -97.7278,
+      city: 'KILLEEN',
+      county: 'Bell County',
+      state: 'TX',
+      zip: '76541',
+      timezone: 'America/Chicago',
+      geocoder: 'Local gazetteer'
+    });
+  });
+
+  test('the Census geocoder reads the address match and its county', async () => {
+    const get = mock.method(axios, 'get', async () => ({ data: readFixture('geocode', 'census-killeen.json') }));
+    const match = await withEnv({ GEOCODER: 'census' }, () => geocodeAddress(address));
+    assert.equal(get.mock.calls[0].arguments[1].params.address, address);
+    assert.deepEqual(match, {
+      matchedAddress: '714 S FORT HOOD RD, KILLEEN, TX, 76541',
+      lat: 31.117093419645,
+      lon: -97.72779546483,
+      city: 'KILLEEN',
+      county: 'Bell County',
+      state: 'TX',
+      zip: '76541',
+      geocoder: 'US Census Bureau Geocoder'
+    });
+  });
+
+  test('no match, several matches and an unknown geocoder are errors', async () => {
+    await assert.rejects(geocodeAddress('1 Nowhere Ln, Killeen, TX'), {
+      name: 'GeocodeError',
+      message: 'No match found for "1 Nowhere Ln, Killeen, TX". Check the street number, street name, city and state.'
+    });
+    await assert.rejects(geocodeAddress(' '), { message: 'Enter the property address to look up its location.' });
+
+    const ambiguous = await geocodeAddress('200 N Main St, TX').catch(error => error);
+    assert.ok(ambiguous instanceof GeocodeError);
+    assert.equal(ambiguous.message, '"200 N Main St, TX" matches 2 places. Add the city, state or ZIP code to pick one.');
+    assert.deepEqual(ambiguous.candidates, ['200 N MAIN ST, BELTON, TX, 76513', '200 N MAIN ST, TEMPLE, TX, 76501']);
+
+    // Census duplicates of one address count once
+    const match = readFixture('geocode', 'census-killeen.json').result.addressMatches[0];
+    mock.method(axios, 'get', async () => ({ data: { result: { addressMatches: [match, match] } } }));
+    assert.equal((await withEnv({ GEOCODER: 'census' }, () => geocodeAddress(address))).city, 'KILLEEN');
+
+    await assert.rejects(withEnv({ GEOCODER: 'google' }, () => geocodeAddress(address)), {
+      message: 'Unknown GEOCODER "google" (expected one of: census, local)'
+    });
+  });
+});
+
+describe('property location', () => {
+  test('the location carries the county and the nearest stations', async () => {
+    const location = await locateProperty(address);
+    assert.equal(location.county, 'Bell County');
+    assert.equal(location.region, 'TX');
+    assert.deepEqual(location.stations.map(station => [station.id, station.distanceMiles, station.direction]), [
+      ['ILE', 3.3, 'SE'],
+      ['GRK', 6.9, 'WSW'],
+      ['TPL', 19.1, 'E']
+    ]);
+    assert.equal(location.stationNote, '');
+    assert.equal(formatLocationForPrompt(location), [
+      '- Geocoded Address: 714 S FORT HOOD RD, KILLEEN, TX, 76541',
+      '- County: Bell County, TX',
+      '- Coordinates: 31.1171, -97.7278',
+      '- Nearest Weather Station: ILE (Killeen Skylark Field), 3.3 mi SE of the property',
+      '- Other Nearby Stations: GRK (Killeen/Fort Hood Regional) 6.9 mi WSW; TPL (Temple/Miller) 19.1 mi E'
+    ].join('\n'));
+
+    const near = await locateProperty(address, { stationRadiusMiles: 2 });
+    assert.deepEqual(near.stations, []);
+    assert.equal(near.stationNote, 'No ASOS weather stations found near the property.');
+  });
+
+  test('only a confirmed location for the same address is used', async () => {
+    const location = await locateProperty(address);
+    assert.equal(confirmedLocation(location, address), null);
+    assert.deepEqual(confirmedLocation({ ...location, confirmed: true, lat: '31.1171' }, ` ${address} `).lat, 31.1171);
+    assert.equal(confirmedLocation({ ...location, confirmed: true }, '200 N Main St, Temple, TX 76501'), null);
+    assert.equal(confirmedLocation({ ...location, confirmed: true, lon: 'west' }, address), null);
+  });
+});
+
+describe('geocode-address function', () => {
+  test('the address is located', async () => {
+    const response = await post(handler, { address });
+    assert.equal(response.statusCode, 200);
+    const { location } = JSON.parse(response.body);
+    assert.equal(location.matchedAddress, '714 S FORT HOOD RD, KILLEEN, TX, 76541');
+    assert.equal(location.stations.length, 3);
+  });
+
+  test('an address that is not one place is a 422 with the candidates', async () => {
+    const unknown = await post(handler, { address: '1 Nowhere Ln, Killeen, TX' });
+    assert.equal(unknown.statusCode, 422);
+    assert.deepEqual(JSON.parse(unknown.body).candidates, []);
+
+    const ambiguous = await post(handler, { address: '200 N Main St' });
+    assert.equal(ambiguous.statusCode, 422);
+    assert.deepEqual(JSON.parse(ambiguous.body), {
+      error: '"200 N Main St" matches 2 places. Add the city, state or ZIP code to pick one.',
+      candidates: ['200 N MAIN ST, BELTON, TX, 76513', '200 N MAIN ST, TEMPLE, TX, 76501']
+    });
+
+    const missing = await post(handler, {});
+    assert.equal(missing.statusCode, 422);
+    assert.equal(JSON.parse(missing.body).error, 'Enter the property address to look up its location.');
+  });
+
+  test('a geocoder outage is a 500', async () => {
+    mock.method(axios, 'get', async () => { throw new Error('connect ETIMEDOUT'); });
+    mock.method(console, 'error', () => {});
+    const response = await withEnv({ GEOCODER: 'census' }, () => post(handler, { address }));
+    assert.equal(response.statusCode, 500);
+    assert.deepEqual(JSON.parse(response.body), { error: 'Failed to look up the address', details: 'connect ETIMEDOUT' });
+  });
+});
@@ -0,0 +1,232 @@
+/************************************************
+ * tests/helpers.js
+ *
+ * Shared setup for the function tests. Requiring this first puts the
+ * process in an offline environment (local geocoder, fixture weather,
+ * the mock model, throwaway storage) and stands in for the Netlify
+ * streaming runtime, so handlers run end to end without the network.
+ * Requests are signed in as a test engineer holding every role unless
+ * they bring their own headers.
+ ************************************************/
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { finished } = require('stream/promises');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(ROOT, 'fixtures');
+
+// Settings from the developer's shell must not leak into the tests
+Object.keys(process.env)
+  .filter(key => /^(?:LLM_|OPENAI_|WEATHER_|GEOCODER|STORAGE_|REPORT_TEMPLATE|AUTH_)/.test(key))
+  .forEach(key => delete process.env[key]);
+
+Object.assign(process.env, {
+  GEOCODER: 'local',
+  GEOCODER_LOCAL_FILE: path.join(FIXTURES, 'geocode', 'addresses.json'),
+  WEATHER_FIXTURES_DIR: path.join(FIXTURES, 'weather'),
+  LLM_PROVIDER: 'mock',
+  LLM_MOCK_DIR: path.join(FIXTURES, 'llm'),
+  STORAGE_BACKEND: 'file',
+  STORAGE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'claims-assistant-test-')),
+  AUTH_SECRET: 'test-secret-that-is-at-least-32-characters'
+});
+
+const { ROLES, getUserStore, createUser, createSession } = require('../netlify/lib/accounts');
+
+const TEST_PASSWORD = 'correct horse battery';
+let accountCount = 0;
+let defaultAccount = null;
+
+// The streaming runtime: stream() handlers are called with
+// (event, responseStream, context) and hand over their status and
+// headers with HttpResponseStream.from
+globalThis.awslambda = {
+  streamifyResponse: handler => handler,
+  HttpResponseStream: {
+    from(responseStream, metadata) {
+      responseStream.metadata = metadata;
+      return responseStream;
+    }
+  }
+};
+
+/**
+ * Add an account (every role unless `roles` is given) and sign it in.
+ * Resolves to { user, token, headers } with the request headers that
+ * carry its session.
+ */
+async function createAccount({ roles = Object.keys(ROLES), ...profile } = {}) {
+  accountCount += 1;
+  const user = await createUser(getUserStore({}), {
+    email: `engineer${accountCount}@example.com`,
+    password: TEST_PASSWORD,
+    name: `Test Engineer ${accountCount}`,
+    ...profile,
+    roles
+  });
+  const { token } = createSession(user);
+  return { user, token, headers: { authorization: `Bearer ${token}` } };
+}
+
+/**
+ * The account requests are signed in as by default.
+ */
+function testAccount() {
+  defaultAccount = defaultAccount || createAccount();
+  return defaultAccount;
+}
+
+/**
+ * Call a function handler, streamed or not, and collect the response:
+ * { statusCode, headers, body } with the body as text.
+ */
+async function invoke(handler, event) {
+  if (!event.headers) {
+    event = { ...event, headers: (await testAccount()).headers };
+  }
+  const chunks = [];
+  const responseStream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+
+  const result = await handler(event, responseStream, {});
+  if (result) return result;
+  await finished(responseStream);
+  return {
+    ...responseStream.metadata,
+    body: Buffer.concat(chunks).toString('utf8')
+  };
+}
+
+/**
+ * POST a JSON body to a handler, as the test engineer unless `headers`
+ * are given.
+ */
+function post(handler, body, headers) {
+  return invoke(handler, {
+    httpMethod: 'POST',
+    ...(headers ? { headers } : {}),
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+/**
+ * The Server-Sent Events in a response body: [{ event, data }].
+ */
+function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter(frame => frame.trim())
+    .map(frame => {
+      const event = /^event: (.*)$/m.exec(frame)?.[1];
+      const data = /^data: (.*)$/m.exec(frame)?.[1];
+      return { event, data: data === undefined ? undefined : JSON.parse(data) };
+    });
+}
+
+/**
+ * A saved fixture file, parsed as JSON.
+ */
+function readFixture(...parts) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, ...parts), 'utf8'));
+}
+
+/**
+ * Run `fn` with some environment variables set (undefined removes one),
+ * putting the previous values back afterwards.
+ */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  const apply = values => Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = String(value);
+    }
+  });
+  apply(vars);
+  try {
+    return await fn();
+  } finally {
+    apply(saved);
+  }
+}
+
+/**
+ * Answer a chat completion request with `text`, as one JSON response or
+ * as a stream of chunks, the way an OpenAI-compatible server does.
+ */
+function sendCompletion(response, request, text) {
+  const created = Math.floor(Date.now() / 1000);
+  if (!request.stream) {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({
+      id: 'chatcmpl-test',
+      object: 'chat.completion',
+      created,
+      model: request.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }]
+    }));
+    return;
+  }
+  response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  text.match(/\S*\s*/g).filter(Boolean).forEach(chunk => {
+    response.write(`data: ${JSON.stringify({
+      id: 'chatcmpl-test',
+      object: 'chat.completion.chunk',
+      created,
+      model: request.model,
+      choices: [{ index: 0, delta: { content: chunk }, finish_reason: null }]
+    })}\n\n`);
+  });
+  response.end('data: [DONE]\n\n');
+}
+
+/**
+ * A local OpenAI-compatible model server. Every request body is kept in
+ * `requests`; `reply(request, response)` answers it, by default with
+ * the text "Test section text." Resolves to { baseUrl, requests, close }.
+ */
+async function startModelServer(reply = (request, response) => sendCompletion(response, request, 'Test section text.')) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(data || '{}');
+      requests.push({ path: req.url, headers: req.headers, ...request });
+      reply(request, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  FIXTURES,
+  TEST_PASSWORD,
+  createAccount,
+  testAccount,
+  invoke,
+  post,
+  parseEvents,
+  readFixture,
+  withEnv,
+  sendCompletion,
+  startModelServer
+};
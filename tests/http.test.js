@@ -0,0 +1,55 @@
+/************************************************
+ * tests/http.test.js
+ *
+ * The request and response helpers every function shares: JSON bodies,
+ * CORS headers and the preflight answer.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withEnv } = require('./helpers');
+
+const { HttpError, parseBody, responder } = require('../netlify/lib/http');
+
+describe('parseBody', () => {
+  test('reads a JSON object; an empty body is {}', () => {
+    assert.deepEqual(parseBody({ body: '{"survey":{"mode":"grid"}}' }), { survey: { mode: 'grid' } });
+    assert.deepEqual(parseBody({ body: '' }), {});
+    assert.deepEqual(parseBody({}), {});
+  });
+
+  test('anything else is a 400', () => {
+    ['[]', 'null', '"text"', '42', '{not json'].forEach(body => {
+      assert.throws(() => parseBody({ body }), error => {
+        assert.ok(error instanceof HttpError);
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.message, 'Request body must be a JSON object');
+        return true;
+      }, body);
+    });
+  });
+});
+
+describe('responder', () => {
+  test('answers the preflight and sends JSON with the CORS headers', async () => {
+    await withEnv({ URL: 'https://claims.example.com', ALLOWED_ORIGINS: '' }, async () => {
+      const event = { httpMethod: 'OPTIONS', headers: { origin: 'https://claims.example.com' } };
+      const { headers, respond, preflight } = responder(event, 'GET, POST, OPTIONS');
+      assert.deepEqual(headers, {
+        'Access-Control-Allow-Origin': 'https://claims.example.com',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        Vary: 'Origin'
+      });
+      assert.deepEqual(preflight, { statusCode: 200, headers, body: '' });
+      assert.deepEqual(respond(201, { id: 'a' }), {
+        statusCode: 201,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: '{"id":"a"}'
+      });
+
+      const other = responder({ httpMethod: 'POST', headers: { origin: 'https://elsewhere.example.com' } }, 'POST, OPTIONS');
+      assert.equal(other.preflight, null);
+      assert.equal(other.headers['Access-Control-Allow-Origin'], undefined);
+    });
+  });
+});
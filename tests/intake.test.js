@@ -0,0 +1,175 @@
+/************************************************
+ * tests/intake.test.js
+ *
+ * The intake schema: migrating saved inputs, validation and the intake
+ * function.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, post, readFixture } = require('./helpers');
+
+const { SCHEMA_VERSION, FIELDS, IntakeError, migrateIntake, validateIntake } = require('../netlify/lib/intake');
+const { handler } = require('../netlify/functions/intake');
+
+// The fixture case was saved before the schema was versioned
+const saved = readFixture('cases', 'killeen-2014.json');
+
+function fieldsWithProblems(inputs, options) {
+  return validateIntake(inputs, options).map(problem => problem.field);
+}
+
+describe('migrateIntake', () => {
+  test('version 1 inputs are brought up to date', () => {
+    const { inputs, migratedFrom, warnings } = migrateIntake({ ...saved, dol: '2014-03-20' });
+    assert.equal(migratedFrom, 1);
+    assert.equal(inputs.schemaVersion, SCHEMA_VERSION);
+    assert.equal(inputs.propertyAge, 40);
+    assert.equal(inputs.squareFootage, 48000);
+    assert.equal(inputs.analysisRoofReplaced, 2);
+    assert.equal(inputs.analysisRoofYear, 2006);
+    assert.equal(inputs.propertyType, 'commercial');
+    // The claim's own date is kept, and the second date of loss moved to the notes
+    assert.equal(inputs.dol, undefined);
+    assert.equal(inputs.dateOfLoss, '2014-03-28');
+    assert.equal(inputs.engineerNotes, `${saved.engineerNotes}\n\nSecond date of loss from an older input file: 2014-03-20`);
+    assert.deepEqual(warnings, [
+      'The file had a second date of loss (2014-03-20) besides 2014-03-28; it was moved to the engineer notes'
+    ]);
+    // Fields the schema doesn't know are kept
+    assert.equal(inputs.photos.length, 3);
+    assert.deepEqual(validateIntake(inputs), []);
+    assert.equal(saved.propertyAge, '40 years');
+  });
+
+  test('the old date of loss fills in a missing one, and unreadable numbers are left for validation', () => {
+    const { inputs, warnings } = migrateIntake({ dol: '2014-03-20', dateOfLoss: '', propertyAge: 'about forty' });
+    assert.equal(inputs.dateOfLoss, '2014-03-20');
+    assert.deepEqual(warnings, []);
+    assert.equal(inputs.propertyAge, 'about forty');
+    assert.deepEqual(validateIntake(inputs, { complete: false }), [{ field: 'propertyAge', message: 'Property age must be a number' }]);
+  });
+
+  test('current inputs are left alone', () => {
+    const current = migrateIntake(saved).inputs;
+    assert.deepEqual(migrateIntake(current), { inputs: current, migratedFrom: null, warnings: [] });
+  });
+
+  test('a second date of loss that matches the first is dropped', () => {
+    const { inputs, warnings } = migrateIntake({ dol: '2014-03-28', dateOfLoss: '2014-03-28', engineerNotes: '' });
+    assert.equal(inputs.dol, undefined);
+    assert.equal(inputs.engineerNotes, '');
+    assert.deepEqual(warnings, []);
+
+    // With no notes of its own, the second date becomes the notes
+    const moved = migrateIntake({ dol: '2014-03-20', dateOfLoss: '2014-03-28' }).inputs;
+    assert.equal(moved.engineerNotes, 'Second date of loss from an older input file: 2014-03-20');
+  });
+
+  for (const [name, value, message] of [
+    ['an array', [], /must be a JSON object/],
+    ['null', null, /must be a JSON object/],
+    ['a bad version', { schemaVersion: '2' }, /"schemaVersion" must be a whole number/],
+    ['a newer version', { schemaVersion: SCHEMA_VERSION + 1 }, /saved by a newer version of the form/]
+  ]) {
+    test(`${name} can't be read`, () => {
+      assert.throws(() => migrateIntake(value), error => error instanceof IntakeError && message.test(error.message));
+    });
+  }
+});
+
+describe('validateIntake', () => {
+  const inputs = migrateIntake(saved).inputs;
+
+  test('required fields, unless the inputs are a draft', () => {
+    const blank = { schemaVersion: SCHEMA_VERSION, projectName: '  ', propertyAge: null, claimType: [] };
+    assert.deepEqual(fieldsWithProblems(blank), FIELDS.filter(field => field.required && !field.roof).map(field => field.key));
+    assert.deepEqual(fieldsWithProblems(blank, { complete: false }), []);
+    assert.deepEqual(validateIntake({ ...inputs, address: '' }), [{ field: 'address', message: 'Address is required' }]);
+  });
+
+  test('the inspection comes after the loss and its cause', () => {
+    assert.deepEqual(validateIntake({ ...inputs, investigationDate: '2014-03-28' }), []);
+    assert.deepEqual(validateIntake({ ...inputs, causationDate: '2014-10-03' }), [{
+      field: 'investigationDate',
+      message: "Inspection date (2014-10-02) can't be before the causation date (2014-10-03)"
+    }]);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, dateOfLoss: '2014-02-30' }), ['dateOfLoss']);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, dateOfLoss: '3/28/2014' }), ['dateOfLoss']);
+  });
+
+  test('numbers, choices and formats', () => {
+    assert.deepEqual(validateIntake({ ...inputs, squareFootage: 0 }), [
+      { field: 'squareFootage', message: 'Square footage must be between 1 and 10000000' }
+    ]);
+    assert.deepEqual(validateIntake({ ...inputs, analysisRoofReplaced: 1.5 }), [
+      { field: 'analysisRoofReplaced', message: 'Number of roof replacements must be a whole number' }
+    ]);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, propertyAge: '40' }), ['propertyAge']);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, claimType: ['Hail', 'Flood'] }), ['claimType']);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, projectEmail: 'owner at example.com' }), ['projectEmail']);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, thirdPartyReports: {} }), ['thirdPartyReports']);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, roofBURChecked: 'yes' }), ['roofBURChecked']);
+    // The pitch list is only a guide
+    assert.deepEqual(validateIntake({ ...inputs, analysisRoofPitch: '1/4:12' }), []);
+  });
+
+  test("a roof system's details only count while it is checked", () => {
+    const metal = { ...inputs, roofMetalGauge: '30', metalPBR: 'yes' };
+    assert.deepEqual(validateIntake(metal), []);
+    assert.deepEqual(validateIntake({ ...metal, roofMetalChecked: true }), [
+      { field: 'metalPBR', message: 'PBR Panel must be true or false' },
+      { field: 'roofMetalGauge', message: 'Gauge must be one of: 29, 28, 27, 26, 25, 24' }
+    ]);
+    assert.deepEqual(fieldsWithProblems({ ...inputs, roofMetalChecked: true }), ['roofMetalGauge']);
+    assert.deepEqual(validateIntake({ ...inputs, roofMetalChecked: true, roofMetalGauge: '26' }), []);
+  });
+
+  test('each building is checked against the building fields', () => {
+    const [first, second] = inputs.buildings;
+    const buildings = [
+      { ...first, squareFootage: 0 },
+      { ...second, roofSystems: ['Slate'] },
+      { name: '', observations: 'Unnamed' },
+      'Building 4'
+    ];
+    assert.deepEqual(validateIntake({ ...inputs, buildings }).map(problem => problem.message), [
+      'Building 1: Square footage must be between 1 and 10000000',
+      'Building 2: Roof systems must be a list of: Metal, Composition Shingles, Single-Ply Membrane, Modified Bitumen, '
+        + 'Built Up Roofing (Gravel Ballast), Clay Tile, Concrete Tile',
+      'Building 3: Name or ID is required',
+      'Building 4 must be an object'
+    ]);
+    assert.deepEqual(validateIntake({ ...inputs, buildings: [first, { ...second, name: ' BUILDING 1 ' }] }), [
+      { field: 'buildings', message: 'Building 2: Name or ID "BUILDING 1" is already used by building 1' }
+    ]);
+    // A draft may leave a building unnamed
+    assert.deepEqual(validateIntake({ ...inputs, buildings: [{ name: '' }] }, { complete: false }), []);
+  });
+});
+
+describe('intake function', () => {
+  test('serves the schema', async () => {
+    const response = await invoke(handler, { httpMethod: 'GET' });
+    assert.equal(response.statusCode, 200);
+    const schema = JSON.parse(response.body);
+    assert.equal(schema.version, SCHEMA_VERSION);
+    assert.deepEqual(schema.fields.map(field => field.key), FIELDS.map(field => field.key));
+    assert.equal((await invoke(handler, { httpMethod: 'GET', headers: {} })).statusCode, 401);
+  });
+
+  test('migrates and checks uploaded inputs', async () => {
+    const loaded = JSON.parse((await post(handler, { inputs: { ...saved, address: '' }, complete: false })).body);
+    assert.equal(loaded.migratedFrom, 1);
+    assert.deepEqual(loaded.warnings, []);
+    assert.equal(loaded.inputs.squareFootage, 48000);
+    assert.deepEqual(loaded.problems, []);
+
+    const checked = JSON.parse((await post(handler, { inputs: loaded.inputs })).body);
+    assert.equal(checked.migratedFrom, null);
+    assert.deepEqual(checked.problems, [{ field: 'address', message: 'Address is required' }]);
+
+    const unreadable = await post(handler, { inputs: 'not inputs' });
+    assert.equal(unreadable.statusCode, 400);
+    assert.deepEqual(JSON.parse(unreadable.body), { error: 'Saved inputs must be a JSON object' });
+  });
+});
@@ -0,0 +1,227 @@
+/************************************************
+ * tests/library.test.js
+ *
+ * The firm's library: passages and their index, search, the library
+ * function, and the style examples and references that go into the
+ * section prompts and come back as the section's sources.
+ ************************************************/
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, createAccount, invoke, post, readFixture, withEnv, sendCompletion, startModelServer } = require('./helpers');
+
+const {
+  indexTerms,
+  splitPassages,
+  extractDocument,
+  searchLibrary,
+  retrieveSources,
+  formatSourcesForPrompt,
+  citedSources,
+  checkCitations
+} = require('../netlify/lib/library');
+const { handler } = require('../netlify/functions/library');
+const generateReport = require('../netlify/functions/generate-report');
+
+const context = readFixture('cases', 'killeen-2014.json');
+
+function upload(fileName, kind, details = {}) {
+  return {
+    fileName,
+    contentType: 'text/plain',
+    data: fs.readFileSync(path.join(FIXTURES, 'library', fileName)).toString('base64'),
+    kind,
+    ...details
+  };
+}
+
+function fixtureDocument(fileName, kind) {
+  const document = extractDocument({ fileName, data: fs.readFileSync(path.join(FIXTURES, 'library', fileName)) });
+  return { id: fileName, kind, title: document.title, citation: document.title, passages: document.passages };
+}
+
+describe('passages and search', () => {
+  const documents = [
+    fixtureDocument('440-plaza-report.txt', 'report'),
+    fixtureDocument('ibc-1510.txt', 'reference'),
+    fixtureDocument('hail-thresholds.txt', 'reference')
+  ];
+
+  test('index terms leave out stop words and count plurals as the singular', () => {
+    assert.deepEqual(indexTerms('The shingles were fractured by 1.75 in. hailstones (ASTM D3161).'), [
+      'shingle', 'fractured', '1.75', 'hailstone', 'astm', 'd3161'
+    ]);
+  });
+
+  test('paragraphs are grouped under their headings', () => {
+    const passages = splitPassages([
+      { text: 'ROOF', heading: true, page: 1 },
+      { text: 'The roof is a gravel-surfaced built-up roof.', heading: false, page: 1 },
+      { text: 'It drains to the rear.', heading: false, page: 2 },
+      { text: 'Short.', heading: false, page: 2 },
+      { text: 'INTERIOR', heading: true, page: 2 },
+      { text: `${'Ceiling stains were found in the stock room. '.repeat(20)}`.trim(), heading: false, page: 3 }
+    ]);
+    assert.deepEqual(passages.slice(0, 1), [{
+      id: 'p1',
+      text: 'The roof is a gravel-surfaced built-up roof.\nIt drains to the rear.\nShort.',
+      page: 1,
+      heading: 'ROOF'
+    }]);
+    // A paragraph longer than a passage is split between sentences
+    assert.deepEqual(passages.slice(1).map(passage => [passage.heading, passage.page, passage.text.split('\n').length]), [
+      ['INTERIOR', 3, 18],
+      ['INTERIOR', 3, 2]
+    ]);
+  });
+
+  test('a text file is split into indexed passages', () => {
+    const [report, code] = documents;
+    assert.equal(report.title, '440 PLAZA SHOPPING CENTER');
+    assert.deepEqual(report.passages.map(passage => passage.heading), [
+      'INTRODUCTION', 'WEATHER ANALYSIS', 'MOISTURE SURVEY', 'CONCLUSIONS AND RECOMMENDATIONS'
+    ]);
+    // The numbered conditions stay with their clause
+    assert.equal(code.passages.length, 1);
+    assert.match(code.passages[0].text, /^1510\.3 Recovering versus replacement\.[\s\S]*\n3\. Where the existing roof has two or more applications/);
+    assert.equal(code.passages[0].terms.roof, 10);
+  });
+
+  test('the closest passages come first', () => {
+    const results = searchLibrary(documents, 'Must the existing roof coverings be removed when there are two applications?');
+    assert.deepEqual(results.map(result => [result.documentId, result.passageId]), [
+      ['ibc-1510.txt', 'p1'],
+      ['440-plaza-report.txt', 'p4'],
+      ['hail-thresholds.txt', 'p2']
+    ]);
+    assert.deepEqual(searchLibrary(documents, 'kinetic energy', { kind: 'reference' }), []);
+    assert.deepEqual(searchLibrary(documents, 'the and of'), []);
+  });
+
+  test('sources are numbered, past reports first', () => {
+    const sources = retrieveSources(documents, 'Conclusions: replace the hail-damaged single-ply membranes');
+    assert.deepEqual(sources.map(source => [source.id, source.kind, source.heading]), [
+      ['S1', 'report', 'CONCLUSIONS AND RECOMMENDATIONS'],
+      ['S2', 'report', 'WEATHER ANALYSIS'],
+      ['S3', 'reference', 'Single-Ply Membranes'],
+      ['S4', 'reference', 'Built-Up Roofs']
+    ]);
+    assert.match(formatSourcesForPrompt(sources, 'reference'), /^\[S3\] HAIL DAMAGE THRESHOLDS FOR ROOFING \(under "Single-Ply Membranes"\):\nHail fractures in single-ply membranes/);
+
+    const content = 'New membranes fracture at about 1.75 inches [S3]. See also [S4, S9] and [S9].';
+    assert.deepEqual(citedSources(content, sources).map(source => [source.id, source.cited]), [
+      ['S1', false], ['S2', false], ['S3', true], ['S4', true]
+    ]);
+    assert.deepEqual(checkCitations(content, sources), [{
+      type: 'source',
+      message: '[S9] is not one of the library sources given for this section; cite only the sources listed',
+      excerpt: '[S4, S9]'
+    }]);
+  });
+});
+
+describe('library function', () => {
+  test('documents are added, listed and removed', async () => {
+    const added = await post(handler, upload('ibc-1510.txt', 'reference', { citation: 'ICC IBC 2012, Section 1510.3' }));
+    assert.equal(added.statusCode, 201);
+    const { document } = JSON.parse(added.body);
+    assert.equal(document.title, 'SECTION 1510 REROOFING');
+    assert.equal(document.citation, 'ICC IBC 2012, Section 1510.3');
+    assert.equal(document.passageCount, 1);
+    assert.equal(document.passages, undefined);
+    assert.match(document.uploadedBy.name, /^Test Engineer/);
+
+    const report = JSON.parse((await post(handler, upload('440-plaza-report.txt', 'report', { title: '440 Plaza' }))).body).document;
+    const listed = JSON.parse((await invoke(handler, { httpMethod: 'GET' })).body);
+    assert.deepEqual(listed.documents.map(entry => [entry.title, entry.kind]), [
+      ['440 Plaza', 'report'],
+      ['SECTION 1510 REROOFING', 'reference']
+    ]);
+    assert.deepEqual(listed.kinds, { report: 'Past report', reference: 'Reference' });
+
+    const removed = await invoke(handler, { httpMethod: 'DELETE', queryStringParameters: { id: report.id } });
+    assert.deepEqual(JSON.parse(removed.body), { removed: report.id });
+    const again = await invoke(handler, { httpMethod: 'DELETE', queryStringParameters: { id: report.id } });
+    assert.equal(again.statusCode, 404);
+    await invoke(handler, { httpMethod: 'DELETE', queryStringParameters: { id: document.id } });
+  });
+
+  test('bad uploads are refused', async () => {
+    const noKind = await post(handler, upload('ibc-1510.txt', 'manual'));
+    assert.equal(noKind.statusCode, 400);
+    assert.equal(JSON.parse(noKind.body).error, '"kind" must be one of: report, reference');
+
+    const oldWord = await post(handler, { ...upload('ibc-1510.txt', 'reference'), fileName: 'ibc.doc', contentType: 'application/msword' });
+    assert.equal(oldWord.statusCode, 400);
+    assert.match(JSON.parse(oldWord.body).error, /Old Word \(\.doc\) files are not supported/);
+
+    const empty = await post(handler, { ...upload('ibc-1510.txt', 'reference'), data: Buffer.from('ROOF\n\nOk.').toString('base64') });
+    assert.equal(empty.statusCode, 400);
+    assert.equal(JSON.parse(empty.body).error, 'No passages long enough to use were found in the document');
+  });
+
+  test('only the signing PE or an administrator changes the library', async () => {
+    const engineer = await createAccount({ roles: ['engineer'] });
+    const refused = await post(handler, upload('ibc-1510.txt', 'reference'), engineer.headers);
+    assert.equal(refused.statusCode, 403);
+    const listed = await invoke(handler, { httpMethod: 'GET', headers: engineer.headers });
+    assert.equal(listed.statusCode, 200);
+  });
+});
+
+describe('sources in the section prompts', () => {
+  let server;
+  let reply;
+  const openai = () => ({ LLM_PROVIDER: 'openai', LLM_BASE_URL: server.baseUrl, LLM_MAX_RETRIES: 0 });
+  const lastPrompt = () => server.requests[server.requests.length - 1].messages[0].content;
+
+  before(async () => {
+    server = await startModelServer((request, response) => reply(request, response));
+    for (const [fileName, kind] of [['440-plaza-report.txt', 'report'], ['ibc-1510.txt', 'reference'], ['hail-thresholds.txt', 'reference']]) {
+      await post(handler, upload(fileName, kind));
+    }
+  });
+  after(() => server.close());
+
+  test('a section gets style examples and references and reports the ones it cites', async () => {
+    reply = (request, response) => sendCompletion(response, request, 'The membranes fractured [S3].\n\nSources\n\n[S3] Hail thresholds [S8]');
+    const response = await withEnv(openai(), () => post(generateReport.handler, { section: 'conclusions', context }));
+    assert.equal(response.statusCode, 200);
+
+    const prompt = lastPrompt();
+    assert.ok(prompt.includes("Style examples: passages from the firm's past issued reports"));
+    assert.ok(prompt.includes('[S1] 440 PLAZA SHOPPING CENTER (under "CONCLUSIONS AND RECOMMENDATIONS"):\nWe concur with the recommendation'));
+    assert.ok(prompt.includes('End the section with a "Sources" list'));
+    assert.ok(prompt.includes('[S3] HAIL DAMAGE THRESHOLDS FOR ROOFING (under "Single-Ply Membranes"):'));
+
+    const result = JSON.parse(response.body);
+    assert.deepEqual(result.sources.map(source => [source.id, source.kind, source.cited]), [
+      ['S1', 'report', false],
+      ['S2', 'report', false],
+      ['S3', 'reference', true],
+      ['S4', 'reference', false],
+      ['S5', 'reference', false]
+    ]);
+    assert.equal(result.sources[2].text.split('\n')[0].slice(0, 40), 'Hail fractures in single-ply membranes s');
+    assert.deepEqual(result.warnings.map(warning => [warning.type, warning.excerpt]), [['source', '[S8]']]);
+  });
+
+  test('templates from before the library get no sources', async () => {
+    reply = (request, response) => sendCompletion(response, request, 'Test section text.');
+    const response = await withEnv(openai(), () => post(generateReport.handler, {
+      section: 'conclusions',
+      context,
+      template: { id: 'standard', version: 6 }
+    }));
+    assert.deepEqual(JSON.parse(response.body).sources, []);
+    assert.ok(!lastPrompt().includes('[S1]'));
+  });
+
+  test('summary sections are written without the library', async () => {
+    reply = (request, response) => sendCompletion(response, request, 'Test section text.');
+    const response = await withEnv(openai(), () => post(generateReport.handler, { section: 'openingLetter', context }));
+    assert.deepEqual(JSON.parse(response.body).sources, []);
+    assert.ok(!lastPrompt().includes('Style examples'));
+  });
+});
@@ -0,0 +1,151 @@
+/************************************************
+ * tests/llm.test.js
+ *
+ * Model settings from the environment and the mock provider.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { withEnv } = require('./helpers');
+
+const { modelSettings, modelLabel, complete, streamCompletion } = require('../netlify/lib/llm');
+
+const messages = [{ role: 'system', content: 'Write the Introduction.' }];
+
+async function streamedText(settings, prompt = messages) {
+  const { chunks } = await streamCompletion(settings, prompt);
+  const parts = [];
+  for await (const chunk of chunks) parts.push(chunk);
+  return parts;
+}
+
+describe('modelSettings', () => {
+  test('defaults', async () => {
+    const settings = await withEnv({ LLM_PROVIDER: undefined, OPENAI_API_KEY: 'sk-test' }, () => modelSettings('introduction'));
+    assert.deepEqual(settings, {
+      sectionId: 'introduction',
+      provider: 'openai',
+      model: 'chatgpt-4o-latest',
+      temperature: 0,
+      maxTokens: 4000,
+      baseUrl: '',
+      apiKey: 'sk-test',
+      maxRetries: 2,
+      timeoutSeconds: 600
+    });
+    assert.equal(modelLabel(settings), 'chatgpt-4o-latest');
+  });
+
+  test('environment settings', async () => {
+    const settings = await withEnv({
+      LLM_PROVIDER: ' OpenAI ',
+      LLM_MODEL: 'llama3.1',
+      LLM_TEMPERATURE: '0.2',
+      LLM_MAX_TOKENS: '2048',
+      LLM_BASE_URL: 'http://localhost:11434/v1',
+      LLM_API_KEY: 'local-key',
+      OPENAI_API_KEY: 'sk-test',
+      LLM_MAX_RETRIES: '0',
+      LLM_TIMEOUT_SECONDS: '30'
+    }, () => modelSettings('introduction'));
+    assert.deepEqual(settings, {
+      sectionId: 'introduction',
+      provider: 'openai',
+      model: 'llama3.1',
+      temperature: 0.2,
+      maxTokens: 2048,
+      baseUrl: 'http://localhost:11434/v1',
+      apiKey: 'local-key',
+      maxRetries: 0,
+      timeoutSeconds: 30
+    });
+  });
+
+  test('out-of-range numbers fall back to the defaults', async () => {
+    const settings = await withEnv(
+      { LLM_TEMPERATURE: '5', LLM_MAX_TOKENS: 'lots', LLM_MAX_RETRIES: '-1' },
+      () => modelSettings('introduction')
+    );
+    assert.equal(settings.temperature, 0);
+    assert.equal(settings.maxTokens, 4000);
+    assert.equal(settings.maxRetries, 2);
+  });
+
+  test('section overrides apply to that section only', async () => {
+    const env = {
+      LLM_PROVIDER: 'openai',
+      LLM_SECTION_SETTINGS: JSON.stringify({
+        openingLetter: { model: 'gpt-4o-mini', temperature: 0.5, maxTokens: 1000 },
+        tableOfContents: { provider: 'mock' }
+      })
+    };
+    const [letter, contents, introduction] = await withEnv(env, () => [
+      modelSettings('openingLetter'),
+      modelSettings('tableOfContents'),
+      modelSettings('introduction')
+    ]);
+    assert.deepEqual([letter.provider, letter.model, letter.temperature, letter.maxTokens], ['openai', 'gpt-4o-mini', 0.5, 1000]);
+    assert.deepEqual([contents.provider, modelLabel(contents)], ['mock', 'mock:chatgpt-4o-latest']);
+    assert.deepEqual([introduction.model, introduction.temperature], ['chatgpt-4o-latest', 0]);
+  });
+
+  test('bad configuration is reported', async () => {
+    await withEnv({ LLM_PROVIDER: 'claude' }, () => {
+      assert.throws(() => modelSettings('introduction'), /Unknown LLM_PROVIDER "claude" \(expected one of: openai, mock\)/);
+    });
+    await withEnv({ LLM_SECTION_SETTINGS: '{"introduction":' }, () => {
+      assert.throws(() => modelSettings('introduction'), /LLM_SECTION_SETTINGS is not valid JSON/);
+    });
+    await withEnv({ LLM_SECTION_SETTINGS: '[]' }, () => {
+      assert.throws(() => modelSettings('introduction'), /must be a JSON object keyed by section id/);
+    });
+    await withEnv({ LLM_SECTION_SETTINGS: '{"introduction": {"apiKey": "x"}}' }, () => {
+      assert.throws(() => modelSettings('introduction'), /LLM_SECTION_SETTINGS\["introduction"\] has unknown settings: apiKey/);
+    });
+  });
+
+  test('the OpenAI provider needs a key unless it has an endpoint', async () => {
+    const settings = await withEnv(
+      { LLM_PROVIDER: 'openai', LLM_API_KEY: undefined, OPENAI_API_KEY: undefined },
+      () => modelSettings('introduction')
+    );
+    await assert.rejects(complete(settings, messages), /No API key: set LLM_API_KEY or OPENAI_API_KEY/);
+  });
+});
+
+describe('mock provider', () => {
+  const settings = () => modelSettings('limitations');
+
+  test('returns the recorded response for the section', async () => {
+    const recorded = fs.readFileSync(path.join(process.env.LLM_MOCK_DIR, 'limitations.md'), 'utf8');
+    assert.deepEqual(await complete(settings(), messages), { text: recorded, model: 'chatgpt-4o-latest' });
+    const chunks = await streamedText(settings());
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.join(''), recorded);
+  });
+
+  test('without a recording the text depends only on the prompt', async () => {
+    const empty = fs.mkdtempSync(path.join(process.env.STORAGE_DIR, 'llm-'));
+    await withEnv({ LLM_MOCK_DIR: empty }, async () => {
+      const first = (await complete(settings(), messages)).text;
+      assert.match(first, /^Mock limitations text for prompt [0-9a-f]{12}\.$/);
+      assert.equal((await complete(settings(), messages)).text, first);
+      assert.equal((await streamedText(settings())).join(''), first);
+      const other = (await complete(settings(), [{ role: 'system', content: 'Write the Limitations.' }])).text;
+      assert.notEqual(other, first);
+    });
+  });
+
+  test('an aborted stream stops', async () => {
+    const { chunks, abort } = await streamCompletion(settings(), messages);
+    const received = [];
+    await assert.rejects(async () => {
+      for await (const chunk of chunks) {
+        received.push(chunk);
+        abort();
+      }
+    }, { name: 'AbortError' });
+    assert.equal(received.length, 1);
+  });
+});
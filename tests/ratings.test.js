@@ -0,0 +1,141 @@
+/************************************************
+ * tests/ratings.test.js
+ *
+ * Section ratings: the dashboard summary (summarizeRatings) and the
+ * ratings function that stores them.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, post } = require('./helpers');
+
+const { wordCount, summarizeRatings } = require('../netlify/lib/ratings');
+const { handler } = require('../netlify/functions/ratings');
+
+const FEEDBACK = 'The section repeats the weather data and misses the roof age entirely.';
+
+function rating(sectionId, value, createdAt, details = {}) {
+  return {
+    sectionId,
+    sectionTitle: sectionId.toUpperCase(),
+    rating: value,
+    template: { id: 'standard', version: 7 },
+    customInstructions: '',
+    createdAt,
+    ...details
+  };
+}
+
+describe('summary', () => {
+  const ratings = [
+    rating('introduction', 6, '2026-08-03T10:00:00Z'),
+    rating('introduction', 5, '2026-09-14T10:00:00Z', { template: { id: 'standard', version: 6 } }),
+    rating('conclusions', 2, '2026-08-20T10:00:00Z', {
+      customInstructions: 'Fix these problems found in the previous draft:\n- Cite the hail size.\n- Mention the roof age'
+    }),
+    rating('conclusions', 3, '2026-09-02T10:00:00Z', { customInstructions: '1. cite the hail size' }),
+    rating('meteorologist', 7, '2026-09-30T10:00:00Z', { template: null }),
+    // Not a rating: left out of every figure
+    { sectionId: 'introduction', rating: '7', createdAt: '2026-09-30T11:00:00Z' }
+  ];
+  const summary = summarizeRatings(ratings, { lowestCount: 2 });
+
+  test('averages overall and by section, lowest first', () => {
+    assert.equal(summary.count, 5);
+    assert.equal(summary.average, 4.6);
+    assert.deepEqual(summary.bySection, [
+      { sectionId: 'conclusions', title: 'CONCLUSIONS', count: 2, average: 2.5 },
+      { sectionId: 'introduction', title: 'INTRODUCTION', count: 2, average: 5.5 },
+      { sectionId: 'meteorologist', title: 'METEOROLOGIST', count: 1, average: 7 }
+    ]);
+  });
+
+  test('averages by template version', () => {
+    assert.deepEqual(summary.byTemplate, [
+      { template: 'unknown', id: null, version: null, count: 1, average: 7 },
+      { template: 'standard v6', id: 'standard', version: 6, count: 1, average: 5 },
+      { template: 'standard v7', id: 'standard', version: 7, count: 3, average: 3.67 }
+    ]);
+  });
+
+  test('month by month, oldest first', () => {
+    assert.deepEqual(summary.byMonth, [
+      {
+        month: '2026-08',
+        count: 2,
+        average: 4,
+        bySection: { introduction: { count: 1, average: 6 }, conclusions: { count: 1, average: 2 } },
+        byTemplate: { 'standard v7': { count: 2, average: 4 } }
+      },
+      {
+        month: '2026-09',
+        count: 3,
+        average: 5,
+        bySection: {
+          introduction: { count: 1, average: 5 },
+          conclusions: { count: 1, average: 3 },
+          meteorologist: { count: 1, average: 7 }
+        },
+        byTemplate: {
+          'standard v6': { count: 1, average: 5 },
+          'standard v7': { count: 1, average: 3 },
+          unknown: { count: 1, average: 7 }
+        }
+      }
+    ]);
+  });
+
+  test('the lowest-rated outputs and the most frequent instructions', () => {
+    assert.deepEqual(summary.lowest.map(entry => [entry.sectionId, entry.rating]), [['conclusions', 2], ['conclusions', 3]]);
+    // One instruction per line, without the header or list markers, matched regardless of case
+    assert.deepEqual(summary.instructions, [
+      { text: 'Cite the hail size.', count: 2, average: 2.5 },
+      { text: 'Mention the roof age', count: 1, average: 2 }
+    ]);
+  });
+
+  test('no ratings', () => {
+    assert.deepEqual(summarizeRatings([]), {
+      count: 0, average: null, bySection: [], byTemplate: [], byMonth: [], lowest: [], instructions: []
+    });
+    assert.equal(wordCount('  one two\nthree '), 3);
+  });
+});
+
+describe('ratings function', () => {
+  test('a rating is stored with its rater and summarized', async () => {
+    const stored = await post(handler, {
+      rating: 3,
+      feedback: FEEDBACK,
+      sectionId: 'conclusions',
+      sectionTitle: 'Conclusions',
+      template: { id: 'standard', version: 7 },
+      caseId: 'case-1'
+    });
+    assert.equal(stored.statusCode, 201);
+    const { rating: saved } = JSON.parse(stored.body);
+    assert.equal(saved.feedback, FEEDBACK);
+    assert.match(saved.ratedBy.name, /^Test Engineer/);
+
+    const summary = JSON.parse((await invoke(handler, { httpMethod: 'GET' })).body);
+    assert.equal(summary.count, 1);
+    assert.deepEqual(summary.bySection, [{ sectionId: 'conclusions', title: 'Conclusions', count: 1, average: 3 }]);
+  });
+
+  test('bad ratings are refused', async () => {
+    const base = { rating: 5, feedback: FEEDBACK, sectionId: 'introduction' };
+    const cases = [
+      [{ rating: 8 }, '"rating" must be a whole number from 1 to 7'],
+      [{ rating: 4.5 }, '"rating" must be a whole number from 1 to 7'],
+      [{ feedback: 'Too short to help.' }, '"feedback" must be at least 10 words'],
+      [{ sectionId: '../etc' }, '"sectionId" is required'],
+      [{ template: { id: 'standard' } }, '"template" must be { id, version }'],
+      [{ caseId: 'a/b' }, '"caseId" must be a case id']
+    ];
+    for (const [change, error] of cases) {
+      const response = await post(handler, { ...base, ...change });
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(response.body).error, error);
+    }
+    assert.equal((await post(handler, '[]')).statusCode, 400);
+  });
+});
@@ -0,0 +1,157 @@
+/************************************************
+ * tests/scope.test.js
+ *
+ * The repair scope: line items from the test squares and affected
+ * areas, waste factors, the unit-price table, the CSV and appendix
+ * table, and the repair-scope function.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccount, invoke, post, readFixture } = require('./helpers');
+
+const { DEFAULT_UNIT_PRICES, ScopeError, checkUnitPrices, buildScope, formatScopeTable, formatScopeCsv } = require('../netlify/lib/scope');
+const { migrateIntake } = require('../netlify/lib/intake');
+const { buildReport } = require('../netlify/lib/export/report');
+const { exportReport } = require('../netlify/lib/export');
+const { handler } = require('../netlify/functions/repair-scope');
+
+const { inputs } = migrateIntake(readFixture('cases', 'killeen-2014.json'));
+const prices = { items: DEFAULT_UNIT_PRICES, updatedAt: null };
+
+function scopeLines(estimate) {
+  return estimate.lines.map(line => [line.item, line.quantity, line.total]);
+}
+
+describe('buildScope', () => {
+  test('the roof is priced from the test squares', () => {
+    const estimate = buildScope(inputs, prices);
+    // Section C is 6,400 sq ft in plan; at 1/4:12 its roof surface is 6,401 sq ft
+    assert.deepEqual(scopeLines(estimate), [
+      ['tearOff', 64.01, 4160.65],
+      ['singlePly', 70.41, 38725.5],
+      ['spotRepair', 209, 7315]
+    ]);
+    assert.equal(estimate.lines[1].basis, 'Section C (6,401 sq ft)');
+    assert.equal(estimate.total, 50201.15);
+    // The fixture saved the same estimate
+    assert.deepEqual(estimate.lines, inputs.repairScope.estimate.lines);
+  });
+
+  test('a whole-roof replacement replaces every slope and repairs none', () => {
+    const estimate = buildScope({ ...inputs, damageSurvey: { ...inputs.damageSurvey, wholeRoofPercent: 30, thresholds: { singlePly: 3 } } }, prices);
+    assert.deepEqual(scopeLines(estimate), [
+      ['tearOff', 196.04, 12742.6],
+      ['singlePly', 127.62, 70191],
+      ['bur', 88.02, 45770.4]
+    ]);
+    assert.equal(estimate.lines[0].basis, 'Whole roof');
+  });
+
+  test('without test squares a damaged roof is replaced whole', () => {
+    const estimate = buildScope({ ...inputs, damageSurvey: null, roofSinglePlyChecked: false }, prices);
+    assert.deepEqual(scopeLines(estimate), [
+      ['tearOff', 480, 31200],
+      ['bur', 528, 274560]
+    ]);
+    assert.equal(estimate.lines[0].basis, 'Whole roof (48,000 sq ft)');
+
+    const settings = { roofMaterial: 'metal', roofAreaSqFt: '12,000', waste: { metal: 0 } };
+    assert.deepEqual(scopeLines(buildScope({ ...inputs, damageSurvey: null, repairScope: settings }, prices)), [
+      ['tearOff', 120, 7800],
+      ['metal', 120, 78000]
+    ]);
+  });
+
+  test('gutters, siding and windows are priced when affected', () => {
+    const estimate = buildScope({
+      ...inputs,
+      affectedAreas: ['Gutters', 'Siding', 'Windows'],
+      repairScope: { gutterFeet: '120', sidingSqFt: 400, windowCount: '3', waste: { siding: '15' } }
+    }, prices);
+    assert.deepEqual(scopeLines(estimate).slice(3), [
+      ['gutters', 126, 1386],
+      ['siding', 460, 2760],
+      ['windows', 3, 1950]
+    ]);
+    assert.equal(estimate.total, 50201.15 + 1386 + 2760 + 1950);
+  });
+
+  for (const [name, changes, message] of [
+    ['a missing quantity', { affectedAreas: ['Gutters'] }, /Gutters is an affected area: enter the length of damaged gutters/],
+    ['a fractional window count', { affectedAreas: ['Windows'], repairScope: { windowCount: 1.5 } }, /number of damaged windows must be a whole number/],
+    ['a bad waste factor', { repairScope: { waste: { singlePly: 80 } } }, /waste factor must be a percentage from 0 to 50/],
+    ['an unusable survey', { damageSurvey: { slopes: [] } }, /hail test squares can't be used: Add at least one roof slope/],
+    ['no roofing material', { damageSurvey: null, roofSinglePlyChecked: false, roofBURChecked: false }, /Choose the roofing material/],
+    ['nothing to price', { damageSurvey: null, affectedAreas: ['Interior'] }, /Nothing to price/]
+  ]) {
+    test(`${name} is rejected`, () => {
+      assert.throws(() => buildScope({ ...inputs, ...changes }, prices), error => error instanceof ScopeError && message.test(error.message));
+    });
+  }
+});
+
+describe('unit prices', () => {
+  test('edits fill in over the defaults, with the units fixed', () => {
+    const items = checkUnitPrices({ singlePly: { price: '$600', waste: '12', unit: 'SF' }, windows: { description: 'Window, double-hung' } });
+    assert.deepEqual(items.singlePly, { description: DEFAULT_UNIT_PRICES.singlePly.description, unit: 'SQ', price: 600, waste: 12 });
+    assert.equal(items.windows.description, 'Window, double-hung');
+    assert.deepEqual(items.tearOff, DEFAULT_UNIT_PRICES.tearOff);
+    assert.throws(() => checkUnitPrices({ slate: { price: 1 } }), /Unknown price items: slate/);
+    assert.throws(() => checkUnitPrices({ metal: { price: -5 } }), /unit price must be a number of dollars/);
+  });
+});
+
+describe('scope output', () => {
+  const estimate = buildScope(inputs, prices);
+
+  test('CSV, one line item per row', () => {
+    const rows = formatScopeCsv(estimate).split('\r\n');
+    assert.equal(rows[0], 'Item,Description,Quantity,Unit,Waste (%),Unit price,Total,Basis');
+    assert.equal(rows[2], 'singlePly,"Single-ply membrane, installed",70.41,SQ,10,550.00,38725.50,"Section C (6,401 sq ft)"');
+    assert.equal(rows[4], ',Estimated total,,,,,50201.15,');
+    assert.equal(rows[5], '');
+  });
+
+  test('the appendix table in the report', async () => {
+    const table = formatScopeTable(estimate).split('\n');
+    assert.equal(table[3], '| Single-ply membrane, installed | 70.41 | SQ | $550.00 | $38,725.50 | Section C (6,401 sq ft); includes 10% waste |');
+    assert.equal(table.at(-1), '| Estimated total |  |  |  | $50,201.15 |  |');
+
+    const sections = [{ id: 'conclusions', title: 'Conclusions and Recommendations', content: 'Text.' }];
+    const report = buildReport({ sections, context: inputs });
+    assert.equal(report.scopeAppendix.title, 'Appendix: Repair Scope');
+    assert.deepEqual(report.scopeAppendix.blocks.map(block => block.type), ['paragraph', 'table']);
+    assert.deepEqual(report.tocEntries.at(-1), { sectionId: 'repairScope', level: 1, title: 'Appendix: Repair Scope' });
+    assert.equal(buildReport({ sections, context: { ...inputs, repairScope: { estimate: { lines: [] } } } }).scopeAppendix, null);
+
+    const pdf = await exportReport('pdf', { sections, context: inputs });
+    assert.equal(pdf.data.subarray(0, 5).toString(), '%PDF-');
+  });
+});
+
+describe('repair-scope function', () => {
+  test('prices a case, and the signing PE edits the prices', async () => {
+    const table = JSON.parse((await invoke(handler, { httpMethod: 'GET' })).body);
+    assert.deepEqual(table, { items: DEFAULT_UNIT_PRICES, updatedAt: null, updatedBy: null });
+
+    const priced = JSON.parse((await post(handler, { inputs })).body);
+    assert.equal(priced.estimate.total, 50201.15);
+    assert.equal(priced.table, formatScopeTable(priced.estimate));
+    assert.equal(priced.csv, formatScopeCsv(priced.estimate));
+
+    const engineer = await createAccount({ roles: ['engineer'] });
+    const body = JSON.stringify({ items: { spotRepair: { price: 40 } } });
+    assert.equal((await invoke(handler, { httpMethod: 'PUT', body, headers: engineer.headers })).statusCode, 403);
+    const saved = await invoke(handler, { httpMethod: 'PUT', body });
+    assert.equal(saved.statusCode, 200);
+    assert.equal(JSON.parse(saved.body).items.spotRepair.price, 40);
+
+    const repriced = JSON.parse((await post(handler, { inputs })).body).estimate;
+    assert.equal(repriced.total, 50201.15 + 209 * 5);
+    assert.ok(repriced.pricesUpdatedAt);
+
+    const bad = await post(handler, { inputs: { ...inputs, affectedAreas: ['Siding'], damageSurvey: null } });
+    assert.equal(bad.statusCode, 400);
+    assert.match(JSON.parse(bad.body).error, /Siding is an affected area/);
+  });
+});
@@ -0,0 +1,65 @@
+/************************************************
+ * tests/section-stream.test.js
+ *
+ * The page's reader for streamed sections (section-stream.js), fed the
+ * generate-report function's own event stream, whole and cut short.
+ ************************************************/
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, post, readFixture } = require('./helpers');
+
+const { readSectionStream } = require('../section-stream');
+const { handler } = require('../netlify/functions/generate-report');
+
+const context = readFixture('cases', 'killeen-2014.json');
+const recorded = fs.readFileSync(path.join(FIXTURES, 'llm', 'introduction.md'), 'utf8');
+
+// A fetch response whose body arrives in `chunks`
+function streamedResponse(chunks) {
+  return new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+      controller.close();
+    }
+  }));
+}
+
+async function streamedSection() {
+  const response = await post(handler, { section: 'introduction', context, stream: true });
+  assert.equal(response.statusCode, 200);
+  return response.body;
+}
+
+test('a whole stream resolves with the finished section', async () => {
+  const body = await streamedSection();
+  const seen = [];
+  // Split mid-event, the way the network delivers it
+  const draft = await readSectionStream(streamedResponse([body.slice(0, 101), body.slice(101)]), text => seen.push(text));
+  assert.equal(draft.content, recorded);
+  assert.deepEqual(draft.warnings, []);
+  assert.deepEqual(draft.sources, []);
+  assert.equal(draft.model, 'mock:chatgpt-4o-latest');
+  assert.ok(seen.length > 1);
+  assert.equal(seen[seen.length - 1], recorded);
+});
+
+test('a stream cut off before its done event is a failure, not a section', async () => {
+  const body = await streamedSection();
+  const truncated = body.slice(0, body.indexOf('event: done'));
+  assert.ok(truncated.includes('event: delta'));
+  await assert.rejects(
+    readSectionStream(streamedResponse([truncated])),
+    { message: 'The section stream ended before the section was finished' }
+  );
+});
+
+test('an error event rejects with its details', async () => {
+  const frames = [
+    'event: meta\ndata: {"sectionName":"introduction"}\n\n',
+    'event: delta\ndata: {"text":"The property "}\n\n',
+    'event: error\ndata: {"error":"Failed to generate report section","details":"socket hang up"}\n\n'
+  ];
+  await assert.rejects(readSectionStream(streamedResponse(frames)), { message: 'socket hang up' });
+});
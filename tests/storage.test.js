@@ -0,0 +1,69 @@
+/************************************************
+ * tests/storage.test.js
+ *
+ * Document storage backends. The sqlite backend needs node:sqlite
+ * (Node 22.13+); on older Nodes the test checks it refuses to start.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withEnv } = require('./helpers');
+
+const { getDocumentStore } = require('../netlify/lib/storage');
+
+function hasSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function roundTrip(store) {
+  assert.deepEqual(await store.list(), []);
+  await store.put('case-1', { id: 'case-1', name: 'Oak Street' });
+  await store.put('case-2', { id: 'case-2', name: 'Elm Street' });
+  await store.put('case-1', { id: 'case-1', name: 'Oak Street (revised)' });
+  assert.deepEqual(await store.get('case-1'), { id: 'case-1', name: 'Oak Street (revised)' });
+  assert.equal(await store.get('case-3'), null);
+  assert.deepEqual((await store.list()).map(doc => doc.name).sort(), ['Elm Street', 'Oak Street (revised)']);
+  await store.remove('case-2');
+  assert.deepEqual((await store.list()).map(doc => doc.id), ['case-1']);
+  await assert.rejects(store.get('../secrets'), { message: 'Invalid document id: ../secrets' });
+}
+
+describe('getDocumentStore', () => {
+  test('the file backend', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claims-assistant-storage-'));
+    await withEnv({ STORAGE_BACKEND: 'file', STORAGE_DIR: dir }, () => roundTrip(getDocumentStore('cases')));
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'cases')), ['case-1.json']);
+  });
+
+  test('an unknown backend', async () => {
+    await withEnv({ STORAGE_BACKEND: 'mongo' }, async () => {
+      assert.throws(() => getDocumentStore('cases'), { message: 'Unknown STORAGE_BACKEND "mongo" (expected one of: file, sqlite, blobs)' });
+    });
+  });
+
+  test('the sqlite backend', { skip: !hasSqlite() && 'node:sqlite needs Node 22.13+' }, async () => {
+    const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'claims-assistant-storage-')), 'storage.sqlite');
+    await withEnv({ STORAGE_BACKEND: 'sqlite', STORAGE_SQLITE_PATH: dbPath }, async () => {
+      await roundTrip(getDocumentStore('cases'));
+      // Collections share the table without mixing
+      assert.deepEqual(await getDocumentStore('photos').list(), []);
+    });
+  });
+
+  test('the sqlite backend refuses to start without node:sqlite', { skip: hasSqlite() && 'node:sqlite is available' }, () => {
+    const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(require.resolve('../netlify/lib/storage'))})`], {
+      env: { ...process.env, STORAGE_BACKEND: 'sqlite' },
+      encoding: 'utf8'
+    });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, new RegExp(`STORAGE_BACKEND=sqlite needs Node 22\\.13 or newer \\(node:sqlite\\); this is Node ${process.versions.node}`));
+  });
+});
@@ -0,0 +1,108 @@
+/************************************************
+ * tests/templates.test.js
+ *
+ * Report templates: edited versions saved under their own "custom-" ids,
+ * beside the built-in versions, and the templates function.
+ ************************************************/
+const { test, describe, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccount, invoke, post } = require('./helpers');
+
+const { getDocumentStore } = require('../netlify/lib/storage');
+const { getTemplate, listTemplates, saveTemplateVersion, renderPrompt } = require('../netlify/lib/templates');
+const { handler } = require('../netlify/functions/templates');
+
+afterEach(() => mock.restoreAll());
+
+async function editedStandard(name) {
+  const { id, systemPrompt, sections } = await getTemplate('standard');
+  return { id, name, systemPrompt, sections: sections.slice(0, 2) };
+}
+
+describe('saved versions', () => {
+  test('an edit is saved under its own id and never replaces a built-in version', async () => {
+    const builtIn = await getTemplate('standard');
+    const first = await saveTemplateVersion(await editedStandard('Short Report'), {});
+    assert.deepEqual([first.id, first.version], ['custom-standard', 1]);
+
+    // Editing the edit continues its versions
+    const second = await saveTemplateVersion({ ...first, name: 'Shorter Report', sections: first.sections.slice(0, 1) }, {});
+    assert.deepEqual([second.id, second.version], ['custom-standard', 2]);
+
+    assert.equal((await getTemplate('standard')).version, builtIn.version);
+    assert.equal((await getTemplate('standard', 2)).builtIn, true);
+    assert.equal((await getTemplate('custom-standard', 1)).name, 'Short Report');
+    assert.equal((await getTemplate('custom-standard')).name, 'Shorter Report');
+
+    const listed = await listTemplates({});
+    assert.deepEqual(listed.map(entry => [entry.id, entry.version, entry.versions, entry.builtIn]), [
+      ['custom-standard', 2, [1, 2], false],
+      ['standard', builtIn.version, Array.from({ length: builtIn.version }, (_, index) => index + 1), true]
+    ]);
+  });
+
+  test('a saved version that repeats an id and version is left out', async () => {
+    const errors = mock.method(console, 'error', () => {});
+    const store = getDocumentStore('templates', {});
+    // An edit saved before edits had their own ids, and a second copy of one
+    await store.put('standard-v2', { ...(await editedStandard('Old Edit')), version: 2 });
+    const existing = await getTemplate('custom-standard', 1);
+    await store.put('custom-standard-v1-copy', { ...existing, name: 'Copy', createdAt: new Date().toISOString() });
+
+    assert.equal((await getTemplate('standard', 2)).builtIn, true);
+    assert.equal((await getTemplate('custom-standard', 1)).name, 'Short Report');
+    assert.deepEqual([...new Set(errors.mock.calls.map(call => call.arguments[0]))], [
+      'Ignoring saved template standard v2: the id and version belong to another template',
+      'Ignoring saved template custom-standard v1: the id and version belong to another template'
+    ]);
+
+    await store.remove('standard-v2');
+    await store.remove('custom-standard-v1-copy');
+  });
+
+  test('an id too long for the prefix is refused', async () => {
+    await assert.rejects(saveTemplateVersion({ ...(await editedStandard('Long')), id: 'a'.repeat(60) }, {}), {
+      name: 'TemplateError',
+      message: '"id" must be at most 57 characters'
+    });
+  });
+});
+
+describe('renderPrompt', () => {
+  test('blocks show when their value is set, and placeholders are filled in', () => {
+    const prompt = 'Intro.{{#evidence}}\nEvidence:\n{{evidence}}{{/evidence}}{{#photoList}}\nPhotos: {{photoList}}{{/photoList}}\nTypes: {{claimTypes}}{{missing}}';
+    assert.equal(
+      renderPrompt(prompt, { evidence: '- Hail: 1 in', photoList: '  ', claimTypes: ['Hail', 'Wind'] }),
+      'Intro.\nEvidence:\n- Hail: 1 in\nTypes: Hail, Wind'
+    );
+  });
+
+  test('a value that contains a placeholder goes in as written, in a block or not', () => {
+    const variables = { evidence: 'see {{address}}', address: 'SECRET', notes: '{{address}} and {{#address}}x{{/address}}' };
+    assert.equal(
+      renderPrompt('{{#evidence}}E: {{evidence}}{{/evidence}} / {{notes}}', variables),
+      'E: see {{address}} / {{address}} and {{#address}}x{{/address}}'
+    );
+  });
+});
+
+describe('templates function', () => {
+  test('saving needs the signing PE or an administrator', async () => {
+    const template = await editedStandard('Function Edit');
+    const engineer = await createAccount({ roles: ['engineer'] });
+    const refused = await post(handler, { template }, engineer.headers);
+    assert.equal(refused.statusCode, 403);
+
+    const saved = await post(handler, { template });
+    assert.equal(saved.statusCode, 201);
+    assert.equal(JSON.parse(saved.body).id, 'custom-standard');
+
+    const fetched = await invoke(handler, { httpMethod: 'GET', queryStringParameters: { id: 'standard', version: '99' } });
+    assert.equal(fetched.statusCode, 404);
+    assert.equal(JSON.parse(fetched.body).error, 'Template not found: standard v99');
+
+    const invalid = await post(handler, { template: { ...template, sections: [] } });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(JSON.parse(invalid.body).error, '"sections" must list at least one section');
+  });
+});
@@ -0,0 +1,184 @@
+/************************************************
+ * tests/third-party.test.js
+ *
+ * Opposing reports for the Rebuttal: text extracted from the files in
+ * fixtures/third-party (a three-page PDF, a Word report with headings
+ * and lists, a scanned PDF and an old .doc), split into sentences and
+ * claims, and the third-party-reports function that does both.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, post } = require('./helpers');
+
+const { extractReport, splitSentences, splitClaims } = require('../netlify/lib/third-party');
+const { handler } = require('../netlify/functions/third-party-reports');
+
+function fixture(fileName) {
+  return { fileName, data: fs.readFileSync(path.join(FIXTURES, 'third-party', fileName)) };
+}
+
+// [page, heading or list item, text] per block
+function outline(report) {
+  return report.blocks.map(block => [block.page, block.heading ? 'heading' : block.listItem ? 'item' : 'text', block.text]);
+}
+
+describe('extraction', () => {
+  test('a multi-page PDF is read page by page', () => {
+    const report = extractReport(fixture('roof-inspection-report.pdf'));
+    assert.equal(report.title, 'Roof Inspection Report - 714 S Fort Hood Rd');
+    assert.equal(report.author, 'Reyes Forensic Engineering, LLC');
+    assert.equal(report.pageCount, 3);
+    // Wrapped lines are rejoined, the hyphenated "weather-ing" mended, the
+    // "Page n of 3" footers dropped, and the Observations paragraph carries on over the page break
+    assert.deepEqual(outline(report).slice(3, 9), [
+      [1, 'heading', 'INTRODUCTION'],
+      [1, 'text', 'Dr. Alan Reyes, P.E. inspected the roof of the office building at 714 S. Fort Hood Rd. in Killeen, Texas ' +
+        'on April 10, 2014 at the request of the carrier. The purpose of the inspection was to determine whether the roof ' +
+        'was damaged by hail on March 28, 2014. The building is approx. 30 years old.'],
+      [1, 'heading', 'OBSERVATIONS'],
+      [1, 'text', 'The roof is covered with three-tab asphalt shingles over a single layer of felt. Granule loss was found ' +
+        'on all slopes and is consistent with normal weathering of a roof this age. The north slope had several shingles ' +
+        'with exposed fiberglass mat, which we attribute to manufacturing blisters rather than hail impact. See Fig. 3 for ' +
+        'a typical blister. No fractured shingles were found in the test squares.'],
+      [2, 'heading', 'CONCLUSIONS'],
+      [2, 'item', '1. The roof was not damaged by hail on March 28, 2014.']
+    ]);
+    assert.deepEqual(outline(report).filter(([page]) => page === 3).map(([, kind, text]) => [kind, text.slice(0, 20)]), [
+      ['heading', 'LIMITATIONS'],
+      ['text', 'This report is based'],
+      ['heading', 'QUALIFICATIONS'],
+      ['text', 'Dr. Reyes is a licen']
+    ]);
+    assert.ok(!report.blocks.some(block => /Page \d of 3/.test(block.text)));
+  });
+
+  test('a Word report keeps its headings and list items', () => {
+    const report = extractReport(fixture('adjuster-field-report.docx'));
+    assert.equal(report.title, 'Adjuster Field Report');
+    assert.equal(report.author, 'Pat Morales, Lone Star Mutual');
+    assert.equal(report.pageCount, null);
+    assert.deepEqual(outline(report).map(([page, kind, text]) => [page, kind, text.slice(0, 40)]), [
+      [null, 'heading', 'Adjuster Field Report'],
+      [null, 'heading', 'Background'],
+      [null, 'text', 'The insured reported hail damage to the '],
+      [null, 'heading', 'Site Observations'],
+      [null, 'item', 'Granule loss on the south slope is consi'],
+      [null, 'item', 'The gutters and downspouts were dented b'],
+      [null, 'item', 'Blue tarp on the north slope'],
+      [null, 'heading', 'Findings'],
+      [null, 'item', 'The shingles have no functional hail dam'],
+      [null, 'item', 'The break room leak is caused by a faile'],
+      [null, 'item', 'Only the gutters, downspouts and the pip'],
+      [null, 'heading', 'Photographs'],
+      [null, 'text', 'Photo 1 shows the dented gutter on the e']
+    ]);
+    // XML entities are decoded
+    assert.equal(report.blocks[9].text, 'The break room leak is caused by a failed pipe boot & is not storm related.');
+  });
+
+  test('a scanned PDF has no text to read', () => {
+    assert.throws(() => extractReport(fixture('scanned-report.pdf')), {
+      name: 'ThirdPartyReportError',
+      message: 'No text was found in the PDF; it may be a scan. Upload a text version of the report instead'
+    });
+  });
+
+  test('old Word files, and files that are not what they say, are refused', () => {
+    assert.throws(() => extractReport(fixture('adjuster-notes.doc')), {
+      name: 'ThirdPartyReportError',
+      message: 'Old Word (.doc) files are not supported; save the report as .docx or PDF'
+    });
+    assert.throws(() => extractReport({ ...fixture('adjuster-notes.doc'), fileName: 'adjuster-notes.docx' }), {
+      message: 'This is not a .docx file'
+    });
+    assert.throws(() => extractReport({ ...fixture('adjuster-notes.doc'), fileName: 'adjuster-notes.pdf' }), {
+      message: 'This is not a PDF file'
+    });
+    // A PDF cut off before its first page, and one cut off after it
+    const pdf = fixture('roof-inspection-report.pdf');
+    assert.throws(() => extractReport({ ...pdf, data: pdf.data.subarray(0, 20) }), {
+      name: 'ThirdPartyReportError',
+      message: 'No pages were found in the PDF; the file may be damaged or incomplete'
+    });
+    assert.equal(extractReport({ ...pdf, data: pdf.data.subarray(0, 1500) }).blocks[3].text, 'INTRODUCTION');
+    assert.throws(() => extractReport({ fileName: 'report.xlsx', data: Buffer.from('x') }), {
+      message: 'Upload the report as a PDF, Word (.docx) or text file'
+    });
+  });
+});
+
+describe('sentences and claims', () => {
+  test('titles, credentials and other abbreviations do not end a sentence', () => {
+    assert.deepEqual(splitSentences('Dr. Reyes inspected the roof on Apr. 10. It was dry.'), [
+      'Dr. Reyes inspected the roof on Apr. 10.',
+      'It was dry.'
+    ]);
+    assert.deepEqual(splitSentences('Alan Reyes, P.E. inspected the vents. See Fig. 3 and No. 4 for the U.S. Highway 190 side.'), [
+      'Alan Reyes, P.E. inspected the vents.',
+      'See Fig. 3 and No. 4 for the U.S. Highway 190 side.'
+    ]);
+    assert.deepEqual(splitSentences('Inspected by J. R. Smith. Hail up to 1.75 in. in diameter fell (see e.g. Photo 2).'), [
+      'Inspected by J. R. Smith.',
+      'Hail up to 1.75 in. in diameter fell (see e.g. Photo 2).'
+    ]);
+  });
+
+  test('a credential or company name can end a sentence', () => {
+    assert.deepEqual(splitSentences('The report was signed by Alan Reyes, P.E. The roof was not damaged.'), [
+      'The report was signed by Alan Reyes, P.E.',
+      'The roof was not damaged.'
+    ]);
+    assert.deepEqual(splitSentences('We were retained by Reyes Forensic Engineering, Inc. "No hail," he said. Is it? Yes!'), [
+      'We were retained by Reyes Forensic Engineering, Inc.',
+      '"No hail," he said.',
+      'Is it?',
+      'Yes!'
+    ]);
+  });
+
+  test('findings are taken from a report, skipping limitations and qualifications', () => {
+    const claims = splitClaims(extractReport(fixture('roof-inspection-report.pdf')).blocks);
+    assert.deepEqual(claims.map(claim => [claim.id, claim.page, claim.heading, claim.text.slice(0, 45)]), [
+      ['c1', 1, 'INTRODUCTION', 'The purpose of the inspection was to determin'],
+      ['c2', 1, 'OBSERVATIONS', 'The roof is covered with three-tab asphalt sh'],
+      ['c3', 1, 'OBSERVATIONS', 'Granule loss was found on all slopes and is c'],
+      ['c4', 1, 'OBSERVATIONS', 'The north slope had several shingles with exp'],
+      ['c5', 1, 'OBSERVATIONS', 'See Fig. 3 for a typical blister.'],
+      ['c6', 1, 'OBSERVATIONS', 'No fractured shingles were found in the test '],
+      ['c7', 2, 'CONCLUSIONS', 'The roof was not damaged by hail on March 28,'],
+      ['c8', 2, 'CONCLUSIONS', 'The spatter marks on the metal roof vents wer'],
+      ['c9', 2, 'CONCLUSIONS', 'The interior water stains are due to long-ter'],
+      ['c10', 2, 'CONCLUSIONS', 'The roof can be repaired; replacement is not ']
+    ]);
+    // List markers are dropped from the claim
+    assert.equal(claims[6].text, 'The roof was not damaged by hail on March 28, 2014.');
+  });
+});
+
+describe('third-party-reports function', () => {
+  test('an uploaded report comes back as claims', async () => {
+    const { fileName, data } = fixture('adjuster-field-report.docx');
+    const response = await post(handler, { fileName, data: data.toString('base64') });
+    assert.equal(response.statusCode, 200);
+    const { report } = JSON.parse(response.body);
+    assert.equal(report.title, 'Adjuster Field Report');
+    assert.deepEqual(report.claims.map(claim => [claim.heading, claim.text.slice(0, 30)]), [
+      ['Background', 'The insured reported hail dama'],
+      ['Site Observations', 'Granule loss on the south slop'],
+      ['Site Observations', 'The gutters and downspouts wer'],
+      ['Site Observations', 'Blue tarp on the north slope'],
+      ['Findings', 'The shingles have no functiona'],
+      ['Findings', 'The break room leak is caused '],
+      ['Findings', 'Only the gutters, downspouts a']
+    ]);
+  });
+
+  test('an unreadable upload is a 400', async () => {
+    const { fileName, data } = fixture('scanned-report.pdf');
+    const response = await post(handler, { fileName, data: data.toString('base64') });
+    assert.equal(response.statusCode, 400);
+    assert.match(JSON.parse(response.body).error, /^No text was found in the PDF/);
+  });
+});
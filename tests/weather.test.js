@@ -0,0 +1,183 @@
+/************************************************
+ * tests/weather.test.js
+ *
+ * Each weather provider read from its recorded fixture
+ * (fixtures/weather), and the summary getForensicWeather makes of them
+ * for the Killeen property on the 2014-03-28 date of loss.
+ ************************************************/
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { FIXTURES } = require('./helpers');
+
+const { createFixtureSource } = require('../netlify/lib/weather/source');
+const { distanceMiles, compassDirection } = require('../netlify/lib/weather/geo');
+const weatherapi = require('../netlify/lib/weather/providers/weatherapi');
+const spc = require('../netlify/lib/weather/providers/spc');
+const asos = require('../netlify/lib/weather/providers/asos');
+const stormEvents = require('../netlify/lib/weather/providers/storm-events');
+const { getForensicWeather, formatWeatherForPrompt } = require('../netlify/lib/weather');
+
+const source = createFixtureSource(path.join(FIXTURES, 'weather'));
+
+// 714 S Fort Hood Rd, Killeen, TX, as the local geocoder places it
+const property = { lat: 31.1171, lon: -97.7278, region: 'TX', timezone: 'America/Chicago' };
+const query = {
+  address: '714 S Fort Hood Rd, Killeen, TX 76541',
+  dateOfLoss: '2014-03-28',
+  start: new Date('2014-03-27T12:00:00Z'),
+  end: new Date('2014-03-29T12:00:00Z'),
+  radiusMiles: 10,
+  stationRadiusMiles: 30,
+  location: property
+};
+
+// [magnitude, time, miles, direction] from the property
+function located(reports) {
+  return reports.map(report => [
+    report.magnitude,
+    report.time,
+    Math.round(distanceMiles(property, report) * 10) / 10,
+    compassDirection(property, report)
+  ]);
+}
+
+describe('providers', () => {
+  test('WeatherAPI resolves the address and gives the day and its gridded gust', async () => {
+    const result = await weatherapi.fetchReports({ ...query, location: null }, source);
+    assert.deepEqual(result.location, {
+      name: 'Killeen, Texas, United States of America',
+      lat: 31.12,
+      lon: -97.73,
+      region: 'Texas',
+      country: 'United States of America',
+      timezone: 'America/Chicago'
+    });
+    assert.deepEqual(result.reports.map(report => [report.kind, report.type, report.magnitude, report.time]), [
+      ['model', 'wind', 47.2, '2014-03-28T21:00:00.000Z']
+    ]);
+    assert.equal(result.daily.maxWindTime, '2014-03-28 16:00');
+    assert.equal(result.daily.totalPrecip, '0.84 inches');
+    assert.equal(result.daily.thunderstorm, 'Yes');
+
+    const missing = await weatherapi.fetchReports({ ...query, dateOfLoss: '2014-03-29' }, source);
+    assert.deepEqual(missing, { reports: [], note: 'No history data returned for the date of loss' });
+  });
+
+  test('SPC reports are dated from the file day and sized in inches', async () => {
+    const { reports } = await spc.fetchReports(query, source);
+    const hail = reports.filter(report => report.type === 'hail');
+    assert.deepEqual(located(hail), [
+      [1, '2014-03-28T21:05:00.000Z', 10.9, 'W'],
+      [2, '2014-03-28T21:10:00.000Z', 2.2, 'WSW'],
+      [1.75, '2014-03-28T21:25:00.000Z', 4.8, 'ESE'],
+      [1.25, '2014-03-28T21:50:00.000Z', 23, 'E']
+    ]);
+    assert.equal(hail[1].place, '2 SW Killeen, Bell, TX');
+    // "UNK" speed is kept as a report without a magnitude
+    assert.deepEqual(located(reports.filter(report => report.type === 'wind')), [
+      [null, '2014-03-28T21:15:00.000Z', 3.2, 'WNW'],
+      [65, '2014-03-28T21:20:00.000Z', 2.8, 'E']
+    ]);
+  });
+
+  test('SPC times before 12Z belong to the next day', () => {
+    const [report] = spc.parseSpcReports('Time,Size,Location,County,State,Lat,Lon,Comments\n0130,175,Killeen,Bell,TX,31.1,-97.7,\n', new Date('2014-03-28T00:00:00Z'), 'hail');
+    assert.equal(report.time, '2014-03-29T01:30:00.000Z');
+    assert.equal(report.magnitude, 1.75);
+  });
+
+  test('ASOS stations are the nearest in the state, each with its peak gust in mph', async () => {
+    const stations = await asos.findStations(property, source, 30);
+    assert.deepEqual(stations.map(station => [station.id, station.name, Math.round(station.distanceMiles * 10) / 10]), [
+      ['ILE', 'Killeen Skylark Field', 3.3],
+      ['GRK', 'Killeen/Fort Hood Regional', 6.9],
+      ['TPL', 'Temple/Miller', 19.1]
+    ]);
+    assert.equal(await asos.findStations({ ...property, region: 'Atlantis' }, source, 30), null);
+
+    const { reports } = await asos.fetchReports(query, source);
+    assert.deepEqual(reports.map(report => [report.station, report.comments]), [
+      ['ILE', 'Peak gust from 280°'],
+      ['GRK', 'Peak gust from 290°'],
+      ['TPL', 'Peak gust from 270°']
+    ]);
+    // 51, 58 and 41 knot gusts
+    assert.deepEqual(located(reports), [
+      [59, '2014-03-28T21:15:00.000Z', 3.3, 'SE'],
+      [67, '2014-03-28T21:12:00.000Z', 6.9, 'WSW'],
+      [47, '2014-03-28T21:53:00.000Z', 19.1, 'E']
+    ]);
+  });
+
+  test('Storm Events keeps hail and wind, converts knots and local standard time', async () => {
+    const { reports } = await stormEvents.fetchReports(query, source);
+    // The flash flood is left out; the April hail is filtered by the search window later
+    assert.deepEqual(reports.map(report => [report.type, report.comments]), [
+      ['hail', 'Hail Event ID 498211'],
+      ['wind', 'Thunderstorm Wind (MG) Event ID 498212'],
+      ['hail', 'Hail Event ID 501120']
+    ]);
+    // 16:12 CST is 22:12 UTC; 52 knots is 60 mph
+    assert.deepEqual(located(reports), [
+      [1.75, '2014-03-28T22:12:00.000Z', 0.5, 'SSW'],
+      [60, '2014-03-28T22:20:00.000Z', 5.3, 'ESE'],
+      [1, '2014-04-14T00:30:00.000Z', 0.5, 'ENE']
+    ]);
+
+    const unconfigured = await stormEvents.fetchReports(query, { directory: () => null });
+    assert.deepEqual(unconfigured, { reports: [], note: 'STORM_EVENTS_DIR is not configured' });
+  });
+});
+
+describe('forensic weather', () => {
+  test('the reports inside the radius and window are summarized, nearest first', async () => {
+    // Without a location the search is centred on WeatherAPI's point for the address
+    const weather = await getForensicWeather({ address: query.address, dateOfLoss: query.dateOfLoss });
+    assert.deepEqual([weather.location.lat, weather.location.lon], [31.12, -97.73]);
+    assert.deepEqual(weather.searchWindow, { start: '2014-03-27T12:00:00.000Z', end: '2014-03-29T12:00:00.000Z' });
+    assert.equal(weather.maxHailSize, '2.00 in');
+    assert.deepEqual([weather.maxHailReport.distanceMiles, weather.maxHailReport.direction], [2.2, 'SW']);
+    assert.equal(weather.peakWindSpeed, '67 mph');
+    assert.deepEqual([weather.peakWindReport.station, weather.peakWindReport.distanceMiles, weather.peakWindReport.direction], ['GRK', 6.9, 'WSW']);
+
+    // The Copperas Cove and Temple hail is outside 10 miles; TPL is inside the 30-mile station radius
+    assert.deepEqual(weather.stormReports.map(report => [report.source, report.magnitude, report.distanceMiles]), [
+      ['WeatherAPI.com', 47.2, 0],
+      ['NOAA Storm Events Database', 1.75, 0.7],
+      ['NOAA SPC Storm Reports', 2, 2.2],
+      ['NOAA SPC Storm Reports', null, 3],
+      ['NOAA SPC Storm Reports', 65, 3],
+      ['ASOS/METAR Observations', 59, 3.5],
+      ['NOAA SPC Storm Reports', 1.75, 5],
+      ['NOAA Storm Events Database', 60, 5.5],
+      ['ASOS/METAR Observations', 67, 6.9],
+      ['ASOS/METAR Observations', 47, 19.2]
+    ]);
+    assert.deepEqual(weather.sources.map(entry => [entry.id, entry.reportCount]), [
+      ['weatherapi', 1],
+      ['spc', 4],
+      ['asos', 3],
+      ['storm-events', 2]
+    ]);
+
+    const prompt = formatWeatherForPrompt(weather);
+    assert.ok(prompt.includes('Maximum reported hail: 2.00 in hail, 2.2 mi SW, Mar 28, 2014, 4:10 PM CDT, 2 SW Killeen, Bell, TX'));
+    assert.ok(prompt.includes('Peak reported/measured wind: 67 mph wind, 6.9 mi WSW'));
+  });
+
+  test('a narrower radius leaves out the farther reports', async () => {
+    const weather = await getForensicWeather({
+      address: query.address,
+      dateOfLoss: query.dateOfLoss,
+      options: { radiusMiles: 1, stationRadiusMiles: 5 }
+    });
+    assert.equal(weather.maxHailSize, '1.75 in');
+    assert.equal(weather.peakWindReport.station, 'ILE');
+    assert.deepEqual(weather.stormReports.map(report => report.source), [
+      'WeatherAPI.com',
+      'NOAA Storm Events Database',
+      'ASOS/METAR Observations'
+    ]);
+  });
+});